@@ -0,0 +1,14 @@
+define("block_helpchat/chat",["exports","core/ajax","core/str","./markdown","./code_actions","./suggestions","./spinner","./stream","./form_integration","./dom_parser","./field_links","./history","./context_panel","./selection_popover","./stack_lint"],(function(_exports,_ajax,_str,_markdown,_code_actions,_suggestions,_spinner,_stream,_form_integration,_dom_parser,_field_links,_history,_context_panel,_selection_popover,_stack_lint){var e;
+/**
+   * Chat controller for Help Chat block
+   *
+   * Sends messages without reloading (and losing) the page being edited, and
+   * shows the conversation as a thread of user and assistant bubbles. Responses
+   * are streamed into the thread as they are generated.
+   *
+   * @module     block_helpchat/chat
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.sendMessage=_exports.init=void 0,_ajax=(e=_ajax)&&e.__esModule?e:{default:e};const SELECTORS_FORM="#helpchat-form",SELECTORS_MESSAGE="#helpchat-message",SELECTORS_SUBMIT=".helpchat-submit",SELECTORS_ANALYSIS="#form-analysis-data",SELECTORS_THREAD='[data-region="thread"]',SELECTORS_CLEAR='[data-action="clear-conversation"]';_exports.sendMessage=(instanceId,message,formData,pageType,history=[])=>_ajax.default.call([{methodname:"block_helpchat_send_message",args:{blockinstanceid:instanceId,message:message,formdata:formData,pagetype:pageType,history:history}}])[0].then((result=>result.response));const enhanceResponse=async body=>{try{await(0,_suggestions.renderSuggestions)(body),await(0,_code_actions.addCodeActions)(body),await(0,_field_links.linkFieldMentions)(body,(root=>{const analysisField=root?root.querySelector(SELECTORS_ANALYSIS):null,analysis=analysisField?(0,_form_integration.getCurrentFormAnalysis)(analysisField.id):null;return analysis&&analysis.form?(0,_dom_parser.flattenFormTree)(analysis.form):[]})(body.closest('[data-region="helpchat"]')))}catch(error){window.console.error("Failed to add response actions:",error)}},appendBubble=(thread,role,content,authors)=>{const bubble=document.createElement("div");bubble.className=`helpchat-bubble helpchat-bubble-${role}`;const author=document.createElement("div");author.className="helpchat-bubble-author",author.textContent="user"===role?authors.user:authors.assistant,bubble.appendChild(author);const body=document.createElement("div");return"assistant"===role?(body.className="helpchat-response-content",(0,_markdown.renderMarkdownInto)(body,content),enhanceResponse(body)):(body.className="helpchat-message-content",body.textContent=content),bubble.appendChild(body),thread.appendChild(bubble),thread.hidden=!1,thread.scrollTop=thread.scrollHeight,bubble},handleSubmit=async(root,instanceId,pageType,authors)=>{const textarea=root.querySelector(SELECTORS_MESSAGE),submitButton=root.querySelector(SELECTORS_SUBMIT),message=textarea.value.trim();if(!message||submitButton.disabled)return;const thread=root.querySelector(SELECTORS_THREAD),context=(0,_history.getContextMessages)(instanceId);appendBubble(thread,"user",message,authors),textarea.value="",(0,_spinner.showSpinner)(submitButton);const bubble=appendBubble(thread,"assistant","",authors);bubble.classList.add("helpchat-bubble-streaming");const body=bubble.querySelector(".helpchat-response-content");let pendingFrame=null;try{const formData=await(async root=>{const analysisField=root.querySelector(SELECTORS_ANALYSIS);if(!analysisField)return"";await(0,_form_integration.populateFormAnalysis)(analysisField.id);const context=(0,_form_integration.getPromptContext)(analysisField.id);return context?context.text:""})(root),markdown=await(0,_stream.streamMessage)({instanceId:instanceId,message:message,formData:formData,pageType:pageType,history:context},((chunk,received)=>{null===pendingFrame&&(pendingFrame=window.requestAnimationFrame((()=>{pendingFrame=null,(0,_markdown.renderMarkdownInto)(body,received,!0),thread.scrollTop=thread.scrollHeight})))}));null!==pendingFrame&&window.cancelAnimationFrame(pendingFrame),(0,_markdown.renderMarkdownInto)(body,markdown),enhanceResponse(body),bubble.classList.remove("helpchat-bubble-streaming"),(0,_history.addMessage)(instanceId,"user",message),(0,_history.addMessage)(instanceId,"assistant",markdown)}catch(error){window.console.error("Help Chat request failed:",error),null!==pendingFrame&&window.cancelAnimationFrame(pendingFrame),bubble.remove(),appendBubble(thread,"error",await(0,_str.get_string)("errorprocessingrequest","block_helpchat"),authors),textarea.value=message}finally{(0,_spinner.hideSpinner)(submitButton)}};_exports.init=async(instanceId,pageType,disabledRules=null)=>{const root=document.querySelector(`[data-region="helpchat"][data-instanceid="${instanceId}"]`);if(!root)return;const form=root.querySelector(SELECTORS_FORM);if(!form)return;const[user,assistant]=await(0,_str.get_strings)([{key:"you",component:"block_helpchat"},{key:"assistant",component:"block_helpchat"}]),authors={user:user,assistant:assistant},analysisField=root.querySelector(SELECTORS_ANALYSIS);analysisField&&((0,_context_panel.initContextPanel)(root,analysisField.id,pageType),null!==disabledRules&&(0,_stack_lint.initStackLint)(root,analysisField.id,disabledRules)),(0,_selection_popover.initSelectionPopover)(root);const thread=root.querySelector(SELECTORS_THREAD);(0,_field_links.registerFieldLinks)(thread),(0,_history.loadHistory)(instanceId).forEach((turn=>appendBubble(thread,turn.role,turn.content,authors))),form.addEventListener("submit",(e=>{e.preventDefault(),handleSubmit(root,instanceId,pageType,authors)}));const clearButton=root.querySelector(SELECTORS_CLEAR);clearButton&&clearButton.addEventListener("click",(()=>{(0,_history.clearHistory)(instanceId),thread.innerHTML="",thread.hidden=!0}))}}));
+
+//# sourceMappingURL=chat.min.js.map
\ No newline at end of file
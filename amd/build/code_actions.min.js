@@ -0,0 +1,11 @@
+define("block_helpchat/code_actions",["exports","core/str","./field_writer","./form_integration"],(function(_exports,_str,_field_writer,_form_integration){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.getEditableFields=_exports.addCodeActions=void 0;
+/**
+   * Copy and "Insert into…" actions for code blocks in Help Chat responses
+   *
+   * @module     block_helpchat/code_actions
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const EDITABLE_TYPES=["text","textarea","number","email","url","search","tel"];let stringsPromise=null;const getEditableFields=()=>(0,_form_integration.getTargetElements)("form-analysis-data").reduce(((fields,record)=>{const element=record.id?document.getElementById(record.id):null;return!element||!EDITABLE_TYPES.includes(record.type)||element.disabled||element.readOnly||element.closest('[data-region="helpchat"]')?fields:record.visible||(0,_field_writer.isRichTextEditor)(element)?(fields.push({id:record.id,label:record.label||record.name||record.id,element:element}),fields):fields}),[]);_exports.getEditableFields=getEditableFields;const fillFieldMenu=(select,placeholder)=>{select.innerHTML="",select.appendChild(new Option(placeholder,"")),getEditableFields().forEach((field=>{select.appendChild(new Option(field.label,field.id))}))},showStatus=(status,message)=>{status.textContent=message,window.clearTimeout(status.helpchatTimeout),status.helpchatTimeout=window.setTimeout((()=>{status.textContent=""}),3e3)},decorateCodeBlock=(pre,strings)=>{const text=(pre.querySelector("code")||pre).textContent.replace(/\n$/,""),toolbar=document.createElement("div");toolbar.className="helpchat-code-actions";const copyButton=document.createElement("button");copyButton.type="button",copyButton.className="btn btn-sm btn-secondary",copyButton.dataset.action="copy-code",copyButton.textContent=strings.copy,toolbar.appendChild(copyButton);const select=document.createElement("select");select.className="custom-select custom-select-sm form-select form-select-sm",select.dataset.action="insert-code",select.setAttribute("aria-label",strings.insertInto),fillFieldMenu(select,strings.insertInto),toolbar.appendChild(select);const status=document.createElement("span");status.className="helpchat-code-status",status.setAttribute("aria-live","polite"),toolbar.appendChild(status),copyButton.addEventListener("click",(async()=>{try{await(async text=>{if(navigator.clipboard&&window.isSecureContext)return void await navigator.clipboard.writeText(text);const textarea=document.createElement("textarea");textarea.value=text,textarea.setAttribute("readonly",""),textarea.style.position="fixed",textarea.style.opacity="0",document.body.appendChild(textarea),textarea.select(),document.execCommand("copy"),textarea.remove()})(text),showStatus(status,strings.copied)}catch(error){window.console.error("Failed to copy code:",error)}})),select.addEventListener("focus",(()=>fillFieldMenu(select,strings.insertInto))),select.addEventListener("change",(()=>{const element=select.value?document.getElementById(select.value):null;if(!element)return;const label=select.selectedOptions[0].text;try{(0,_field_writer.writeFieldValue)(element,text,"code"),showStatus(status,strings.inserted.replace("{$a}",label))}catch(error){window.console.error("Failed to insert code:",error),showStatus(status,strings.insertFailed)}select.value=""}));const wrapper=document.createElement("div");wrapper.className="helpchat-code-block",pre.parentNode.insertBefore(wrapper,pre),wrapper.appendChild(toolbar),wrapper.appendChild(pre)};_exports.addCodeActions=async container=>{const blocks=container.querySelectorAll("pre");if(!blocks.length)return;const strings=await(stringsPromise||(stringsPromise=(0,_str.get_strings)([{key:"copycode",component:"block_helpchat"},{key:"codecopied",component:"block_helpchat"},{key:"insertinto",component:"block_helpchat"},{key:"codeinserted",component:"block_helpchat"},{key:"codeinsertfailed",component:"block_helpchat"}]).then((([copy,copied,insertInto,inserted,insertFailed])=>({copy:copy,copied:copied,insertInto:insertInto,inserted:inserted,insertFailed:insertFailed})))),stringsPromise);blocks.forEach((pre=>{pre.closest(".helpchat-code-block")||decorateCodeBlock(pre,strings)}))}}));
+
+//# sourceMappingURL=code_actions.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("block_helpchat/context_panel",["exports","core/str","./dom_parser","./form_integration"],(function(_exports,_str,_dom_parser,_form_integration){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.loadExclusions=_exports.initContextPanel=void 0;
+/**
+   * Preview of the form context shared with the AI for Help Chat block
+   *
+   * A collapsible panel in the block lists the fields, their values and sizes that
+   * will be sent with the next message, by section. Unticking a field, a whole section
+   * or an item of structured data leaves it out of what is sent. The choices are kept
+   * in localStorage for each page type, so they apply to every form of the same kind.
+   *
+   * @module     block_helpchat/context_panel
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const SELECTORS_PANEL='[data-region="context-panel"]',SELECTORS_BODY='[data-region="context-body"]';let stringsPromise=null;const getStorageKey=pageType=>`block_helpchat/exclusions/${pageType}`,loadExclusions=pageType=>{const excluded={fields:[],sections:[],extracted:[]};try{const stored=JSON.parse(window.localStorage.getItem(getStorageKey(pageType)));Object.keys(excluded).forEach((kind=>{stored&&Array.isArray(stored[kind])&&(excluded[kind]=stored[kind].filter((key=>"string"==typeof key)))}))}catch(error){}return excluded};_exports.loadExclusions=loadExclusions;const createRow=(kind,key,shared,text,detail)=>{const label=document.createElement("label");label.className="helpchat-context-row";const checkbox=document.createElement("input");if(checkbox.type="checkbox",checkbox.checked=shared,checkbox.dataset.exclude=kind,checkbox.dataset.key=key,label.appendChild(checkbox),label.appendChild(document.createTextNode(` ${text}`)),detail){const info=document.createElement("span");info.className="helpchat-context-detail",info.textContent=detail,label.appendChild(info)}return label},createFieldList=(items,excluded,disabled,strings)=>{const list=document.createElement("ul");list.className="helpchat-context-fields";const fields=new Map;return(0,_dom_parser.flattenFormTree)({sections:[],elements:items}).forEach((el=>{const key=(0,_form_integration.getFieldKey)(el);fields.has(key)||fields.set(key,[]),fields.get(key).push(el)})),fields.forEach(((elements,key)=>{const el=elements.find((element=>element.checked))||elements[0],size=elements.reduce(((total,element)=>{var _element$current_valu;return total+String(null!=(_element$current_valu=element.current_value)?_element$current_valu:"").length}),0),value=(el=>{var _el$current_value;if("checkbox"===el.type||"radio"===el.type)return el.checked?`☑ ${el.current_value}`:"☐";const value=String(null!=(_el$current_value=el.current_value)?_el$current_value:"");return value.length>60?`${value.substring(0,60)}…`:value})(el),item=document.createElement("li"),row=createRow("fields",key,!excluded.fields.includes(key),el.label||key,`${""===value?strings.empty:value} · ${strings.size.replace("{$a}",size)}`);row.querySelector("input").disabled=disabled,row.title=key,item.appendChild(row),list.appendChild(item)})),list},createSection=(section,excluded,disabled,strings)=>{const container=document.createElement("div");container.className="helpchat-context-section";const shared=!excluded.sections.includes(section.id),count=(0,_dom_parser.flattenFormTree)({sections:[section],elements:[]}).length,heading=createRow("sections",section.id,shared,section.legend||section.id,strings.fieldCount.replace("{$a}",count));heading.classList.add("helpchat-context-heading"),heading.querySelector("input").disabled=disabled||!section.id,container.appendChild(heading);const leftOut=disabled||!shared;return container.appendChild(createFieldList(section.children.filter((child=>"section"!==child.kind)),excluded,leftOut,strings)),section.children.filter((child=>"section"===child.kind)).forEach((child=>{container.appendChild(createSection(child,excluded,leftOut,strings))})),container},renderPanel=async(body,hiddenFieldId,excluded)=>{const strings=await(stringsPromise||(stringsPromise=(0,_str.get_strings)([{key:"contextnoform",component:"block_helpchat"},{key:"contextnosection",component:"block_helpchat"},{key:"contextstructured",component:"block_helpchat"},{key:"contextempty",component:"block_helpchat"},{key:"contextsize",component:"block_helpchat"},{key:"contextfieldcount",component:"block_helpchat"},{key:"contextsummary",component:"block_helpchat"}]).then((([noForm,noSection,structured,empty,size,fieldCount,summary])=>({noForm:noForm,noSection:noSection,structured:structured,empty:empty,size:size,fieldCount:fieldCount,summary:summary})))),stringsPromise),analysis=(0,_form_integration.getCurrentFormAnalysis)(hiddenFieldId);if(body.innerHTML="",!analysis||!analysis.form)return void(body.textContent=strings.noForm);const summary=(0,_form_integration.getFormSummary)(hiddenFieldId),context=(0,_form_integration.getPromptContext)(hiddenFieldId,!0),total=document.createElement("p");total.className="helpchat-context-total",total.textContent=strings.summary.replace("{$a->included}",context?context.included:0).replace("{$a->total}",summary.totalElements).replace("{$a->tokens}",context?context.tokens:0),body.appendChild(total);const loose=analysis.form.elements;if(loose.length>0){const container=document.createElement("div");container.className="helpchat-context-section";const heading=document.createElement("div");heading.className="helpchat-context-heading",heading.textContent=strings.noSection,container.appendChild(heading),container.appendChild(createFieldList(loose,excluded,!1,strings)),body.appendChild(container)}analysis.form.sections.forEach((section=>body.appendChild(createSection(section,excluded,!1,strings))));const extracted=Object.keys(analysis.extracted||{});if(extracted.length>0){const container=document.createElement("div");container.className="helpchat-context-section";const heading=document.createElement("div");heading.className="helpchat-context-heading",heading.textContent=strings.structured,container.appendChild(heading),extracted.forEach((name=>{container.appendChild(createRow("extracted",name,!excluded.extracted.includes(name),name,strings.size.replace("{$a}",JSON.stringify(analysis.extracted[name]).length)))})),body.appendChild(container)}};_exports.initContextPanel=(root,hiddenFieldId,pageType)=>{const excluded=loadExclusions(pageType);(0,_form_integration.setExclusions)(hiddenFieldId,excluded);const panel=root.querySelector(SELECTORS_PANEL),body=panel?panel.querySelector(SELECTORS_BODY):null;if(!body)return;const refresh=async()=>{try{await(0,_form_integration.populateFormAnalysis)(hiddenFieldId),await renderPanel(body,hiddenFieldId,excluded)}catch(error){window.console.error("Failed to show the Help Chat context:",error)}};panel.addEventListener("toggle",(()=>{panel.open&&refresh()})),body.addEventListener("change",(e=>{const checkbox=e.target.closest("input[data-exclude]");if(!checkbox)return;const list=excluded[checkbox.dataset.exclude],key=checkbox.dataset.key;checkbox.checked?list.splice(0,list.length,...list.filter((item=>item!==key))):list.includes(key)||list.push(key),((pageType,excluded)=>{try{window.localStorage.setItem(getStorageKey(pageType),JSON.stringify(excluded))}catch(error){window.console.warn("Help Chat context choices could not be stored:",error)}})(pageType,excluded),(0,_form_integration.setExclusions)(hiddenFieldId,excluded),refresh()}))}}));
+
+//# sourceMappingURL=context_panel.min.js.map
\ No newline at end of file
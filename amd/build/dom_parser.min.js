@@ -1,11 +1,10 @@
-define("block_helpchat/dom_parser",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.populateHiddenField=_exports.makeGloballyAccessible=_exports.getDomElementsAsJson=_exports.autoPopulateHiddenField=void 0;
+define("block_helpchat/dom_parser",["exports","./extractors","./field_writer","./rich_text"],(function(_exports,_extractors,_field_writer,_rich_text){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.resolveExtractionOptions=_exports.redactElements=_exports.populateHiddenField=_exports.makeGloballyAccessible=_exports.isExtractable=_exports.invalidateAnalysedElements=_exports.groupRepeatedElements=_exports.getRedactionRules=_exports.getNodeForElement=_exports.getExtractableNodes=_exports.getElementLocator=_exports.getDomElementsAsJson=_exports.getDeclaredDependencies=_exports.getClientRules=_exports.getAnalysedElements=_exports.flattenFormTree=_exports.findLabelForElement=_exports.findHelptextForElement=_exports.findExtractionRoot=_exports.findElementByLocator=_exports.extractDomElements=_exports.createIncrementalAnalyzer=_exports.collapseDateSelectors=_exports.buildFormTree=_exports.autoPopulateHiddenField=_exports.analyzeElement=_exports.DEFAULT_REDACTION_RULES=_exports.DEFAULT_EXTRACTION_OPTIONS=_exports.ANALYSIS_UPDATED_EVENT=void 0;var _systemImportTransformerGlobalIdentifier="undefined"!=typeof window?window:"undefined"!=typeof self?self:"undefined"!=typeof global?global:{};function _createForOfIteratorHelperLoose(r,e){var t="undefined"!=typeof Symbol&&r[Symbol.iterator]||r["@@iterator"];if(t)return(t=t.call(r)).next.bind(t);if(Array.isArray(r)||(t=function(r,a){if(r){if("string"==typeof r)return _arrayLikeToArray(r,a);var t={}.toString.call(r).slice(8,-1);return"Object"===t&&r.constructor&&(t=r.constructor.name),"Map"===t||"Set"===t?Array.from(r):"Arguments"===t||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t)?_arrayLikeToArray(r,a):void 0}}(r))||e&&r&&"number"==typeof r.length){t&&(r=t);var o=0;return function(){return o>=r.length?{done:!0}:{done:!1,value:r[o++]}}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}function _arrayLikeToArray(r,a){(null==a||a>r.length)&&(a=r.length);for(var e=0,n=Array(a);e<a;e++)n[e]=r[e];return n}
 /**
-   * Extract DOM elements and export them as JSON.
-  
-   * @module     block_helpchat/js_dom_parser
-   * @author     2025 Marcus Green
-   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */
-const getDomElementsAsJson=()=>new Promise((resolve=>{resolve(extractDomElements())}));_exports.getDomElementsAsJson=getDomElementsAsJson;const extractDomElements=()=>{const elements=[],contentDiv=document.getElementById("page-content");if(!contentDiv)return{};return contentDiv.querySelectorAll('input[type="text"], input[type="password"], input[type="email"], input[type="number"], input[type="search"], input[type="tel"], input[type="url"], input[type="date"], input[type="datetime-local"], input[type="checkbox"], input[type="radio"], input[type="file"], input[type="hidden"], input[type="submit"], input[type="button"], textarea, select').forEach((node=>{var _node$getAttributeNod;let type=node.tagName.toLowerCase(),currentValue="";const options=[];if("input"===type)type=node.type,currentValue="checkbox"===type||"radio"===type?node.checked?node.value||"on":"":node.value||"";else if("textarea"===type)if(type="textarea","none"===node.style.display&&node.id){const tinyFrame=document.querySelector("#".concat(node.id,"_ifr"));if(null!=tinyFrame&&tinyFrame.contentDocument)try{const tinyBody=tinyFrame.contentDocument.body;currentValue=tinyBody?tinyBody.textContent||tinyBody.innerText||"":node.value||""}catch(e){currentValue=node.value||""}else currentValue=node.value||""}else currentValue=node.value||"";else if("select"===type){var _node$selectedOptions;if(type="select",currentValue=(null===(_node$selectedOptions=node.selectedOptions)||void 0===_node$selectedOptions?void 0:_node$selectedOptions.length)>0?node.selectedOptions[0].value:node.value||"",!isWithinDateTimeContainer(node)){node.querySelectorAll("option").forEach((option=>{options.push({value:option.value,text:option.textContent||option.innerText||"",selected:option.selected})}))}}const label=findLabelForElement(node),helptext=findHelptextForElement(node);let active=1,isDisabled=!1,dependsOnEnabled=null;!0===node.disabled&&(isDisabled=!0);const attrNode=null===(_node$getAttributeNod=node.getAttributeNode)||void 0===_node$getAttributeNod?void 0:_node$getAttributeNod.call(node,"disabled");null!=attrNode&&attrNode.specified&&(isDisabled=!0);const computedStyle=window.getComputedStyle(node);active="none"===computedStyle.display&&"hidden"!==type||isDisabled?0:1;const isVisuallyVisible=getElementVisualVisibility(node,computedStyle),enabledDependency=checkEnabledDependency(node);enabledDependency&&(dependsOnEnabled=enabledDependency.checkboxName,enabledDependency.isEnabled||(active=0));const allDependencies=checkElementDependencies(node),jsDependencies=analyzeJavaScriptDependencies(node),siblingDependencies=analyzeSiblingDependencies(node),elementData={id:node.id||"",name:node.name||"",type:type,current_value:currentValue,label:label,helptext:helptext,active:active,visible:isVisuallyVisible};"checkbox"!==type&&"radio"!==type||(elementData.checked=node.checked||!1),dependsOnEnabled&&(elementData.depends_on_enabled=dependsOnEnabled),allDependencies&&(elementData.dependencies=allDependencies),jsDependencies&&(elementData.js_dependencies=jsDependencies),siblingDependencies&&(elementData.sibling_dependencies=siblingDependencies),"select"===type&&options.length>0&&(elementData.options=options),elements.push(elementData)})),elements},findLabelForElement=element=>{let label="";if(element.id){const labelElement=document.querySelector('label[for="'.concat(element.id,'"]'));labelElement&&(label=labelElement.textContent||labelElement.innerText||"",label=label.trim())}if(!label){const parentLabel=element.closest("label");parentLabel&&(label=parentLabel.textContent||parentLabel.innerText||"",label=label.trim())}if(!label){const fitemDiv=element.closest(".fitem");if(fitemDiv){const labelDiv=fitemDiv.querySelector(".col-form-label label, .col-form-label p");labelDiv&&(label=labelDiv.textContent||labelDiv.innerText||"",label=label.trim())}}return label||(label=element.getAttribute("aria-label")||element.getAttribute("title")||""),label},findHelptextForElement=element=>{let helptext="";const searchContainers=[element.parentElement,element.closest(".fitem"),element.closest(".felement"),element.closest(".col-md-9")];for(const container of searchContainers)if(container){const helpAnchor=container.querySelector("a[data-bs-content]");if(null!=helpAnchor&&helpAnchor.getAttribute("data-bs-content")){const rawHelp=helpAnchor.getAttribute("data-bs-content"),tmpDiv=document.createElement("div");tmpDiv.innerHTML=rawHelp,helptext=tmpDiv.textContent||tmpDiv.innerText||"",helptext=helptext.trim();break}}return helptext},checkEnabledDependency=element=>{const elementName=element.name||element.id||"",patterns=["".concat(elementName,"_enabled"),elementName.replace(/_[^_]+$/,"_enabled"),elementName.replace(/\[[^\]]+\]$/,"[enabled]")],nameParts=elementName.split("_");if(nameParts.length>1)for(let i=nameParts.length-1;i>=2;i--){const baseName=nameParts.slice(0,i).join("_");patterns.push("".concat(baseName,"_enabled"))}const searchContainers=[element.closest(".fitem"),element.closest("fieldset"),element.closest(".fcontainer"),document.getElementById("page-content")];for(const enabledName of patterns)for(const container of searchContainers){if(!container)continue;let enabledCheckbox=container.querySelector('input[type="checkbox"][name="'+enabledName+'"], input[type="checkbox"][id*="'+enabledName.replace(/[\[\]]/g,"_")+'"]');if(enabledCheckbox)return{checkboxName:enabledName,checkboxId:enabledCheckbox.id,isEnabled:enabledCheckbox.checked}}let fitemContainer=element.closest(".fitem");if(fitemContainer){if(fitemContainer.id&&fitemContainer.id.match(/^fgroup_id_(.+)$/)){let groupCheckboxes=fitemContainer.querySelectorAll('input[type="checkbox"][name*="_enabled"]');for(let gc=0;gc<groupCheckboxes.length;gc++){let groupCheckbox=groupCheckboxes[gc],checkboxName=groupCheckbox.name;if(0===elementName.indexOf(checkboxName.replace("_enabled","")))return{checkboxName:checkboxName,checkboxId:groupCheckbox.id,isEnabled:groupCheckbox.checked}}}}return null},isWithinDateTimeContainer=element=>{if(element.closest('[data-fieldtype="date_time"]'))return!0;if(element.closest('fieldset[data-fieldtype="date_time"]'))return!0;return!!element.closest('div[data-fieldtype="date_time"]')},checkElementDependencies=element=>{const form=element.closest("form");if(!form)return null;const elementContainer=element.closest(".fitem"),dependencies=[],visibility=getElementVisibility(element,elementContainer);return form.querySelectorAll('select, input[type="checkbox"], input[type="radio"]').forEach((controlElement=>{if(controlElement===element||controlElement.closest('[style*="display: none"]')||controlElement.hasAttribute("disabled")||controlElement.disabled)return;const dependency=analyzeElementDependency(element,controlElement,visibility);dependency&&dependencies.push(dependency)})),dependencies.length>0?dependencies:null},getElementVisibility=(element,container)=>{let isHidden=!1,hideMethod="none";if(container){const style=container.style,hiddenAttr=container.hasAttribute("hidden"),computedStyle=window.getComputedStyle(container);style&&"none"===style.display?(isHidden=!0,hideMethod="style_display"):hiddenAttr?(isHidden=!0,hideMethod="hidden_attribute"):"none"===computedStyle.display?(isHidden=!0,hideMethod="computed_style"):"hidden"===computedStyle.visibility&&(isHidden=!0,hideMethod="visibility_hidden")}return{isHidden:isHidden,hideMethod:hideMethod,isDisabled:element.disabled||element.hasAttribute("disabled")}},analyzeElementDependency=(dependentElement,controlElement,visibility)=>{const controlName=controlElement.name||"",controlType=controlElement.type||controlElement.tagName.toLowerCase(),controlValue=getControlElementValue(controlElement),dependentName=dependentElement.name||"",dependentId=dependentElement.id||"",numericDependency=checkNumericSuffixDependency(dependentName,dependentId,controlName,controlValue);if(numericDependency)return createDependencyObject(controlElement,controlValue,numericDependency.requiredValue,visibility);const semanticDependency=checkSemanticDependency(dependentName,dependentId,controlName,controlValue);if(semanticDependency)return createDependencyObject(controlElement,controlValue,semanticDependency.requiredValue,visibility);const containerDependency=checkContainerDependency(dependentElement,controlElement,controlValue);if(containerDependency)return createDependencyObject(controlElement,controlValue,containerDependency.requiredValue,visibility);const enableDependency=checkEnableDependency(dependentName,dependentId,controlName,controlValue,controlType);return enableDependency?createDependencyObject(controlElement,controlValue,enableDependency.requiredValue,visibility):null},checkNumericSuffixDependency=(dependentName,dependentId,controlName,controlValue)=>{const dependentMatch=dependentName.match(/^(.+?)(\d+)$/)||dependentId.match(/^id_(.+?)(\d+)$/);if(!dependentMatch)return null;const baseName=dependentMatch[1],number=dependentMatch[2],controlBaseName=controlName.replace(/^(id_)?/,"").replace(/_$/,""),commonPatterns=[{control:"preset",dependents:["primer","instructions","example","template","config"]},{control:"mode",dependents:["option","setting","param","field"]},{control:"type",dependents:["config","option","param","setting"]},{control:"category",dependents:["subcategory","item","field"]},{control:"level",dependents:["detail","item","option"]}];for(let i=0;i<commonPatterns.length;i++){const pattern=commonPatterns[i];if(controlBaseName===pattern.control&&-1!==pattern.dependents.indexOf(baseName)&&number===controlValue)return{requiredValue:controlValue}}return null},checkSemanticDependency=(dependentName,dependentId,controlName,controlValue)=>{const semanticMappings={mode:{1:["topic","subject","theme"],2:["content","story","text","material"],3:["activities","courseactivities","course_content","modules"]},type:{manual:["manual_config","manual_settings"],auto:["auto_config","auto_settings"],custom:["custom_config","custom_settings"]},format:{html:["html_editor","wysiwyg"],plain:["plain_text","textarea"],markdown:["markdown_editor"]}},controlBaseName=controlName.replace(/^(id_)?/,""),dependentBaseName=dependentName.replace(/^(id_)?/,"");if(semanticMappings[controlBaseName]){const valueMapping=semanticMappings[controlBaseName][controlValue];if(valueMapping&&-1!==valueMapping.indexOf(dependentBaseName))return{requiredValue:controlValue}}return null},checkContainerDependency=(dependentElement,controlElement,controlValue)=>{const container=dependentElement.closest(".fitem");if(!container)return null;const dependsOn=container.getAttribute("data-depends-on");if(dependsOn===controlElement.name||dependsOn===controlElement.id){return{requiredValue:container.getAttribute("data-show-when")||controlValue}}const conditional=container.getAttribute("data-conditional");if(conditional)try{const conditionObj=JSON.parse(conditional);if(conditionObj.element===controlElement.name&&conditionObj.value===controlValue)return{requiredValue:controlValue}}catch(e){}return null},checkEnableDependency=(dependentName,dependentId,controlName,controlValue,controlType)=>{if("checkbox"!==controlType)return null;return-1!==[dependentName+"_enabled",dependentName+"_enable","enable_"+dependentName,dependentName.replace(/^id_/,"")+"_enabled"].indexOf(controlName)?{requiredValue:"1"}:null},getControlElementValue=element=>{const type=element.type||element.tagName.toLowerCase();return"checkbox"===type||"radio"===type?element.checked?"1":"0":element.value||""},createDependencyObject=(controlElement,controlValue,requiredValue,visibility)=>({controllingElement:controlElement.name||"",controllingElementId:controlElement.id||"",controllingType:controlElement.type||controlElement.tagName.toLowerCase(),controllingValue:controlValue,requiredValue:requiredValue,isCurrentlyVisible:!visibility.isHidden&&controlValue===requiredValue,hideMethod:visibility.hideMethod}),analyzeJavaScriptDependencies=element=>{const container=element.closest(".fitem");if(!container)return null;const dependencies=[];container.className.split(" ").forEach((cls=>{if(cls.startsWith("depends-on-")){const dependencyName=cls.replace("depends-on-","");dependencies.push({type:"css_class",pattern:cls,dependsOn:dependencyName})}else if(cls.match(/^show-when-\w+-\w+$/)){const parts=cls.replace("show-when-","").split("-");parts.length>=2&&dependencies.push({type:"css_class",pattern:cls,dependsOn:parts[0],requiredValue:parts.slice(1).join("-")})}}));if(element.closest("form")){document.querySelectorAll("script").forEach((script=>{const content=script.textContent||script.innerText;if(content&&content.includes(element.name||element.id)){[/addEventListener\(['"]change['"],\s*function/g,/\.on\(['"]change['"],\s*function/g,/onchange\s*=\s*['"]?[^'"]+/g].forEach((pattern=>{content.match(pattern)&&dependencies.push({type:"javascript_event",pattern:"change_listener",element:element.name||element.id})}))}}))}return dependencies.length>0?dependencies:null},analyzeSiblingDependencies=element=>{const container=element.closest(".fitem");if(!container)return null;const dependencies=[],elementName=element.name||"",siblingContainers=[],parent=container.parentNode;if(parent){parent.querySelectorAll(".fitem").forEach((fitem=>{fitem!==container&&siblingContainers.push(fitem)}))}return siblingContainers.forEach((siblingContainer=>{siblingContainer.querySelectorAll("input, select, textarea").forEach((siblingElement=>{const siblingName=siblingElement.name||"",similarity=analyzeSimilarity(elementName,siblingName);if(similarity.score>.7&&similarity.type){const siblingVisibility=getElementVisibility(siblingElement,siblingContainer);dependencies.push({type:"sibling_dependency",siblingElement:siblingName,siblingId:siblingElement.id||"",similarity:similarity,siblingVisible:!siblingVisibility.isHidden})}}))})),dependencies.length>0?dependencies:null},analyzeSimilarity=(name1,name2)=>{if(!name1||!name2)return{score:0,type:null};const cleanName1=name1.replace(/^(id_)?/,""),cleanName2=name2.replace(/^(id_)?/,""),numPattern1=cleanName1.match(/^(.+?)(\d+)$/),numPattern2=cleanName2.match(/^(.+?)(\d+)$/);if(numPattern1&&numPattern2&&numPattern1[1]===numPattern2[1])return{score:.9,type:"numeric_series",basePattern:numPattern1[1],numbers:[numPattern1[2],numPattern2[2]]};let commonPrefixLength=0;for(let i=0;i<Math.min(cleanName1.length,cleanName2.length)&&cleanName1[i]===cleanName2[i];i++)commonPrefixLength++;if(commonPrefixLength>=3){return{score:commonPrefixLength/Math.max(cleanName1.length,cleanName2.length),type:"similar_prefix",commonPrefix:cleanName1.substring(0,commonPrefixLength)}}return{score:0,type:null}},getElementVisualVisibility=(element,computedStyle)=>!!isElementDirectlyVisible(element,computedStyle)&&!hasHiddenParent(element),isElementDirectlyVisible=(element,computedStyle)=>{if(element.hasAttribute("hidden"))return!1;const styles=computedStyle||window.getComputedStyle(element);if("none"===styles.display)return!1;if("hidden"===styles.visibility)return!1;if(0===parseFloat(styles.opacity))return!1;const width=parseFloat(styles.width),height=parseFloat(styles.height);if(0===width&&0===height)return!1;const clip=styles.clip;if(clip&&"auto"!==clip&&clip.match(/rect\(0px,?\s*0px,?\s*0px,?\s*0px\)/))return!1;const position=styles.position;if("absolute"===position||"fixed"===position){parseFloat(styles.left),parseFloat(styles.top),parseFloat(styles.right),parseFloat(styles.bottom)}const textIndent=parseFloat(styles.textIndent);return!(textIndent<-9999||textIndent>9999)},hasHiddenParent=element=>{let parent=element.parentElement;for(;parent&&parent!==document.body&&parent!==document.documentElement;){if(parent.hasAttribute("hidden")||!0===parent.hidden)return!0;const parentStyles=window.getComputedStyle(parent);if("none"===parentStyles.display||"hidden"===parentStyles.visibility)return!0;if(0===parseFloat(parentStyles.opacity))return!0;parent=parent.parentElement}return!1},populateHiddenField=async function(hiddenFieldId){try{const elements=await getDomElementsAsJson(),analysisData={timestamp:(new Date).toISOString(),formUrl:window.location.href,formelements:elements,version:"1.0"},hiddenField=document.getElementById(hiddenFieldId);if(!hiddenField)throw new Error('Hidden field with ID "'.concat(hiddenFieldId,'" not found'));hiddenField.value=JSON.stringify(analysisData),console.log('Successfully populated hidden field "'.concat(hiddenFieldId,'" with ').concat(elements.length," form elements"))}catch(error){throw console.error("Error populating hidden field:",error),error}};_exports.populateHiddenField=populateHiddenField;const autoPopulateHiddenField=function(hiddenFieldId){let options=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},debounceMs=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1e3,timeoutId=null,isProcessing=!1;const updateHiddenField=async()=>{if(!isProcessing)try{isProcessing=!0,await populateHiddenField(hiddenFieldId,options)}catch(error){console.error("Auto-population failed:",error)}finally{isProcessing=!1}},debouncedUpdate=()=>{timeoutId&&clearTimeout(timeoutId),timeoutId=setTimeout(updateHiddenField,debounceMs)},events=["input","change","click","focus","blur","DOMSubtreeModified"];return events.forEach((eventType=>{document.addEventListener(eventType,debouncedUpdate,!0)})),window.addEventListener("resize",debouncedUpdate),updateHiddenField(),()=>{timeoutId&&clearTimeout(timeoutId),events.forEach((eventType=>{document.removeEventListener(eventType,debouncedUpdate,!0)})),window.removeEventListener("resize",debouncedUpdate),console.log("Auto-population cleanup completed")}};_exports.autoPopulateHiddenField=autoPopulateHiddenField;_exports.makeGloballyAccessible=()=>{void 0===window.MoodleDomParser&&(window.MoodleDomParser={}),window.MoodleDomParser.populateHiddenField=async function(hiddenFieldId){let options=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};return await populateHiddenField(hiddenFieldId,options)},window.MoodleDomParser.autoPopulateHiddenField=function(hiddenFieldId){let options=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},debounceMs=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1e3;return autoPopulateHiddenField(hiddenFieldId,options,debounceMs)},window.MoodleDomParser.analyze=async()=>{try{return await getDomElementsAsJson()}catch(error){throw console.error("DOM Parser Error:",error),error}},window.MoodleDomParser.analyzeAndLog=async()=>{try{const result=await window.MoodleDomParser.analyze();return console.log("=== Moodle DOM Analysis Results ==="),console.log("Found",result.formelements?result.formelements.length:0,"form elements"),console.log("Full data:",result),console.log("JSON:",JSON.stringify(result,null,2)),result}catch(error){throw console.error("Failed to analyze DOM:",error),error}},window.MoodleDomParser.analyzeAndDisplay=async()=>{try{const result=await window.MoodleDomParser.analyze(),elementCount=result.formelements?result.formelements.length:0,jsonString=JSON.stringify(result,null,2),message="Moodle DOM Analysis Results:\n\nFound ".concat(elementCount," form elements\n\nJSON Data:\n").concat(jsonString.substring(0,2e3)).concat(jsonString.length>2e3?"...\n\n(Data truncated - see console for full output)":"");return alert(message),console.log("Full DOM Analysis Data:",result),result}catch(error){throw alert("Error analyzing DOM: "+error.message),console.error("DOM analysis error:",error),error}},window.MoodleDomParser.help=()=>{console.log('\n === Moodle DOM Parser Console Commands ===\n\n Available functions:\n • window.MoodleDomParser.analyze()              - Returns Promise with DOM analysis data\n • window.MoodleDomParser.analyzeAndLog()        - Analyzes and logs results to console\n • window.MoodleDomParser.analyzeAndDisplay()    - Analyzes and shows results in alert\n • window.MoodleDomParser.populateHiddenField()  - Populates hidden field with analysis data\n • window.MoodleDomParser.autoPopulateHiddenField() - Setup auto-population with debouncing\n • window.MoodleDomParser.help()                 - Shows this help message\n\n Examples:\n // Basic analysis\n await window.MoodleDomParser.analyze()\n\n // Quick analysis with console output\n await window.MoodleDomParser.analyzeAndLog()\n\n // Analysis with popup display\n await window.MoodleDomParser.analyzeAndDisplay()\n\n // Populate hidden field with ID "form_analysis"\n await window.MoodleDomParser.populateHiddenField("form_analysis")\n\n // Setup auto-population with 2 second debounce\n const cleanup = window.MoodleDomParser.autoPopulateHiddenField("form_analysis", {}, 2000)\n\n // Get specific element data\n const data = await window.MoodleDomParser.analyze()\n console.log(\'Visible elements:\', data.formelements.filter(el => el.visible === 1))\n console.log(\'Hidden elements:\', data.formelements.filter(el => el.visible === 0))\n         ')},console.log("✅ Moodle DOM Parser is now globally accessible!"),console.log('📖 Type "window.MoodleDomParser.help()" for usage instructions')}}));
+ * Extract DOM elements and export them as JSON.
+
+ * @module     block_helpchat/js_dom_parser
+ * @author     2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */const DEFAULT_EXTRACTION_OPTIONS=_exports.DEFAULT_EXTRACTION_OPTIONS={root:"#page-content",include:"",exclude:"",types:[],maxValueLength:0,checkElementDependencies:!0,analyzeJavaScriptDependencies:!0,analyzeSiblingDependencies:!0},getDomElementsAsJson=(options={})=>new Promise((resolve=>{resolve(extractDomElements(options))}));_exports.getDomElementsAsJson=getDomElementsAsJson;const isWithinSelector=(element,selector)=>{try{return null!==element.closest(selector)}catch(e){return console.warn(`Ignoring invalid selector "${selector}"`),!1}},truncateValue=(value,maxLength)=>!maxLength||value.length<=maxLength?value:`${value.substring(0,maxLength)}… [truncated ${value.length-maxLength} characters]`,FORM_ELEMENT_SELECTOR='input[type="text"], input[type="password"], input[type="email"], input[type="number"], input[type="search"], input[type="tel"], input[type="url"], input[type="date"], input[type="datetime-local"], input[type="checkbox"], input[type="radio"], input[type="file"], input[type="hidden"], input[type="submit"], input[type="button"], textarea, select',resolveExtractionOptions=(options={})=>Object.assign({},DEFAULT_EXTRACTION_OPTIONS,options);_exports.resolveExtractionOptions=resolveExtractionOptions;const findExtractionRoot=settings=>{if("string"!=typeof settings.root)return settings.root||null;try{return document.querySelector(settings.root)}catch(e){return console.warn(`Ignoring invalid root selector "${settings.root}"`),null}};_exports.findExtractionRoot=findExtractionRoot;const isExtractable=(node,settings)=>{if(!node.matches(FORM_ELEMENT_SELECTOR)||isWithinSelector(node,'[data-region="helpchat"]'))return!1;if(settings.include&&!isWithinSelector(node,settings.include))return!1;if(settings.exclude&&isWithinSelector(node,settings.exclude))return!1;if(settings.types.length>0){const nodeType="input"===node.tagName.toLowerCase()?node.type:node.tagName.toLowerCase();if(!settings.types.includes(nodeType))return!1}return!0};_exports.isExtractable=isExtractable;const getExtractableNodes=(contentDiv,settings)=>Array.from(contentDiv.querySelectorAll(FORM_ELEMENT_SELECTOR)).filter((node=>isExtractable(node,settings)));_exports.getExtractableNodes=getExtractableNodes;const extractDomElements=(options={})=>{const settings=resolveExtractionOptions(options),contentDiv=findExtractionRoot(settings);if(!contentDiv)return{};const elements=getExtractableNodes(contentDiv,settings).map((node=>analyzeElement(node,settings)));return collapseDateSelectors(elements)};_exports.extractDomElements=extractDomElements;const analyzeElement=(node,settings)=>{let type=node.tagName.toLowerCase(),currentValue="",richText=null;const options=[];if("input"===type)type=node.type,currentValue="checkbox"===type||"radio"===type?node.checked?node.value||"on":"":node.value||"";else if("textarea"===type)type="textarea",richText=(0,_rich_text.readRichText)(node),currentValue=richText?richText.text:node.value||"";else if("select"===type){var _node$selectedOptions;if(type="select",currentValue=(null==(_node$selectedOptions=node.selectedOptions)?void 0:_node$selectedOptions.length)>0?node.selectedOptions[0].value:node.value||"",!isWithinDateTimeContainer(node)){node.querySelectorAll("option").forEach((option=>{options.push({value:option.value,text:option.textContent||option.innerText||"",selected:option.selected})}))}}const label=findLabelForElement(node),helptext=findHelptextForElement(node);let active=1,isDisabled=!1,dependsOnEnabled=null;!0===node.disabled&&(isDisabled=!0);const attrNode=null==node.getAttributeNode?void 0:node.getAttributeNode("disabled");null!=attrNode&&attrNode.specified&&(isDisabled=!0);const computedStyle=window.getComputedStyle(node);active="none"===computedStyle.display&&"hidden"!==type||isDisabled?0:1;const isVisuallyVisible=getElementVisualVisibility(node,computedStyle),enabledDependency=checkEnabledDependency(node);enabledDependency&&(dependsOnEnabled=enabledDependency.checkboxName,enabledDependency.isEnabled||(active=0));const form=node.closest("form"),declaredRules=form?getDeclaredDependencies(form):null;let allDependencies=null,siblingDependencies=null;declaredRules?allDependencies=settings.checkElementDependencies?getDeclaredElementDependencies(node,form,declaredRules):null:(allDependencies=settings.checkElementDependencies?checkElementDependencies(node):null,siblingDependencies=settings.analyzeSiblingDependencies?analyzeSiblingDependencies(node):null);const jsDependencies=settings.analyzeJavaScriptDependencies?analyzeJavaScriptDependencies(node):null,clientRules=node.name&&getClientRules().get(node.name)||[],validationError=findValidationError(node),elementData={id:node.id||"",name:node.name||"",type:type,current_value:truncateValue(currentValue,settings.maxValueLength),label:label,helptext:helptext,active:active,visible:isVisuallyVisible,required:isRequiredElement(node,clientRules),locator:getElementLocator(node)};return validationError.invalid&&(elementData.invalid=!0,elementData.error=validationError.message),clientRules.length>0&&(elementData.rules=clientRules),elementData.current_value!==currentValue&&(elementData.truncated=!0,elementData.value_length=currentValue.length),richText&&(elementData.rich_text={html:truncateValue(richText.html,settings.maxValueLength),media:richText.media}),"checkbox"!==type&&"radio"!==type||(elementData.checked=node.checked||!1),dependsOnEnabled&&(elementData.depends_on_enabled=dependsOnEnabled),allDependencies&&(elementData.dependencies=allDependencies),jsDependencies&&(elementData.js_dependencies=jsDependencies),siblingDependencies&&(elementData.sibling_dependencies=siblingDependencies),"select"===type&&options.length>0&&(elementData.options=options),elementNodes.set(elementData,node),elementData};_exports.analyzeElement=analyzeElement;const elementNodes=new WeakMap,quoteAttributeValue=value=>`"${value.replace(/["\\]/g,"\\$&")}"`,getCssPath=node=>{const parts=[];let current=node;for(;current&&current.nodeType===Node.ELEMENT_NODE&&current!==document.body;){if(current.id&&document.getElementById(current.id)===current){parts.unshift(`#${CSS.escape(current.id)}`);break}const tag=current.tagName.toLowerCase();if(current===node&&current.name)parts.unshift(`${tag}[name=${quoteAttributeValue(current.name)}]`);else{const parent=current.parentElement,siblings=parent?Array.from(parent.children).filter((child=>child.tagName===current.tagName)):[];parts.unshift(siblings.length>1?`${tag}:nth-of-type(${siblings.indexOf(current)+1})`:tag)}current=current.parentElement}return parts.join(" > ")},getElementLocator=node=>{const form=node.closest("form"),fieldset=findSectionFieldset(node,form||document.body);return{id:node.id||"",name:node.name||node.dataset.groupname||"",section:fieldset?fieldset.id:"",path:getCssPath(node)}};_exports.getElementLocator=getElementLocator;_exports.findElementByLocator=locator=>{if(!locator)return null;if(locator.id){const byId=document.getElementById(locator.id);if(byId)return byId}if(locator.name){const byName=(locator.section&&document.getElementById(locator.section)||document).querySelector(`[name=${quoteAttributeValue(locator.name)}]`);if(byName)return byName}if(locator.path)try{return document.querySelector(locator.path)}catch(e){return null}return null};const getNodeForElement=data=>elementNodes.get(data)||(data.id?document.getElementById(data.id):null);_exports.getNodeForElement=getNodeForElement;const getSectionLegend=fieldset=>{const legend=fieldset.querySelector(":scope > legend"),header=fieldset.querySelector(":scope > .d-flex .fheader, :scope > .fheader, :scope > .d-flex h3"),source=legend&&legend.textContent.trim()?legend:header;return source?source.textContent.trim():""},findSectionFieldset=(node,root)=>{let fieldset=node.parentElement?node.parentElement.closest("fieldset"):null;for(;fieldset&&root.contains(fieldset);){if(!fieldset.closest(".fitem"))return fieldset;fieldset=fieldset.parentElement?fieldset.parentElement.closest("fieldset"):null}return null},orderChildren=children=>(children.sort(((a,b)=>a.node===b.node?0:a.node.compareDocumentPosition(b.node)&Node.DOCUMENT_POSITION_FOLLOWING?-1:1)),children.map((({item:item},order)=>(item.order=order,item.children&&(item.children=orderChildren(item.children)),item)))),REPEATED_NAME_PATTERN=/^([^[\]]+)\[(\d+)\]((?:\[[^\]]*\])*)$/,TYPED_VALUE_TYPES=["text","textarea","email","url","number","search","tel"],findRepeats=(elements,getScope)=>{const scopes=new Map;elements.forEach((data=>{const match=(data.name||"").match(REPEATED_NAME_PATTERN);if(!match)return;const field="[text]"===match[3]?match[1]:match[1]+match[3],scope=getScope(data);scopes.has(scope)||scopes.set(scope,new Map);const fields=scopes.get(scope);fields.has(field)||fields.set(field,new Map);const indices=fields.get(field),index=parseInt(match[2],10);indices.has(index)||indices.set(index,[]),indices.get(index).push(data)}));const repeats=[];return scopes.forEach((fields=>{const bySignature=new Map;fields.forEach(((indices,field)=>{const signature=Array.from(indices.keys()).sort(((a,b)=>a-b)).join(",");bySignature.has(signature)||bySignature.set(signature,[]),bySignature.get(signature).push(field)})),bySignature.forEach(((names,signature)=>{const indexList=signature.split(",").map((index=>parseInt(index,10)));if(names.length<2&&indexList.length<2)return;const records=indexList.map((index=>{const values={},recordElements=[];let typed=!1,blank=!0;return names.forEach((name=>{const fieldElements=fields.get(name).get(index);values[name]=(elements=>{const checkable=elements.filter((element=>"checkbox"===element.type||"radio"===element.type));if(checkable.length>0){const checked=checkable.find((element=>element.checked));if(checked)return checked.current_value;const hidden=elements.find((element=>"hidden"===element.type));return hidden?hidden.current_value:""}return elements.length>0?String(elements[0].current_value||""):""})(fieldElements),recordElements.push(...fieldElements),fieldElements.some((element=>TYPED_VALUE_TYPES.includes(element.type)))&&(typed=!0,""!==values[name].trim()&&(blank=!1))})),{index:index,blank:typed&&blank,values:values,elements:recordElements}}));let last=records.length;for(;last>0&&records[last-1].blank;)last--;repeats.push({repeat:{name:names[0],fields:names,total:records.length,filled:records.filter((record=>!record.blank)).length,records:records.slice(0,last)},members:[].concat(...records.map((record=>record.elements)))})}))})),repeats};_exports.groupRepeatedElements=(elements,getScope=()=>null)=>findRepeats(elements,getScope).map((({repeat:repeat})=>repeat));const buildFormTree=(elements,root)=>{const sections=new Map,groups=new Map,topLevel=[],getSection=fieldset=>{if(!sections.has(fieldset)){const state=(fieldset=>{const toggle=Array.from(fieldset.querySelectorAll("[aria-expanded][aria-controls]")).find((candidate=>candidate.closest("fieldset")===fieldset&&!candidate.closest(".fitem")));if(toggle)return{collapsible:!0,expanded:"false"!==toggle.getAttribute("aria-expanded")};const container=fieldset.querySelector(":scope > .fcontainer");return container&&container.classList.contains("collapse")?{collapsible:!0,expanded:container.classList.contains("show")}:{collapsible:fieldset.classList.contains("collapsible"),expanded:!fieldset.classList.contains("collapsed")}})(fieldset),section={kind:"section",id:fieldset.id||"",legend:getSectionLegend(fieldset),collapsible:state.collapsible,expanded:state.expanded,children:[]};sections.set(fieldset,section);const parent=findSectionFieldset(fieldset,root);(parent?getSection(parent).children:topLevel).push({node:fieldset,item:section})}return sections.get(fieldset)};root.querySelectorAll("fieldset").forEach((fieldset=>{fieldset.closest(".fitem")||fieldset.closest('[data-region="helpchat"]')||getSection(fieldset)}));const repeated=new Set,repeatAt=new Map;findRepeats(elements,(data=>{const node=getNodeForElement(data);return node?findSectionFieldset(node,root):null})).forEach((({repeat:repeat,members:members})=>{repeat.records.forEach((record=>{record.elements=record.elements.map((data=>Object.assign({kind:"element"},data)))})),members.forEach((data=>repeated.add(data)));const first=members.filter((data=>getNodeForElement(data))).reduce(((earliest,data)=>getNodeForElement(earliest).compareDocumentPosition(getNodeForElement(data))&Node.DOCUMENT_POSITION_PRECEDING?data:earliest),members.find((data=>getNodeForElement(data))));first&&repeatAt.set(first,Object.assign({kind:"repeat"},repeat))}));const loose=[];elements.forEach((data=>{const node=getNodeForElement(data);if(repeated.has(data)){if(repeatAt.has(data)){const fieldset=findSectionFieldset(node,root);(fieldset?getSection(fieldset).children:topLevel).push({node:node,item:repeatAt.get(data)})}return}if(!node)return void loose.push(Object.assign({kind:"element"},data));const fieldset=findSectionFieldset(node,root),section=fieldset?getSection(fieldset):null,fitem=node.closest('.fitem[id^="fgroup_id_"]'),item=Object.assign({kind:"element"},data);fitem&&root.contains(fitem)?((fitem,section)=>{if(!groups.has(fitem)){const label=fitem.querySelector(`#${CSS.escape(fitem.id)}_label, .col-form-label`),group={kind:"group",id:fitem.id,name:fitem.id.replace(/^fgroup_id_/,""),label:label?label.textContent.trim():"",children:[]};groups.set(fitem,group),(section?section.children:topLevel).push({node:fitem,item:group})}return groups.get(fitem)})(fitem,section).children.push({node:node,item:item}):(section?section.children:topLevel).push({node:node,item:item})}));const ordered=orderChildren(topLevel);return loose.forEach((item=>{item.order=ordered.length,ordered.push(item)})),{sections:ordered.filter((item=>"section"===item.kind)),elements:ordered.filter((item=>"section"!==item.kind))}};_exports.buildFormTree=buildFormTree;_exports.flattenFormTree=tree=>{const elements=[],visit=(items,path,ids,group)=>{items.forEach((item=>{"section"===item.kind?visit(item.children,path.concat(item.legend),ids.concat(item.id||[]),null):"group"===item.kind?visit(item.children,path,ids,item.id):"repeat"===item.kind?item.records.forEach((record=>{record.elements.forEach((element=>{elements.push(Object.assign({},element,{sections:path,section_ids:ids,group:group,repeat:item.name,repeat_index:record.index}))}))})):elements.push(Object.assign({},item,{sections:path,section_ids:ids,group:group}))}))},topLevel=tree.sections.concat(tree.elements).sort(((a,b)=>a.order-b.order));return visit(topLevel,[],[],null),elements};const findLabelForElement=element=>{let label="";if(element.id){const labelElement=document.querySelector(`label[for="${element.id}"]`);labelElement&&(label=labelElement.textContent||labelElement.innerText||"",label=label.trim())}if(!label){const parentLabel=element.closest("label");parentLabel&&(label=parentLabel.textContent||parentLabel.innerText||"",label=label.trim())}if(!label){const fitemDiv=element.closest(".fitem");if(fitemDiv){const labelDiv=fitemDiv.querySelector(".col-form-label label, .col-form-label p");labelDiv&&(label=labelDiv.textContent||labelDiv.innerText||"",label=label.trim())}}return label||(label=element.getAttribute("aria-label")||element.getAttribute("title")||""),label};_exports.findLabelForElement=findLabelForElement;const findHelptextForElement=element=>{let helptext="";for(var _i=0,_searchContainers=[element.parentElement,element.closest(".fitem"),element.closest(".felement"),element.closest(".col-md-9")];_i<_searchContainers.length;_i++){const container=_searchContainers[_i];if(container){const helpAnchor=container.querySelector("a[data-bs-content]");if(null!=helpAnchor&&helpAnchor.getAttribute("data-bs-content")){const rawHelp=helpAnchor.getAttribute("data-bs-content"),tmpDiv=document.createElement("div");tmpDiv.innerHTML=rawHelp,helptext=tmpDiv.textContent||tmpDiv.innerText||"",helptext=helptext.trim();break}}}return helptext};_exports.findHelptextForElement=findHelptextForElement;const checkEnabledDependency=element=>{const elementName=element.name||element.id||"",patterns=[`${elementName}_enabled`,elementName.replace(/_[^_]+$/,"_enabled"),elementName.replace(/\[[^\]]+\]$/,"[enabled]")],nameParts=elementName.split("_");if(nameParts.length>1)for(let i=nameParts.length-1;i>=2;i--){const baseName=nameParts.slice(0,i).join("_");patterns.push(`${baseName}_enabled`)}const searchContainers=[element.closest(".fitem"),element.closest("fieldset"),element.closest(".fcontainer"),document.getElementById("page-content")];for(var _i2=0,_patterns=patterns;_i2<_patterns.length;_i2++){const enabledName=_patterns[_i2];for(var _step,_iterator=_createForOfIteratorHelperLoose(searchContainers);!(_step=_iterator()).done;){const container=_step.value;if(!container)continue;let enabledCheckbox=container.querySelector('input[type="checkbox"][name="'+enabledName+'"], input[type="checkbox"][id*="'+enabledName.replace(/[\[\]]/g,"_")+'"]');if(enabledCheckbox)return{checkboxName:enabledName,checkboxId:enabledCheckbox.id,isEnabled:enabledCheckbox.checked}}}let fitemContainer=element.closest(".fitem");if(fitemContainer){if(fitemContainer.id&&fitemContainer.id.match(/^fgroup_id_(.+)$/)){let groupCheckboxes=fitemContainer.querySelectorAll('input[type="checkbox"][name*="_enabled"]');for(let gc=0;gc<groupCheckboxes.length;gc++){let groupCheckbox=groupCheckboxes[gc],checkboxName=groupCheckbox.name;if(0===elementName.indexOf(checkboxName.replace("_enabled","")))return{checkboxName:checkboxName,checkboxId:groupCheckbox.id,isEnabled:groupCheckbox.checked}}}}return null},isWithinDateTimeContainer=element=>{if(element.closest(DATE_SELECTOR_CONTAINER))return!0;if(element.closest('fieldset[data-fieldtype="date_time"]'))return!0;return!!element.closest('div[data-fieldtype="date_time"]')},CLIENT_RULE_REGEXES={"/(^-?\\d\\d*\\.\\d*$)|(^-?\\d\\d*$)|(^-?\\.\\d\\d*$)/":"numeric","/^[a-zA-Z]+$/":"lettersonly","/^[a-zA-Z0-9]+$/":"alphanumeric","/^-?[1-9][0-9]*/":"nonzero","/^[^().\\/\\*\\^\\?#!@$%+=,\\\"'><~\\[\\]{}]+$/":"nopunctuation"};let clientRulesCache={scriptCount:-1,rules:new Map};const getClientRuleType=(setup,condition)=>{if(/==\s*(''|"")/.test(condition))return"required";if(/\.length\s*</.test(condition)&&/\.length\s*>/.test(condition))return"rangelength";if(/\.length\s*>/.test(condition))return"maxlength";if(/\.length\s*</.test(condition))return"minlength";const regex=setup.match(/var\s+regex\s*=\s*(\/.*\/[a-z]*)\s*;/);return regex?CLIENT_RULE_REGEXES[regex[1]]||"regex":/frm\.elements\[/.test(condition)?"compare":"callback"},getClientRules=()=>{const scriptCount=document.getElementsByTagName("script").length;if(clientRulesCache.scriptCount===scriptCount)return clientRulesCache.rules;const rules=new Map,check=/if\s*\(([\s\S]*?)&&\s*!errFlag\['((?:[^'\\]|\\.)*)'\]\s*\)/g;return getScriptContents().forEach((content=>{if(!content.includes("errFlag"))return;let match,previousEnd=0;for(check.lastIndex=0;null!==(match=check.exec(content));){const name=match[2].replace(/\\(.)/g,"$1"),setup=content.substring(Math.max(previousEnd,match.index-500),match.index),type=getClientRuleType(setup,match[1]);rules.has(name)||rules.set(name,[]),rules.get(name).includes(type)||rules.get(name).push(type),previousEnd=check.lastIndex}})),clientRulesCache={scriptCount:scriptCount,rules:rules},rules};_exports.getClientRules=getClientRules;const isRequiredElement=(node,rules)=>{if(rules.includes("required")||node.required||"true"===node.getAttribute("aria-required"))return!0;const fitem=node.closest(".fitem");return!(!fitem||!fitem.querySelector(".col-form-label .text-danger .icon, .col-form-label abbr.initialism, .col-form-label .req"))},findValidationError=node=>{const fitem=node.closest(".fitem"),candidates=[];if((node.getAttribute("aria-describedby")||"").split(/\s+/).forEach((id=>{const described=id?document.getElementById(id):null;described&&described.matches(".invalid-feedback, .form-control-feedback")&&candidates.push(described)})),node.name){const errorElement=document.getElementById(`id_error_${node.name.replace(/\]\[|\[|\]/g,"_").replace(/_$/,"")}`);errorElement&&candidates.push(errorElement)}fitem&&candidates.push(...fitem.querySelectorAll(".invalid-feedback, .form-control-feedback"));const shown=candidates.find((candidate=>""!==candidate.textContent.trim()&&"none"!==candidate.style.display&&!candidate.hidden)),message=shown?shown.textContent.trim():"";return{invalid:""!==message||node.classList.contains("is-invalid")||"true"===node.getAttribute("aria-invalid"),message:message}},DATE_SELECTOR_CONTAINER='[data-fieldtype="date_time"], [data-fieldtype="date_selector"]',DATE_PART_PATTERN=/^(.+)\[(day|month|year|hour|minute|enabled)\]$/,padDatePart=value=>String(value).padStart(2,"0"),collapseDateSelectors=elements=>{const containers=new Map;if(elements.forEach((data=>{const node=getNodeForElement(data),container=node&&DATE_PART_PATTERN.test(data.name)?node.closest(DATE_SELECTOR_CONTAINER):null;container&&(containers.has(container)||containers.set(container,[]),containers.get(container).push(data))})),0===containers.size)return elements;const collapsed=[],done=new Set;return elements.forEach((data=>{const node=getNodeForElement(data),container=node&&DATE_PART_PATTERN.test(data.name)?node.closest(DATE_SELECTOR_CONTAINER):null;container&&containers.has(container)?done.has(container)||(done.add(container),collapsed.push(((container,parts)=>{const byPart={};let name="";parts.forEach((data=>{const match=data.name.match(DATE_PART_PATTERN);match&&(name=match[1],byPart[match[2]]=data)}));const value=part=>byPart[part]?byPart[part].current_value:"",hasTime=!!byPart.hour;let isoValue="";value("year")&&value("month")&&value("day")&&(isoValue=`${value("year")}-${padDatePart(value("month"))}-${padDatePart(value("day"))}`,hasTime&&(isoValue+=`T${padDatePart(value("hour"))}:${padDatePart(value("minute")||"0")}`));const optional=!!byPart.enabled,enabled=!optional||!0===byPart.enabled.checked,first=byPart.day||parts[0],dateData={id:container.id||first.id,name:name,type:container.dataset.fieldtype,current_value:isoValue,label:findLabelForElement(container)||first.label,helptext:first.helptext,active:enabled&&parts.some((data=>data.active&&data!==byPart.enabled))?1:0,visible:parts.some((data=>data.visible)),required:parts.some((data=>data.required)),optional:optional,enabled:enabled,locator:Object.assign(getElementLocator(container),{name:name})};return["invalid","error","rules","depends_on_enabled","dependencies","js_dependencies"].forEach((key=>{const withKey=parts.find((data=>void 0!==data[key]));withKey&&(dateData[key]=withKey[key])})),optional&&dateData.depends_on_enabled===byPart.enabled.name&&delete dateData.depends_on_enabled,elementNodes.set(dateData,container),dateData})(container,containers.get(container)))):collapsed.push(data)})),collapsed};_exports.collapseDateSelectors=collapseDateSelectors;const DEPENDENCY_ACTIONS={0:"disable",1:"hide"},declaredDependencyCache=new WeakMap,extractJsonObject=(content,start)=>{let depth=0,inString=!1;for(let i=start;i<content.length;i++){const char=content[i];if(inString)"\\"===char?i++:'"'===char&&(inString=!1);else if('"'===char)inString=!0;else if("{"===char||"["===char)depth++;else if(("}"===char||"]"===char)&&(depth--,0===depth))return content.substring(start,i+1)}return null},getDeclaredDependencies=form=>{if(!form.id)return null;const scriptCount=document.getElementsByTagName("script").length,cached=declaredDependencyCache.get(form);if(cached&&cached.scriptCount===scriptCount&&cached.rules)return cached.rules;let dependencies=null;const managers=window.M&&window.M.form&&window.M.form.dependencyManagers,manager=managers?managers[form.id]:null;manager&&(dependencies="function"==typeof manager.get?manager.get("dependencies"):manager.dependencies),dependencies||(dependencies=cached&&cached.scriptCount===scriptCount?null:(formId=>{const call=/M\.form\.initFormDependencies\(\s*Y\s*,\s*"((?:[^"\\]|\\.)*)"\s*,\s*/g;for(var _step2,_iterator2=_createForOfIteratorHelperLoose(getScriptContents());!(_step2=_iterator2()).done;){const content=_step2.value;if(!content.includes("initFormDependencies"))continue;let match;for(call.lastIndex=0;null!==(match=call.exec(content));){if(match[1]!==formId)continue;const json=extractJsonObject(content,call.lastIndex);if(json)try{return JSON.parse(json)}catch(e){return null}}}return null})(form.id));let rules=null;return dependencies&&"object"==typeof dependencies&&(rules=new Map,Object.keys(dependencies).forEach((controlName=>{const operators=dependencies[controlName]||{};Object.keys(operators).forEach((operator=>{const values=operators[operator]||{};Object.keys(values).forEach((value=>{const actions=values[value]||{};Object.keys(actions).forEach((actionKey=>{(actions[actionKey]||[]).forEach((dependentName=>{rules.has(dependentName)||rules.set(dependentName,[]),rules.get(dependentName).push({controlName:controlName,operator:operator,value:value,action:DEPENDENCY_ACTIONS[actionKey]||String(actionKey)})}))}))}))}))}))),declaredDependencyCache.set(form,{scriptCount:scriptCount,rules:rules}),rules};_exports.getDeclaredDependencies=getDeclaredDependencies;const getDeclaredControlValues=controls=>{const values=[],checkable=controls.filter((control=>"checkbox"===control.type||"radio"===control.type));return checkable.length>0?(checkable.filter((control=>control.checked)).forEach((control=>values.push(control.value))),0===values.length&&controls.filter((control=>"hidden"===control.type)).forEach((control=>values.push(control.value))),values):(controls.forEach((control=>{"select"===control.tagName.toLowerCase()?Array.from(control.selectedOptions).forEach((option=>values.push(option.value))):values.push(control.value)})),values)},isDeclaredConditionSatisfied=(operator,value,controls)=>{const values=getDeclaredControlValues(controls),isChecked=controls.some((control=>("checkbox"===control.type||"radio"===control.type)&&control.checked));switch(operator){case"checked":return isChecked;case"notchecked":return!isChecked;case"noitemselected":return 0===values.length;case"eq":case"defaultcondition":return values.includes(String(value));case"neq":return!values.includes(String(value));case"in":return String(value).split("|").some((option=>values.includes(option)));default:return null}},getDeclaredElementDependencies=(element,form,rules)=>{const elementRules=element.name?rules.get(element.name):null;return elementRules?elementRules.map((rule=>{const controls=Array.from(form.querySelectorAll(`[name="${CSS.escape(rule.controlName)}"]`)),control=controls.find((candidate=>"hidden"!==candidate.type))||controls[0];return{controllingElement:rule.controlName,controllingElementId:control&&control.id||"",controllingValue:getDeclaredControlValues(controls).join(","),operator:rule.operator,value:rule.value,action:rule.action,satisfied:controls.length>0?isDeclaredConditionSatisfied(rule.operator,rule.value,controls):null,source:"declared"}})):null},checkElementDependencies=element=>{const form=element.closest("form");if(!form)return null;const elementContainer=element.closest(".fitem"),dependencies=[],visibility=getElementVisibility(element,elementContainer);return form.querySelectorAll('select, input[type="checkbox"], input[type="radio"]').forEach((controlElement=>{if(controlElement===element||controlElement.closest('[style*="display: none"]')||controlElement.hasAttribute("disabled")||controlElement.disabled)return;const dependency=analyzeElementDependency(element,controlElement,visibility);dependency&&dependencies.push(dependency)})),dependencies.length>0?dependencies:null},getElementVisibility=(element,container)=>{let isHidden=!1,hideMethod="none";if(container){const style=container.style,hiddenAttr=container.hasAttribute("hidden"),computedStyle=window.getComputedStyle(container);style&&"none"===style.display?(isHidden=!0,hideMethod="style_display"):hiddenAttr?(isHidden=!0,hideMethod="hidden_attribute"):"none"===computedStyle.display?(isHidden=!0,hideMethod="computed_style"):"hidden"===computedStyle.visibility&&(isHidden=!0,hideMethod="visibility_hidden")}return{isHidden:isHidden,hideMethod:hideMethod,isDisabled:element.disabled||element.hasAttribute("disabled")}},analyzeElementDependency=(dependentElement,controlElement,visibility)=>{const controlName=controlElement.name||"",controlType=controlElement.type||controlElement.tagName.toLowerCase(),controlValue=getControlElementValue(controlElement),dependentName=dependentElement.name||"",dependentId=dependentElement.id||"",numericDependency=checkNumericSuffixDependency(dependentName,dependentId,controlName,controlValue);if(numericDependency)return createDependencyObject(controlElement,controlValue,numericDependency.requiredValue,visibility);const semanticDependency=checkSemanticDependency(dependentName,dependentId,controlName,controlValue);if(semanticDependency)return createDependencyObject(controlElement,controlValue,semanticDependency.requiredValue,visibility);const containerDependency=checkContainerDependency(dependentElement,controlElement,controlValue);if(containerDependency)return createDependencyObject(controlElement,controlValue,containerDependency.requiredValue,visibility);const enableDependency=checkEnableDependency(dependentName,dependentId,controlName,controlValue,controlType);return enableDependency?createDependencyObject(controlElement,controlValue,enableDependency.requiredValue,visibility):null},checkNumericSuffixDependency=(dependentName,dependentId,controlName,controlValue)=>{const dependentMatch=dependentName.match(/^(.+?)(\d+)$/)||dependentId.match(/^id_(.+?)(\d+)$/);if(!dependentMatch)return null;const baseName=dependentMatch[1],number=dependentMatch[2],controlBaseName=controlName.replace(/^(id_)?/,"").replace(/_$/,""),commonPatterns=[{control:"preset",dependents:["primer","instructions","example","template","config"]},{control:"mode",dependents:["option","setting","param","field"]},{control:"type",dependents:["config","option","param","setting"]},{control:"category",dependents:["subcategory","item","field"]},{control:"level",dependents:["detail","item","option"]}];for(let i=0;i<commonPatterns.length;i++){const pattern=commonPatterns[i];if(controlBaseName===pattern.control&&-1!==pattern.dependents.indexOf(baseName)&&number===controlValue)return{requiredValue:controlValue}}return null},checkSemanticDependency=(dependentName,dependentId,controlName,controlValue)=>{const semanticMappings={mode:{1:["topic","subject","theme"],2:["content","story","text","material"],3:["activities","courseactivities","course_content","modules"]},type:{manual:["manual_config","manual_settings"],auto:["auto_config","auto_settings"],custom:["custom_config","custom_settings"]},format:{html:["html_editor","wysiwyg"],plain:["plain_text","textarea"],markdown:["markdown_editor"]}},controlBaseName=controlName.replace(/^(id_)?/,""),dependentBaseName=dependentName.replace(/^(id_)?/,"");if(semanticMappings[controlBaseName]){const valueMapping=semanticMappings[controlBaseName][controlValue];if(valueMapping&&-1!==valueMapping.indexOf(dependentBaseName))return{requiredValue:controlValue}}return null},checkContainerDependency=(dependentElement,controlElement,controlValue)=>{const container=dependentElement.closest(".fitem");if(!container)return null;const dependsOn=container.getAttribute("data-depends-on");if(dependsOn===controlElement.name||dependsOn===controlElement.id){return{requiredValue:container.getAttribute("data-show-when")||controlValue}}const conditional=container.getAttribute("data-conditional");if(conditional)try{const conditionObj=JSON.parse(conditional);if(conditionObj.element===controlElement.name&&conditionObj.value===controlValue)return{requiredValue:controlValue}}catch(e){}return null},checkEnableDependency=(dependentName,dependentId,controlName,controlValue,controlType)=>{if("checkbox"!==controlType)return null;return-1!==[dependentName+"_enabled",dependentName+"_enable","enable_"+dependentName,dependentName.replace(/^id_/,"")+"_enabled"].indexOf(controlName)?{requiredValue:"1"}:null},getControlElementValue=element=>{const type=element.type||element.tagName.toLowerCase();return"checkbox"===type||"radio"===type?element.checked?"1":"0":element.value||""},createDependencyObject=(controlElement,controlValue,requiredValue,visibility)=>({controllingElement:controlElement.name||"",controllingElementId:controlElement.id||"",controllingType:controlElement.type||controlElement.tagName.toLowerCase(),controllingValue:controlValue,requiredValue:requiredValue,isCurrentlyVisible:!visibility.isHidden&&controlValue===requiredValue,hideMethod:visibility.hideMethod,source:"heuristic"});let scriptContentsCache={count:-1,contents:[]};const getScriptContents=()=>{const scripts=document.getElementsByTagName("script");return scripts.length!==scriptContentsCache.count&&(scriptContentsCache={count:scripts.length,contents:Array.from(scripts,(script=>script.textContent||script.innerText||""))}),scriptContentsCache.contents},analyzeJavaScriptDependencies=element=>{const container=element.closest(".fitem");if(!container)return null;const dependencies=[];container.className.split(" ").forEach((cls=>{if(cls.startsWith("depends-on-")){const dependencyName=cls.replace("depends-on-","");dependencies.push({type:"css_class",pattern:cls,dependsOn:dependencyName})}else if(cls.match(/^show-when-\w+-\w+$/)){const parts=cls.replace("show-when-","").split("-");parts.length>=2&&dependencies.push({type:"css_class",pattern:cls,dependsOn:parts[0],requiredValue:parts.slice(1).join("-")})}}));return element.closest("form")&&getScriptContents().forEach((content=>{if(content&&content.includes(element.name||element.id)){[/addEventListener\(['"]change['"],\s*function/g,/\.on\(['"]change['"],\s*function/g,/onchange\s*=\s*['"]?[^'"]+/g].forEach((pattern=>{content.match(pattern)&&dependencies.push({type:"javascript_event",pattern:"change_listener",element:element.name||element.id})}))}})),dependencies.length>0?dependencies:null},analyzeSiblingDependencies=element=>{const container=element.closest(".fitem");if(!container)return null;const dependencies=[],elementName=element.name||"",siblingContainers=[],parent=container.parentNode;if(parent){parent.querySelectorAll(".fitem").forEach((fitem=>{fitem!==container&&siblingContainers.push(fitem)}))}return siblingContainers.forEach((siblingContainer=>{siblingContainer.querySelectorAll("input, select, textarea").forEach((siblingElement=>{const siblingName=siblingElement.name||"",similarity=analyzeSimilarity(elementName,siblingName);if(similarity.score>.7&&similarity.type){const siblingVisibility=getElementVisibility(siblingElement,siblingContainer);dependencies.push({type:"sibling_dependency",siblingElement:siblingName,siblingId:siblingElement.id||"",similarity:similarity,siblingVisible:!siblingVisibility.isHidden,source:"heuristic"})}}))})),dependencies.length>0?dependencies:null},analyzeSimilarity=(name1,name2)=>{if(!name1||!name2)return{score:0,type:null};const cleanName1=name1.replace(/^(id_)?/,""),cleanName2=name2.replace(/^(id_)?/,""),numPattern1=cleanName1.match(/^(.+?)(\d+)$/),numPattern2=cleanName2.match(/^(.+?)(\d+)$/);if(numPattern1&&numPattern2&&numPattern1[1]===numPattern2[1])return{score:.9,type:"numeric_series",basePattern:numPattern1[1],numbers:[numPattern1[2],numPattern2[2]]};let commonPrefixLength=0;for(let i=0;i<Math.min(cleanName1.length,cleanName2.length)&&cleanName1[i]===cleanName2[i];i++)commonPrefixLength++;if(commonPrefixLength>=3){return{score:commonPrefixLength/Math.max(cleanName1.length,cleanName2.length),type:"similar_prefix",commonPrefix:cleanName1.substring(0,commonPrefixLength)}}return{score:0,type:null}},getElementVisualVisibility=(element,computedStyle)=>!!isElementDirectlyVisible(element,computedStyle)&&!hasHiddenParent(element),isElementDirectlyVisible=(element,computedStyle)=>{if(element.hasAttribute("hidden"))return!1;const styles=computedStyle||window.getComputedStyle(element);if("none"===styles.display)return!1;if("hidden"===styles.visibility)return!1;if(0===parseFloat(styles.opacity))return!1;const width=parseFloat(styles.width),height=parseFloat(styles.height);if(0===width&&0===height)return!1;const clip=styles.clip;if(clip&&"auto"!==clip&&clip.match(/rect\(0px,?\s*0px,?\s*0px,?\s*0px\)/))return!1;const position=styles.position;if("absolute"===position||"fixed"===position){parseFloat(styles.left),parseFloat(styles.top),parseFloat(styles.right),parseFloat(styles.bottom)}const textIndent=parseFloat(styles.textIndent);return!(textIndent<-9999||textIndent>9999)},hasHiddenParent=element=>{let parent=element.parentElement;for(;parent&&parent!==document.body&&parent!==document.documentElement;){if(parent.hasAttribute("hidden")||!0===parent.hidden)return!0;const parentStyles=window.getComputedStyle(parent);if("none"===parentStyles.display||"hidden"===parentStyles.visibility)return!0;if(0===parseFloat(parentStyles.opacity))return!0;parent=parent.parentElement}return!1},DEFAULT_REDACTION_RULES=_exports.DEFAULT_REDACTION_RULES=[{action:"drop",match:"type",pattern:/^password$/i,reason:"password"},{action:"drop",match:"name",pattern:/^sesskey$/i,reason:"sesskey"},{action:"mask",match:"name",pattern:/(passw(or)?d|secret|token|api_?key|private_?key)/i,reason:"secret"},{action:"mask",match:"value",pattern:/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,reason:"email"},{action:"mask",match:"value",pattern:/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,reason:"token"},{action:"mask",match:"value",pattern:/\b[0-9a-f]{24,}\b/gi,reason:"hex"},{action:"mask",match:"value",pattern:/\b(?=[\w-]*\d)(?=[\w-]*[a-z])[\w-]{32,}\b/gi,reason:"token"}],getRedactionRules=(extraRules=[])=>{const rules=DEFAULT_REDACTION_RULES.slice();return extraRules.forEach((rule=>{if(["drop","mask"].includes(rule.action)&&["type","name","value"].includes(rule.match))try{const pattern=rule.pattern instanceof RegExp?rule.pattern:new RegExp(rule.pattern,"gi");rules.push({action:rule.action,match:rule.match,pattern:pattern,reason:rule.reason||"site"})}catch(e){console.warn(`Skipping redaction rule with invalid pattern "${rule.pattern}"`)}})),rules};_exports.getRedactionRules=getRedactionRules;const patternMatches=(pattern,text)=>(pattern.lastIndex=0,pattern.test(text)),redactElements=(elements,rules=getRedactionRules())=>{const kept=[],redacted=[];return elements.forEach((element=>{var _element$current_valu2;const strings=(element=>{var _element$current_valu;const richText=element.rich_text||{};return[String(null!=(_element$current_valu=element.current_value)?_element$current_valu:""),richText.html,element.label,element.helptext,element.error].concat((richText.media||[]).flatMap((item=>[item.src,item.alt,item.title]))).concat((element.options||[]).flatMap((option=>[option.value,option.text]))).concat((element.dependencies||[]).map((dependency=>dependency.controllingValue))).filter((text=>"string"==typeof text&&""!==text))})(element);let action=null;const reasons=[];let maskedValue=String(null!=(_element$current_valu2=element.current_value)?_element$current_valu2:"");const maskPatterns=[];if(rules.forEach((rule=>{if("drop"===action)return;if("value"===rule.match){if(!strings.some((text=>patternMatches(rule.pattern,text))))return;if("drop"===rule.action)action="drop";else{action="mask";const flags=rule.pattern.flags.includes("g")?rule.pattern.flags:rule.pattern.flags+"g";maskPatterns.push({pattern:new RegExp(rule.pattern.source,flags),reason:rule.reason}),"[redacted]"!==maskedValue&&(maskedValue=maskedValue.replace(new RegExp(rule.pattern.source,flags),`[redacted:${rule.reason}]`))}return void reasons.push(rule.reason)}const subject="type"===rule.match?element.type:element.name;subject&&patternMatches(rule.pattern,subject)&&(action="drop"===rule.action?"drop":"mask",maskedValue="[redacted]",reasons.push(rule.reason))})),action){if(redacted.push({id:element.id,name:element.name,type:element.type,action:action,reasons:reasons}),"mask"===action){const mask=text=>"string"==typeof text?maskPatterns.reduce(((masked,{pattern:pattern,reason:reason})=>masked.replace(pattern,`[redacted:${reason}]`)),text):text,copy=Object.assign({},element,{current_value:maskedValue});elementNodes.set(copy,getNodeForElement(element)),delete copy.options,["label","helptext","error"].forEach((key=>{key in copy&&(copy[key]=mask(copy[key]))})),copy.dependencies&&(copy.dependencies=copy.dependencies.map((dependency=>Object.assign({},dependency,{controllingValue:mask(dependency.controllingValue)})))),copy.rich_text&&"[redacted]"===maskedValue?delete copy.rich_text:copy.rich_text&&(copy.rich_text=Object.assign({},copy.rich_text,{html:mask(copy.rich_text.html),media:(copy.rich_text.media||[]).map((item=>Object.assign({},item,{src:mask(item.src),alt:mask(item.alt),title:mask(item.title)})))})),kept.push(copy)}}else kept.push(element)})),{elements:kept,redacted:redacted}};_exports.redactElements=redactElements;const activeAnalyzers=new Map,ANALYSIS_UPDATED_EVENT=_exports.ANALYSIS_UPDATED_EVENT="block_helpchat:analysisupdated";_exports.getAnalysedElements=hiddenFieldId=>{const analyzer=activeAnalyzers.get(hiddenFieldId),elements=analyzer?analyzer.getElements():null;return Array.isArray(elements)?elements:null};_exports.invalidateAnalysedElements=(hiddenFieldId,nodes)=>{const analyzer=activeAnalyzers.get(hiddenFieldId);analyzer&&nodes.forEach((node=>analyzer.invalidate(node)))};const removeSesskeyFromUrl=url=>{try{const parsed=new URL(url);return parsed.searchParams.has("sesskey")?(parsed.searchParams.delete("sesskey"),parsed.toString()):url}catch(e){return url}},populateHiddenField=async(hiddenFieldId,options={})=>{try{const analyzer=activeAnalyzers.get(hiddenFieldId),allElements=analyzer?analyzer.getElements():await getDomElementsAsJson(options),{elements:elements,redacted:redacted}=redactElements(Array.isArray(allElements)?allElements:[],getRedactionRules(options.redactionRules||[])),root=findExtractionRoot(resolveExtractionOptions(options)),analysisData={timestamp:(new Date).toISOString(),formUrl:removeSesskeyFromUrl(window.location.href),form:root?buildFormTree(elements,root):{sections:[],elements:elements},redacted:redacted,version:"2.0"},extracted=root?(0,_extractors.runExtractors)(root,elements):{};Object.keys(extracted).length>0&&(analysisData.extracted=extracted);const hiddenField=document.getElementById(hiddenFieldId);if(!hiddenField)throw new Error(`Hidden field with ID "${hiddenFieldId}" not found`);hiddenField.value=JSON.stringify(analysisData),hiddenField.dispatchEvent(new CustomEvent(ANALYSIS_UPDATED_EVENT)),console.log(`Successfully populated hidden field "${hiddenFieldId}" with ${elements.length} form elements`)}catch(error){throw console.error("Error populating hidden field:",error),error}};_exports.populateHiddenField=populateHiddenField;const OBSERVED_ATTRIBUTES=["class","style","hidden","disabled","checked","selected","value","aria-expanded"],createIncrementalAnalyzer=(options={},onChange=null)=>{const settings=resolveExtractionOptions(options),cache=new Map,dirty=new Set,dependents=new Map,indexedKeys=new Map,stats={refreshes:0,analyzed:0,reused:0};let allDirty=!0,root=findExtractionRoot(settings);const unindex=node=>{(indexedKeys.get(node)||[]).forEach((key=>{const nodes=dependents.get(key);nodes&&(nodes.delete(node),0===nodes.size&&dependents.delete(key))})),indexedKeys.delete(node)},markDirty=node=>{cache.has(node)&&!dirty.has(node)&&(dirty.add(node),[node.id,node.name].forEach((key=>{key&&dependents.has(key)&&dependents.get(key).forEach((dependent=>markDirty(dependent)))})))},markWithinDirty=container=>{cache.forEach(((data,node)=>{(container===node||container.contains(node))&&markDirty(node)}))},notify=()=>{onChange&&onChange()},containsFormControl=nodes=>Array.from(nodes).some((node=>node.nodeType===Node.ELEMENT_NODE&&(node.matches(FORM_ELEMENT_SELECTOR)||null!==node.querySelector(FORM_ELEMENT_SELECTOR)))),handleValueChange=e=>{const target=e.target;target&&target.closest&&!target.closest('[data-region="helpchat"]')&&(markDirty(target),"radio"===target.type&&target.name&&target.form&&Array.from(target.form.elements).forEach((other=>{"radio"===other.type&&other.name===target.name&&markDirty(other)})),notify())},editorListeners=new Map,stopWatchingEditors=(0,_field_writer.watchRichTextEditors)((editor=>{const textarea="function"==typeof editor.getElement?editor.getElement():null;if(!textarea)return;const listener=()=>{root&&root.contains(textarea)&&!textarea.closest('[data-region="helpchat"]')&&(markDirty(textarea),notify())};editor.on("input change SetContent",listener),editorListeners.set(editor,listener)})),observer=new MutationObserver((mutations=>{let relevant=!1;mutations.forEach((mutation=>{const target=mutation.target.nodeType===Node.ELEMENT_NODE?mutation.target:mutation.target.parentElement;target&&!target.closest('[data-region="helpchat"]')&&(relevant=!0,"attributes"===mutation.type?markWithinDirty(target):"childList"===mutation.type&&(containsFormControl(mutation.addedNodes)||containsFormControl(mutation.removedNodes))?markWithinDirty(target.closest("form")||root):markWithinDirty(target.closest(".fitem")||target))})),relevant&&notify()})),observe=()=>{root&&(observer.observe(root,{subtree:!0,childList:!0,characterData:!0,attributes:!0,attributeFilter:OBSERVED_ATTRIBUTES}),root.addEventListener("input",handleValueChange,!0),root.addEventListener("change",handleValueChange,!0))},unobserve=()=>{observer.disconnect(),root&&(root.removeEventListener("input",handleValueChange,!0),root.removeEventListener("change",handleValueChange,!0))};observe();return{getElements:()=>{if(root&&root.isConnected||(unobserve(),root=findExtractionRoot(settings),allDirty=!0,observe()),!root)return{};const nodes=getExtractableNodes(root,settings),present=new Set(nodes);Array.from(cache.keys()).forEach((node=>{present.has(node)||(cache.delete(node),unindex(node))}));const elements=nodes.map((node=>{const isEditor="TEXTAREA"===node.tagName&&node.id&&document.getElementById(`${node.id}_ifr`);if(!allDirty&&!dirty.has(node)&&!isEditor&&cache.has(node))return stats.reused++,cache.get(node);const data=analyzeElement(node,settings);return cache.set(node,data),((node,data)=>{unindex(node);const keys=(data=>{const keys=[];return(data.dependencies||[]).forEach((dependency=>{keys.push(dependency.controllingElementId,dependency.controllingElement)})),(data.sibling_dependencies||[]).forEach((dependency=>{keys.push(dependency.siblingId,dependency.siblingElement)})),(data.js_dependencies||[]).forEach((dependency=>{keys.push(dependency.dependsOn)})),keys.push(data.depends_on_enabled),keys.filter((key=>key))})(data);keys.forEach((key=>{dependents.has(key)||dependents.set(key,new Set),dependents.get(key).add(node)})),indexedKeys.set(node,keys)})(node,data),stats.analyzed++,data}));return dirty.clear(),allDirty=!1,stats.refreshes++,collapseDateSelectors(elements)},invalidate:node=>{markDirty(node)},invalidateAll:()=>{allDirty=!0},getStats:()=>Object.assign({cached:cache.size},stats),disconnect:()=>{unobserve(),stopWatchingEditors(),editorListeners.forEach(((listener,editor)=>editor.off("input change SetContent",listener))),editorListeners.clear(),cache.clear(),dirty.clear(),dependents.clear(),indexedKeys.clear()}}};_exports.createIncrementalAnalyzer=createIncrementalAnalyzer;const autoPopulateHiddenField=(hiddenFieldId,options={},debounceMs=1e3)=>{let timeoutId=null,isProcessing=!1;const updateHiddenField=async()=>{if(!isProcessing)try{isProcessing=!0,await populateHiddenField(hiddenFieldId,options)}catch(error){console.error("Auto-population failed:",error)}finally{isProcessing=!1}},debouncedUpdate=()=>{timeoutId&&clearTimeout(timeoutId),timeoutId=setTimeout(updateHiddenField,debounceMs)},analyzer=createIncrementalAnalyzer(options,(()=>debouncedUpdate()));activeAnalyzers.set(hiddenFieldId,analyzer);const handleResize=()=>{analyzer.invalidateAll(),debouncedUpdate()};return window.addEventListener("resize",handleResize),updateHiddenField(),()=>{timeoutId&&clearTimeout(timeoutId),analyzer.disconnect(),activeAnalyzers.get(hiddenFieldId)===analyzer&&activeAnalyzers.delete(hiddenFieldId),window.removeEventListener("resize",handleResize),console.log("Auto-population cleanup completed")}};_exports.autoPopulateHiddenField=autoPopulateHiddenField;_exports.makeGloballyAccessible=()=>{void 0===window.MoodleDomParser&&(window.MoodleDomParser={}),window.MoodleDomParser.populateHiddenField=async(hiddenFieldId,options={})=>await populateHiddenField(hiddenFieldId,options),window.MoodleDomParser.autoPopulateHiddenField=(hiddenFieldId,options={},debounceMs=1e3)=>autoPopulateHiddenField(hiddenFieldId,options,debounceMs),window.MoodleDomParser.analyze=async(options={})=>{try{return await getDomElementsAsJson(options)}catch(error){throw console.error("DOM Parser Error:",error),error}},window.MoodleDomParser.analyzeAndLog=async()=>{try{const result=await window.MoodleDomParser.analyze();return console.log("=== Moodle DOM Analysis Results ==="),console.log("Found",Array.isArray(result)?result.length:0,"form elements"),console.log("Full data:",result),console.log("JSON:",JSON.stringify(result,null,2)),result}catch(error){throw console.error("Failed to analyze DOM:",error),error}},window.MoodleDomParser.analyzeAndDisplay=async()=>{try{const result=await window.MoodleDomParser.analyze(),elementCount=Array.isArray(result)?result.length:0,jsonString=JSON.stringify(result,null,2),message=`Moodle DOM Analysis Results:\n\nFound ${elementCount} form elements\n\nJSON Data:\n${jsonString.substring(0,2e3)}${jsonString.length>2e3?"...\n\n(Data truncated - see console for full output)":""}`;return alert(message),console.log("Full DOM Analysis Data:",result),result}catch(error){throw alert("Error analyzing DOM: "+error.message),console.error("DOM analysis error:",error),error}},window.MoodleDomParser.tree=async(options={})=>{const elements=await getDomElementsAsJson(options),root=findExtractionRoot(resolveExtractionOptions(options));return root?buildFormTree(elements,root):null},window.MoodleDomParser.registerExtractor=_extractors.registerExtractor,window.MoodleDomParser.unregisterExtractor=_extractors.unregisterExtractor,window.MoodleDomParser.listExtractors=_extractors.getExtractors,window.MoodleDomParser.extract=async(options={})=>{const elements=await getDomElementsAsJson(options),root=findExtractionRoot(resolveExtractionOptions(options)),{elements:kept}=redactElements(Array.isArray(elements)?elements:[],getRedactionRules(options.redactionRules||[]));return root?(0,_extractors.runExtractors)(root,kept):{}},window.MoodleDomParser.serialise=async(tokenBudget=0,options={})=>{const{serialiseFormAnalysis:serialiseFormAnalysis}=await("function"==typeof _systemImportTransformerGlobalIdentifier.define&&_systemImportTransformerGlobalIdentifier.define.amd?new Promise((function(resolve,reject){_systemImportTransformerGlobalIdentifier.require(["./form_serialiser"],resolve,reject)})):"undefined"!=typeof module&&module.exports&&"undefined"!=typeof require||"undefined"!=typeof module&&module.component&&_systemImportTransformerGlobalIdentifier.require&&"component"===_systemImportTransformerGlobalIdentifier.require.loader?Promise.resolve(require("./form_serialiser")):Promise.resolve(_systemImportTransformerGlobalIdentifier["./form_serialiser"])),elements=await getDomElementsAsJson(options),root=findExtractionRoot(resolveExtractionOptions(options)),{elements:kept,redacted:redacted}=redactElements(Array.isArray(elements)?elements:[],getRedactionRules(options.redactionRules||[]));return serialiseFormAnalysis({formUrl:removeSesskeyFromUrl(window.location.href),form:root?buildFormTree(kept,root):{sections:[],elements:kept},redacted:redacted,extracted:root?(0,_extractors.runExtractors)(root,kept):{}},{tokenBudget:tokenBudget})},window.MoodleDomParser.benchmark=async(config={})=>{const{runBenchmark:runBenchmark}=await("function"==typeof _systemImportTransformerGlobalIdentifier.define&&_systemImportTransformerGlobalIdentifier.define.amd?new Promise((function(resolve,reject){_systemImportTransformerGlobalIdentifier.require(["./dom_parser_benchmark"],resolve,reject)})):"undefined"!=typeof module&&module.exports&&"undefined"!=typeof require||"undefined"!=typeof module&&module.component&&_systemImportTransformerGlobalIdentifier.require&&"component"===_systemImportTransformerGlobalIdentifier.require.loader?Promise.resolve(require("./dom_parser_benchmark")):Promise.resolve(_systemImportTransformerGlobalIdentifier["./dom_parser_benchmark"]));return runBenchmark(config)},window.MoodleDomParser.help=()=>{console.log("\n === Moodle DOM Parser Console Commands ===\n\n Available functions:\n • window.MoodleDomParser.analyze(options)       - Returns Promise with DOM analysis data\n • window.MoodleDomParser.analyzeAndLog()        - Analyzes and logs results to console\n • window.MoodleDomParser.analyzeAndDisplay()    - Analyzes and shows results in alert\n • window.MoodleDomParser.tree(options)          - Returns Promise with the analysis as a tree of sections\n • window.MoodleDomParser.extract(options)       - Returns Promise with the data of the extractors for this page\n • window.MoodleDomParser.registerExtractor(ext) - Adds an extractor, see block_helpchat/extractors\n • window.MoodleDomParser.unregisterExtractor(name) - Removes an extractor\n • window.MoodleDomParser.listExtractors()       - Lists the registered extractors\n • window.MoodleDomParser.serialise(budget)      - Returns Promise with the compact text sent with messages\n • window.MoodleDomParser.history()              - Lists the snapshots of the form taken for each message sent\n • window.MoodleDomParser.diff(a, b)             - Compares two snapshots, by default the last two\n • window.MoodleDomParser.populateHiddenField()  - Populates hidden field with analysis data\n • window.MoodleDomParser.autoPopulateHiddenField() - Setup auto-population with debouncing\n • window.MoodleDomParser.benchmark(config)      - Times full against incremental analysis of a large form\n • window.MoodleDomParser.help()                 - Shows this help message\n\n Examples:\n // Basic analysis\n await window.MoodleDomParser.analyze()\n\n // Analysis of text fields only, without the sibling analysis\n await window.MoodleDomParser.analyze({types: ['text', 'textarea'], analyzeSiblingDependencies: false})\n\n // Quick analysis with console output\n await window.MoodleDomParser.analyzeAndLog()\n\n // Analysis with popup display\n await window.MoodleDomParser.analyzeAndDisplay()\n\n // Populate hidden field with ID \"form_analysis\"\n await window.MoodleDomParser.populateHiddenField(\"form_analysis\")\n\n // Setup auto-population with 2 second debounce\n const cleanup = window.MoodleDomParser.autoPopulateHiddenField(\"form_analysis\", {}, 2000)\n\n // Benchmark on a form with 40 sections of 25 fields, re-analysed after 50 edits\n await window.MoodleDomParser.benchmark({sections: 40, fieldsPerSection: 25, edits: 50})\n\n // Get specific element data\n const data = await window.MoodleDomParser.analyze()\n console.log('Visible elements:', data.filter(el => el.visible))\n console.log('Hidden elements:', data.filter(el => !el.visible))\n\n // Elements arranged in their sections and groups\n await window.MoodleDomParser.tree()\n\n // Answers of a multichoice question, or the response trees of a STACK question\n await window.MoodleDomParser.extract()\n         ")},console.log("✅ Moodle DOM Parser is now globally accessible!"),console.log('📖 Type "window.MoodleDomParser.help()" for usage instructions')}}));
 
 //# sourceMappingURL=dom_parser.min.js.map
\ No newline at end of file
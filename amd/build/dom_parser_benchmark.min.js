@@ -0,0 +1,16 @@
+define("block_helpchat/dom_parser_benchmark",["exports","./dom_parser"],(function(_exports,_dom_parser){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.runBenchmark=_exports.buildSyntheticForm=void 0;
+/**
+   * Benchmark of full and incremental form analysis for Help Chat block
+   *
+   * Builds a large synthetic Moodle form off screen, makes a series of edits to it and
+   * times re-analysing the form after each edit with a full extractDomElements scan
+   * and with the incremental analyzer. Run it from the browser console with
+   * await window.MoodleDomParser.benchmark().
+   *
+   * @module     block_helpchat/dom_parser_benchmark
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const buildFitem=(name,label,control)=>`<div id="fitem_id_${name}" class="mb-3 row fitem">\n        <div class="col-md-3 col-form-label d-flex pb-0 pe-md-0">\n            <label id="id_${name}_label" for="id_${name}">${label}</label>\n            <a class="btn btn-link p-0" role="button" data-bs-toggle="popover"\n                data-bs-content="&lt;p&gt;Help for ${label}&lt;/p&gt;">?</a>\n        </div>\n        <div class="col-md-9 d-flex flex-wrap align-items-start felement">${control}</div>\n    </div>`,buildSyntheticForm=(sections=20,fieldsPerSection=25)=>{const form=document.createElement("form");form.className="mform",form.id="helpchat-benchmark-form";const parts=[];for(let s=0;s<sections;s++){parts.push(`<fieldset class="clearfix collapsible" id="id_section${s}">\n            <legend class="d-none">Section ${s}</legend><div class="fcontainer">`);for(let f=0;f<fieldsPerSection;f++){const name=`s${s}field${f}`;switch(f%5){case 0:parts.push(buildFitem(name,`Text ${s}.${f}`,`<input type="text" class="form-control" name="${name}" id="id_${name}" value="Value ${f}">`));break;case 1:parts.push(buildFitem(name,`Description ${s}.${f}`,`<textarea class="form-control" name="${name}" id="id_${name}" rows="3">Some text ${f}</textarea>`));break;case 2:parts.push(buildFitem(name,`Choice ${s}.${f}`,`<select class="form-select" name="${name}" id="id_${name}">`+Array.from({length:10},((v,i)=>`<option value="${i}">Option ${i}</option>`)).join("")+"</select>"));break;case 3:parts.push(buildFitem(`${name}_enabled`,`Enable ${s}.${f}`,`<input type="checkbox" name="${name}_enabled" id="id_${name}_enabled" value="1" checked>`));break;default:parts.push(buildFitem(name,`Number ${s}.${f}`,`<input type="number" class="form-control" name="${name}" id="id_${name}" value="${f}">`))}}parts.push("</div></fieldset>"),parts.push(`<script type="text/plain">document.getElementById('id_s${s}field0').addEventListener('change', function() {});<\/script>`)}return parts.push('<input type="hidden" name="sesskey" value="abcdef1234">'),form.innerHTML=parts.join(""),form};_exports.buildSyntheticForm=buildSyntheticForm;const makeEdit=(form,step,sections)=>{const section=step%sections;if(step%5==4){const checkbox=form.querySelector(`#id_s${section}field3_enabled`);checkbox.checked=!checkbox.checked,checkbox.dispatchEvent(new Event("change",{bubbles:!0}))}else{const input=form.querySelector(`#id_s${section}field0`);input.value=`Edited ${step}`,input.dispatchEvent(new Event("input",{bubbles:!0}))}},flushMutations=()=>new Promise((resolve=>setTimeout(resolve,0))),time=fn=>{const start=performance.now(),result=fn();return{ms:performance.now()-start,result:result}};_exports.runBenchmark=async({sections:sections=20,fieldsPerSection:fieldsPerSection=25,edits:edits=30}={})=>{const form=buildSyntheticForm(sections,fieldsPerSection),container=document.createElement("div");container.style.position="absolute",container.style.left="-10000px",container.style.width="800px",container.setAttribute("aria-hidden","true"),container.appendChild(form),document.body.appendChild(container);const options={root:container},analyzer=(0,_dom_parser.createIncrementalAnalyzer)(options);try{const fullInitial=time((()=>(0,_dom_parser.extractDomElements)(options))),incrementalInitial=time((()=>analyzer.getElements()));let fullTotal=0,incrementalTotal=0;const differences=[];JSON.stringify(fullInitial.result)!==JSON.stringify(incrementalInitial.result)&&differences.push(0);for(let step=0;step<edits;step++){makeEdit(form,step,sections),await flushMutations();const full=time((()=>(0,_dom_parser.extractDomElements)(options)));fullTotal+=full.ms;const incremental=time((()=>analyzer.getElements()));incrementalTotal+=incremental.ms,JSON.stringify(full.result)!==JSON.stringify(incremental.result)&&differences.push(step+1)}const report={elements:fullInitial.result.length,edits:edits,fullInitialMs:Math.round(fullInitial.ms),incrementalInitialMs:Math.round(incrementalInitial.ms),fullPerEditMs:+(fullTotal/edits).toFixed(2),incrementalPerEditMs:+(incrementalTotal/edits).toFixed(2),speedup:+(fullTotal/Math.max(incrementalTotal,.01)).toFixed(1),matchesFullScan:0===differences.length,differences:differences,analyzerStats:analyzer.getStats()};return window.console.log(`Full scan: ${report.fullInitialMs} ms initially, ${report.fullPerEditMs} ms per edit`),window.console.log(`Incremental: ${report.incrementalInitialMs} ms initially, ${report.incrementalPerEditMs} ms per edit`),window.console.log(`${report.elements} elements, ${edits} edits: incremental analysis is ${report.speedup}x faster`+(report.matchesFullScan?" and matches the full scan after every edit":` but DIFFERS from the full scan after edits ${differences.join(", ")}`)),report}finally{analyzer.disconnect(),container.remove()}}}));
+
+//# sourceMappingURL=dom_parser_benchmark.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("block_helpchat/explain_buttons",["exports","core/str","core/templates","./chat","./dom_parser","./form_integration","./markdown"],(function(_exports,_str,_templates,_chat,_dom_parser,_form_integration,_markdown){var e;
+/**
+   * Buttons explaining form settings for Help Chat block
+   *
+   * When turned on for a block, every form field with a help icon gets a sparkle
+   * button beside it. Clicking it asks the AI what the setting does in this case,
+   * given its current value, the fields it depends on and the fields depending on it,
+   * and the section it is in. The answer is shown under the field, and clicking the
+   * button again hides it.
+   *
+   * @module     block_helpchat/explain_buttons
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=void 0,_templates=(e=_templates)&&e.__esModule?e:{default:e};const SELECTORS_HELPCHAT='[data-region="helpchat"]',SELECTORS_HELP_ANCHOR="a[data-bs-content]",SELECTORS_EXPLANATION=":scope > .helpchat-explanation",buildQuestion=(el,elements,intro)=>{var _el$current_value;const lines=[intro.replace("{$a}",el.label||el.name)];if(!elements.some((other=>other.id===el.id&&other.name===el.name)))return lines.join("\n");const shared=new Set(elements.map((other=>other.name)).filter((name=>name)));el.sections&&el.sections.length>0&&lines.push(`Section: ${el.sections.join(" > ")}`);const value="checkbox"===el.type||"radio"===el.type?el.checked?"checked":"unchecked":JSON.stringify(String(null!=(_el$current_value=el.current_value)?_el$current_value:""));lines.push(`Field: ${el.id||el.name}, current value ${value}${el.active?"":", disabled"}`),el.helptext&&lines.push(`Help text: ${el.helptext}`);const dependsOn=(el.dependencies||[]).map((dependency=>((dependency,shared)=>{const known=shared.has(dependency.controllingElement);if("declared"===dependency.source){var _dependency$value;const state=null!==dependency.satisfied&&known?dependency.satisfied?", which applies now":", which does not apply now":"",current=known?` (its value is ${JSON.stringify(dependency.controllingValue)}${state})`:"";return`${dependency.action} when ${dependency.controllingElement} ${dependency.operator} ${JSON.stringify(null!=(_dependency$value=dependency.value)?_dependency$value:"")}${current}`}return`shown when ${dependency.controllingElement} is ${JSON.stringify(dependency.requiredValue)}`+(known?` (its value is ${JSON.stringify(dependency.controllingValue)})`:"")})(dependency,shared)));el.depends_on_enabled&&dependsOn.push(`enabled by the checkbox ${el.depends_on_enabled}`),dependsOn.length>0&&lines.push(`It is ${dependsOn.join("; ")}.`);const dependents=elements.filter((other=>other.name!==el.name&&el.name&&((other.dependencies||[]).some((dependency=>dependency.controllingElement===el.name))||other.depends_on_enabled===el.name)));if(dependents.length>0){const names=Array.from(new Set(dependents.map((other=>other.label||other.name))));lines.push(`Fields depending on it: ${names.join(", ")}.`)}return lines.join("\n")},explainSetting=async(fitem,button,instanceId,pageType,strings)=>{const shown=fitem.querySelector(SELECTORS_EXPLANATION);if(shown)return shown.remove(),void button.setAttribute("aria-expanded","false");const explanation=document.createElement("div");explanation.className="helpchat-explanation helpchat-response-content",explanation.setAttribute("aria-live","polite"),explanation.textContent=strings.thinking,fitem.appendChild(explanation),button.setAttribute("aria-expanded","true"),button.disabled=!0;try{await(0,_form_integration.populateFormAnalysis)("form-analysis-data");const analysis=(0,_form_integration.getCurrentFormAnalysis)("form-analysis-data"),el=((fitem,elements)=>elements.find((el=>{if(!el.locator||"hidden"===el.type)return!1;const node=(0,_dom_parser.findElementByLocator)(el.locator);return null!==node&&fitem.contains(node)}))||null)(fitem,analysis&&analysis.form?(0,_dom_parser.flattenFormTree)(analysis.form):[]);if(!el)throw new Error(`No analysed field in ${fitem.id}`);(0,_form_integration.setFocusedField)(el.id);const shared=(0,_form_integration.getSharedAnalysis)("form-analysis-data"),elements=shared?(0,_dom_parser.flattenFormTree)(shared.form):[],context=(0,_form_integration.getPromptContext)("form-analysis-data",!0),markdown=await(0,_chat.sendMessage)(instanceId,buildQuestion(el,elements,strings.prompt),context?context.text:"",pageType);(0,_markdown.renderMarkdownInto)(explanation,markdown)}catch(error){window.console.error("Help Chat explanation failed:",error),explanation.textContent=strings.error}finally{button.disabled=!1}};_exports.init=async(instanceId,pageType)=>{const pageContent=document.getElementById("page-content")||document.body,fitems=Array.from(pageContent.querySelectorAll("form .fitem")).filter((fitem=>!fitem.closest(SELECTORS_HELPCHAT)&&fitem.querySelector(SELECTORS_HELP_ANCHOR)&&!fitem.querySelector(".helpchat-explain")));if(0===fitems.length)return;const[title,prompt,thinking,error]=await(0,_str.get_strings)([{key:"explainsetting",component:"block_helpchat"},{key:"explainsettingprompt",component:"block_helpchat"},{key:"explainsettingthinking",component:"block_helpchat"},{key:"errorprocessingrequest",component:"block_helpchat"}]),strings={prompt:prompt,thinking:thinking,error:error},icon=await _templates.default.renderPix("sparkles","block_helpchat",title);fitems.forEach((fitem=>{const anchor=fitem.querySelector(SELECTORS_HELP_ANCHOR),button=document.createElement("button");button.type="button",button.className="btn btn-link p-0 helpchat-explain",button.title=title,button.setAttribute("aria-label",title),button.setAttribute("aria-expanded","false"),button.innerHTML=icon,button.addEventListener("click",(e=>{e.preventDefault(),explainSetting(fitem,button,instanceId,pageType,strings)})),anchor.after(button)}))}}));
+
+//# sourceMappingURL=explain_buttons.min.js.map
\ No newline at end of file
@@ -0,0 +1,27 @@
+define("block_helpchat/extractors",["exports","./extractors/multichoice","./extractors/stack"],(function(_exports,_multichoice,_stack){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.unregisterExtractor=_exports.runExtractors=_exports.rerunExtractors=_exports.registerExtractor=_exports.getPageType=_exports.getExtractors=void 0;
+/**
+   * Registry of extractors that add structured data for particular forms.
+   *
+   * The DOM parser reads every form the same way. An extractor registered here for a
+   * page type or form id adds data shaped for that form, such as the answers of a
+   * multichoice question or the nodes of a STACK potential response tree, under its
+   * name in the extracted property of the analysis.
+   *
+   * Other plugins can register their own extractors:
+   *
+   *     import {registerExtractor} from 'block_helpchat/extractors';
+   *     registerExtractor({
+   *         name: 'qtype_myqtype',
+   *         pageTypes: ['question-type-myqtype'],
+   *         extract: (context) => ({hints: Array.from(context.getIndexed(/^hint\[(\d+)\]/).keys())})
+   *     });
+   *
+   * or from the console and plain scripts with window.MoodleDomParser.registerExtractor().
+   *
+   * @module     block_helpchat/extractors
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const extractors=[],matchesPattern=(pattern,value)=>new RegExp("^"+pattern.split("*").map((part=>part.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"))).join(".*")+"$").test(value),getPageType=()=>document.body&&document.body.id?document.body.id.replace(/^page-/,""):"";_exports.getPageType=getPageType;const registerExtractor=extractor=>{if(!extractor||"string"!=typeof extractor.name||""===extractor.name||"function"!=typeof extractor.extract)throw new Error("An extractor needs a name and an extract function");return unregisterExtractor(extractor.name),extractors.push({name:extractor.name,pageTypes:extractor.pageTypes||[],formIds:extractor.formIds||[],matches:extractor.matches||null,extract:extractor.extract}),()=>unregisterExtractor(extractor.name)};_exports.registerExtractor=registerExtractor;const unregisterExtractor=name=>{const index=extractors.findIndex((extractor=>extractor.name===name));return-1!==index&&(extractors.splice(index,1),!0)};_exports.unregisterExtractor=unregisterExtractor;_exports.getExtractors=()=>extractors.map((({name:name,pageTypes:pageTypes,formIds:formIds})=>({name:name,pageTypes:pageTypes,formIds:formIds})));const createContext=(root,elements,pageType)=>{const byName=new Map;elements.forEach((element=>{element.name&&!byName.has(element.name)&&byName.set(element.name,element)}));return{root:root,forms:root?Array.from(root.querySelectorAll("form")):[],pageType:pageType,elements:elements,getElement:name=>byName.get(name)||byName.get(`${name}[text]`)||null,getValue:name=>{const matching=elements.filter((element=>element.name===name||element.name===`${name}[text]`)),checkable=matching.filter((element=>"checkbox"===element.type||"radio"===element.type));if(checkable.length>0){const checked=checkable.find((element=>element.checked));if(checked)return checked.current_value;const hidden=matching.find((element=>"hidden"===element.type));return hidden?hidden.current_value:""}return matching.length>0?matching[0].current_value:""},getIndexed:pattern=>{const indexed=new Map;return elements.forEach((element=>{const match=element.name.match(pattern);if(match){const index=parseInt(match[1],10);indexed.has(index)||indexed.set(index,[]),indexed.get(index).push(element)}})),new Map(Array.from(indexed.entries()).sort(((a,b)=>a[0]-b[0])))}}};_exports.runExtractors=(root,elements,pageType=getPageType())=>{const context=createContext(root,elements,pageType),extracted={};return extractors.forEach((extractor=>{try{if(!((extractor,context)=>!!extractor.pageTypes.some((pattern=>matchesPattern(pattern,context.pageType)))||!!extractor.formIds.some((pattern=>context.forms.some((form=>form.id&&matchesPattern(pattern,form.id)))))||!!extractor.matches&&!!extractor.matches(context))(extractor,context))return;const data=extractor.extract(context);null!=data&&(extracted[extractor.name]=data)}catch(error){window.console.error(`Help Chat extractor "${extractor.name}" failed:`,error)}})),extracted};_exports.rerunExtractors=(names,elements,pageType=getPageType())=>{const context=createContext(null,elements,pageType),extracted={};return extractors.filter((extractor=>names.includes(extractor.name))).forEach((extractor=>{try{const data=extractor.extract(context);null!=data&&(extracted[extractor.name]=data)}catch(error){window.console.error(`Help Chat extractor "${extractor.name}" failed:`,error)}})),extracted},registerExtractor({name:"multichoice",pageTypes:["question-type-multichoice"],extract:_multichoice.extract}),registerExtractor({name:"stack",pageTypes:["question-type-stack"],extract:_stack.extract})}));
+
+//# sourceMappingURL=extractors.min.js.map
\ No newline at end of file
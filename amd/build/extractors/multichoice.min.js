@@ -0,0 +1,3 @@
+define("block_helpchat/extractors/multichoice",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.extract=void 0;_exports.extract=context=>{const indexed=context.getIndexed(/^answer\[(\d+)\](\[text\])?$/);if(0===indexed.size)return null;const answers=[];return indexed.forEach(((fields,index)=>{const answer=context.getValue(`answer[${index}]`);if(""===answer.trim())return;const fraction=parseFloat(context.getValue(`fraction[${index}]`));answers.push({index:index,answer:answer,fraction:isNaN(fraction)?0:fraction,feedback:context.getValue(`feedback[${index}]`)})})),{single:"1"===context.getValue("single"),shuffleanswers:"1"===context.getValue("shuffleanswers"),answernumbering:context.getValue("answernumbering"),answers:answers}}}));
+
+//# sourceMappingURL=multichoice.min.js.map
\ No newline at end of file
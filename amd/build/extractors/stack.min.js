@@ -0,0 +1,15 @@
+define("block_helpchat/extractors/stack",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.extract=void 0;
+/**
+   * Extractor for the STACK question editing form.
+   *
+   * Turns the fields of each potential response tree (prt1answertest[0],
+   * prt1truenextnode[0] and so on) into a graph of nodes and the edges between them,
+   * and lists the inputs with their type and model answer.
+   *
+   * @module     block_helpchat/extractors/stack
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const getBranch=(context,prefix,index)=>{const nextnode=context.getValue(`${prefix}nextnode[${index}]`);return{scoremode:context.getValue(`${prefix}scoremode[${index}]`),score:context.getValue(`${prefix}score[${index}]`),penalty:context.getValue(`${prefix}penalty[${index}]`),nextnode:""===nextnode||"-1"===nextnode?null:nextnode,answernote:context.getValue(`${prefix}answernote[${index}]`),feedback:context.getValue(`${prefix}feedback[${index}]`)}};_exports.extract=context=>{const names=[],inputs=[];return context.elements.forEach((element=>{const match=element.name.match(/^(.+?)answertest\[\d+\]$/);match&&!names.includes(match[1])&&names.push(match[1]);const input=element.name.match(/^(.+)modelans$/);input&&!inputs.some((item=>item.name===input[1]))&&inputs.push({name:input[1],type:context.getValue(`${input[1]}type`),modelans:context.getValue(element.name)})})),0===names.length&&0===inputs.length?null:{inputs:inputs,prts:names.map((name=>((context,name)=>{const escaped=name.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),nodes=[],edges=[];context.getIndexed(new RegExp(`^${escaped}answertest\\[(\\d+)\\]$`)).forEach(((fields,index)=>{const node={id:String(index),description:context.getValue(`${name}description[${index}]`),answertest:context.getValue(`${name}answertest[${index}]`),sans:context.getValue(`${name}sans[${index}]`),tans:context.getValue(`${name}tans[${index}]`),testoptions:context.getValue(`${name}testoptions[${index}]`),quiet:"1"===context.getValue(`${name}quiet[${index}]`),true:getBranch(context,`${name}true`,index),false:getBranch(context,`${name}false`,index)};nodes.push(node),["true","false"].forEach((branch=>{null!==node[branch].nextnode&&edges.push({from:node.id,to:node[branch].nextnode,branch:branch})}))}));const targets=new Set(edges.map((edge=>edge.to)));return{name:name,value:context.getValue(`${name}value`),autosimplify:"1"===context.getValue(`${name}autosimplify`),feedbackstyle:context.getValue(`${name}feedbackstyle`),feedbackvariables:context.getValue(`${name}feedbackvariables`),nodes:nodes,edges:edges,roots:nodes.filter((node=>!targets.has(node.id))).map((node=>node.id))}})(context,name)))}}}));
+
+//# sourceMappingURL=stack.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("block_helpchat/field_links",["exports","core/str","./dom_parser","./field_writer"],(function(_exports,_str,_dom_parser,_field_writer){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.registerFieldLinks=_exports.linkFieldMentions=_exports.highlightField=void 0;
+/**
+   * Links from responses to the form fields they mention for Help Chat block
+   *
+   * Field ids, and labels that belong to a single field, are turned into links the
+   * first time a response mentions them, as are field names in inline code. Following
+   * a link expands the collapsed sections around the field, scrolls to it, focuses it
+   * and flashes a highlight so it can be found on a long form.
+   *
+   * @module     block_helpchat/field_links
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const SKIPPED_SELECTOR="a, pre, button, select, .helpchat-suggestions, .helpchat-code-actions",showField=element=>{const fitem=element.closest(".fitem")||element;fitem.scrollIntoView({behavior:"smooth",block:"center"});const editor=(0,_field_writer.getRichTextEditor)(element);if(editor)editor.focus();else{const focusable=element.matches("input, select, textarea, button")?element:element.querySelector("input, select, textarea, button");focusable&&focusable.focus({preventScroll:!0})}fitem.classList.remove("helpchat-field-highlight"),fitem.offsetWidth,fitem.classList.add("helpchat-field-highlight"),setTimeout((()=>fitem.classList.remove("helpchat-field-highlight")),2e3)},highlightField=locator=>{const element=(0,_dom_parser.findElementByLocator)(locator);return!!element&&((element=>{let expanded=!1,fieldset=element.parentElement?element.parentElement.closest("fieldset"):null;for(;fieldset;){const container=fieldset.querySelector(":scope > .fcontainer, :scope > .collapse");if(container&&container.classList.contains("collapse")&&!container.classList.contains("show")){const toggle=container.id?document.querySelector(`[aria-controls="${CSS.escape(container.id)}"], [href="#${CSS.escape(container.id)}"]`):null;toggle?toggle.click():container.classList.add("show"),expanded=!0}fieldset.classList.contains("collapsed")&&(fieldset.classList.remove("collapsed"),expanded=!0),fieldset=fieldset.parentElement?fieldset.parentElement.closest("fieldset"):null}return expanded})(element)?setTimeout((()=>showField(element)),350):showField(element),!0)};_exports.highlightField=highlightField;const escapeRegExp=text=>text.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),createLink=(el,title)=>{const link=document.createElement("a");return link.href=el.id?`#${el.id}`:"#",link.className="helpchat-field-link",link.dataset.action="show-field",link.dataset.locator=JSON.stringify(el.locator),link.title=title,link};_exports.linkFieldMentions=async(container,elements)=>{const{terms:terms,code:code}=(elements=>{const terms=new Map,code=new Map,labelCounts=new Map,fields=elements.filter((el=>"hidden"!==el.type&&el.locator&&(el.id||el.name)));return fields.forEach((el=>{const label=(el.label||"").trim();label&&labelCounts.set(label,(labelCounts.get(label)||0)+1)})),fields.forEach((el=>{const label=(el.label||"").trim();label.length>=4&&1===labelCounts.get(label)&&(terms.set(label,el),code.set(label,el)),el.id&&(terms.set(el.id,el),code.set(el.id,el)),el.name&&!code.has(el.name)&&code.set(el.name,el)})),{terms:terms,code:code}})(elements||[]);if(0===terms.size&&0===code.size)return;const title=await(0,_str.get_string)("showfield","block_helpchat"),linkedCode=new Set;container.querySelectorAll("code").forEach((node=>{const el=code.get(node.textContent.trim());if(!el||linkedCode.has(el)||node.closest(SKIPPED_SELECTOR))return;linkedCode.add(el);const link=createLink(el,title);node.replaceWith(link),link.appendChild(node)}));const sorted=Array.from(terms.keys()).sort(((a,b)=>b.length-a.length));if(0===sorted.length)return;const pattern=new RegExp(`(^|[^\\w])(${sorted.map(escapeRegExp).join("|")})(?![\\w])`),linked=new Set,walker=document.createTreeWalker(container,NodeFilter.SHOW_TEXT,{acceptNode:node=>node.parentElement&&!node.parentElement.closest(`code, ${SKIPPED_SELECTOR}`)?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_REJECT}),textNodes=[];for(;walker.nextNode();)textNodes.push(walker.currentNode);textNodes.forEach((textNode=>{let match,node=textNode;for(;node&&null!==(match=node.textContent.match(pattern));){const el=terms.get(match[2]),start=match.index+match[1].length;if(linked.has(el)){node=node.splitText(start+match[2].length);continue}linked.add(el);const mention=node.splitText(start),rest=mention.splitText(match[2].length),link=createLink(el,title);mention.replaceWith(link),link.appendChild(mention),node=rest}}))};_exports.registerFieldLinks=container=>{container.addEventListener("click",(e=>{const link=e.target.closest('[data-action="show-field"]');if(!link||!container.contains(link))return;e.preventDefault();let locator=null;try{locator=JSON.parse(link.dataset.locator)}catch(error){return}highlightField(locator)||link.classList.add("helpchat-field-link-missing")}))}}));
+
+//# sourceMappingURL=field_links.min.js.map
\ No newline at end of file
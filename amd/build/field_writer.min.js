@@ -0,0 +1,14 @@
+define("block_helpchat/field_writer",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.writeFieldValue=_exports.watchRichTextEditors=_exports.readFieldValue=_exports.isRichTextEditor=_exports.getRichTextEditor=void 0;
+/**
+   * Read and write values of Moodle form fields for Help Chat block
+   *
+   * Handles plain inputs, selects, checkboxes and TinyMCE editors, and fires the
+   * events Moodle's form JavaScript (dependencies, change checker) listens for.
+   *
+   * @module     block_helpchat/field_writer
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const getRichTextEditor=element=>element&&element.id&&window.tinymce&&"function"==typeof window.tinymce.get&&window.tinymce.get(element.id)||null;_exports.getRichTextEditor=getRichTextEditor;_exports.watchRichTextEditors=callback=>{const seen=new Set,attach=editor=>{editor&&!seen.has(editor)&&(seen.add(editor),callback(editor))},handleFocus=e=>{"IFRAME"===e.target.tagName&&e.target.id.endsWith("_ifr")&&attach(getRichTextEditor(document.getElementById(e.target.id.replace(/_ifr$/,""))))},handleAdd=e=>attach(e.editor);document.addEventListener("focusin",handleFocus);const tinymce=window.tinymce;return tinymce&&"function"==typeof tinymce.get&&[].concat(tinymce.get()||[]).forEach(attach),tinymce&&"function"==typeof tinymce.on&&tinymce.on("AddEditor",handleAdd),()=>{document.removeEventListener("focusin",handleFocus),tinymce&&"function"==typeof tinymce.off&&tinymce.off("AddEditor",handleAdd)}};_exports.isRichTextEditor=element=>null!==getRichTextEditor(element)||!!element.id&&!!document.getElementById(`${element.id}_ifr`);_exports.readFieldValue=element=>{const editor=getRichTextEditor(element);return editor?editor.getContent():"checkbox"===element.type||"radio"===element.type?element.checked?element.value||"on":"":element.value||""};_exports.writeFieldValue=(element,value,format="text")=>{const editor=getRichTextEditor(element);if(editor)editor.setContent("html"===format?value:((text,code)=>{const escaped=text.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");return code?`<pre>${escaped}</pre>`:escaped.split(/\n{2,}/).map((paragraph=>`<p>${paragraph.replace(/\n/g,"<br>")}</p>`)).join("")})(value,"code"===format)),editor.undoManager.add(),editor.save(),"function"==typeof editor.dispatch?editor.dispatch("change"):"function"==typeof editor.fire&&editor.fire("change");else if("checkbox"===element.type||"radio"===element.type)element.checked=""!==value&&"0"!==value&&"false"!==value;else if("select"===element.tagName.toLowerCase()){const option=Array.from(element.options).find((opt=>opt.value===value||opt.text.trim()===value));if(!option)throw new Error(`"${value}" is not an option of ${element.id||element.name}`);element.value=option.value}else element.value=value;element.dispatchEvent(new Event("input",{bubbles:!0})),element.dispatchEvent(new Event("change",{bubbles:!0}))}}));
+
+//# sourceMappingURL=field_writer.min.js.map
\ No newline at end of file
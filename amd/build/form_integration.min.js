@@ -1,3 +1,11 @@
-define("block_helpchat/form_integration",["exports","./dom_parser"],(function(_exports,_dom_parser){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.populateFormAnalysis=_exports.initFormIntegration=_exports.getFormSummary=_exports.getCurrentFormAnalysis=void 0;var _systemImportTransformerGlobalIdentifier="undefined"!=typeof window?window:"undefined"!=typeof self?self:"undefined"!=typeof global?global:{};const initFormIntegration=function(hiddenFieldId){let options=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},debounceMs=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1e3;void 0===window.MoodleDomParser?(console.warn("DOM Parser not available, loading..."),("function"==typeof _systemImportTransformerGlobalIdentifier.define&&_systemImportTransformerGlobalIdentifier.define.amd?new Promise((function(resolve,reject){_systemImportTransformerGlobalIdentifier.require(["./dom_parser.js"],resolve,reject)})):"undefined"!=typeof module&&module.exports&&"undefined"!=typeof require||"undefined"!=typeof module&&module.component&&_systemImportTransformerGlobalIdentifier.require&&"component"===_systemImportTransformerGlobalIdentifier.require.loader?Promise.resolve(require("./dom_parser.js")):Promise.resolve(_systemImportTransformerGlobalIdentifier["./dom_parser.js"])).then((_ref=>{let{makeGloballyAccessible:makeGloballyAccessible}=_ref;makeGloballyAccessible(),setupIntegration(hiddenFieldId,options,debounceMs)})).catch((error=>{console.error("Failed to load DOM parser:",error)}))):setupIntegration(hiddenFieldId,options,debounceMs)};_exports.initFormIntegration=initFormIntegration;const setupIntegration=async(hiddenFieldId,options,debounceMs)=>{try{await(0,_dom_parser.populateHiddenField)(hiddenFieldId,options),console.log("Form integration initialized successfully");const cleanup=(0,_dom_parser.autoPopulateHiddenField)(hiddenFieldId,options,debounceMs);window.M.block_ai_chat.cleanupFormIntegration=cleanup;const form=document.querySelector("form.moodleform");form&&form.addEventListener("submit",(async e=>{try{await(0,_dom_parser.populateHiddenField)(hiddenFieldId,options)}catch(error){console.error("Failed to populate hidden field before submission:",error)}}))}catch(error){console.error("Form integration setup failed:",error)}},populateFormAnalysis=async function(hiddenFieldId){let options=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};try{if(void 0===window.MoodleDomParser)throw new Error("DOM Parser not available");return await(0,_dom_parser.populateHiddenField)(hiddenFieldId,options),console.log("Form analysis data populated manually"),!0}catch(error){return console.error("Manual form analysis failed:",error),!1}};_exports.populateFormAnalysis=populateFormAnalysis;const getCurrentFormAnalysis=hiddenFieldId=>{const hiddenField=document.getElementById(hiddenFieldId);if(!hiddenField||!hiddenField.value)return null;try{return JSON.parse(hiddenField.value)}catch(error){return console.error("Failed to parse form analysis data:",error),null}};_exports.getCurrentFormAnalysis=getCurrentFormAnalysis;const getFormSummary=hiddenFieldId=>{const analysis=getCurrentFormAnalysis(hiddenFieldId);if(!analysis||!analysis.elements)return null;const elements=analysis.elements;return{timestamp:analysis.timestamp,totalElements:elements.length,filledElements:elements.filter((el=>el.current_value&&""!==el.current_value.trim())).length,visibleElements:elements.filter((el=>1===el.visible)).length,hiddenElements:elements.filter((el=>0===el.visible)).length,formUrl:analysis.formUrl,elementTypes:{text:elements.filter((el=>["text","email","password"].includes(el.type))).length,select:elements.filter((el=>"select"===el.type)).length,textarea:elements.filter((el=>"textarea"===el.type)).length,checkbox:elements.filter((el=>"checkbox"===el.type)).length,radio:elements.filter((el=>"radio"===el.type)).length}}};_exports.getFormSummary=getFormSummary,void 0===M.block_ai_chat&&(M.block_ai_chat={}),M.block_ai_chat.initFormIntegration=initFormIntegration,M.block_ai_chat.populateFormAnalysis=populateFormAnalysis,M.block_ai_chat.getCurrentFormAnalysis=getCurrentFormAnalysis,M.block_ai_chat.getFormSummary=getFormSummary}));
+define("block_helpchat/form_integration",["exports","./dom_parser","./extractors","./field_writer","./form_serialiser"],(function(_exports,_dom_parser,_extractors,_field_writer,_form_serialiser){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.takeSnapshot=_exports.setFocusedField=_exports.setExclusions=_exports.refreshChangedFields=_exports.populateFormAnalysis=_exports.onFormAnalysisUpdated=_exports.initFormIntegration=_exports.getTargetElements=_exports.getSnapshots=_exports.getSharedAnalysis=_exports.getPromptContext=_exports.getFormSummary=_exports.getFieldKey=_exports.getCurrentFormAnalysis=_exports.excludeFromSnapshot=_exports.excludeFromAnalysis=_exports.diffSnapshots=void 0;var _systemImportTransformerGlobalIdentifier="undefined"!=typeof window?window:"undefined"!=typeof self?self:"undefined"!=typeof global?global:{};
+/**
+   * Moodle form integration for DOM parser
+   *
+   * @module     block_helpchat/form_integration
+   * @copyright  2025 ISB Bayern
+   * @author     Dr. Peter Mayer
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */const integrationOptions=new Map,activity={focused:"",edited:[]},snapshots=new Map,exclusions=new Map;_exports.setFocusedField=id=>{activity.focused=id};const initFormIntegration=(hiddenFieldId,options={},debounceMs=1e3)=>{0===integrationOptions.size&&(()=>{const isFormField=target=>target&&target.id&&target.closest&&target.closest("form")&&!target.closest('[data-region="helpchat"]');document.addEventListener("focusin",(e=>{isFormField(e.target)&&(activity.focused=e.target.id)}));const recordEdit=target=>{isFormField(target)&&(activity.edited=[target.id].concat(activity.edited.filter((id=>id!==target.id))).slice(0,20))};document.addEventListener("input",(e=>recordEdit(e.target))),document.addEventListener("change",(e=>recordEdit(e.target))),(0,_field_writer.watchRichTextEditors)((editor=>{editor.on("input change",(()=>recordEdit(editor.getElement())))}))})(),integrationOptions.set(hiddenFieldId,options),void 0===window.MoodleDomParser?(console.warn("DOM Parser not available, loading..."),("function"==typeof _systemImportTransformerGlobalIdentifier.define&&_systemImportTransformerGlobalIdentifier.define.amd?new Promise((function(resolve,reject){_systemImportTransformerGlobalIdentifier.require(["./dom_parser.js"],resolve,reject)})):"undefined"!=typeof module&&module.exports&&"undefined"!=typeof require||"undefined"!=typeof module&&module.component&&_systemImportTransformerGlobalIdentifier.require&&"component"===_systemImportTransformerGlobalIdentifier.require.loader?Promise.resolve(require("./dom_parser.js")):Promise.resolve(_systemImportTransformerGlobalIdentifier["./dom_parser.js"])).then((({makeGloballyAccessible:makeGloballyAccessible})=>{makeGloballyAccessible(),setupIntegration(hiddenFieldId,options,debounceMs)})).catch((error=>{console.error("Failed to load DOM parser:",error)}))):setupIntegration(hiddenFieldId,options,debounceMs)};_exports.initFormIntegration=initFormIntegration;const setupIntegration=async(hiddenFieldId,options,debounceMs)=>{try{exposeHistory(hiddenFieldId),await(0,_dom_parser.populateHiddenField)(hiddenFieldId,options),console.log("Form integration initialized successfully");const cleanup=(0,_dom_parser.autoPopulateHiddenField)(hiddenFieldId,options,debounceMs);window.M.block_helpchat.cleanupFormIntegration=cleanup;const form=document.querySelector("form.moodleform");form&&form.addEventListener("submit",(async e=>{try{await(0,_dom_parser.populateHiddenField)(hiddenFieldId,options)}catch(error){console.error("Failed to populate hidden field before submission:",error)}}))}catch(error){console.error("Form integration setup failed:",error)}},populateFormAnalysis=async(hiddenFieldId,options=integrationOptions.get(hiddenFieldId)||{})=>{try{if(void 0===window.MoodleDomParser)throw new Error("DOM Parser not available");return await(0,_dom_parser.populateHiddenField)(hiddenFieldId,options),console.log("Form analysis data populated manually"),!0}catch(error){return console.error("Manual form analysis failed:",error),!1}};_exports.populateFormAnalysis=populateFormAnalysis;_exports.refreshChangedFields=(hiddenFieldId,elements)=>((0,_dom_parser.invalidateAnalysedElements)(hiddenFieldId,elements),populateFormAnalysis(hiddenFieldId));const getCurrentFormAnalysis=hiddenFieldId=>{const hiddenField=document.getElementById(hiddenFieldId);if(!hiddenField||!hiddenField.value)return null;try{return JSON.parse(hiddenField.value)}catch(error){return console.error("Failed to parse form analysis data:",error),null}};_exports.getCurrentFormAnalysis=getCurrentFormAnalysis;_exports.onFormAnalysisUpdated=(hiddenFieldId,callback)=>{const hiddenField=document.getElementById(hiddenFieldId);return hiddenField?(hiddenField.addEventListener(_dom_parser.ANALYSIS_UPDATED_EVENT,callback),()=>hiddenField.removeEventListener(_dom_parser.ANALYSIS_UPDATED_EVENT,callback)):()=>{}};const takeSnapshot=analysis=>{const fields={};return(0,_dom_parser.flattenFormTree)(analysis.form).forEach((el=>{var _el$current_value;"hidden"!==el.type&&"submit"!==el.type&&"button"!==el.type&&(fields[el.id||el.name]={id:el.id,name:el.name,key:getFieldKey(el),label:el.label,sections:el.sections,section_ids:el.section_ids,value:null!=(_el$current_value=el.current_value)?_el$current_value:""})})),{timestamp:analysis.timestamp||(new Date).toISOString(),fields:fields}};_exports.takeSnapshot=takeSnapshot;const diffSnapshots=(before,after)=>{const diff={added:[],removed:[],changed:[]};return Object.keys(after.fields).forEach((key=>{const field=after.fields[key],old=before.fields[key];old?String(old.value)!==String(field.value)&&diff.changed.push({id:field.id,name:field.name,label:field.label,sections:field.sections,old:old.value,new:field.value}):diff.added.push(field)})),Object.keys(before.fields).forEach((key=>{after.fields[key]||diff.removed.push(before.fields[key])})),diff};_exports.diffSnapshots=diffSnapshots;const getSnapshots=hiddenFieldId=>(snapshots.get(hiddenFieldId)||[]).slice();_exports.getSnapshots=getSnapshots;const getFieldKey=el=>el.name||el.id;_exports.getFieldKey=getFieldKey;const excludeFromAnalysis=(analysis,excluded)=>{const fields=new Set(excluded.fields||[]),sections=new Set(excluded.sections||[]),left={fields:0,sections:[]},keep=el=>!fields.has(getFieldKey(el))||(left.fields++,!1),prune=items=>items.reduce(((kept,item)=>("section"===item.kind?item.id&&sections.has(item.id)?(left.sections.push(item.legend||item.id),left.fields+=(0,_dom_parser.flattenFormTree)({sections:[item],elements:[]}).length):kept.push(Object.assign({},item,{children:prune(item.children)})):"group"===item.kind?kept.push(Object.assign({},item,{children:prune(item.children)})):"repeat"===item.kind?kept.push(Object.assign({},item,{records:item.records.map((record=>Object.assign({},record,{elements:record.elements.filter(keep)})))})):keep(item)&&kept.push(item),kept)),[]),form={sections:prune(analysis.form.sections),elements:prune(analysis.form.elements)},names=Object.keys(analysis.extracted||{}).filter((name=>!(excluded.extracted||[]).includes(name)));let extracted={};return left.fields>0?extracted=(0,_extractors.rerunExtractors)(names,(0,_dom_parser.flattenFormTree)(form)):names.forEach((name=>{extracted[name]=analysis.extracted[name]})),Object.assign({},analysis,{form:form,extracted:extracted,excluded:left})};_exports.excludeFromAnalysis=excludeFromAnalysis;const excludeFromSnapshot=(snapshot,excluded)=>{const fields={};return Object.keys(snapshot.fields).forEach((key=>{const field=snapshot.fields[key];(excluded.fields||[]).includes(field.key||field.name||field.id)||(field.section_ids||[]).some((id=>(excluded.sections||[]).includes(id)))||(fields[key]=field)})),Object.assign({},snapshot,{fields:fields})};_exports.excludeFromSnapshot=excludeFromSnapshot;const setExclusions=(hiddenFieldId,excluded)=>{exclusions.set(hiddenFieldId,excluded)};_exports.setExclusions=setExclusions;const getSharedAnalysis=hiddenFieldId=>{const analysis=getCurrentFormAnalysis(hiddenFieldId);return analysis&&analysis.form?exclusions.has(hiddenFieldId)?excludeFromAnalysis(analysis,exclusions.get(hiddenFieldId)):analysis:null};_exports.getSharedAnalysis=getSharedAnalysis;_exports.getTargetElements=hiddenFieldId=>{const all=(0,_dom_parser.getAnalysedElements)(hiddenFieldId);let elements=[];if(all){const options=integrationOptions.get(hiddenFieldId)||{};elements=(0,_dom_parser.redactElements)(all,(0,_dom_parser.getRedactionRules)(options.redactionRules||[])).elements}else{const analysis=getCurrentFormAnalysis(hiddenFieldId);elements=analysis&&analysis.form?(0,_dom_parser.flattenFormTree)(analysis.form):[]}const excluded=exclusions.get(hiddenFieldId)||{},fields=excluded.fields||[],sections=excluded.sections||[];return elements.filter((el=>{if(fields.includes(getFieldKey(el)))return!1;const node=(0,_dom_parser.getNodeForElement)(el);for(let fieldset=node?node.closest("fieldset"):null;fieldset;fieldset=fieldset.parentElement?fieldset.parentElement.closest("fieldset"):null)if(fieldset.id&&sections.includes(fieldset.id))return!1;return!0}))};const getPromptContext=(hiddenFieldId,preview=!1)=>{const analysis=getSharedAnalysis(hiddenFieldId);if(!analysis)return null;const history=snapshots.get(hiddenFieldId)||[],snapshot=takeSnapshot(analysis),excluded=exclusions.get(hiddenFieldId),previous=history.length>0&&excluded?excludeFromSnapshot(history[history.length-1],excluded):history[history.length-1];preview||snapshots.set(hiddenFieldId,history.concat(snapshot).slice(-10));const options=integrationOptions.get(hiddenFieldId)||{};return(0,_form_serialiser.serialiseFormAnalysis)(analysis,{tokenBudget:options.tokenBudget,focused:activity.focused,edited:activity.edited,changes:previous?diffSnapshots(previous,snapshot):null})};_exports.getPromptContext=getPromptContext;const exposeHistory=hiddenFieldId=>{const resolve=(snapshot,fallback)=>{const history=getSnapshots(hiddenFieldId);return void 0===snapshot?history[history.length+fallback]:"number"==typeof snapshot?history[snapshot<0?history.length+snapshot:snapshot]:snapshot};window.MoodleDomParser.history=()=>getSnapshots(hiddenFieldId),window.MoodleDomParser.diff=(a,b)=>{const before=resolve(a,-2),after=resolve(b,-1);if(!before||!after)throw new Error("Two snapshots are needed, they are taken each time a message is sent");return diffSnapshots(before,after)}},countElements=elements=>({totalElements:elements.length,filledElements:elements.filter((el=>el.current_value&&""!==String(el.current_value).trim())).length,visibleElements:elements.filter((el=>el.visible)).length,hiddenElements:elements.filter((el=>!el.visible)).length}),summariseSection=section=>Object.assign({id:section.id,legend:section.legend,order:section.order,collapsible:section.collapsible,expanded:section.expanded,sections:section.children.filter((child=>"section"===child.kind)).map(summariseSection)},countElements((0,_dom_parser.flattenFormTree)({sections:[section],elements:[]}))),summariseRepeats=items=>items.reduce(((repeats,item)=>("repeat"===item.kind?repeats.push({name:item.name,fields:item.fields,total:item.total,filled:item.filled}):item.children&&repeats.push(...summariseRepeats(item.children)),repeats)),[]),describeElement=el=>({id:el.id,name:el.name,label:el.label,sections:el.sections}),getFormSummary=hiddenFieldId=>{const analysis=getCurrentFormAnalysis(hiddenFieldId);if(!analysis||!analysis.form)return null;const elements=(0,_dom_parser.flattenFormTree)(analysis.form),validated=elements.filter((el=>el.active&&"hidden"!==el.type)),requiredRadios=new Set(validated.filter((el=>"radio"===el.type&&el.checked)).map((el=>el.name))),emptyRequired=validated.filter((el=>el.required&&(el=>"checkbox"===el.type||"radio"===el.type?!el.checked:!el.current_value||""===String(el.current_value).trim())(el)&&!requiredRadios.has(el.name))).filter(((el,index,list)=>"radio"!==el.type||list.findIndex((other=>other.name===el.name))===index));return Object.assign({timestamp:analysis.timestamp,formUrl:analysis.formUrl,elementTypes:{text:elements.filter((el=>["text","email","password"].includes(el.type))).length,select:elements.filter((el=>"select"===el.type)).length,textarea:elements.filter((el=>"textarea"===el.type)).length,checkbox:elements.filter((el=>"checkbox"===el.type)).length,radio:elements.filter((el=>"radio"===el.type)).length},sections:analysis.form.sections.map(summariseSection),repeats:summariseRepeats(analysis.form.sections.concat(analysis.form.elements)),blockingErrors:elements.filter((el=>el.invalid)).map((el=>Object.assign(describeElement(el),{error:el.error}))),emptyRequired:emptyRequired.map(describeElement)},countElements(elements))};_exports.getFormSummary=getFormSummary,void 0===M.block_helpchat&&(M.block_helpchat={}),M.block_helpchat.initFormIntegration=initFormIntegration,M.block_helpchat.populateFormAnalysis=populateFormAnalysis,M.block_helpchat.getCurrentFormAnalysis=getCurrentFormAnalysis,M.block_helpchat.getFormSummary=getFormSummary,M.block_helpchat.getPromptContext=getPromptContext,M.block_helpchat.getSnapshots=getSnapshots,M.block_helpchat.setExclusions=setExclusions,M.block_helpchat.getSharedAnalysis=getSharedAnalysis,M.block_helpchat.diffSnapshots=diffSnapshots}));
 
 //# sourceMappingURL=form_integration.min.js.map
\ No newline at end of file
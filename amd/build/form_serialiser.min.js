@@ -0,0 +1,18 @@
+define("block_helpchat/form_serialiser",["exports","./dom_parser"],(function(_exports,_dom_parser){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.serialiseFormAnalysis=_exports.estimateTokens=_exports.DEFAULT_TOKEN_BUDGET=void 0;
+/**
+   * Compact text form of the form analysis for Help Chat block
+   *
+   * The JSON analysis is too verbose to send as it is on big forms. This turns it into
+   * one line per field, with its state, rules, dependencies and help text, grouped under
+   * headings for the sections and repeats it is in, within a token budget.
+   * Fields are ranked so the focused and recently edited fields come first, then
+   * fields with errors, visible fields and filled fields. Fields that do not fit are
+   * summarised at the end and reported in the result.
+   *
+   * @module     block_helpchat/form_serialiser
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const DEFAULT_TOKEN_BUDGET=_exports.DEFAULT_TOKEN_BUDGET=3e3,estimateTokens=text=>Math.ceil(text.length/4);_exports.estimateTokens=estimateTokens;const isFilled=el=>"checkbox"===el.type||"radio"===el.type?!!el.checked:void 0!==el.current_value&&null!==el.current_value&&""!==String(el.current_value).trim(),scoreElement=(el,activity)=>{let score=0;!activity.focused||el.id!==activity.focused&&el.name!==activity.focused||(score+=1e3);const edited=activity.edited.indexOf(el.id);return-1!==edited&&(score+=500-10*Math.min(edited,40)),el.invalid&&(score+=300),el.required&&!isFilled(el)&&(score+=150),el.visible&&(score+=100),isFilled(el)&&(score+=50),el.active&&(score+=20),"hidden"!==el.type&&"submit"!==el.type&&"button"!==el.type||(score-=200),score},shorten=(value,maxLength)=>value.length>maxLength?`${value.substring(0,maxLength)}… (${value.length} characters)`:value,listNames=(names,maxLength)=>{let listed=1;for(;listed<Math.min(names.length,10)&&names.slice(0,listed+1).join(", ").length<=maxLength;)listed++;const more=names.length>listed?` and ${names.length-listed} more`:"";return names.slice(0,listed).join(", ")+more},formatElement=(el,activity,maxLength)=>{const flags=[el.type];el.id&&el.id===activity.focused&&flags.push("focused"),el.id&&activity.edited.includes(el.id)&&flags.push("edited"),el.required&&flags.push("required"),el.active||flags.push("disabled"),el.visible||flags.push("hidden"),el.optional&&flags.push(el.enabled?"enabled":"not enabled"),el.group&&flags.push(`in group ${el.group.replace(/^fgroup_id_/,"")}`),el.truncated&&flags.push(`truncated from ${el.value_length} characters`);const name=el.name&&el.id!==`id_${el.name}`?` [${el.name}]`:"";let line=`- ${el.id||el.name}${name} "${el.label||""}" (${flags.join(", ")}) = ${((el,maxLength)=>{var _el$current_value;if("checkbox"===el.type||"radio"===el.type)return el.checked?`checked (${el.current_value})`:"unchecked";const value=JSON.stringify(shorten(String(null!=(_el$current_value=el.current_value)?_el$current_value:""),maxLength));if("select"!==el.type||!el.options)return value;const selected=el.options.find((option=>option.selected)),shown=selected&&selected.text.trim()!==el.current_value?`${value} (${selected.text.trim()})`:value;return el.options.length<=8?`${shown} of ${el.options.map((option=>`${option.value}=${option.text.trim()}`)).join(" | ")}`:`${shown} of ${el.options.length} options`})(el,maxLength)}`;el.invalid&&(line+=` ERROR: ${el.error?JSON.stringify(el.error):"invalid"}`),el.rules&&el.rules.length>0&&(line+=` rules: ${el.rules.join(", ")}`);const dependencies=((el,maxLength)=>{const quote=value=>JSON.stringify(shorten(String(null!=value?value:""),maxLength)),conditions=(el.dependencies||[]).map((dependency=>{if("declared"===dependency.source){const value=["checked","notchecked","noitemselected"].includes(dependency.operator)?"":` ${quote(dependency.value)}`,state=null===dependency.satisfied?"":`, ${dependency.satisfied?"applies":"does not apply"} now`;return`${dependency.action} if ${dependency.controllingElement} ${dependency.operator}${value} (declared${state})`}return`shown if ${dependency.controllingElement} = ${quote(dependency.requiredValue)} (heuristic, now ${quote(dependency.controllingValue)})`}));return el.depends_on_enabled&&conditions.push(`enabled by ${el.depends_on_enabled}`),conditions.join("; ")})(el,maxLength);if(dependencies&&(line+=` depends on: ${dependencies}`),el.helptext&&(line+=` help: ${JSON.stringify(shorten(el.helptext,maxLength))}`),el.rich_text&&el.rich_text.media&&el.rich_text.media.length>0){line+=` media: ${el.rich_text.media.map((item=>`${item.type} ${((src,maxLength)=>{const data=String(null!=src?src:"").match(/^data:([^;,]*)[^,]*,/);return data?`data:${data[1]||"text/plain"} (${src.length} characters)`:shorten(String(null!=src?src:""),maxLength)})(item.src,maxLength)} alt=${JSON.stringify(null===item.alt?null:shorten(String(item.alt),maxLength))}`)).join("; ")}`}return line},formatHeading=(sections,collapsed)=>0===sections.length?"## (no section)":"## "+sections.map(((legend,index)=>collapsed.has(sections.slice(0,index+1).join(" > "))?`${legend} (collapsed)`:legend)).join(" > "),formatRepeat=(name,repeat)=>{if(!repeat)return`### Repeat ${name}`;const spare=repeat.total>repeat.records.length?", the blank spare ones not listed":"";return`### Repeat ${name} (${repeat.fields.join(", ")}): ${repeat.filled} of ${repeat.total} filled${spare}`},getCategory=el=>el.visible&&"hidden"!==el.type?el.active?isFilled(el)?"other":"empty":"disabled":"hidden",compose=(header,included,extractedLines,notices,dropped,droppedExtracted,total,structure)=>{const lines=header.slice();let section=null,repeat=null;included.slice().sort(((a,b)=>a.position-b.position)).forEach((({el:el,line:line})=>{const path=(el.sections||[]).join(" > ");path!==section&&(section=path,repeat=null,lines.push(formatHeading(el.sections||[],structure.collapsed))),el.repeat&&el.repeat!==repeat&&lines.push(formatRepeat(el.repeat,structure.repeats.get(el.repeat))),repeat=el.repeat||null,lines.push(line)})),lines.push(...extractedLines),lines.push(...notices);const droppedList=dropped.slice().sort(((a,b)=>a.position-b.position)).map((({el:el})=>({id:el.id,name:el.name,label:el.label,sections:el.sections||[],category:getCategory(el)})));if(droppedList.length>0){const categories={},sections={};droppedList.forEach((item=>{categories[item.category]=(categories[item.category]||0)+1;const path=item.sections.join(" > ")||"(no section)";sections[path]=(sections[path]||0)+1}));const bySize=Object.keys(sections).sort(((a,b)=>sections[b]-sections[a])),more=bySize.length>10?`, and ${bySize.length-10} more sections`:"";lines.push(`Not shown to keep within the size limit: ${droppedList.length} of ${total} fields (`+Object.keys(categories).map((category=>`${categories[category]} ${category}`)).join(", ")+"). By section: "+bySize.slice(0,10).map((path=>`${path} ${sections[path]}`)).join(", ")+more+".")}return droppedExtracted.length>0&&lines.push(`Structured data not shown: ${droppedExtracted.join(", ")}.`),{text:lines.join("\n"),dropped:droppedList}};_exports.serialiseFormAnalysis=(analysis,options={})=>{const budget=Math.max(200,options.tokenBudget||DEFAULT_TOKEN_BUDGET),activity={focused:options.focused||"",edited:options.edited||[]},tree=analysis.form||{sections:[],elements:[]},elements=(0,_dom_parser.flattenFormTree)(tree),structure=(tree=>{const structure={collapsed:new Set,repeats:new Map},visit=(items,path)=>{items.forEach((item=>{if("section"===item.kind){const sectionPath=path.concat(item.legend);item.collapsible&&!item.expanded&&structure.collapsed.add(sectionPath.join(" > ")),visit(item.children,sectionPath)}else"group"===item.kind?visit(item.children,path):"repeat"===item.kind&&structure.repeats.set(item.name,item)}))};return visit(tree.sections.concat(tree.elements),[]),structure})(tree),maxValueLength=Math.max(120,Math.floor(4*budget/20)),header=[`Form: ${analysis.formUrl||""}`];options.changes&&header.push(...((changes,maxTokens,maxLength)=>{const quote=value=>JSON.stringify(shorten(String(null!=value?value:""),maxLength)),describe=field=>`${field.id||field.name} "${field.label||""}"`,changeLines=[].concat(changes.changed.map((field=>`- changed ${describe(field)} from ${quote(field.old)} to ${quote(field.new)}`)),changes.added.map((field=>`- added ${describe(field)} = ${quote(field.value)}`)),changes.removed.map((field=>`- removed ${describe(field)}, was ${quote(field.value)}`)));if(0===changeLines.length)return[];const lines=["Changes since the last message:"];let used=estimateTokens(lines[0]);for(let i=0;i<changeLines.length;i++){const tokens=estimateTokens(changeLines[i])+1;if(used+tokens>maxTokens){lines.push(`- and ${changeLines.length-i} more changes`);break}lines.push(changeLines[i]),used+=tokens}return lines})(options.changes,.25*budget,maxValueLength));const notices=[];if(analysis.excluded&&(analysis.excluded.fields>0||analysis.excluded.sections.length>0)){const sections=analysis.excluded.sections.length>0?`, including the sections ${listNames(analysis.excluded.sections,maxValueLength)}`:"";notices.push(`Not shared by the user: ${analysis.excluded.fields} fields${sections}.`)}if(analysis.redacted&&analysis.redacted.length>0){const names=analysis.redacted.map((item=>item.name||item.id));notices.push(`Redacted: ${names.length} fields (${listNames(names,maxValueLength)})`)}let used=estimateTokens(header.concat(notices).join("\n"));const available=budget-Math.ceil(.08*budget),extractedLines=[],droppedExtracted=[];Object.keys(analysis.extracted||{}).forEach((name=>{const line=`Structured data (${name}): ${JSON.stringify(analysis.extracted[name])}`,tokens=estimateTokens(line);tokens<=.3*budget&&used+tokens<=available?(extractedLines.push(line),used+=tokens):droppedExtracted.push(name)}));const ranked=elements.map(((el,position)=>({el:el,position:position,score:scoreElement(el,activity)}))).sort(((a,b)=>b.score-a.score||a.position-b.position)),included=[],dropped=[];ranked.forEach((entry=>{entry.line=formatElement(entry.el,activity,maxValueLength);const repeatHeading=entry.el.repeat?formatRepeat(entry.el.repeat,structure.repeats.get(entry.el.repeat)):"",sectionHeading=formatHeading(entry.el.sections||[],structure.collapsed),tokens=estimateTokens(entry.line)+1+estimateTokens(sectionHeading)+estimateTokens(repeatHeading);used+tokens<=available?(included.push(entry),used+=tokens):dropped.push(entry)}));let composed=compose(header,included,extractedLines,notices,dropped,droppedExtracted,elements.length,structure);for(;estimateTokens(composed.text)>budget&&included.length>0;)dropped.push(included.pop()),composed=compose(header,included,extractedLines,notices,dropped,droppedExtracted,elements.length,structure);return{text:composed.text,tokens:estimateTokens(composed.text),included:included.length,total:elements.length,dropped:composed.dropped,droppedExtracted:droppedExtracted}}}));
+
+//# sourceMappingURL=form_serialiser.min.js.map
\ No newline at end of file
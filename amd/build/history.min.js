@@ -0,0 +1,14 @@
+define("block_helpchat/history",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.loadHistory=_exports.getContextMessages=_exports.clearHistory=_exports.addMessage=_exports.MAX_CONTEXT_MESSAGES=void 0;
+/**
+   * Conversation history for Help Chat block
+   *
+   * The thread is kept in sessionStorage, keyed by block instance and page URL,
+   * so it survives navigation and reloads of the same page.
+   *
+   * @module     block_helpchat/history
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const MAX_CONTEXT_MESSAGES=_exports.MAX_CONTEXT_MESSAGES=20,getStorageKey=instanceId=>`block_helpchat/history/${instanceId}/${window.location.pathname}${window.location.search}`,loadHistory=instanceId=>{try{const stored=JSON.parse(window.sessionStorage.getItem(getStorageKey(instanceId)));return Array.isArray(stored)?stored:[]}catch(error){return[]}};_exports.loadHistory=loadHistory;_exports.addMessage=(instanceId,role,content)=>{const messages=loadHistory(instanceId);return messages.push({role:role,content:content}),((instanceId,messages)=>{try{window.sessionStorage.setItem(getStorageKey(instanceId),JSON.stringify(messages.slice(-50)))}catch(error){window.console.warn("Help Chat conversation could not be stored:",error)}})(instanceId,messages),messages};_exports.clearHistory=instanceId=>{try{window.sessionStorage.removeItem(getStorageKey(instanceId))}catch(error){}};_exports.getContextMessages=instanceId=>loadHistory(instanceId).slice(-MAX_CONTEXT_MESSAGES)}));
+
+//# sourceMappingURL=history.min.js.map
\ No newline at end of file
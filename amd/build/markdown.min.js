@@ -0,0 +1,22 @@
+define("block_helpchat/markdown",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.sanitizeUrl=_exports.renderPartialMarkdown=_exports.renderMarkdownInto=_exports.renderMarkdown=_exports.escapeHtml=void 0;var _systemImportTransformerGlobalIdentifier="undefined"!=typeof window?window:"undefined"!=typeof self?self:"undefined"!=typeof global?global:{};function _createForOfIteratorHelperLoose(r,e){var t="undefined"!=typeof Symbol&&r[Symbol.iterator]||r["@@iterator"];if(t)return(t=t.call(r)).next.bind(t);if(Array.isArray(r)||(t=function(r,a){if(r){if("string"==typeof r)return _arrayLikeToArray(r,a);var t={}.toString.call(r).slice(8,-1);return"Object"===t&&r.constructor&&(t=r.constructor.name),"Map"===t||"Set"===t?Array.from(r):"Arguments"===t||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t)?_arrayLikeToArray(r,a):void 0}}(r))||e&&r&&"number"==typeof r.length){t&&(r=t);var o=0;return function(){return o>=r.length?{done:!0}:{done:!1,value:r[o++]}}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}function _arrayLikeToArray(r,a){(null==a||a>r.length)&&(a=r.length);for(var e=0,n=Array(a);e<a;e++)n[e]=r[e];return n}
+/**
+   * Markdown renderer for Help Chat block
+   *
+   * Responses come from an LLM and must be treated as untrusted input. The
+   * markdown is tokenized into blocks and inlines and rendered from scratch:
+   * all text is HTML escaped, raw HTML is shown as text, and links and images
+   * are only rendered for whitelisted URL schemes.
+   *
+   * Maths in \( \), \[ \] or $$ $$ delimiters and STACK CAS text in {@ @}
+   * is kept out of the markdown pass and left for Moodle's filters (MathJax) to
+   * typeset once the HTML is in the page.
+   *
+   * The module has no dependencies so the output can be pinned by the fixture
+   * corpus in tests/fixtures/markdown (see tests/js/markdown_test.mjs).
+   *
+   * @module     block_helpchat/markdown
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */const ALLOWED_SCHEMES=["http","https","mailto"],HTML_ESCAPES={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"},MATH_DELIMITERS=[{open:"$$",close:"$$",display:!0},{open:"\\[",close:"\\]",display:!0},{open:"\\(",close:"\\)",display:!1},{open:"{@",close:"@}",display:!1,cas:!0}],PATTERNS={FENCE_OPEN:/^( {0,3})(`{3,}|~{3,})(.*)$/,HEADING:/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,THEMATIC_BREAK:/^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/,BLOCKQUOTE:/^ {0,3}> ?(.*)$/,LIST_ITEM:/^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)(.*)$/,INDENTED_CODE:/^ {4}(.*)$/,SETEXT_UNDERLINE:/^ {0,3}(=+|-+)[ \t]*$/,TABLE_DELIMITER:/^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,REFERENCE_DEFINITION:/^ {0,3}\[((?:[^\\\]]|\\.){1,999})\]:[ \t]*(?:<([^<>\n]*)>|(\S+))(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/,ENTITY:/^&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/,AUTOLINK_URI:/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/,AUTOLINK_EMAIL:/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/,BARE_URL:/^(?:https?:\/\/|www\.)[^\s<]+/,ASCII_PUNCTUATION:/^[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]$/,PUNCTUATION:/[!-/:-@[-`{-~¡-¿‐-‧‰-⁞　-〿]/,WHITESPACE:/\s/},escapeHtml=text=>String(text).replace(/[&<>"']/g,(char=>HTML_ESCAPES[char]));_exports.escapeHtml=escapeHtml;const sanitizeUrl=url=>{const trimmed=String(url).trim(),scheme=Array.from(trimmed).filter((char=>char>" "&&""!==char)).join("").match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);return scheme&&!ALLOWED_SCHEMES.includes(scheme[1].toLowerCase())?null:trimmed.replace(/ /g,"%20")};_exports.sanitizeUrl=sanitizeUrl;const unescapeBackslashes=text=>text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g,"$1"),normaliseLabel=label=>label.trim().replace(/\s+/g," ").toLowerCase(),expandTabs=line=>{if(-1===line.indexOf("\t"))return line;let result="";for(var _step,_iterator=_createForOfIteratorHelperLoose(line);!(_step=_iterator()).done;){const char=_step.value;result+="\t"===char?" ".repeat(4-result.length%4):char}return result},indentOf=line=>line.length-line.replace(/^ +/,"").length,isBlank=line=>/^[ \t]*$/.test(line),findMathSpan=(text,start)=>{for(var _i=0,_MATH_DELIMITERS=MATH_DELIMITERS;_i<_MATH_DELIMITERS.length;_i++){const delimiter=_MATH_DELIMITERS[_i];if(!text.startsWith(delimiter.open,start))continue;const end=text.indexOf(delimiter.close,start+delimiter.open.length);if(end>start+delimiter.open.length)return{text:text.slice(start,end+delimiter.close.length),display:delimiter.display,cas:!!delimiter.cas}}return null},splitTableRow=line=>{let row=line.trim();row.startsWith("|")&&(row=row.slice(1)),row.endsWith("|")&&!row.endsWith("\\|")&&(row=row.slice(0,-1));const cells=[];let current="";for(let i=0;i<row.length;i++)"\\"===row[i]&&"|"===row[i+1]?(current+="|",i++):"|"===row[i]?(cells.push(current.trim()),current=""):current+=row[i];return cells.push(current.trim()),cells},startsTable=(header,delimiter)=>!(void 0===delimiter||-1===header.indexOf("|")||!PATTERNS.TABLE_DELIMITER.test(delimiter))&&splitTableRow(header).length===splitTableRow(delimiter).length,interruptsParagraph=line=>{if(isBlank(line)||PATTERNS.HEADING.test(line)||PATTERNS.THEMATIC_BREAK.test(line)||PATTERNS.BLOCKQUOTE.test(line))return!0;const fence=line.match(PATTERNS.FENCE_OPEN);if(fence&&("`"!==fence[2][0]||-1===fence[3].indexOf("`")))return!0;const item=line.match(PATTERNS.LIST_ITEM);return!(!item||isBlank(item[3]))&&(!/^\d/.test(item[2])||1===parseInt(item[2],10))},parseBlocks=(lines,references)=>{const blocks=[];let i=0,ranged=0,startLine=0;const recordRanges=()=>{for(;ranged<blocks.length;ranged++)blocks[ranged].firstLine=startLine,blocks[ranged].lastLine=i;startLine=i};for(;i<lines.length;){recordRanges();const line=lines[i];if(isBlank(line)){i++;continue}const fence=line.match(PATTERNS.FENCE_OPEN);if(fence&&("`"!==fence[2][0]||-1===fence[3].indexOf("`"))){const indent=fence[1].length,marker=fence[2],language=unescapeBackslashes(fence[3].trim().split(/\s+/)[0]||""),content=[];for(i++;i<lines.length;){const closing=lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);if(closing&&closing[1][0]===marker[0]&&closing[1].length>=marker.length){i++;break}content.push(lines[i].slice(Math.min(indent,indentOf(lines[i])))),i++}blocks.push({type:"code",language:language,text:content.join("\n")});continue}const heading=line.match(PATTERNS.HEADING);if(heading){blocks.push({type:"heading",level:heading[1].length,text:(heading[2]||"").trim()}),i++;continue}if(PATTERNS.THEMATIC_BREAK.test(line)){blocks.push({type:"hr"}),i++;continue}if(PATTERNS.BLOCKQUOTE.test(line)){const content=[];for(;i<lines.length;){const quoted=lines[i].match(PATTERNS.BLOCKQUOTE);if(quoted)content.push(quoted[1]);else{if(isBlank(lines[i])||!content.length||isBlank(content[content.length-1])||interruptsParagraph(lines[i]))break;content.push(lines[i])}i++}blocks.push({type:"blockquote",children:parseBlocks(content,references)});continue}if(PATTERNS.LIST_ITEM.test(line)){i=parseList(lines,i,blocks,references);continue}if(PATTERNS.INDENTED_CODE.test(line)){const content=[];for(;i<lines.length&&(PATTERNS.INDENTED_CODE.test(lines[i])||isBlank(lines[i]));)content.push(lines[i].slice(Math.min(4,indentOf(lines[i])))),i++;for(;content.length&&isBlank(content[content.length-1]);)content.pop(),i--;blocks.push({type:"code",language:"",text:content.join("\n")});continue}const mathOpen=MATH_DELIMITERS.find((delimiter=>delimiter.display&&line.trim().startsWith(delimiter.open)));if(mathOpen&&-1===line.indexOf(mathOpen.close,line.indexOf(mathOpen.open)+mathOpen.open.length)){let end=i+1;for(;end<lines.length&&-1===lines[end].indexOf(mathOpen.close);)end++;if(end<lines.length&&lines[end].trim().endsWith(mathOpen.close)){blocks.push({type:"math",text:lines.slice(i,end+1).map((l=>l.trim())).join("\n")}),i=end+1;continue}}if(startsTable(line,lines[i+1])){i=parseTable(lines,i,blocks);continue}const content=[];let setextLevel=0;for(;i<lines.length;){const current=lines[i];if(content.length){const underline=current.match(PATTERNS.SETEXT_UNDERLINE);if(underline){setextLevel="="===underline[1][0]?1:2,i++;break}if(interruptsParagraph(current)||startsTable(current,lines[i+1]))break}content.push(current.replace(/^ +/,"")),i++}for(content.length&&(content[content.length-1]=content[content.length-1].replace(/[ \t]+$/,""));content.length;){const definition=content[0].match(PATTERNS.REFERENCE_DEFINITION);if(!definition)break;const label=normaliseLabel(definition[1]);label&&!references[label]&&(references[label]={url:unescapeBackslashes(void 0!==definition[2]?definition[2]:definition[3]),title:definition[4]?unescapeBackslashes(definition[4].slice(1,-1)):""}),content.shift()}content.length&&(setextLevel?blocks.push({type:"heading",level:setextLevel,text:content.join("\n")}):blocks.push({type:"paragraph",text:content.join("\n")}))}return recordRanges(),blocks},parseList=(lines,start,blocks,references)=>{const first=lines[start].match(PATTERNS.LIST_ITEM),ordered=/^\d/.test(first[2]),markerKind=ordered?first[2].slice(-1):first[2],list={type:"list",ordered:ordered,start:ordered?parseInt(first[2],10):1,loose:!1,items:[]};let i=start;for(;i<lines.length;){let next=i;for(;next<lines.length&&isBlank(lines[next]);)next++;const item=next<lines.length?lines[next].match(PATTERNS.LIST_ITEM):null;if(!item||(ordered?item[2].slice(-1):item[2])!==markerKind||PATTERNS.THEMATIC_BREAK.test(lines[next]))break;next>i&&(list.loose=!0),i=next;const markerEnd=item[1].length+item[2].length,rest=item[3],spaces=indentOf(rest);let contentIndent,firstLine;isBlank(rest)?(contentIndent=markerEnd+1,firstLine=""):spaces>4?(contentIndent=markerEnd+1,firstLine=rest.slice(1)):(contentIndent=markerEnd+spaces,firstLine=rest.slice(spaces));const content=[firstLine];for(i++;i<lines.length;){const current=lines[i];if(isBlank(current)){if(1===content.length&&""===content[0])break;content.push("")}else if(indentOf(current)>=contentIndent)content.push(current.slice(contentIndent));else{if(isBlank(content[content.length-1])||interruptsParagraph(current)||PATTERNS.LIST_ITEM.test(current))break;content.push(current.trim())}i++}for(;content.length>1&&""===content[content.length-1];)content.pop(),i--;const children=parseBlocks(content,references);for(let c=1;c<children.length;c++)children[c].firstLine>children[c-1].lastLine&&(list.loose=!0);list.items.push(children)}return blocks.push(list),i},parseTable=(lines,start,blocks)=>{const header=splitTableRow(lines[start]),align=splitTableRow(lines[start+1]).map((cell=>cell.startsWith(":")&&cell.endsWith(":")?"center":cell.endsWith(":")?"right":cell.startsWith(":")?"left":"")),rows=[];let i=start+2;for(;i<lines.length&&!isBlank(lines[i])&&!interruptsParagraph(lines[i]);){const cells=splitTableRow(lines[i]);rows.push(header.map(((_,index)=>cells[index]||""))),i++}return blocks.push({type:"table",header:header,align:align,rows:rows}),i},getFlanking=(before,after)=>{const beforeSpace=PATTERNS.WHITESPACE.test(before),afterSpace=PATTERNS.WHITESPACE.test(after),beforePunct=PATTERNS.PUNCTUATION.test(before),afterPunct=PATTERNS.PUNCTUATION.test(after);return{left:!afterSpace&&(!afterPunct||beforeSpace||beforePunct),right:!beforeSpace&&(!beforePunct||afterSpace||afterPunct)}},findClosingBracket=(text,start)=>{let depth=0;for(let i=start;i<text.length;i++){const char=text[i];if("\\"===char)i++;else if("`"===char){const run=text.slice(i).match(/^`+/)[0],end=text.indexOf(run,i+run.length);-1!==end&&(i=end+run.length-1)}else if("["===char)depth++;else if("]"===char&&(depth--,0===depth))return i}return-1},parseLinkDestination=(text,start)=>{let i=start+1;const skipSpace=()=>{for(;i<text.length&&/[ \t\n]/.test(text[i]);)i++};skipSpace();let url="";if("<"===text[i]){const end=text.indexOf(">",i);if(-1===end||-1!==text.slice(i+1,end).indexOf("\n"))return null;url=text.slice(i+1,end),i=end+1}else{let depth=0;const begin=i;for(;i<text.length&&!/[ \t\n]/.test(text[i]);)if("\\"!==text[i]){if("("===text[i])depth++;else if(")"===text[i]){if(0===depth)break;depth--}i++}else i+=2;url=text.slice(begin,i)}const beforeTitle=i;skipSpace();let title="";const quote=text[i];if(i>beforeTitle&&('"'===quote||"'"===quote||"("===quote)){const closing="("===quote?")":quote;let end=i+1;for(;end<text.length&&text[end]!==closing;)end+="\\"===text[end]?2:1;if(end>=text.length)return null;title=text.slice(i+1,end),i=end+1,skipSpace()}return")"!==text[i]?null:{url:unescapeBackslashes(url),title:unescapeBackslashes(title),end:i}},parseInline=(text,references,inLink=!1)=>{const nodes=[];let buffer="";const flush=()=>{buffer&&(nodes.push({type:"text",text:buffer}),buffer="")};let i=0;for(;i<text.length;){const char=text[i],rest=text.slice(i);if("$"===char||"\\"===char||"{"===char){const math=findMathSpan(text,i);if(math){flush(),nodes.push({type:"math",text:math.text,cas:math.cas}),i+=math.text.length;continue}}if("\\"!==char){if("`"===char){const run=rest.match(/^`+/)[0];let end=i+run.length,found=-1;for(;-1!==(end=text.indexOf(run,end));){if("`"!==text[end+run.length]&&"`"!==text[end-1]){found=end;break}end+=run.length}if(-1===found){buffer+=run,i+=run.length;continue}let code=text.slice(i+run.length,found).replace(/\n/g," ");(/^ .*[^ ].* $/.test(code)||/^ [^ ] $/.test(code))&&(code=code.slice(1,-1)),flush(),nodes.push({type:"code",text:code}),i=found+run.length;continue}if("&"===char){const entity=rest.match(PATTERNS.ENTITY);if(entity){flush(),nodes.push({type:"entity",text:entity[0]}),i+=entity[0].length;continue}}if("<"===char){const uri=rest.match(PATTERNS.AUTOLINK_URI),email=uri?null:rest.match(PATTERNS.AUTOLINK_EMAIL);if(uri||email){const match=uri||email;flush(),nodes.push({type:"link",url:uri?match[1]:"mailto:"+match[1],title:"",children:[{type:"text",text:match[1]}]}),i+=match[0].length;continue}}if(!inLink&&("h"===char||"w"===char)&&(0===i||/[\s*_~(]/.test(text[i-1]))){const bare=rest.match(PATTERNS.BARE_URL);if(bare){let url=bare[0].replace(/[?!.,:*_~'"]+$/,"");for(;url.endsWith(")")&&url.split("(").length<url.split(")").length;)url=url.slice(0,-1).replace(/[?!.,:*_~'"]+$/,"");if(url.length>4){flush(),nodes.push({type:"link",url:url.startsWith("www.")?"http://"+url:url,title:"",children:[{type:"text",text:url}]}),i+=url.length;continue}}}if("["===char||"!"===char&&"["===text[i+1]){const image="!"===char,open=image?i+1:i,close=findClosingBracket(text,open);if(-1!==close&&(image||!inLink)){const label=text.slice(open+1,close);let target=null,end=close;if("("===text[close+1]&&(target=parseLinkDestination(text,close+1),target&&(end=target.end)),!target){const reference=text.slice(close+1).match(/^\[((?:[^\\\]]|\\.)*)\]/),key=normaliseLabel(reference&&reference[1]?reference[1]:label);references[key]&&(target=references[key],end=reference?close+reference[0].length:close)}if(target){flush(),nodes.push({type:image?"image":"link",url:target.url,title:target.title,children:parseInline(label,references,!0)}),i=end+1;continue}}buffer+=char,i++;continue}if("*"===char||"_"===char||"~"===char){const run=rest.match("*"===char?/^\*+/:"_"===char?/^_+/:/^~+/)[0],before=0===i?" ":text[i-1],after=i+run.length>=text.length?" ":text[i+run.length],flanking=getFlanking(before,after);let canOpen=flanking.left,canClose=flanking.right;"_"===char&&(canOpen=flanking.left&&(!flanking.right||PATTERNS.PUNCTUATION.test(before)),canClose=flanking.right&&(!flanking.left||PATTERNS.PUNCTUATION.test(after))),flush(),nodes.push({type:"delimiter",char:char,count:run.length,original:run.length,canOpen:canOpen,canClose:canClose}),i+=run.length;continue}if("\n"===char){const hard=/ {2,}$/.test(buffer);for(buffer=buffer.replace(/ +$/,""),flush(),nodes.push({type:hard?"break":"softbreak"}),i++;" "===text[i];)i++;continue}buffer+=char,i++}else{if("\n"===text[i+1]){flush(),nodes.push({type:"break"}),i+=2;continue}if("\\"===text[i+1]&&["(",")","[","]"].includes(text[i+2])){flush(),nodes.push({type:"escape",text:"\\"}),i+=2;continue}if(i+1<text.length&&PATTERNS.ASCII_PUNCTUATION.test(text[i+1])){buffer+=text[i+1],i+=2;continue}buffer+=char,i++}}return flush(),processEmphasis(nodes)},processEmphasis=nodes=>{let closerIndex=0;for(;closerIndex<nodes.length;){const closer=nodes[closerIndex];if("delimiter"!==closer.type||!closer.canClose){closerIndex++;continue}let openerIndex=-1;for(let o=closerIndex-1;o>=0;o--){const opener=nodes[o];if("delimiter"!==opener.type||opener.char!==closer.char||!opener.canOpen)continue;if("~"===closer.char){if(opener.count>=2&&closer.count>=2){openerIndex=o;break}continue}const bothWays=opener.canClose||closer.canOpen,sum=opener.original+closer.original;if(!bothWays||sum%3!=0||opener.original%3==0&&closer.original%3==0){openerIndex=o;break}}if(-1===openerIndex){closerIndex++;continue}const opener=nodes[openerIndex];let use=opener.count>=2&&closer.count>=2?2:1,type=2===use?"strong":"em";"~"===closer.char&&(use=2,type="del");const wrapped={type:type,children:nodes.slice(openerIndex+1,closerIndex)};opener.count-=use,closer.count-=use;const replacement=[];opener.count>0&&replacement.push(opener),replacement.push(wrapped),closer.count>0&&replacement.push(closer),nodes.splice(openerIndex,closerIndex-openerIndex+1,...replacement),closerIndex=openerIndex+(opener.count>0?1:0)+1}return nodes},inlineText=nodes=>nodes.map((node=>node.children?inlineText(node.children):"delimiter"===node.type?node.char.repeat(node.count):"softbreak"===node.type||"break"===node.type?" ":node.text||"")).join(""),renderInline=nodes=>nodes.map((node=>{switch(node.type){case"text":return escapeHtml(node.text);case"entity":return node.text;case"code":return`<code>${escapeHtml(node.text)}</code>`;case"escape":return`<span class="tex2jax_ignore">${escapeHtml(node.text)}</span>`;case"math":return`<span class="${node.cas?"helpchat-cas":"helpchat-math"}">${escapeHtml(node.text)}</span>`;case"delimiter":return escapeHtml(node.char.repeat(node.count));case"softbreak":return"\n";case"break":return"<br>\n";case"em":case"strong":case"del":return`<${node.type}>${renderInline(node.children)}</${node.type}>`;case"link":{const url=sanitizeUrl(node.url);if(null===url)return renderInline(node.children);const title=node.title?` title="${escapeHtml(node.title)}"`:"";return`<a href="${escapeHtml(url)}"${title} target="_blank" rel="noopener noreferrer">${renderInline(node.children)}</a>`}case"image":{const url=sanitizeUrl(node.url),alt=escapeHtml(inlineText(node.children));if(null===url)return alt;const title=node.title?` title="${escapeHtml(node.title)}"`:"";return`<img src="${escapeHtml(url)}" alt="${alt}"${title}>`}default:return""}})).join(""),renderBlocks=(blocks,references,tight=!1)=>blocks.map((block=>{switch(block.type){case"paragraph":{const content=renderInline(parseInline(block.text,references));return tight?content:`<p>${content}</p>`}case"heading":return`<h${block.level}>${renderInline(parseInline(block.text,references))}</h${block.level}>`;case"hr":return"<hr>";case"math":return`<div class="helpchat-math-display">${escapeHtml(block.text)}</div>`;case"code":{const language=block.language.replace(/[^A-Za-z0-9_+#.-]/g,""),attributes=language?` class="language-${language}" data-language="${language}"`:"",text=block.text?block.text+"\n":"";return`<pre><code${attributes}>${escapeHtml(text)}</code></pre>`}case"blockquote":return`<blockquote>\n${renderBlocks(block.children,references)}\n</blockquote>`;case"list":{const tag=block.ordered?"ol":"ul";return`<${tag}${block.ordered&&1!==block.start?` start="${block.start}"`:""}>\n${block.items.map((item=>{const content=renderBlocks(item,references,!block.loose);if(!content)return"<li></li>";return`<li>${!block.loose&&"paragraph"===item[0].type?"":"\n"}${content}${!block.loose&&"paragraph"===item[item.length-1].type?"":"\n"}</li>`})).join("\n")}\n</${tag}>`}case"table":{const cell=(tag,text,index)=>`<${tag}${block.align[index]?` style="text-align: ${block.align[index]}"`:""}>${renderInline(parseInline(text,references))}</${tag}>`,row=(texts,tag)=>`<tr>\n${texts.map(((text,index)=>cell(tag,text,index))).join("\n")}\n</tr>`,head=`<thead>\n${row(block.header,"th")}\n</thead>`,rows=block.rows.map((texts=>row(texts,"td")));return`<table>\n${head}${rows.length?`\n<tbody>\n${rows.join("\n")}\n</tbody>`:""}\n</table>`}default:return""}})).join("\n"),renderMarkdown=markdown=>{if(!markdown)return"";const lines=String(markdown).replace(/\r\n?/g,"\n").replace(/\u0000/g,"�").split("\n").map(expandTabs);""===lines[lines.length-1]&&lines.pop();const references={},blocks=parseBlocks(lines,references);return renderBlocks(blocks,references)};_exports.renderMarkdown=renderMarkdown;const renderPartialMarkdown=markdown=>renderMarkdown(markdown);_exports.renderPartialMarkdown=renderPartialMarkdown;_exports.renderMarkdownInto=(container,markdown,partial=!1)=>{partial?container.innerHTML=renderPartialMarkdown(markdown):(container.innerHTML=renderMarkdown(markdown),("function"==typeof _systemImportTransformerGlobalIdentifier.define&&_systemImportTransformerGlobalIdentifier.define.amd?new Promise((function(resolve,reject){_systemImportTransformerGlobalIdentifier.require(["core_filters/events"],resolve,reject)})):"undefined"!=typeof module&&module.exports&&"undefined"!=typeof require||"undefined"!=typeof module&&module.component&&_systemImportTransformerGlobalIdentifier.require&&"component"===_systemImportTransformerGlobalIdentifier.require.loader?Promise.resolve(require("core_filters/events")):Promise.resolve(_systemImportTransformerGlobalIdentifier["core_filters/events"])).then((({notifyFilterContentUpdated:notifyFilterContentUpdated})=>{notifyFilterContentUpdated([container])})).catch((error=>{window.console.error("Failed to notify filters of new Help Chat content:",error)})))}}));
+
+//# sourceMappingURL=markdown.min.js.map
\ No newline at end of file
@@ -0,0 +1,21 @@
+define("block_helpchat/question_lint",["exports","./dom_parser","./extractors","./rich_text"],(function(_exports,_dom_parser,_extractors,_rich_text){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.unregisterRule=_exports.runRules=_exports.registerRule=void 0;
+/**
+   * Question quality checks for Help Chat block
+   *
+   * Rules registered here check the question being edited, using the form analysis
+   * and the data of the extractors, for mistakes such as multichoice grades that do
+   * not add up or images without alt text. The checklist of block_helpchat/stack_lint
+   * shows what they find, each problem linking to the field it is about.
+   *
+   * Each rule has a name, the page types it applies to and a check(context) function
+   * returning the problems found, each with a code, the name of the field and the
+   * parameters of its message. The message is the block_helpchat string lint<code>.
+   * Rules can be turned off for a block instance in its settings.
+   *
+   * @module     block_helpchat/question_lint
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const rules=[],registerRule=rule=>{if(!rule||"string"!=typeof rule.name||""===rule.name||"function"!=typeof rule.check)throw new Error("A rule needs a name and a check function");return unregisterRule(rule.name),rules.push({name:rule.name,pageTypes:rule.pageTypes||[],check:rule.check}),()=>unregisterRule(rule.name)};_exports.registerRule=registerRule;const unregisterRule=name=>{const index=rules.findIndex((rule=>rule.name===name));return-1!==index&&(rules.splice(index,1),!0)};_exports.unregisterRule=unregisterRule;_exports.runRules=(analysis,disabled=[],pageType=(0,_extractors.getPageType)())=>{const context=((analysis,pageType)=>{const elements=(0,_dom_parser.flattenFormTree)(analysis.form),byName=new Map;elements.forEach((el=>{el.name&&!byName.has(el.name)&&byName.set(el.name,el)}));const getElement=name=>byName.get(name)||byName.get(`${name}[text]`)||null;return{pageType:pageType,elements:elements,extracted:analysis.extracted||{},getElement:getElement,getValue:name=>{var _el$current_value;const el=getElement(name);return el?String(null!=(_el$current_value=el.current_value)?_el$current_value:""):""},getIndexedValues:field=>{const pattern=new RegExp(`^${field}\\[(\\d+)\\](\\[text\\])?$`);return elements.map((el=>({match:(el.name||"").match(pattern),el:el}))).filter((({match:match,el:el})=>{var _el$current_value2;return match&&""!==String(null!=(_el$current_value2=el.current_value)?_el$current_value2:"").trim()})).map((({match:match,el:el})=>({index:parseInt(match[1],10),value:String(el.current_value)}))).sort(((a,b)=>a.index-b.index))}}})(analysis,pageType),applied=[],problems=[];return rules.forEach((rule=>{if(!disabled.includes(rule.name)&&rule.pageTypes.some((pattern=>((pattern,pageType)=>new RegExp("^"+pattern.split("*").map((part=>part.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"))).join(".*")+"$").test(pageType))(pattern,pageType))))try{applied.push(rule.name),(rule.check(context)||[]).forEach((problem=>{problems.push(Object.assign({rule:rule.name,severity:"warning",params:{}},problem))}))}catch(error){window.console.error(`Help Chat rule "${rule.name}" failed:`,error)}})),{applied:applied,problems:problems}};registerRule({name:"mcfractions",pageTypes:["question-type-multichoice"],check:context=>{const data=context.extracted.multichoice;if(!data||0===data.answers.length)return[];if(data.single){return Math.max(...data.answers.map((answer=>answer.fraction)))<.999?[{code:"nofullmark",name:`fraction[${data.answers[0].index}]`,params:{}}]:[]}const correct=data.answers.filter((answer=>answer.fraction>0)),total=correct.reduce(((sum,answer)=>sum+answer.fraction),0);if(Math.abs(total-1)<=.001)return[];return[{code:"fractionsum",name:`fraction[${(correct.length>0?correct[0]:data.answers[0]).index}]`,params:{total:Math.round(1e3*total)/10}}]}}),registerRule({name:"duplicateanswers",pageTypes:["question-type-multichoice","question-type-shortanswer","question-type-numerical"],check:context=>{const caseSensitive="question-type-shortanswer"===context.pageType&&"1"===context.getValue("usecase"),seen=new Map,problems=[];return context.getIndexedValues("answer").forEach((({index:index,value:value})=>{const key=((value,caseSensitive)=>{const text=value.trim().replace(/\s+/g," "),number=Number(text);return""===text||isNaN(number)?caseSensitive?text:text.toLowerCase():String(number)})(value,caseSensitive);seen.has(key)?problems.push({code:"duplicate",name:`answer[${index}]`,params:{index:index+1,first:seen.get(key)+1}}):seen.set(key,index)})),problems}}),registerRule({name:"generalfeedback",pageTypes:["question-type-*"],check:context=>context.getElement("generalfeedback")&&""===context.getValue("generalfeedback").trim()?[{code:"nogeneralfeedback",name:"generalfeedback"}]:[]}),registerRule({name:"numericaltolerance",pageTypes:["question-type-numerical"],check:context=>context.getIndexedValues("answer").filter((({value:value})=>"*"!==value.trim())).filter((({index:index})=>{const tolerance=parseFloat(context.getValue(`tolerance[${index}]`));return isNaN(tolerance)||0===tolerance})).map((({index:index})=>({code:"notolerance",name:`tolerance[${index}]`,params:{index:index+1}})))}),registerRule({name:"imagealt",pageTypes:["question-type-*"],check:context=>{const questionText=context.getElement("questiontext");if(!questionText)return[];return(questionText.rich_text?questionText.rich_text.media:(0,_rich_text.listMedia)(context.getValue("questiontext"))).filter((item=>"image"===item.type&&(null===item.alt||""===item.alt.trim()))).map((item=>({code:"imagealt",name:"questiontext",params:{src:item.src.split("/").pop()||item.src}})))}})}));
+
+//# sourceMappingURL=question_lint.min.js.map
\ No newline at end of file
@@ -1,3 +1,3 @@
-define("block_helpchat/resizable",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.resetSize=_exports.initResizable=void 0;_exports.initResizable=()=>{const container=document.querySelector(".helpchat-container");if(!container)return;container.classList.add("helpchat-resizable");const resizeHandle=document.createElement("div");resizeHandle.className="helpchat-resize-handle",container.appendChild(resizeHandle),container.dataset.originalWidth||(container.dataset.originalWidth=container.style.width||"100%"),container.dataset.originalHeight||(container.dataset.originalHeight=container.style.height||"300px")};_exports.resetSize=()=>{const container=document.querySelector(".helpchat-container");container&&(container.style.width=container.dataset.originalWidth||"100%",container.style.height=container.dataset.originalHeight||"300px")}}));
+define("block_helpchat/resizable",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.resetSize=_exports.initResizable=void 0;_exports.initResizable=()=>{const container=document.querySelector(".helpchat-container");if(!container)return;container.style.resize="both",container.style.overflow="auto";const resizeHandle=document.createElement("div");resizeHandle.className="helpchat-resize-handle",container.appendChild(resizeHandle),container.dataset.originalWidth||(container.dataset.originalWidth=container.style.width||"100%"),container.dataset.originalHeight||(container.dataset.originalHeight=container.style.height||"300px"),resizeHandle.addEventListener("mousedown",(e=>{e.preventDefault();const startX=e.clientX,startY=e.clientY,startWidth=parseInt(document.defaultView.getComputedStyle(container).width,10),startHeight=parseInt(document.defaultView.getComputedStyle(container).height,10),doDrag=e=>{container.style.width=startWidth+e.clientX-startX+"px",container.style.height=startHeight+e.clientY-startY+"px"},stopDrag=()=>{document.removeEventListener("mousemove",doDrag),document.removeEventListener("mouseup",stopDrag)};document.addEventListener("mousemove",doDrag),document.addEventListener("mouseup",stopDrag)}))};_exports.resetSize=()=>{const container=document.querySelector(".helpchat-container");container&&(container.style.width=container.dataset.originalWidth||"100%",container.style.height=container.dataset.originalHeight||"300px")}}));
 
 //# sourceMappingURL=resizable.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("block_helpchat/rich_text",["exports","./field_writer"],(function(_exports,_field_writer){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.sanitiseHtml=_exports.readRichText=_exports.listMedia=_exports.htmlToText=_exports.getEditorHtml=void 0;
+/**
+   * Read the content of TinyMCE editors for Help Chat block
+   *
+   * The content is read through the TinyMCE API where it is available, and from the
+   * editor iframe otherwise. It is given as sanitised HTML, as markdown-like text that
+   * keeps headings, lists, links, images and STACK placeholders such as {@x@} and
+   * [[input:ans1]] in place, and as a list of the embedded media with their alt text.
+   *
+   * @module     block_helpchat/rich_text
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const ALLOWED_ATTRIBUTES=["href","src","alt","title","width","height","colspan","rowspan","scope","lang","dir","role","aria-label","aria-hidden","controls","kind","srclang","label","type","start"],URL_ATTRIBUTES=["href","src"],parseHtml=html=>{const doc=document.implementation.createHTMLDocument("");return doc.body.innerHTML=html,doc.body},sanitiseHtml=html=>{const body=parseHtml(html);return body.querySelectorAll('script, style, noscript, template, [data-mce-bogus="all"]').forEach((node=>node.remove())),body.querySelectorAll("[data-mce-bogus]").forEach((node=>node.replaceWith(...node.childNodes))),body.querySelectorAll("*").forEach((node=>{Array.from(node.attributes).forEach((attribute=>{const name=attribute.name.toLowerCase();(!ALLOWED_ATTRIBUTES.includes(name)||URL_ATTRIBUTES.includes(name)&&!(url=>{const trimmed=url.trim().toLowerCase(),scheme=trimmed.match(/^([a-z][a-z0-9+.-]*):/);return!scheme||["http","https","mailto"].includes(scheme[1])||trimmed.startsWith("data:image/")})(attribute.value))&&node.removeAttribute(attribute.name)}))})),body.innerHTML.trim()};_exports.sanitiseHtml=sanitiseHtml;const childrenToText=(node,context)=>Array.from(node.childNodes).map((child=>nodeToText(child,context))).join(""),nodeToText=(node,context)=>{if(node.nodeType===Node.TEXT_NODE)return context.pre?node.textContent:node.textContent.replace(/\s+/g," ");if(node.nodeType!==Node.ELEMENT_NODE)return"";const tag=node.tagName.toLowerCase(),inner=()=>childrenToText(node,context),block=text=>`\n\n${text.trim()}\n\n`;switch(tag){case"h1":case"h2":case"h3":case"h4":case"h5":case"h6":return block(`${"#".repeat(parseInt(tag.substring(1),10))} ${inner().trim()}`);case"p":case"div":case"section":case"figure":return block(inner());case"figcaption":return`\n${inner().trim()}\n`;case"br":return"\n";case"hr":return block("---");case"strong":case"b":return`**${inner()}**`;case"em":case"i":return`*${inner()}*`;case"code":return context.pre?inner():`\`${inner()}\``;case"pre":return block("```\n"+childrenToText(node,Object.assign({},context,{pre:!0})).replace(/\n+$/,"")+"\n```");case"sub":return`_{${inner()}}`;case"sup":return`^{${inner()}}`;case"a":{const text=inner().trim(),href=node.getAttribute("href");return href?`[${text||href}](${href})`:text}case"img":return`![${node.getAttribute("alt")||""}](${node.getAttribute("src")||""})`;case"video":case"audio":case"iframe":{const source=node.querySelector("source"),src=node.getAttribute("src")||(source?source.getAttribute("src"):"");return`[${tag}: ${node.getAttribute("title")||src||""}]`}case"blockquote":return block(inner().trim().split("\n").map((line=>`> ${line}`)).join("\n"));case"ul":case"ol":{const depth=context.depth||0,items=Array.from(node.children).filter((child=>"li"===child.tagName.toLowerCase())),start=parseInt(node.getAttribute("start")||"1",10),lines=items.map(((item,index)=>`${"ol"===tag?`${start+index}.`:"-"} ${childrenToText(item,Object.assign({},context,{depth:depth+1})).trim().replace(/\n{2,}/g,"\n").replace(/\n/g,"\n  ")}`));return depth>0?`\n${lines.join("\n")}`:block(lines.join("\n"))}case"table":{const rows=Array.from(node.querySelectorAll("tr")).map((row=>"| "+Array.from(row.children).map((cell=>childrenToText(cell,context).trim().replace(/\s*\n\s*/g," ").replace(/\|/g,"\\|"))).join(" | ")+" |"));if(rows.length>1){const columns=(rows[0].match(/ \| /g)||[]).length+1;rows.splice(1,0,"|"+" --- |".repeat(columns))}return block(rows.join("\n"))}default:return inner()}},htmlToText=html=>nodeToText(parseHtml(sanitiseHtml(html)),{depth:0,pre:!1}).replace(/[ \t]+\n/g,"\n").replace(/\n{3,}/g,"\n\n").trim();_exports.htmlToText=htmlToText;const listMedia=html=>{const body=parseHtml(sanitiseHtml(html));return Array.from(body.querySelectorAll("img, video, audio, iframe, object, embed")).map((node=>{const tag=node.tagName.toLowerCase(),source=node.querySelector("source"),item={type:"img"===tag?"image":tag,src:node.getAttribute("src")||node.getAttribute("data")||(source?source.getAttribute("src"):"")||"",alt:node.hasAttribute("alt")?node.getAttribute("alt"):null,title:node.getAttribute("title")||node.getAttribute("aria-label")||"",decorative:""===node.getAttribute("alt")||"presentation"===node.getAttribute("role")||"true"===node.getAttribute("aria-hidden")};return"video"!==tag&&"audio"!==tag||(item.captions=Array.from(node.querySelectorAll("track")).filter((track=>["captions","subtitles"].includes(track.getAttribute("kind")||"subtitles"))).map((track=>track.getAttribute("srclang")||track.getAttribute("label")||""))),item}))};_exports.listMedia=listMedia;const getEditorHtml=node=>{const editor=(0,_field_writer.getRichTextEditor)(node);if(editor)try{return editor.getContent()}catch(e){}const frame=node.id?document.getElementById(`${node.id}_ifr`):null;if(!frame)return null;try{return frame.contentDocument&&frame.contentDocument.body?frame.contentDocument.body.innerHTML:null}catch(e){return null}};_exports.getEditorHtml=getEditorHtml;_exports.readRichText=node=>{const html=getEditorHtml(node);return null===html?null:{html:sanitiseHtml(html),text:htmlToText(html),media:listMedia(html)}}}));
+
+//# sourceMappingURL=rich_text.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("block_helpchat/selection_popover",["exports","core/str","./dom_parser","./field_writer","./form_integration"],(function(_exports,_str,_dom_parser,_field_writer,_form_integration){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.initSelectionPopover=void 0;
+/**
+   * Ask Help Chat about text selected in a form field for Help Chat block
+   *
+   * Selecting text in a text input, textarea or TinyMCE editor of the form shows a
+   * small floating button next to the selection. Clicking it puts the selection into
+   * the message box with the label and help text of the field, ready for the question
+   * to be typed, and makes that field the focus of the form context that is sent.
+   *
+   * @module     block_helpchat/selection_popover
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const SELECTORS_HELPCHAT='[data-region="helpchat"]',SELECTORS_MESSAGE="#helpchat-message",SELECTORS_TEXT_FIELD='textarea, input:not([type]), input[type="text"], input[type="search"], input[type="url"]';let stringsPromise=null;const state={popover:null,root:null,selection:null},attachedEditors=new WeakSet,loadStrings=()=>(stringsPromise||(stringsPromise=(0,_str.get_strings)([{key:"askhelpchat",component:"block_helpchat"},{key:"askselection",component:"block_helpchat"},{key:"askselectionhelp",component:"block_helpchat"}]).then((([button,intro,help])=>({button:button,intro:intro,help:help})))),stringsPromise),hidePopover=()=>{state.popover&&(state.popover.hidden=!0),state.selection=null},showPopover=(element,text,x,y)=>{state.popover&&(state.selection={element:element,text:text},state.popover.style.left=`${Math.max(0,window.scrollX+x)}px`,state.popover.style.top=`${Math.max(0,window.scrollY+y+6)}px`,state.popover.hidden=!1)},checkFieldSelection=e=>{if(state.popover&&state.popover.contains(e.target))return;const text=(element=>{if(!element||!element.matches||!element.matches(SELECTORS_TEXT_FIELD)||element.closest(SELECTORS_HELPCHAT)||!element.closest("form"))return"";const start=element.selectionStart,end=element.selectionEnd;return"number"==typeof start&&end>start?element.value.substring(start,end):""})(e.target);if(""===text.trim())return void hidePopover();const rect=e.target.getBoundingClientRect(),fromPointer="mouseup"===e.type&&void 0!==e.clientX;showPopover(e.target,text,fromPointer?e.clientX:rect.left,fromPointer?e.clientY:rect.bottom)},attachEditor=editor=>{if(!editor||attachedEditors.has(editor))return;attachedEditors.add(editor);const element=editor.getElement();if(!element||!element.closest("form"))return;const check=()=>{const text=editor.selection?editor.selection.getContent({format:"text"}):"",frame=document.getElementById(`${editor.id}_ifr`);if(""===text.trim()||!frame)return void hidePopover();const frameRect=frame.getBoundingClientRect(),range=editor.selection.getRng(),rect=range&&range.getBoundingClientRect?range.getBoundingClientRect():null;showPopover(element,text,frameRect.left+(rect?rect.left:0),frameRect.top+(rect?rect.bottom:frameRect.height))};editor.on("mouseup",(()=>setTimeout(check,0))),editor.on("keyup",check),editor.on("mousedown",hidePopover)};_exports.initSelectionPopover=async root=>{if(state.root)return;state.root=root;const strings=await loadStrings(),popover=document.createElement("button");popover.type="button",popover.className="btn btn-primary btn-sm helpchat-ask-popover",popover.textContent=strings.button,popover.hidden=!0,document.body.appendChild(popover),state.popover=popover,popover.addEventListener("mousedown",(e=>e.preventDefault())),popover.addEventListener("click",(()=>{const selection=state.selection;hidePopover(),selection&&(async(element,text)=>{const textarea=state.root.querySelector(SELECTORS_MESSAGE);if(!textarea)return;const strings=await loadStrings(),label=(0,_dom_parser.findLabelForElement)(element)||element.name||element.id,help=(0,_dom_parser.findHelptextForElement)(element),selection=text.length>2e3?`${text.substring(0,2e3)}…`:text,parts=[strings.intro.replace("{$a}",label),selection.trim().split("\n").map((line=>`> ${line}`)).join("\n")];help&&parts.push(strings.help.replace("{$a}",help)),textarea.value=`${parts.join("\n\n")}\n\n`,element.id&&(0,_form_integration.setFocusedField)(element.id),textarea.focus(),textarea.setSelectionRange(textarea.value.length,textarea.value.length),textarea.scrollTop=textarea.scrollHeight})(selection.element,selection.text)})),document.addEventListener("mouseup",(e=>setTimeout((()=>checkFieldSelection(e)),0))),document.addEventListener("keyup",(e=>{"Escape"===e.key?hidePopover():checkFieldSelection(e)})),document.addEventListener("mousedown",(e=>{popover.contains(e.target)||hidePopover()})),window.addEventListener("scroll",hidePopover,{passive:!0}),document.addEventListener("focusin",(e=>{"IFRAME"===e.target.tagName&&e.target.id.endsWith("_ifr")&&attachEditor((0,_field_writer.getRichTextEditor)(document.getElementById(e.target.id.replace(/_ifr$/,""))))})),window.tinymce&&"function"==typeof window.tinymce.get&&[].concat(window.tinymce.get()||[]).forEach(attachEditor)}}));
+
+//# sourceMappingURL=selection_popover.min.js.map
\ No newline at end of file
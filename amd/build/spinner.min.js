@@ -1,11 +1,3 @@
-define("block_helpchat/spinner",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.showSpinner=_exports.initSpinner=_exports.hideSpinner=void 0;
-/**
-   * Spinner functionality for Help Chat block
-   *
-   * @module     block_helpchat/spinner
-   * @copyright  2025 Marcus Green
-   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */
-const showSpinner=button=>{button.dataset.originalContent=button.innerHTML;const spinner=document.createElement("span");spinner.className="helpchat-spinner",spinner.innerHTML='<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Sending...',button.innerHTML=spinner.innerHTML,button.disabled=!0};_exports.showSpinner=showSpinner;const hideSpinner=button=>{button.dataset.originalContent&&(button.innerHTML=button.dataset.originalContent,button.disabled=!1,delete button.dataset.originalContent)};_exports.hideSpinner=hideSpinner;_exports.initSpinner=()=>{const form=document.getElementById("helpchat-form");if(!form)return;const submitButton=form.querySelector(".helpchat-submit");submitButton&&(form.addEventListener("submit",(()=>{showSpinner(submitButton)})),window.addEventListener("load",(()=>{hideSpinner(submitButton)})))}}));
+define("block_helpchat/spinner",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.showSpinner=_exports.hideSpinner=void 0;_exports.showSpinner=button=>{button.dataset.originalContent=button.innerHTML;const spinner=document.createElement("span");spinner.className="helpchat-spinner",spinner.innerHTML='<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Sending...',button.innerHTML=spinner.innerHTML,button.disabled=!0};_exports.hideSpinner=button=>{button.dataset.originalContent&&(button.innerHTML=button.dataset.originalContent,button.disabled=!1,delete button.dataset.originalContent)}}));
 
 //# sourceMappingURL=spinner.min.js.map
\ No newline at end of file
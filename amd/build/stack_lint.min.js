@@ -0,0 +1,22 @@
+define("block_helpchat/stack_lint",["exports","core/str","./dom_parser","./field_links","./form_integration","./question_lint"],(function(_exports,_str,_dom_parser,_field_links,_form_integration,_question_lint){function _createForOfIteratorHelperLoose(r,e){var t="undefined"!=typeof Symbol&&r[Symbol.iterator]||r["@@iterator"];if(t)return(t=t.call(r)).next.bind(t);if(Array.isArray(r)||(t=function(r,a){if(r){if("string"==typeof r)return _arrayLikeToArray(r,a);var t={}.toString.call(r).slice(8,-1);return"Object"===t&&r.constructor&&(t=r.constructor.name),"Map"===t||"Set"===t?Array.from(r):"Arguments"===t||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t)?_arrayLikeToArray(r,a):void 0}}(r))||e&&r&&"number"==typeof r.length){t&&(r=t);var o=0;return function(){return o>=r.length?{done:!0}:{done:!1,value:r[o++]}}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}function _arrayLikeToArray(r,a){(null==a||a>r.length)&&(a=r.length);for(var e=0,n=Array(a);e<a;e++)n[e]=r[e];return n}
+/**
+ * Checks of STACK questions for Help Chat block
+ *
+ * Reads the question variables, question text, feedback, model answers and
+ * potential response tree fields of the STACK editing form, using the data of the
+ * stack extractor, and checks for common mistakes before the question is saved:
+ * unbalanced brackets and missing semicolons in Maxima, {@var@} referring to
+ * variables that are not defined, and inputs without a model answer. The findings
+ * are shown as a checklist in the block, kept up to date while the form is edited,
+ * and can be sent to the AI with one click to ask how to fix them.
+ *
+ * The checks run as the stack rule of block_helpchat/question_lint, and the checklist
+ * shows the findings of its other rules as well on the editing forms of other
+ * question types.
+ *
+ * @module     block_helpchat/stack_lint
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.lintStackQuestion=_exports.initStackLint=_exports.findDefinedNames=_exports.checkMaxima=_exports.checkCasText=void 0;const BRACKET_PAIRS={")":"(","]":"[","}":"{"},MAXIMA_CONSTANTS=["pi","e","i","%pi","%e","%i","inf","minf","true","false","und"],CONTINUES_AFTER=/(?:[:=+\-*/^,([{<>#!~]|\band|\bor|\bnot|\bthen|\belse|\bdo|\bif)$/,CONTINUES_BEFORE=/^(?:[:=+\-*/^,)\]}<>#.]|and\b|or\b|then\b|else\b|elseif\b|do\b|step\b|thru\b|while\b|unless\b)/,CASTEXT_FIELDS=[{name:"questiontext",inputs:!1},{name:"generalfeedback",inputs:!1},{name:"questionnote",inputs:!1},{name:"specificfeedback",inputs:!0}],SELECTORS_LINT='[data-region="lint"]',SELECTORS_FORM="#helpchat-form",SELECTORS_MESSAGE="#helpchat-message";let stringsPromise=null;const maskMaxima=code=>code.replace(/\/\*[\s\S]*?\*\/|"(?:[^"\\]|\\.)*"/g,(match=>match.replace(/[^\n]/g," "))),checkMaxima=(code,statements=!0)=>{const masked=maskMaxima(code||""),brackets=(code=>{const open=[];let line=1;for(let i=0;i<code.length;i++){const character=code[i];if("\n"===character)line++;else if("([{".includes(character))open.push({bracket:character,line:line});else if(BRACKET_PAIRS[character]){const last=open.pop();if(!last||last.bracket!==BRACKET_PAIRS[character])return[{code:"unexpected",params:{bracket:character,line:line}}]}}return open.length>0?[{code:"unclosed",params:open[open.length-1]}]:[]})(masked);return brackets.length>0||!statements?brackets:(code=>{const problems=[],lines=code.split("\n");let depth=0;return lines.forEach(((text,index)=>{for(var _step,_iterator=_createForOfIteratorHelperLoose(text);!(_step=_iterator()).done;){const character=_step.value;"([{".includes(character)?depth++:BRACKET_PAIRS[character]&&(depth=Math.max(0,depth-1))}const trimmed=text.trim();if(depth>0||""===trimmed||/[;$]$/.test(trimmed)||CONTINUES_AFTER.test(trimmed))return;const next=lines.slice(index+1).map((line=>line.trim())).find((line=>""!==line));void 0===next||CONTINUES_BEFORE.test(next)||problems.push({code:"semicolon",params:{line:index+1}})})),problems})(masked)};_exports.checkMaxima=checkMaxima;const findDefinedNames=code=>{const names=new Set;return maskMaxima(code||"").split(/[;$]/).forEach((statement=>{const variable=statement.match(/^\s*([A-Za-z%_][\w%]*)\s*:(?!=)/),fn=statement.match(/^\s*([A-Za-z%_][\w%]*)\s*\([^)]*\)\s*:=/),list=statement.match(/^\s*\[([^\]]*)\]\s*:(?!=)/);variable&&names.add(variable[1]),fn&&names.add(fn[1]),list&&list[1].split(",").map((name=>name.trim())).filter((name=>""!==name)).forEach((name=>names.add(name)))})),names};_exports.findDefinedNames=findDefinedNames;const checkCasText=(text,defined)=>{const problems=[],reported=new Set,pattern=/\{([@#])\s*([A-Za-z%_][\w%]*)\s*\1\}/g;let match;for(;null!==(match=pattern.exec(text||""));){const name=match[2];defined.has(name)||MAXIMA_CONSTANTS.includes(name)||reported.has(name)||(reported.add(name),problems.push({code:"undefined",params:{variable:name,reference:match[0]}}))}return problems};_exports.checkCasText=checkCasText;const lintStackQuestion=(elements,stack)=>{const byName=new Map;elements.forEach((el=>{el.name&&!byName.has(el.name.replace(/\[text\]$/,""))&&byName.set(el.name.replace(/\[text\]$/,""),el)}));const getValue=name=>{var _byName$get$current_v;return byName.has(name)?String(null!=(_byName$get$current_v=byName.get(name).current_value)?_byName$get$current_v:""):""},problems=[],add=(name,found)=>found.forEach((problem=>{problems.push(Object.assign({severity:["unclosed","unexpected"].includes(problem.code)?"error":"warning",name:name},problem))})),questionVariables=getValue("questionvariables");add("questionvariables",checkMaxima(questionVariables));const defined=findDefinedNames(questionVariables),inputs=stack&&stack.inputs||[],withInputs=new Set([...defined,...inputs.map((input=>input.name))]);CASTEXT_FIELDS.forEach((({name:name,inputs:usesInputs})=>{add(name,checkCasText(getValue(name),usesInputs?withInputs:defined))}));const placed=new Set,inputPattern=/\[\[input:([A-Za-z][\w]*)\]\]/g;let match;for(;null!==(match=inputPattern.exec(getValue("questiontext")));){if(placed.has(match[1]))continue;placed.add(match[1]);const input=inputs.find((item=>item.name===match[1]));input?""===input.modelans.trim()&&add(`${input.name}modelans`,[{code:"nomodelans",params:{input:input.name}}]):add("questiontext",[{code:"inputnotsaved",params:{input:match[1]}}])}return inputs.filter((input=>placed.has(input.name))).forEach((input=>{add(`${input.name}modelans`,checkMaxima(input.modelans,!1))})),(stack&&stack.prts||[]).forEach((prt=>{add(`${prt.name}feedbackvariables`,checkMaxima(prt.feedbackvariables));const prtDefined=new Set([...withInputs,...findDefinedNames(prt.feedbackvariables)]);prt.nodes.forEach((node=>{["sans","tans","testoptions"].forEach((field=>{add(`${prt.name}${field}[${node.id}]`,checkMaxima(node[field],!1))})),["true","false"].forEach((branch=>{add(`${prt.name}${branch}feedback[${node.id}]`,checkCasText(node[branch].feedback,prtDefined))}))}))})),problems};_exports.lintStackQuestion=lintStackQuestion;_exports.initStackLint=async(root,hiddenFieldId,disabledRules=[])=>{const container=root.querySelector(SELECTORS_LINT);if(!container)return;const strings=await(()=>{if(!stringsPromise){const keys=["lintheading","lintheadingquestion","lintnoproblems","lintproblem","lintproblems","lintaskfix","lintfixprompt","lintfixpromptquestion","showfield","lintunclosed","lintunexpected","lintsemicolon","lintundefined","lintnomodelans","lintinputnotsaved","lintfractionsum","lintnofullmark","lintduplicate","lintnogeneralfeedback","lintnotolerance","lintimagealt"];stringsPromise=(0,_str.get_strings)(keys.map((key=>({key:key,component:"block_helpchat"})))).then((values=>keys.reduce(((strings,key,index)=>Object.assign(strings,{[key]:values[index]})),{})))}return stringsPromise})();let problems=[],isStack=!1;const lint=()=>{const analysis=(0,_form_integration.getCurrentFormAnalysis)(hiddenFieldId);if(!analysis||!analysis.form)return void(container.hidden=!0);const result=(0,_question_lint.runRules)(analysis,disabledRules);if(0===result.applied.length)return void(container.hidden=!0);const elements=(0,_dom_parser.flattenFormTree)(analysis.form);isStack=result.applied.includes("stack"),problems=result.problems.map((problem=>{const element=elements.find((el=>el.name===problem.name||el.name===`${problem.name}[text]`))||null;return Object.assign(problem,{element:element,label:element&&element.label||problem.name,message:(text=strings[`lint${problem.code}`]||problem.code,params=problem.params,text.replace(/\{\$a->(\w+)\}/g,((match,key)=>void 0!==params[key]?String(params[key]):match)))});var text,params})),((container,problems,strings,title)=>{container.innerHTML="";const heading=document.createElement("div");heading.className="helpchat-lint-heading";const count=1===problems.length?strings.lintproblem:strings.lintproblems.replace("{$a}",problems.length);if(heading.textContent=`${title}: ${0===problems.length?strings.lintnoproblems:count}`,container.appendChild(heading),0===problems.length)return;const list=document.createElement("ul");list.className="helpchat-lint-list",problems.forEach((problem=>{const item=document.createElement("li");if(item.className=`helpchat-lint-${problem.severity}`,problem.element&&problem.element.locator){const link=document.createElement("a");link.href=problem.element.id?`#${problem.element.id}`:"#",link.className="helpchat-field-link",link.dataset.action="show-field",link.dataset.locator=JSON.stringify(problem.element.locator),link.title=strings.showfield,link.textContent=problem.label,item.appendChild(link)}else item.appendChild(document.createTextNode(problem.label));item.appendChild(document.createTextNode(`: ${problem.message}`)),list.appendChild(item)})),container.appendChild(list);const ask=document.createElement("button");ask.type="button",ask.className="btn btn-secondary btn-sm helpchat-lint-ask",ask.dataset.action="ask-lint-fix",ask.textContent=strings.lintaskfix,container.appendChild(ask)})(container,problems,strings,isStack?strings.lintheading:strings.lintheadingquestion),container.hidden=!1};(0,_form_integration.onFormAnalysisUpdated)(hiddenFieldId,(()=>{try{lint()}catch(error){window.console.error("Help Chat STACK checks failed:",error)}})),(0,_field_links.registerFieldLinks)(container),container.addEventListener("click",(e=>{if(!e.target.closest('[data-action="ask-lint-fix"]')||0===problems.length)return;const textarea=root.querySelector(SELECTORS_MESSAGE),form=root.querySelector(SELECTORS_FORM);textarea&&form&&(textarea.value=[isStack?strings.lintfixprompt:strings.lintfixpromptquestion].concat(problems.map((problem=>`- ${problem.label} (${problem.name}): ${problem.message}`))).join("\n"),form.requestSubmit())}));try{lint()}catch(error){window.console.error("Help Chat STACK checks failed:",error)}},(0,_question_lint.registerRule)({name:"stack",pageTypes:["question-type-stack"],check:context=>lintStackQuestion(context.elements,context.extracted.stack)})}));
+
+//# sourceMappingURL=stack_lint.min.js.map
\ No newline at end of file
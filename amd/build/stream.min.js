@@ -0,0 +1,13 @@
+define("block_helpchat/stream",["exports","core/config"],(function(_exports,_config){var e;
+/**
+   * Streaming client for Help Chat block
+   *
+   * Reads the server-sent events written by /blocks/helpchat/stream.php and
+   * passes each chunk of the response on as it arrives.
+   *
+   * @module     block_helpchat/stream
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.streamMessage=void 0,_config=(e=_config)&&e.__esModule?e:{default:e};_exports.streamMessage=async({instanceId:instanceId,message:message,formData:formData="",pageType:pageType="",history:history=[]},onChunk)=>{const body=new URLSearchParams({sesskey:_config.default.sesskey,blockinstanceid:instanceId,message:message,formdata:formData,pagetype:pageType,history:JSON.stringify(history)}),response=await fetch(`${_config.default.wwwroot}/blocks/helpchat/stream.php`,{method:"POST",body:body,credentials:"same-origin"});if(!response.ok)throw new Error(`Help Chat stream failed with status ${response.status}`);let received="",buffer="",finished=!1;const handleEvents=()=>{const blocks=buffer.split("\n\n");buffer=blocks.pop(),blocks.forEach((block=>{const parsed=(block=>{let event="message";const data=[];return block.split("\n").forEach((line=>{line.startsWith("event:")?event=line.slice(6).trim():line.startsWith("data:")&&data.push(line.slice(5).trim())})),0===data.length?null:{event:event,data:JSON.parse(data.join("\n"))}})(block);if(parsed)if("chunk"===parsed.event)received+=parsed.data.text,onChunk(parsed.data.text,received);else{if("error"===parsed.event)throw new Error(parsed.data.message);"done"===parsed.event&&(finished=!0)}}))};if(response.body&&response.body.getReader){const reader=response.body.getReader(),decoder=new TextDecoder;try{for(;;){const{done:done,value:value}=await reader.read();if(done)break;buffer+=decoder.decode(value,{stream:!0}),handleEvents()}}finally{reader.cancel().catch((()=>{}))}buffer+=decoder.decode()}else buffer=await response.text();if(buffer+="\n\n",handleEvents(),!finished)throw new Error("Help Chat stream ended before the response was complete");return received}}));
+
+//# sourceMappingURL=stream.min.js.map
\ No newline at end of file
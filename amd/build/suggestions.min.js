@@ -0,0 +1,17 @@
+define("block_helpchat/suggestions",["exports","core/str","./dom_parser","./field_writer","./form_integration"],(function(_exports,_str,_dom_parser,_field_writer,_form_integration){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.renderSuggestions=_exports.parseSuggestions=_exports.diffValues=_exports.SUGGESTIONS_LANGUAGE=void 0;
+/**
+   * Suggested field values for Help Chat block
+   *
+   * The AI lists values it wants to put into the form in a fenced code block with
+   * the language helpchat-suggestions, holding a JSON array of {field, value}
+   * objects where field is an element id from the form analysis. The block is
+   * replaced by a change set showing each change as a diff of the current and
+   * proposed value, which can be accepted or rejected one at a time and undone.
+   *
+   * @module     block_helpchat/suggestions
+   * @copyright  2025 Marcus Green
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const SUGGESTIONS_LANGUAGE=_exports.SUGGESTIONS_LANGUAGE="helpchat-suggestions";let stringsPromise=null;const parseSuggestions=text=>{let parsed;try{parsed=JSON.parse(text)}catch(error){return[]}return Array.isArray(parsed)||(parsed=[parsed]),parsed.filter((item=>item&&"string"==typeof item.field&&""!==item.field&&void 0!==item.value)).map((item=>({field:item.field,value:null===item.value?"":String(item.value)})))};_exports.parseSuggestions=parseSuggestions;const diffValues=(oldValue,newValue)=>{const oldTokens=oldValue.split(/(\s+)/).filter((token=>""!==token)),newTokens=newValue.split(/(\s+)/).filter((token=>""!==token)),parts=[],push=(type,text)=>{const last=parts[parts.length-1];last&&last.type===type?last.text+=text:parts.push({type:type,text:text})};if(oldTokens.length*newTokens.length>25e4)return push("removed",oldValue),push("added",newValue),parts.filter((part=>""!==part.text));const rows=oldTokens.length,cols=newTokens.length,lengths=Array.from({length:rows+1},(()=>new Uint32Array(cols+1)));for(let i=rows-1;i>=0;i--)for(let j=cols-1;j>=0;j--)lengths[i][j]=oldTokens[i]===newTokens[j]?lengths[i+1][j+1]+1:Math.max(lengths[i+1][j],lengths[i][j+1]);let i=0,j=0;for(;i<rows&&j<cols;)oldTokens[i]===newTokens[j]?(push("same",oldTokens[i]),i++,j++):lengths[i+1][j]>=lengths[i][j+1]?push("removed",oldTokens[i++]):push("added",newTokens[j++]);for(;i<rows;)push("removed",oldTokens[i++]);for(;j<cols;)push("added",newTokens[j++]);return parts};_exports.diffValues=diffValues;const renderDiff=(oldValue,newValue)=>{const diff=document.createElement("div");return diff.className="helpchat-suggestion-diff",diffValues(oldValue,newValue).forEach((part=>{let node;node="removed"===part.type?document.createElement("del"):"added"===part.type?document.createElement("ins"):document.createElement("span"),node.textContent=part.text,diff.appendChild(node)})),diff},renderChangeSet=(suggestions,strings)=>{const snapshot=new Map,changeSet=document.createElement("div");changeSet.className="helpchat-suggestions",changeSet.dataset.region="suggestions";const title=document.createElement("div");title.className="helpchat-suggestions-title",title.textContent=strings.title,changeSet.appendChild(title);const list=document.createElement("ul");list.className="helpchat-suggestion-list",changeSet.appendChild(list);const undoButton=document.createElement("button");undoButton.type="button",undoButton.className="btn btn-sm btn-secondary helpchat-suggestions-undo",undoButton.dataset.action="undo-changes",undoButton.textContent=strings.undo,undoButton.hidden=!0,changeSet.appendChild(undoButton);const items=suggestions.map((suggestion=>{const item=document.createElement("li");item.className="helpchat-suggestion",item.dataset.field=suggestion.field,list.appendChild(item);const element=(field=>{const records=(0,_form_integration.getTargetElements)("form-analysis-data"),record=records.find((item=>item.id===field))||records.find((item=>item.name===field));if(!record)return null;const pageContent=document.getElementById("page-content")||document,element=record.id?document.getElementById(record.id):pageContent.querySelector(`[name="${CSS.escape(record.name)}"]`);return!element||"hidden"===element.type||element.disabled||element.readOnly||element.closest('[data-region="helpchat"]')?null:record.visible||(0,_field_writer.isRichTextEditor)(element)?element:null})(suggestion.field),label=document.createElement("div");label.className="helpchat-suggestion-label",label.textContent=element&&(0,_dom_parser.findLabelForElement)(element)||suggestion.field,item.appendChild(label);const status=document.createElement("span");if(status.className="helpchat-suggestion-status",!element)return item.dataset.state="unavailable",status.textContent=strings.notFound.replace("{$a}",suggestion.field),item.appendChild(status),null;item.dataset.state="pending";let diff=renderDiff((0,_field_writer.readFieldValue)(element),suggestion.value);item.appendChild(diff);const actions=document.createElement("div");actions.className="helpchat-suggestion-actions";const acceptButton=document.createElement("button");acceptButton.type="button",acceptButton.className="btn btn-sm btn-primary",acceptButton.dataset.action="accept-change",acceptButton.textContent=strings.accept;const rejectButton=document.createElement("button");rejectButton.type="button",rejectButton.className="btn btn-sm btn-secondary",rejectButton.dataset.action="reject-change",rejectButton.textContent=strings.reject,actions.appendChild(acceptButton),actions.appendChild(rejectButton),actions.appendChild(status),item.appendChild(actions);const setState=(state,message)=>{item.dataset.state=state,status.textContent=message,acceptButton.disabled="pending"!==state,rejectButton.disabled="pending"!==state};return acceptButton.addEventListener("click",(()=>{const previous=(0,_field_writer.readFieldValue)(element);try{(0,_field_writer.writeFieldValue)(element,suggestion.value)}catch(error){return window.console.error("Failed to apply suggestion:",error),void setState("pending",strings.failed)}snapshot.has(element)||snapshot.set(element,previous),setState("accepted",strings.accepted),undoButton.hidden=!1})),rejectButton.addEventListener("click",(()=>setState("rejected",strings.rejected))),{item:item,setState:setState,refreshDiff:()=>{const current=renderDiff((0,_field_writer.readFieldValue)(element),suggestion.value);item.replaceChild(current,diff),diff=current}}})).filter((entry=>null!==entry));return undoButton.addEventListener("click",(()=>{const restored=Array.from(snapshot.keys());snapshot.forEach(((value,element)=>{try{(0,_field_writer.writeFieldValue)(element,value,"html")}catch(error){window.console.error("Failed to restore field value:",error)}})),snapshot.clear(),items.filter((entry=>"accepted"===entry.item.dataset.state)).forEach((entry=>entry.setState("pending",""))),items.forEach((entry=>entry.refreshDiff())),undoButton.hidden=!0,(0,_form_integration.refreshChangedFields)("form-analysis-data",restored)})),changeSet};_exports.renderSuggestions=async container=>{const blocks=Array.from(container.querySelectorAll(`pre > code[data-language="${SUGGESTIONS_LANGUAGE}"]`));if(!blocks.length)return;const strings=await(stringsPromise||(stringsPromise=(0,_str.get_strings)([{key:"suggestedchanges",component:"block_helpchat"},{key:"acceptchange",component:"block_helpchat"},{key:"rejectchange",component:"block_helpchat"},{key:"changeaccepted",component:"block_helpchat"},{key:"changerejected",component:"block_helpchat"},{key:"changefailed",component:"block_helpchat"},{key:"fieldnotfound",component:"block_helpchat"},{key:"undochanges",component:"block_helpchat"}]).then((([title,accept,reject,accepted,rejected,failed,notFound,undo])=>({title:title,accept:accept,reject:reject,accepted:accepted,rejected:rejected,failed:failed,notFound:notFound,undo:undo})))),stringsPromise);blocks.forEach((code=>{const suggestions=parseSuggestions(code.textContent);if(!suggestions.length)return;const pre=code.parentNode;pre.parentNode.replaceChild(renderChangeSet(suggestions,strings),pre)}))}}));
+
+//# sourceMappingURL=suggestions.min.js.map
\ No newline at end of file
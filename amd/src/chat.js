@@ -0,0 +1,274 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Chat controller for Help Chat block
+ *
+ * Sends messages without reloading (and losing) the page being edited, and
+ * shows the conversation as a thread of user and assistant bubbles. Responses
+ * are streamed into the thread as they are generated.
+ *
+ * @module     block_helpchat/chat
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import {get_string as getString, get_strings as getStrings} from 'core/str';
+import {renderMarkdownInto} from './markdown';
+import {addCodeActions} from './code_actions';
+import {renderSuggestions} from './suggestions';
+import {showSpinner, hideSpinner} from './spinner';
+import {streamMessage} from './stream';
+import {getCurrentFormAnalysis, getPromptContext, populateFormAnalysis} from './form_integration';
+import {flattenFormTree} from './dom_parser';
+import {linkFieldMentions, registerFieldLinks} from './field_links';
+import {addMessage, clearHistory, getContextMessages, loadHistory} from './history';
+import {initContextPanel} from './context_panel';
+import {initSelectionPopover} from './selection_popover';
+import {initStackLint} from './stack_lint';
+
+const SELECTORS = {
+    FORM: '#helpchat-form',
+    MESSAGE: '#helpchat-message',
+    SUBMIT: '.helpchat-submit',
+    ANALYSIS: '#form-analysis-data',
+    THREAD: '[data-region="thread"]',
+    CLEAR: '[data-action="clear-conversation"]'
+};
+
+/**
+ * Send a message to the AI backend
+ *
+ * @param {number} instanceId - The block instance id
+ * @param {string} message - The message typed by the user
+ * @param {string} formData - Analysis of the form on the page
+ * @param {string} pageType - The page type the block is shown on
+ * @param {Array<{role: string, content: string}>} history - Earlier turns of the conversation
+ * @returns {Promise<string>} The response as markdown
+ */
+export const sendMessage = (instanceId, message, formData, pageType, history = []) => {
+    return Ajax.call([{
+        methodname: 'block_helpchat_send_message',
+        args: {
+            blockinstanceid: instanceId,
+            message: message,
+            formdata: formData,
+            pagetype: pageType,
+            history: history
+        }
+    }])[0].then(result => result.response);
+};
+
+/**
+ * Get the current form analysis to send along with the message
+ *
+ * @param {HTMLElement} root - The block chat region
+ * @returns {Promise<string>} The form analysis as compact text within the token budget
+ */
+const getFormData = async (root) => {
+    const analysisField = root.querySelector(SELECTORS.ANALYSIS);
+    if (!analysisField) {
+        return '';
+    }
+
+    // If this fails, send whatever the last successful analysis was.
+    await populateFormAnalysis(analysisField.id);
+
+    const context = getPromptContext(analysisField.id);
+    return context ? context.text : '';
+};
+
+/**
+ * Get the elements of the last form analysis
+ *
+ * @param {HTMLElement} root - The block chat region
+ * @returns {Array} The elements, empty if there is no analysis
+ */
+const getAnalysedElements = (root) => {
+    const analysisField = root ? root.querySelector(SELECTORS.ANALYSIS) : null;
+    const analysis = analysisField ? getCurrentFormAnalysis(analysisField.id) : null;
+    return (analysis && analysis.form) ? flattenFormTree(analysis.form) : [];
+};
+
+/**
+ * Add the interactive parts of a rendered response
+ *
+ * Suggested field values go first so their code blocks do not get code actions,
+ * and fields mentioned in the rest become links to them.
+ *
+ * @param {HTMLElement} body - The rendered response
+ * @returns {Promise<void>}
+ */
+const enhanceResponse = async (body) => {
+    try {
+        await renderSuggestions(body);
+        await addCodeActions(body);
+        await linkFieldMentions(body, getAnalysedElements(body.closest('[data-region="helpchat"]')));
+    } catch (error) {
+        window.console.error('Failed to add response actions:', error);
+    }
+};
+
+/**
+ * Append a message bubble to the conversation thread
+ *
+ * @param {HTMLElement} thread - The thread container
+ * @param {string} role - Either 'user', 'assistant' or 'error'
+ * @param {string} content - The message text, markdown for the assistant
+ * @param {Object} authors - Author labels keyed by role
+ * @returns {HTMLElement} The bubble element
+ */
+const appendBubble = (thread, role, content, authors) => {
+    const bubble = document.createElement('div');
+    bubble.className = `helpchat-bubble helpchat-bubble-${role}`;
+
+    const author = document.createElement('div');
+    author.className = 'helpchat-bubble-author';
+    author.textContent = role === 'user' ? authors.user : authors.assistant;
+    bubble.appendChild(author);
+
+    const body = document.createElement('div');
+    if (role === 'assistant') {
+        body.className = 'helpchat-response-content';
+        renderMarkdownInto(body, content);
+        enhanceResponse(body);
+    } else {
+        body.className = 'helpchat-message-content';
+        body.textContent = content;
+    }
+    bubble.appendChild(body);
+
+    thread.appendChild(bubble);
+    thread.hidden = false;
+    thread.scrollTop = thread.scrollHeight;
+
+    return bubble;
+};
+
+/**
+ * Handle submission of the chat form
+ *
+ * @param {HTMLElement} root - The block chat region
+ * @param {number} instanceId - The block instance id
+ * @param {string} pageType - The page type the block is shown on
+ * @param {Object} authors - Author labels keyed by role
+ */
+const handleSubmit = async (root, instanceId, pageType, authors) => {
+    const textarea = root.querySelector(SELECTORS.MESSAGE);
+    const submitButton = root.querySelector(SELECTORS.SUBMIT);
+    const message = textarea.value.trim();
+    if (!message || submitButton.disabled) {
+        return;
+    }
+
+    const thread = root.querySelector(SELECTORS.THREAD);
+    const context = getContextMessages(instanceId);
+
+    appendBubble(thread, 'user', message, authors);
+    textarea.value = '';
+    showSpinner(submitButton);
+
+    const bubble = appendBubble(thread, 'assistant', '', authors);
+    bubble.classList.add('helpchat-bubble-streaming');
+    const body = bubble.querySelector('.helpchat-response-content');
+    let pendingFrame = null;
+
+    try {
+        const formData = await getFormData(root);
+        const markdown = await streamMessage({instanceId, message, formData, pageType, history: context}, (chunk, received) => {
+            // Re-render at most once per frame however fast chunks arrive.
+            if (pendingFrame === null) {
+                pendingFrame = window.requestAnimationFrame(() => {
+                    pendingFrame = null;
+                    renderMarkdownInto(body, received, true);
+                    thread.scrollTop = thread.scrollHeight;
+                });
+            }
+        });
+        if (pendingFrame !== null) {
+            window.cancelAnimationFrame(pendingFrame);
+        }
+        renderMarkdownInto(body, markdown);
+        enhanceResponse(body);
+        bubble.classList.remove('helpchat-bubble-streaming');
+        addMessage(instanceId, 'user', message);
+        addMessage(instanceId, 'assistant', markdown);
+    } catch (error) {
+        window.console.error('Help Chat request failed:', error);
+        if (pendingFrame !== null) {
+            window.cancelAnimationFrame(pendingFrame);
+        }
+        bubble.remove();
+        appendBubble(thread, 'error', await getString('errorprocessingrequest', 'block_helpchat'), authors);
+        // Give the unanswered message back so it can be sent again.
+        textarea.value = message;
+    } finally {
+        hideSpinner(submitButton);
+    }
+};
+
+/**
+ * Initialise the chat controller for a block instance
+ *
+ * @param {number} instanceId - The block instance id
+ * @param {string} pageType - The page type the block is shown on
+ * @param {string[]|null} disabledRules - Question checks turned off for the block, null when not editing a question
+ */
+export const init = async (instanceId, pageType, disabledRules = null) => {
+    const root = document.querySelector(`[data-region="helpchat"][data-instanceid="${instanceId}"]`);
+    if (!root) {
+        return;
+    }
+
+    const form = root.querySelector(SELECTORS.FORM);
+    if (!form) {
+        return;
+    }
+
+    const [user, assistant] = await getStrings([
+        {key: 'you', component: 'block_helpchat'},
+        {key: 'assistant', component: 'block_helpchat'}
+    ]);
+    const authors = {user, assistant};
+
+    const analysisField = root.querySelector(SELECTORS.ANALYSIS);
+    if (analysisField) {
+        initContextPanel(root, analysisField.id, pageType);
+        if (disabledRules !== null) {
+            initStackLint(root, analysisField.id, disabledRules);
+        }
+    }
+    initSelectionPopover(root);
+
+    // Restore the conversation held for this page.
+    const thread = root.querySelector(SELECTORS.THREAD);
+    registerFieldLinks(thread);
+    loadHistory(instanceId).forEach(turn => appendBubble(thread, turn.role, turn.content, authors));
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleSubmit(root, instanceId, pageType, authors);
+    });
+
+    const clearButton = root.querySelector(SELECTORS.CLEAR);
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            clearHistory(instanceId);
+            thread.innerHTML = '';
+            thread.hidden = true;
+        });
+    }
+};
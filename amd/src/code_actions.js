@@ -0,0 +1,222 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Copy and "Insert into…" actions for code blocks in Help Chat responses
+ *
+ * @module     block_helpchat/code_actions
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {get_strings as getStrings} from 'core/str';
+import {isRichTextEditor, writeFieldValue} from './field_writer';
+import {getTargetElements} from './form_integration';
+
+/** Id of the hidden field holding the form analysis. */
+const ANALYSIS_FIELD_ID = 'form-analysis-data';
+
+/** Element types code can be written into. */
+const EDITABLE_TYPES = ['text', 'textarea', 'number', 'email', 'url', 'search', 'tel'];
+
+let stringsPromise = null;
+
+/**
+ * Get the strings used by the actions, loaded once
+ *
+ * @returns {Promise<Object>} The strings keyed by name
+ */
+const loadStrings = () => {
+    if (!stringsPromise) {
+        stringsPromise = getStrings([
+            {key: 'copycode', component: 'block_helpchat'},
+            {key: 'codecopied', component: 'block_helpchat'},
+            {key: 'insertinto', component: 'block_helpchat'},
+            {key: 'codeinserted', component: 'block_helpchat'},
+            {key: 'codeinsertfailed', component: 'block_helpchat'}
+        ]).then(([copy, copied, insertInto, inserted, insertFailed]) => ({copy, copied, insertInto, inserted, insertFailed}));
+    }
+    return stringsPromise;
+};
+
+/**
+ * Get the editable fields on the page that code can be inserted into
+ *
+ * The fields come from the form analysis the block keeps up to date, so the page is
+ * not scanned again and fields the extraction profile leaves out are not offered.
+ * The empty spare answers of a form are offered too.
+ *
+ * @returns {Array<{id: string, label: string, element: HTMLElement}>} The fields in page order
+ */
+export const getEditableFields = () => {
+    return getTargetElements(ANALYSIS_FIELD_ID).reduce((fields, record) => {
+        const element = record.id ? document.getElementById(record.id) : null;
+        if (!element || !EDITABLE_TYPES.includes(record.type) || element.disabled || element.readOnly) {
+            return fields;
+        }
+        // Leave out the block's own fields.
+        if (element.closest('[data-region="helpchat"]')) {
+            return fields;
+        }
+        // TinyMCE hides its textarea, the editor itself is what is visible.
+        if (!record.visible && !isRichTextEditor(element)) {
+            return fields;
+        }
+        fields.push({
+            id: record.id,
+            label: record.label || record.name || record.id,
+            element: element
+        });
+        return fields;
+    }, []);
+};
+
+/**
+ * Copy text to the clipboard
+ *
+ * @param {string} text - The text to copy
+ * @returns {Promise<void>}
+ */
+const copyToClipboard = async (text) => {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+
+    // Fallback for sites not served over https.
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    textarea.remove();
+};
+
+/**
+ * Fill the "Insert into…" menu with the fields currently on the page
+ *
+ * @param {HTMLSelectElement} select - The menu
+ * @param {string} placeholder - Text of the first, empty option
+ */
+const fillFieldMenu = (select, placeholder) => {
+    select.innerHTML = '';
+    select.appendChild(new Option(placeholder, ''));
+    getEditableFields().forEach(field => {
+        select.appendChild(new Option(field.label, field.id));
+    });
+};
+
+/**
+ * Show a short status message next to the actions
+ *
+ * @param {HTMLElement} status - The status element
+ * @param {string} message - The message
+ */
+const showStatus = (status, message) => {
+    status.textContent = message;
+    window.clearTimeout(status.helpchatTimeout);
+    status.helpchatTimeout = window.setTimeout(() => {
+        status.textContent = '';
+    }, 3000);
+};
+
+/**
+ * Add the actions to one code block
+ *
+ * @param {HTMLElement} pre - The pre element holding the code
+ * @param {Object} strings - The strings used by the actions
+ */
+const decorateCodeBlock = (pre, strings) => {
+    const code = pre.querySelector('code');
+    const text = (code || pre).textContent.replace(/\n$/, '');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'helpchat-code-actions';
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'btn btn-sm btn-secondary';
+    copyButton.dataset.action = 'copy-code';
+    copyButton.textContent = strings.copy;
+    toolbar.appendChild(copyButton);
+
+    const select = document.createElement('select');
+    select.className = 'custom-select custom-select-sm form-select form-select-sm';
+    select.dataset.action = 'insert-code';
+    select.setAttribute('aria-label', strings.insertInto);
+    fillFieldMenu(select, strings.insertInto);
+    toolbar.appendChild(select);
+
+    const status = document.createElement('span');
+    status.className = 'helpchat-code-status';
+    status.setAttribute('aria-live', 'polite');
+    toolbar.appendChild(status);
+
+    copyButton.addEventListener('click', async () => {
+        try {
+            await copyToClipboard(text);
+            showStatus(status, strings.copied);
+        } catch (error) {
+            window.console.error('Failed to copy code:', error);
+        }
+    });
+
+    // Fields come and go as the form changes, so list them afresh when the menu is opened.
+    select.addEventListener('focus', () => fillFieldMenu(select, strings.insertInto));
+    select.addEventListener('change', () => {
+        const element = select.value ? document.getElementById(select.value) : null;
+        if (!element) {
+            return;
+        }
+        const label = select.selectedOptions[0].text;
+        try {
+            writeFieldValue(element, text, 'code');
+            showStatus(status, strings.inserted.replace('{$a}', label));
+        } catch (error) {
+            window.console.error('Failed to insert code:', error);
+            showStatus(status, strings.insertFailed);
+        }
+        select.value = '';
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'helpchat-code-block';
+    pre.parentNode.insertBefore(wrapper, pre);
+    wrapper.appendChild(toolbar);
+    wrapper.appendChild(pre);
+};
+
+/**
+ * Add Copy and "Insert into…" actions to every code block in a container
+ *
+ * @param {HTMLElement} container - The rendered response
+ * @returns {Promise<void>}
+ */
+export const addCodeActions = async (container) => {
+    const blocks = container.querySelectorAll('pre');
+    if (!blocks.length) {
+        return;
+    }
+
+    const strings = await loadStrings();
+    blocks.forEach(pre => {
+        if (!pre.closest('.helpchat-code-block')) {
+            decorateCodeBlock(pre, strings);
+        }
+    });
+};
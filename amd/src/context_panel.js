@@ -0,0 +1,326 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Preview of the form context shared with the AI for Help Chat block
+ *
+ * A collapsible panel in the block lists the fields, their values and sizes that
+ * will be sent with the next message, by section. Unticking a field, a whole section
+ * or an item of structured data leaves it out of what is sent. The choices are kept
+ * in localStorage for each page type, so they apply to every form of the same kind.
+ *
+ * @module     block_helpchat/context_panel
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {get_strings as getStrings} from 'core/str';
+import {flattenFormTree} from './dom_parser';
+import {getCurrentFormAnalysis, getFieldKey, getFormSummary, getPromptContext, populateFormAnalysis,
+    setExclusions} from './form_integration';
+
+const STORAGE_PREFIX = 'block_helpchat/exclusions';
+
+/** Longest value shown in the panel. */
+const MAX_SHOWN_VALUE = 60;
+
+const SELECTORS = {
+    PANEL: '[data-region="context-panel"]',
+    BODY: '[data-region="context-body"]'
+};
+
+let stringsPromise = null;
+
+/**
+ * Get the strings used by the panel, loaded once
+ *
+ * @returns {Promise<Object>} The strings keyed by name
+ */
+const loadStrings = () => {
+    if (!stringsPromise) {
+        stringsPromise = getStrings([
+            {key: 'contextnoform', component: 'block_helpchat'},
+            {key: 'contextnosection', component: 'block_helpchat'},
+            {key: 'contextstructured', component: 'block_helpchat'},
+            {key: 'contextempty', component: 'block_helpchat'},
+            {key: 'contextsize', component: 'block_helpchat'},
+            {key: 'contextfieldcount', component: 'block_helpchat'},
+            {key: 'contextsummary', component: 'block_helpchat'}
+        ]).then(([noForm, noSection, structured, empty, size, fieldCount, summary]) => ({
+            noForm, noSection, structured, empty, size, fieldCount, summary
+        }));
+    }
+    return stringsPromise;
+};
+
+/**
+ * Get the localStorage key for a page type
+ *
+ * @param {string} pageType - The page type the block is shown on
+ * @returns {string} The storage key
+ */
+const getStorageKey = (pageType) => `${STORAGE_PREFIX}/${pageType}`;
+
+/**
+ * Load what the user chose not to share on a page type
+ *
+ * @param {string} pageType - The page type the block is shown on
+ * @returns {{fields: string[], sections: string[], extracted: string[]}} The exclusions
+ */
+export const loadExclusions = (pageType) => {
+    const excluded = {fields: [], sections: [], extracted: []};
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(getStorageKey(pageType)));
+        Object.keys(excluded).forEach((kind) => {
+            if (stored && Array.isArray(stored[kind])) {
+                excluded[kind] = stored[kind].filter((key) => typeof key === 'string');
+            }
+        });
+    } catch (error) {
+        // Storage can be unavailable (private browsing) or hold corrupt data.
+    }
+    return excluded;
+};
+
+/**
+ * Save what the user chose not to share on a page type
+ *
+ * @param {string} pageType - The page type the block is shown on
+ * @param {{fields: string[], sections: string[], extracted: string[]}} excluded - The exclusions
+ */
+const saveExclusions = (pageType, excluded) => {
+    try {
+        window.localStorage.setItem(getStorageKey(pageType), JSON.stringify(excluded));
+    } catch (error) {
+        window.console.warn('Help Chat context choices could not be stored:', error);
+    }
+};
+
+/**
+ * Describe the value of a field as it is shown in the panel
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @returns {string} The value
+ */
+const describeValue = (el) => {
+    if (el.type === 'checkbox' || el.type === 'radio') {
+        return el.checked ? `☑ ${el.current_value}` : '☐';
+    }
+    const value = String(el.current_value ?? '');
+    return value.length > MAX_SHOWN_VALUE ? `${value.substring(0, MAX_SHOWN_VALUE)}…` : value;
+};
+
+/**
+ * Create a checkbox row of the panel
+ *
+ * @param {string} kind - fields, sections or extracted
+ * @param {string} key - The key the item is excluded by
+ * @param {boolean} shared - Whether the item is shared
+ * @param {string} text - The label of the row
+ * @param {string} detail - Value and size shown after the label
+ * @returns {HTMLElement} The row
+ */
+const createRow = (kind, key, shared, text, detail) => {
+    const label = document.createElement('label');
+    label.className = 'helpchat-context-row';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = shared;
+    checkbox.dataset.exclude = kind;
+    checkbox.dataset.key = key;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${text}`));
+    if (detail) {
+        const info = document.createElement('span');
+        info.className = 'helpchat-context-detail';
+        info.textContent = detail;
+        label.appendChild(info);
+    }
+    return label;
+};
+
+/**
+ * Create the list of the fields directly in a section, one row for each field name
+ *
+ * @param {Array} items - Nodes of the form tree, without the sections
+ * @param {Object} excluded - The exclusions
+ * @param {boolean} disabled - Whether the section they are in is left out
+ * @param {Object} strings - Strings used by the panel
+ * @returns {HTMLElement} The list
+ */
+const createFieldList = (items, excluded, disabled, strings) => {
+    const list = document.createElement('ul');
+    list.className = 'helpchat-context-fields';
+    const fields = new Map();
+    flattenFormTree({sections: [], elements: items}).forEach((el) => {
+        const key = getFieldKey(el);
+        if (!fields.has(key)) {
+            fields.set(key, []);
+        }
+        fields.get(key).push(el);
+    });
+
+    fields.forEach((elements, key) => {
+        // Radio buttons share their name, show the checked one.
+        const el = elements.find((element) => element.checked) || elements[0];
+        const size = elements.reduce((total, element) => total + String(element.current_value ?? '').length, 0);
+        const value = describeValue(el);
+        const item = document.createElement('li');
+        const row = createRow('fields', key, !excluded.fields.includes(key), el.label || key,
+            `${value === '' ? strings.empty : value} · ${strings.size.replace('{$a}', size)}`);
+        row.querySelector('input').disabled = disabled;
+        row.title = key;
+        item.appendChild(row);
+        list.appendChild(item);
+    });
+    return list;
+};
+
+/**
+ * Create the part of the panel for a section and the sections inside it
+ *
+ * @param {Object} section - Section from the form tree
+ * @param {Object} excluded - The exclusions
+ * @param {boolean} disabled - Whether a section it is in is left out
+ * @param {Object} strings - Strings used by the panel
+ * @returns {HTMLElement} The section part
+ */
+const createSection = (section, excluded, disabled, strings) => {
+    const container = document.createElement('div');
+    container.className = 'helpchat-context-section';
+    const shared = !excluded.sections.includes(section.id);
+    const count = flattenFormTree({sections: [section], elements: []}).length;
+    const heading = createRow('sections', section.id, shared, section.legend || section.id,
+        strings.fieldCount.replace('{$a}', count));
+    heading.classList.add('helpchat-context-heading');
+    heading.querySelector('input').disabled = disabled || !section.id;
+    container.appendChild(heading);
+
+    const leftOut = disabled || !shared;
+    container.appendChild(createFieldList(section.children.filter((child) => child.kind !== 'section'),
+        excluded, leftOut, strings));
+    section.children.filter((child) => child.kind === 'section').forEach((child) => {
+        container.appendChild(createSection(child, excluded, leftOut, strings));
+    });
+    return container;
+};
+
+/**
+ * Show what will be shared in the panel
+ *
+ * @param {HTMLElement} body - The body of the panel
+ * @param {string} hiddenFieldId - Id of the hidden field holding the form analysis
+ * @param {Object} excluded - The exclusions
+ * @returns {Promise<void>}
+ */
+const renderPanel = async (body, hiddenFieldId, excluded) => {
+    const strings = await loadStrings();
+    const analysis = getCurrentFormAnalysis(hiddenFieldId);
+    body.innerHTML = '';
+    if (!analysis || !analysis.form) {
+        body.textContent = strings.noForm;
+        return;
+    }
+
+    const summary = getFormSummary(hiddenFieldId);
+    const context = getPromptContext(hiddenFieldId, true);
+    const total = document.createElement('p');
+    total.className = 'helpchat-context-total';
+    total.textContent = strings.summary
+        .replace('{$a->included}', context ? context.included : 0)
+        .replace('{$a->total}', summary.totalElements)
+        .replace('{$a->tokens}', context ? context.tokens : 0);
+    body.appendChild(total);
+
+    const loose = analysis.form.elements;
+    if (loose.length > 0) {
+        const container = document.createElement('div');
+        container.className = 'helpchat-context-section';
+        const heading = document.createElement('div');
+        heading.className = 'helpchat-context-heading';
+        heading.textContent = strings.noSection;
+        container.appendChild(heading);
+        container.appendChild(createFieldList(loose, excluded, false, strings));
+        body.appendChild(container);
+    }
+    analysis.form.sections.forEach((section) => body.appendChild(createSection(section, excluded, false, strings)));
+
+    const extracted = Object.keys(analysis.extracted || {});
+    if (extracted.length > 0) {
+        const container = document.createElement('div');
+        container.className = 'helpchat-context-section';
+        const heading = document.createElement('div');
+        heading.className = 'helpchat-context-heading';
+        heading.textContent = strings.structured;
+        container.appendChild(heading);
+        extracted.forEach((name) => {
+            container.appendChild(createRow('extracted', name, !excluded.extracted.includes(name), name,
+                strings.size.replace('{$a}', JSON.stringify(analysis.extracted[name]).length)));
+        });
+        body.appendChild(container);
+    }
+};
+
+/**
+ * Set up the panel showing the form context shared with the AI
+ *
+ * The stored choices apply to what is sent whether or not the panel is opened.
+ *
+ * @param {HTMLElement} root - The block chat region
+ * @param {string} hiddenFieldId - Id of the hidden field holding the form analysis
+ * @param {string} pageType - The page type the block is shown on
+ */
+export const initContextPanel = (root, hiddenFieldId, pageType) => {
+    const excluded = loadExclusions(pageType);
+    setExclusions(hiddenFieldId, excluded);
+
+    const panel = root.querySelector(SELECTORS.PANEL);
+    const body = panel ? panel.querySelector(SELECTORS.BODY) : null;
+    if (!body) {
+        return;
+    }
+
+    const refresh = async () => {
+        try {
+            await populateFormAnalysis(hiddenFieldId);
+            await renderPanel(body, hiddenFieldId, excluded);
+        } catch (error) {
+            window.console.error('Failed to show the Help Chat context:', error);
+        }
+    };
+
+    panel.addEventListener('toggle', () => {
+        if (panel.open) {
+            refresh();
+        }
+    });
+
+    body.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('input[data-exclude]');
+        if (!checkbox) {
+            return;
+        }
+        const list = excluded[checkbox.dataset.exclude];
+        const key = checkbox.dataset.key;
+        if (checkbox.checked) {
+            list.splice(0, list.length, ...list.filter((item) => item !== key));
+        } else if (!list.includes(key)) {
+            list.push(key);
+        }
+        saveExclusions(pageType, excluded);
+        setExclusions(hiddenFieldId, excluded);
+        refresh();
+    });
+};
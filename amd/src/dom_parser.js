@@ -21,6 +21,37 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+import {getExtractors, registerExtractor, runExtractors, unregisterExtractor} from './extractors';
+import {watchRichTextEditors} from './field_writer';
+import {readRichText} from './rich_text';
+
+/**
+ * Default extraction options.
+ *
+ * - root: selector or element to scan, all Moodle forms are within #page-content.
+ * - include: selector elements (or one of their containers) must match to be extracted.
+ * - exclude: selector for elements (or containers of elements) to leave out.
+ * - types: element types to extract, e.g. ['text', 'select'], empty for all types.
+ * - maxValueLength: longest value kept before it is truncated, 0 for no limit.
+ * - checkElementDependencies, analyzeJavaScriptDependencies, analyzeSiblingDependencies:
+ *   switch the costly dependency analyses on or off.
+ */
+export const DEFAULT_EXTRACTION_OPTIONS = {
+    root: '#page-content',
+    include: '',
+    exclude: '',
+    types: [],
+    maxValueLength: 0,
+    checkElementDependencies: true,
+    analyzeJavaScriptDependencies: true,
+    analyzeSiblingDependencies: true
+};
+
+/**
+ * Selector for the Help Chat block itself, which is never extracted.
+ */
+const HELPCHAT_REGION_SELECTOR = '[data-region="helpchat"]';
+
 /**
  * Get DOM elements inside #page-content and return as JSON.
  *
@@ -29,195 +60,809 @@
  * It supports all major form input types and analyzes their relationships.
  * Based closely on work by Dr Peter Mayer ByCS
  *
+ * @param {Object} options - Extraction options, see DEFAULT_EXTRACTION_OPTIONS
  * @returns {Promise<Object>} Promise that resolves to JSON object containing structured form element data with dependencies
  */
-export const getDomElementsAsJson = () => {
+export const getDomElementsAsJson = (options = {}) => {
     return new Promise((resolve) => {
-        resolve(extractDomElements());
+        resolve(extractDomElements(options));
     });
 };
 
 /**
- * Internal function to extract DOM elements after all scripts have executed.
+ * Check whether an element or one of its containers matches a selector.
+ *
+ * An invalid selector matches nothing.
+ *
+ * @param {HTMLElement} element - The element to check
+ * @param {string} selector - The CSS selector
+ * @returns {boolean} True if the element is within a match
+ */
+const isWithinSelector = (element, selector) => {
+    try {
+        return element.closest(selector) !== null;
+    } catch (e) {
+        console.warn(`Ignoring invalid selector "${selector}"`);
+        return false;
+    }
+};
+
+/**
+ * Shorten a value to the maximum length, marking where it was cut.
+ *
+ * @param {string} value - The value
+ * @param {number} maxLength - The maximum length, 0 for no limit
+ * @returns {string} The value, truncated if it was too long
+ */
+const truncateValue = (value, maxLength) => {
+    if (!maxLength || value.length <= maxLength) {
+        return value;
+    }
+    return `${value.substring(0, maxLength)}… [truncated ${value.length - maxLength} characters]`;
+};
+
+/**
+ * Selector for all form input types including hidden fields and buttons.
+ *
+ * This covers standard inputs, textareas, selects, and special Moodle form elements.
+ */
+const FORM_ELEMENT_SELECTOR =
+    'input[type="text"], input[type="password"], input[type="email"], input[type="number"], ' +
+    'input[type="search"], input[type="tel"], input[type="url"], input[type="date"], ' +
+    'input[type="datetime-local"], input[type="checkbox"], input[type="radio"], input[type="file"], ' +
+    'input[type="hidden"], input[type="submit"], input[type="button"], textarea, select';
+
+/**
+ * Fill in extraction options with the defaults.
+ *
+ * @param {Object} options - Extraction options, see DEFAULT_EXTRACTION_OPTIONS
+ * @returns {Object} The complete options
+ */
+export const resolveExtractionOptions = (options = {}) => {
+    return Object.assign({}, DEFAULT_EXTRACTION_OPTIONS, options);
+};
+
+/**
+ * Find the container to scan for form elements.
  *
+ * @param {Object} settings - Complete extraction options
+ * @returns {HTMLElement|null} The container, or null if it is not on the page
+ */
+export const findExtractionRoot = (settings) => {
+    if (typeof settings.root !== 'string') {
+        return settings.root || null;
+    }
+    try {
+        return document.querySelector(settings.root);
+    } catch (e) {
+        console.warn(`Ignoring invalid root selector "${settings.root}"`);
+        return null;
+    }
+};
+
+/**
+ * Check whether a form element should be extracted.
+ *
+ * @param {HTMLElement} node - The form element
+ * @param {Object} settings - Complete extraction options
+ * @returns {boolean} True if the element passes the include, exclude and type filters
+ */
+export const isExtractable = (node, settings) => {
+    if (!node.matches(FORM_ELEMENT_SELECTOR) || isWithinSelector(node, HELPCHAT_REGION_SELECTOR)) {
+        return false;
+    }
+    if (settings.include && !isWithinSelector(node, settings.include)) {
+        return false;
+    }
+    if (settings.exclude && isWithinSelector(node, settings.exclude)) {
+        return false;
+    }
+    if (settings.types.length > 0) {
+        const nodeType = node.tagName.toLowerCase() === 'input' ? node.type : node.tagName.toLowerCase();
+        if (!settings.types.includes(nodeType)) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Get the form elements to extract, in page order.
+ *
+ * @param {HTMLElement} contentDiv - The container to scan
+ * @param {Object} settings - Complete extraction options
+ * @returns {HTMLElement[]} The form elements
+ */
+export const getExtractableNodes = (contentDiv, settings) => {
+    return Array.from(contentDiv.querySelectorAll(FORM_ELEMENT_SELECTOR)).filter((node) => isExtractable(node, settings));
+};
+
+/**
+ * Extract DOM elements after all scripts have executed.
+ *
+ * @param {Object} options - Extraction options, see DEFAULT_EXTRACTION_OPTIONS
  * @returns {Object} JSON object containing structured form element data with dependencies
  */
-const extractDomElements = () => {
-    const elements = [];
+export const extractDomElements = (options = {}) => {
+    const settings = resolveExtractionOptions(options);
 
-    // Find the main content container - all Moodle forms are within #page-content.
-    const contentDiv = document.getElementById('page-content');
+    // Find the main content container - all Moodle forms are within #page-content by default.
+    const contentDiv = findExtractionRoot(settings);
     if (!contentDiv) {
         // Return empty structure if no content area is found.
         return {};
     }
 
-    // Comprehensive selector for all form input types including hidden fields and buttons.
-    // This covers standard inputs, textareas, selects, and special Moodle form elements.
-    const selector =
-        'input[type="text"], input[type="password"], input[type="email"], input[type="number"], ' +
-        'input[type="search"], input[type="tel"], input[type="url"], input[type="date"], ' +
-        'input[type="datetime-local"], input[type="checkbox"], input[type="radio"], input[type="file"], ' +
-        'input[type="hidden"], input[type="submit"], input[type="button"], textarea, select';
-
-    const domNodes = contentDiv.querySelectorAll(selector);
-
-    // Process each form element found in the DOM.
-    domNodes.forEach((node) => {
-        let type = node.tagName.toLowerCase();
-        let currentValue = '';
-        const options = [];
-
-        // Extract current value based on element type and special handling for different inputs.
-        if (type === 'input') {
-            type = node.type;
-            if (type === 'checkbox' || type === 'radio') {
-                // For checkboxes and radios, return the value only if checked, otherwise empty.
-                currentValue = node.checked ? node.value || 'on' : '';
-            } else {
-                // For all other input types, get the current value.
-                currentValue = node.value || '';
-            }
-        } else if (type === 'textarea') {
-            type = 'textarea';
-
-            // Special handling for TinyMCE editors which are hidden textareas with iframe content.
-            if (node.style.display === 'none' && node.id) {
-                const tinyFrame = document.querySelector(`#${node.id}_ifr`);
-                if (tinyFrame?.contentDocument) {
-                    try {
-                        // Extract content from TinyMCE iframe body.
-                        const tinyBody = tinyFrame.contentDocument.body;
-                        currentValue = tinyBody ? (tinyBody.textContent || tinyBody.innerText || '') : node.value || '';
-                    } catch (e) {
-                        // Fallback to textarea value if iframe access fails (cross-origin issues).
-                        currentValue = node.value || '';
-                    }
-                } else {
-                    currentValue = node.value || '';
-                }
-            } else {
-                // Standard textarea handling.
-                currentValue = node.value || '';
-            }
-        } else if (type === 'select') {
-            type = 'select';
-
-            // Get selected value from select element.
-            currentValue = node.selectedOptions?.length > 0 ? node.selectedOptions[0].value : (node.value || '');
-
-            // Check if this select is within a date_time container to avoid verbose output.
-            if (!isWithinDateTimeContainer(node)) {
-                const optionElements = node.querySelectorAll('option');
-                optionElements.forEach((option) => {
-                    options.push({
-                        value: option.value,
-                        text: option.textContent || option.innerText || '',
-                        selected: option.selected
-                    });
+    // Process each form element found in the DOM, with date selectors as one element each.
+    const elements = getExtractableNodes(contentDiv, settings).map((node) => analyzeElement(node, settings));
+    return collapseDateSelectors(elements);
+};
+
+/**
+ * Analyze a single form element.
+ *
+ * Extracts the value, label, help text, state and dependencies of the element.
+ *
+ * @param {HTMLElement} node - The form element
+ * @param {Object} settings - Complete extraction options
+ * @returns {Object} The element data
+ */
+export const analyzeElement = (node, settings) => {
+    let type = node.tagName.toLowerCase();
+    let currentValue = '';
+    let richText = null;
+    const options = [];
+
+    // Extract current value based on element type and special handling for different inputs.
+    if (type === 'input') {
+        type = node.type;
+        if (type === 'checkbox' || type === 'radio') {
+            // For checkboxes and radios, return the value only if checked, otherwise empty.
+            currentValue = node.checked ? node.value || 'on' : '';
+        } else {
+            // For all other input types, get the current value.
+            currentValue = node.value || '';
+        }
+    } else if (type === 'textarea') {
+        type = 'textarea';
+
+        // TinyMCE editors keep their content in the editor, the textarea is only updated on save.
+        richText = readRichText(node);
+        currentValue = richText ? richText.text : (node.value || '');
+    } else if (type === 'select') {
+        type = 'select';
+
+        // Get selected value from select element.
+        currentValue = node.selectedOptions?.length > 0 ? node.selectedOptions[0].value : (node.value || '');
+
+        // Check if this select is within a date_time container to avoid verbose output.
+        if (!isWithinDateTimeContainer(node)) {
+            const optionElements = node.querySelectorAll('option');
+            optionElements.forEach((option) => {
+                options.push({
+                    value: option.value,
+                    text: option.textContent || option.innerText || '',
+                    selected: option.selected
                 });
-            }
+            });
         }
+    }
 
-        // Find the associated label text using multiple strategies for Moodle form conventions.
-        const label = findLabelForElement(node);
+    // Find the associated label text using multiple strategies for Moodle form conventions.
+    const label = findLabelForElement(node);
 
-        // Extract help text/description that provides additional context for the field.
-        const helptext = findHelptextForElement(node);
+    // Extract help text/description that provides additional context for the field.
+    const helptext = findHelptextForElement(node);
 
-        // Determine if the element is currently active/enabled (1) or disabled (0).
-        let active = 1;
-        let isDisabled = false;
-        let dependsOnEnabled = null;
+    // Determine if the element is currently active/enabled (1) or disabled (0).
+    let active = 1;
+    let isDisabled = false;
+    let dependsOnEnabled = null;
 
-        // Check element disabled state using multiple methods to ensure compatibility.
-        // Method 1: Check the disabled property directly.
-        if (node.disabled === true) {
-            isDisabled = true;
-        }
+    // Check element disabled state using multiple methods to ensure compatibility.
+    // Method 1: Check the disabled property directly.
+    if (node.disabled === true) {
+        isDisabled = true;
+    }
 
-        // Method 2: Check for disabled attribute (covers cases like <select disabled> and <select disabled="disabled">).
-        const attrNode = node.getAttributeNode?.('disabled');
-        if (attrNode?.specified) {
-            isDisabled = true;
-        }
+    // Method 2: Check for disabled attribute (covers cases like <select disabled> and <select disabled="disabled">).
+    const attrNode = node.getAttributeNode?.('disabled');
+    if (attrNode?.specified) {
+        isDisabled = true;
+    }
 
-        // Check if element is hidden via CSS styles (but not for hidden input types).
-        const computedStyle = window.getComputedStyle(node);
-        if (computedStyle.display === 'none' && type !== 'hidden') {
+    // Check if element is hidden via CSS styles (but not for hidden input types).
+    const computedStyle = window.getComputedStyle(node);
+    if (computedStyle.display === 'none' && type !== 'hidden') {
+        active = 0;
+    } else {
+        active = isDisabled ? 0 : 1;
+    }
+
+    // Determine visual visibility based on computed styles.
+    const isVisuallyVisible = getElementVisualVisibility(node, computedStyle);
+
+    // Check for Moodle-specific _enabled checkbox dependencies (legacy support).
+    const enabledDependency = checkEnabledDependency(node);
+    if (enabledDependency) {
+        dependsOnEnabled = enabledDependency.checkboxName;
+        // If the controlling _enabled checkbox is not checked, mark element as inactive.
+        if (!enabledDependency.isEnabled) {
             active = 0;
+        }
+    }
+
+    // Use the hideIf/disabledIf rules the form declares. Only forms without any fall back to
+    // guessing dependencies from names and sibling elements.
+    const form = node.closest('form');
+    const declaredRules = form ? getDeclaredDependencies(form) : null;
+    let allDependencies = null;
+    let siblingDependencies = null;
+    if (declaredRules) {
+        allDependencies = settings.checkElementDependencies ? getDeclaredElementDependencies(node, form, declaredRules) : null;
+    } else {
+        // Analyze all possible dependencies (select-based, checkbox-based, radio-based).
+        allDependencies = settings.checkElementDependencies ? checkElementDependencies(node) : null;
+
+        // Analyze relationships with sibling elements (similar names, numeric series).
+        siblingDependencies = settings.analyzeSiblingDependencies ? analyzeSiblingDependencies(node) : null;
+    }
+
+    // Analyze JavaScript-based dependencies (CSS classes, event handlers).
+    const jsDependencies = settings.analyzeJavaScriptDependencies ? analyzeJavaScriptDependencies(node) : null;
+
+    // Validation state, shown after a failed submit or by the client-side rules.
+    const clientRules = node.name ? (getClientRules().get(node.name) || []) : [];
+    const validationError = findValidationError(node);
+
+    // Build the element data object with all extracted information.
+    const elementData = {
+        id: node.id || '',
+        name: node.name || '',
+        type: type,
+        current_value: truncateValue(currentValue, settings.maxValueLength),
+        label: label,
+        helptext: helptext,
+        active: active,
+        visible: isVisuallyVisible,
+        required: isRequiredElement(node, clientRules),
+        locator: getElementLocator(node)
+    };
+
+    // Add the error shown for the element and the rules it is checked against.
+    if (validationError.invalid) {
+        elementData.invalid = true;
+        elementData.error = validationError.message;
+    }
+    if (clientRules.length > 0) {
+        elementData.rules = clientRules;
+    }
+
+    // Keep the full length of values that were truncated.
+    if (elementData.current_value !== currentValue) {
+        elementData.truncated = true;
+        elementData.value_length = currentValue.length;
+    }
+
+    // Add the formatted content and media of editors, the value being their content as text.
+    if (richText) {
+        elementData.rich_text = {
+            html: truncateValue(richText.html, settings.maxValueLength),
+            media: richText.media
+        };
+    }
+
+    // Add checked status for checkbox and radio elements.
+    if (type === 'checkbox' || type === 'radio') {
+        elementData.checked = node.checked || false;
+    }
+
+    // Add legacy _enabled dependency information if present.
+    if (dependsOnEnabled) {
+        elementData.depends_on_enabled = dependsOnEnabled;
+    }
+
+    // Add comprehensive dependency analysis if any dependencies were found.
+    if (allDependencies) {
+        elementData.dependencies = allDependencies;
+    }
+
+    // Add JavaScript-based dependency information if detected.
+    if (jsDependencies) {
+        elementData.js_dependencies = jsDependencies;
+    }
+
+    // Add sibling relationship information if similar elements were found.
+    if (siblingDependencies) {
+        elementData.sibling_dependencies = siblingDependencies;
+    }
+
+    // Add select options only for select elements (excluding verbose date/time selects).
+    if (type === 'select' && options.length > 0) {
+        elementData.options = options;
+    }
+
+    elementNodes.set(elementData, node);
+
+    return elementData;
+};
+
+// Form element each piece of element data was analyzed from.
+const elementNodes = new WeakMap();
+
+/**
+ * Quote a value for use in an attribute selector.
+ *
+ * @param {string} value - The value
+ * @returns {string} The quoted value
+ */
+const quoteAttributeValue = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Build a CSS path to a node.
+ *
+ * The path starts at the nearest container with an id, and uses the name of a form
+ * element without an id, so it survives other parts of the page changing.
+ *
+ * @param {HTMLElement} node - The node
+ * @returns {string} The CSS selector
+ */
+const getCssPath = (node) => {
+    const parts = [];
+    let current = node;
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.body) {
+        if (current.id && document.getElementById(current.id) === current) {
+            parts.unshift(`#${CSS.escape(current.id)}`);
+            break;
+        }
+        const tag = current.tagName.toLowerCase();
+        if (current === node && current.name) {
+            parts.unshift(`${tag}[name=${quoteAttributeValue(current.name)}]`);
         } else {
-            active = isDisabled ? 0 : 1;
+            const parent = current.parentElement;
+            const siblings = parent ? Array.from(parent.children).filter((child) => child.tagName === current.tagName) : [];
+            parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
         }
+        current = current.parentElement;
+    }
+    return parts.join(' > ');
+};
 
-        // Determine visual visibility based on computed styles.
-        const isVisuallyVisible = getElementVisualVisibility(node, computedStyle);
+/**
+ * Get a stable locator for a form element.
+ *
+ * @param {HTMLElement} node - The form element, or the container of a date selector
+ * @returns {{id: string, name: string, section: string, path: string}} The element id and name, the id of
+ *     the section it is in and a CSS path to it
+ */
+export const getElementLocator = (node) => {
+    const form = node.closest('form');
+    const fieldset = findSectionFieldset(node, form || document.body);
+    return {
+        id: node.id || '',
+        name: node.name || node.dataset.groupname || '',
+        section: fieldset ? fieldset.id : '',
+        path: getCssPath(node)
+    };
+};
 
-        // Check for Moodle-specific _enabled checkbox dependencies (legacy support).
-        const enabledDependency = checkEnabledDependency(node);
-        if (enabledDependency) {
-            dependsOnEnabled = enabledDependency.checkboxName;
-            // If the controlling _enabled checkbox is not checked, mark element as inactive.
-            if (!enabledDependency.isEnabled) {
-                active = 0;
-            }
+/**
+ * Find the form element a locator points to.
+ *
+ * The id is tried first, then the name within the section, then the CSS path.
+ *
+ * @param {Object} locator - Locator from getElementLocator
+ * @returns {HTMLElement|null} The element
+ */
+export const findElementByLocator = (locator) => {
+    if (!locator) {
+        return null;
+    }
+    if (locator.id) {
+        const byId = document.getElementById(locator.id);
+        if (byId) {
+            return byId;
+        }
+    }
+    if (locator.name) {
+        const scope = (locator.section && document.getElementById(locator.section)) || document;
+        const byName = scope.querySelector(`[name=${quoteAttributeValue(locator.name)}]`);
+        if (byName) {
+            return byName;
+        }
+    }
+    if (locator.path) {
+        try {
+            return document.querySelector(locator.path);
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+};
+
+/**
+ * Get the form element some element data was analyzed from.
+ *
+ * @param {Object} data - Element data from analyzeElement
+ * @returns {HTMLElement|null} The form element
+ */
+export const getNodeForElement = (data) => {
+    return elementNodes.get(data) || (data.id ? document.getElementById(data.id) : null);
+};
+
+/**
+ * Get the text of a section legend.
+ *
+ * Moodle hides the legend for screen readers only and shows the same text in the
+ * header that toggles the section.
+ *
+ * @param {HTMLElement} fieldset - The section fieldset
+ * @returns {string} The legend text
+ */
+const getSectionLegend = (fieldset) => {
+    const legend = fieldset.querySelector(':scope > legend');
+    const header = fieldset.querySelector(':scope > .d-flex .fheader, :scope > .fheader, :scope > .d-flex h3');
+    const source = (legend && legend.textContent.trim()) ? legend : header;
+    return source ? source.textContent.trim() : '';
+};
+
+/**
+ * Work out whether a section can be collapsed and whether it is expanded.
+ *
+ * @param {HTMLElement} fieldset - The section fieldset
+ * @returns {{collapsible: boolean, expanded: boolean}} The section state
+ */
+const getSectionState = (fieldset) => {
+    const toggle = Array.from(fieldset.querySelectorAll('[aria-expanded][aria-controls]'))
+        .find((candidate) => candidate.closest('fieldset') === fieldset && !candidate.closest('.fitem'));
+    if (toggle) {
+        return {collapsible: true, expanded: toggle.getAttribute('aria-expanded') !== 'false'};
+    }
+
+    const container = fieldset.querySelector(':scope > .fcontainer');
+    if (container && container.classList.contains('collapse')) {
+        return {collapsible: true, expanded: container.classList.contains('show')};
+    }
+
+    return {
+        collapsible: fieldset.classList.contains('collapsible'),
+        expanded: !fieldset.classList.contains('collapsed')
+    };
+};
+
+/**
+ * Find the section a node is in.
+ *
+ * Sections are the fieldsets of mform headers. Fieldsets inside a form item belong to
+ * groups and date selectors, not sections.
+ *
+ * @param {HTMLElement} node - The node
+ * @param {HTMLElement} root - The container being analysed
+ * @returns {HTMLElement|null} The section fieldset, or null if the node is in no section
+ */
+const findSectionFieldset = (node, root) => {
+    let fieldset = node.parentElement ? node.parentElement.closest('fieldset') : null;
+    while (fieldset && root.contains(fieldset)) {
+        if (!fieldset.closest('.fitem')) {
+            return fieldset;
         }
+        fieldset = fieldset.parentElement ? fieldset.parentElement.closest('fieldset') : null;
+    }
+    return null;
+};
 
-        // Analyze all possible dependencies (select-based, checkbox-based, radio-based).
-        const allDependencies = checkElementDependencies(node);
+/**
+ * Put the children of a tree node in page order and number them.
+ *
+ * @param {Array<{node: HTMLElement, item: Object}>} children - Children with the DOM node they came from
+ * @returns {Object[]} The children, each with an order
+ */
+const orderChildren = (children) => {
+    children.sort((a, b) => {
+        if (a.node === b.node) {
+            return 0;
+        }
+        return (a.node.compareDocumentPosition(b.node) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+    });
+    return children.map(({item}, order) => {
+        item.order = order;
+        if (item.children) {
+            item.children = orderChildren(item.children);
+        }
+        return item;
+    });
+};
 
-        // Analyze JavaScript-based dependencies (CSS classes, event handlers).
-        const jsDependencies = analyzeJavaScriptDependencies(node);
+/**
+ * Pattern of the names repeat_elements gives fields, e.g. answer[0] or feedback[0][text].
+ */
+const REPEATED_NAME_PATTERN = /^([^[\]]+)\[(\d+)\]((?:\[[^\]]*\])*)$/;
 
-        // Analyze relationships with sibling elements (similar names, numeric series).
-        const siblingDependencies = analyzeSiblingDependencies(node);
-
-        // Build the element data object with all extracted information.
-        const elementData = {
-            id: node.id || '',
-            name: node.name || '',
-            type: type,
-            current_value: currentValue,
-            label: label,
-            helptext: helptext,
-            active: active,
-            visible: isVisuallyVisible
-        };
+/**
+ * Element types whose value is typed in, so an empty value means a blank repeat.
+ */
+const TYPED_VALUE_TYPES = ['text', 'textarea', 'email', 'url', 'number', 'search', 'tel'];
 
-        // Add checked status for checkbox and radio elements.
-        if (type === 'checkbox' || type === 'radio') {
-            elementData.checked = node.checked || false;
+/**
+ * Get the value of one field of a repeat, taking checkboxes and radio groups into account.
+ *
+ * @param {Array} elements - The elements of the field
+ * @returns {string} The value
+ */
+const getRepeatFieldValue = (elements) => {
+    const checkable = elements.filter((element) => element.type === 'checkbox' || element.type === 'radio');
+    if (checkable.length > 0) {
+        const checked = checkable.find((element) => element.checked);
+        if (checked) {
+            return checked.current_value;
+        }
+        // The hidden input of an advcheckbox holds the unchecked value.
+        const hidden = elements.find((element) => element.type === 'hidden');
+        return hidden ? hidden.current_value : '';
+    }
+    return elements.length > 0 ? String(elements[0].current_value || '') : '';
+};
+
+/**
+ * Find the fields created by repeat_elements, see groupRepeatedElements.
+ *
+ * @param {Array} elements - Element data from analyzeElement
+ * @param {Function} getScope - Called with element data, returns the scope it is in
+ * @returns {Array<{repeat: Object, members: Array}>} Each repeat with the data of all its fields
+ */
+const findRepeats = (elements, getScope) => {
+    // Scope => field => index => elements.
+    const scopes = new Map();
+    elements.forEach((data) => {
+        const match = (data.name || '').match(REPEATED_NAME_PATTERN);
+        if (!match) {
+            return;
+        }
+        const field = match[3] === '[text]' ? match[1] : match[1] + match[3];
+        const scope = getScope(data);
+        if (!scopes.has(scope)) {
+            scopes.set(scope, new Map());
         }
+        const fields = scopes.get(scope);
+        if (!fields.has(field)) {
+            fields.set(field, new Map());
+        }
+        const indices = fields.get(field);
+        const index = parseInt(match[2], 10);
+        if (!indices.has(index)) {
+            indices.set(index, []);
+        }
+        indices.get(index).push(data);
+    });
+
+    const repeats = [];
+    scopes.forEach((fields) => {
+        // Fields repeated together have the same indices.
+        const bySignature = new Map();
+        fields.forEach((indices, field) => {
+            const signature = Array.from(indices.keys()).sort((a, b) => a - b).join(',');
+            if (!bySignature.has(signature)) {
+                bySignature.set(signature, []);
+            }
+            bySignature.get(signature).push(field);
+        });
+
+        bySignature.forEach((names, signature) => {
+            const indexList = signature.split(',').map((index) => parseInt(index, 10));
+            // A single field with a single index is just a field with an odd name.
+            if (names.length < 2 && indexList.length < 2) {
+                return;
+            }
+
+            const records = indexList.map((index) => {
+                const values = {};
+                const recordElements = [];
+                let typed = false;
+                let blank = true;
+                names.forEach((name) => {
+                    const fieldElements = fields.get(name).get(index);
+                    values[name] = getRepeatFieldValue(fieldElements);
+                    recordElements.push(...fieldElements);
+                    if (fieldElements.some((element) => TYPED_VALUE_TYPES.includes(element.type))) {
+                        typed = true;
+                        if (values[name].trim() !== '') {
+                            blank = false;
+                        }
+                    }
+                });
+                return {index: index, blank: typed && blank, values: values, elements: recordElements};
+            });
+
+            let last = records.length;
+            while (last > 0 && records[last - 1].blank) {
+                last--;
+            }
+            repeats.push({
+                repeat: {
+                    name: names[0],
+                    fields: names,
+                    total: records.length,
+                    filled: records.filter((record) => !record.blank).length,
+                    records: records.slice(0, last)
+                },
+                members: [].concat(...records.map((record) => record.elements))
+            });
+        });
+    });
+
+    return repeats;
+};
+
+/**
+ * Group the fields created by repeat_elements into ordered records.
+ *
+ * Fields named like answer[0], fraction[0] and feedback[0][text] are grouped by their
+ * index. Fields with the same set of indices in the same scope (the form section they
+ * are in) make up one repeat, so the answers and the hints of a question become two
+ * repeats. A record is blank when every typed in field of it is empty. Blank records
+ * at the end, the spare repeats Moodle adds to the form, are left out.
+ *
+ * @param {Array} elements - Element data from analyzeElement
+ * @param {Function} getScope - Called with element data, returns the scope it is in
+ * @returns {Array<{name: string, fields: string[], total: number, filled: number, records: Array}>} The repeats
+ */
+export const groupRepeatedElements = (elements, getScope = () => null) => {
+    return findRepeats(elements, getScope).map(({repeat}) => repeat);
+};
 
-        // Add legacy _enabled dependency information if present.
-        if (dependsOnEnabled) {
-            elementData.depends_on_enabled = dependsOnEnabled;
+/**
+ * Arrange analysed elements as a tree of sections, groups and elements.
+ *
+ * Sections are mform headers (fieldsets), with their legend and whether they are
+ * collapsible and expanded. Groups are form items with an fgroup_id_ id holding
+ * several elements. Fields created by repeat_elements become one repeat node, placed
+ * where the first of them is, with a record for each filled repeat (see
+ * groupRepeatedElements). Every node has a kind (section, group, repeat or element)
+ * and its order among its siblings, in page order.
+ * Sections without any analysed element are still listed so their state is known.
+ *
+ * @param {Array} elements - Element data from analyzeElement
+ * @param {HTMLElement} root - The container that was analysed
+ * @returns {{sections: Array, elements: Array}} Top level sections and the elements outside any section
+ */
+export const buildFormTree = (elements, root) => {
+    const sections = new Map();
+    const groups = new Map();
+    const topLevel = [];
+
+    const getSection = (fieldset) => {
+        if (!sections.has(fieldset)) {
+            const state = getSectionState(fieldset);
+            const section = {
+                kind: 'section',
+                id: fieldset.id || '',
+                legend: getSectionLegend(fieldset),
+                collapsible: state.collapsible,
+                expanded: state.expanded,
+                children: []
+            };
+            sections.set(fieldset, section);
+            const parent = findSectionFieldset(fieldset, root);
+            (parent ? getSection(parent).children : topLevel).push({node: fieldset, item: section});
         }
+        return sections.get(fieldset);
+    };
 
-        // Add comprehensive dependency analysis if any dependencies were found.
-        if (allDependencies) {
-            elementData.dependencies = allDependencies;
+    const getGroup = (fitem, section) => {
+        if (!groups.has(fitem)) {
+            const label = fitem.querySelector(`#${CSS.escape(fitem.id)}_label, .col-form-label`);
+            const group = {
+                kind: 'group',
+                id: fitem.id,
+                name: fitem.id.replace(/^fgroup_id_/, ''),
+                label: label ? label.textContent.trim() : '',
+                children: []
+            };
+            groups.set(fitem, group);
+            (section ? section.children : topLevel).push({node: fitem, item: group});
         }
+        return groups.get(fitem);
+    };
 
-        // Add JavaScript-based dependency information if detected.
-        if (jsDependencies) {
-            elementData.js_dependencies = jsDependencies;
+    // Every section on the page, in page order, even those with nothing analysed in them.
+    root.querySelectorAll('fieldset').forEach((fieldset) => {
+        if (!fieldset.closest('.fitem') && !fieldset.closest(HELPCHAT_REGION_SELECTOR)) {
+            getSection(fieldset);
         }
+    });
 
-        // Add sibling relationship information if similar elements were found.
-        if (siblingDependencies) {
-            elementData.sibling_dependencies = siblingDependencies;
+    // Repeats take the place of their fields, at the first field that is on the page.
+    const repeated = new Set();
+    const repeatAt = new Map();
+    findRepeats(elements, (data) => {
+        const node = getNodeForElement(data);
+        return node ? findSectionFieldset(node, root) : null;
+    }).forEach(({repeat, members}) => {
+        repeat.records.forEach((record) => {
+            record.elements = record.elements.map((data) => Object.assign({kind: 'element'}, data));
+        });
+        members.forEach((data) => repeated.add(data));
+        const first = members.filter((data) => getNodeForElement(data)).reduce((earliest, data) => {
+            const position = getNodeForElement(earliest).compareDocumentPosition(getNodeForElement(data));
+            return (position & Node.DOCUMENT_POSITION_PRECEDING) ? data : earliest;
+        }, members.find((data) => getNodeForElement(data)));
+        if (first) {
+            repeatAt.set(first, Object.assign({kind: 'repeat'}, repeat));
         }
+    });
 
-        // Add select options only for select elements (excluding verbose date/time selects).
-        if (type === 'select' && options.length > 0) {
-            elementData.options = options;
+    const loose = [];
+    elements.forEach((data) => {
+        const node = getNodeForElement(data);
+        if (repeated.has(data)) {
+            if (repeatAt.has(data)) {
+                const fieldset = findSectionFieldset(node, root);
+                (fieldset ? getSection(fieldset).children : topLevel).push({node: node, item: repeatAt.get(data)});
+            }
+            return;
+        }
+        if (!node) {
+            loose.push(Object.assign({kind: 'element'}, data));
+            return;
         }
+        const fieldset = findSectionFieldset(node, root);
+        const section = fieldset ? getSection(fieldset) : null;
+        const fitem = node.closest('.fitem[id^="fgroup_id_"]');
+        const item = Object.assign({kind: 'element'}, data);
+        if (fitem && root.contains(fitem)) {
+            getGroup(fitem, section).children.push({node: node, item: item});
+        } else {
+            (section ? section.children : topLevel).push({node: node, item: item});
+        }
+    });
 
-        // Add the processed element to the collection.
-        elements.push(elementData);
+    const ordered = orderChildren(topLevel);
+    // Elements that could not be placed go at the end.
+    loose.forEach((item) => {
+        item.order = ordered.length;
+        ordered.push(item);
     });
 
+    return {
+        sections: ordered.filter((item) => item.kind === 'section'),
+        elements: ordered.filter((item) => item.kind !== 'section')
+    };
+};
+
+/**
+ * Flatten a form tree back to a list of elements in page order.
+ *
+ * Each element gets the legends and ids of the sections it is in and the group it is in.
+ * Elements of a repeat also get its name and their record index, and elements of blank
+ * repeats left out of the tree stay left out.
+ *
+ * @param {{sections: Array, elements: Array}} tree - Tree from buildFormTree
+ * @returns {Array} The elements
+ */
+export const flattenFormTree = (tree) => {
+    const elements = [];
+    const visit = (items, path, ids, group) => {
+        items.forEach((item) => {
+            if (item.kind === 'section') {
+                visit(item.children, path.concat(item.legend), ids.concat(item.id || []), null);
+            } else if (item.kind === 'group') {
+                visit(item.children, path, ids, item.id);
+            } else if (item.kind === 'repeat') {
+                item.records.forEach((record) => {
+                    record.elements.forEach((element) => {
+                        elements.push(Object.assign({}, element, {sections: path, section_ids: ids, group: group,
+                            repeat: item.name, repeat_index: record.index}));
+                    });
+                });
+            } else {
+                elements.push(Object.assign({}, item, {sections: path, section_ids: ids, group: group}));
+            }
+        });
+    };
+    // Sections and top level elements are stored apart, put them back in page order.
+    const topLevel = tree.sections.concat(tree.elements).sort((a, b) => a.order - b.order);
+    visit(topLevel, [], [], null);
     return elements;
 };
 
@@ -230,7 +875,7 @@ const extractDomElements = () => {
  * @param {HTMLElement} element - The form element to find a label for
  * @returns {string} The label text, or empty string if no label is found
  */
-const findLabelForElement = (element) => {
+export const findLabelForElement = (element) => {
     let label = '';
 
     // Strategy 1: Explicit label with for attribute pointing to element's ID.
@@ -285,7 +930,7 @@ const findLabelForElement = (element) => {
  * @param {HTMLElement} element - The form element to find help text for
  * @returns {string} The help text content, or empty string if none is found
  */
-const findHelptextForElement = (element) => {
+export const findHelptextForElement = (element) => {
     let helptext = '';
 
     // Define containers to search in hierarchical order from specific to general.
@@ -403,39 +1048,532 @@ const checkEnabledDependency = (element) => {
             }
         }
     }
-
+
+    return null;
+};
+
+/**
+ * Check if a select element is within a date_time container.
+ *
+ * Date/time fields in Moodle often have many select options (days, months, years, hours, minutes)
+ * which would clutter the output. This function identifies such containers to exclude their options.
+ *
+ * @param {HTMLElement} element - The select element to check
+ * @returns {boolean} True if the element is within a date_time container
+ */
+const isWithinDateTimeContainer = (element) => {
+    // Search for parent element with data-fieldtype="date_time" or "date_selector" attribute.
+    const dateTimeContainer = element.closest(DATE_SELECTOR_CONTAINER);
+    if (dateTimeContainer) {
+        return true;
+    }
+
+    // Additional search for fieldset with date_time fieldtype.
+    const fieldsetContainer = element.closest('fieldset[data-fieldtype="date_time"]');
+    if (fieldsetContainer) {
+        return true;
+    }
+
+    // Search for div or other containers with date_time fieldtype.
+    const divContainer = element.closest('div[data-fieldtype="date_time"]');
+    if (divContainer) {
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Regular expressions of the formslib client-side rules that are checked with one.
+ */
+const CLIENT_RULE_REGEXES = {
+    '/(^-?\\d\\d*\\.\\d*$)|(^-?\\d\\d*$)|(^-?\\.\\d\\d*$)/': 'numeric',
+    '/^[a-zA-Z]+$/': 'lettersonly',
+    '/^[a-zA-Z0-9]+$/': 'alphanumeric',
+    '/^-?[1-9][0-9]*/': 'nonzero',
+    '/^[^().\\/\\*\\^\\?#!@$%+=,\\"\'><~\\[\\]{}]+$/': 'nopunctuation'
+};
+
+// Client-side rule types by element name, with the number of scripts they were read from.
+let clientRulesCache = {scriptCount: -1, rules: new Map()};
+
+/**
+ * Work out the type of a client-side rule from its check.
+ *
+ * Formslib writes each rule as an optional setup line, such as var regex = /.../;,
+ * followed by if (condition && !errFlag['name']).
+ *
+ * @param {string} setup - The code before the check
+ * @param {string} condition - The condition of the check
+ * @returns {string} The rule type
+ */
+const getClientRuleType = (setup, condition) => {
+    if (/==\s*(''|"")/.test(condition)) {
+        return 'required';
+    }
+    if (/\.length\s*</.test(condition) && /\.length\s*>/.test(condition)) {
+        return 'rangelength';
+    }
+    if (/\.length\s*>/.test(condition)) {
+        return 'maxlength';
+    }
+    if (/\.length\s*</.test(condition)) {
+        return 'minlength';
+    }
+    const regex = setup.match(/var\s+regex\s*=\s*(\/.*\/[a-z]*)\s*;/);
+    if (regex) {
+        return CLIENT_RULE_REGEXES[regex[1]] || 'regex';
+    }
+    if (/frm\.elements\[/.test(condition)) {
+        return 'compare';
+    }
+    return 'callback';
+};
+
+/**
+ * Get the client-side validation rules formslib wrote for the forms on the page.
+ *
+ * They are read from the validate_ functions formslib adds for forms with client-side
+ * validation, and read again only when scripts are added or removed.
+ *
+ * @returns {Map<string, string[]>} Rule types by element name
+ */
+export const getClientRules = () => {
+    const scriptCount = document.getElementsByTagName('script').length;
+    if (clientRulesCache.scriptCount === scriptCount) {
+        return clientRulesCache.rules;
+    }
+
+    const rules = new Map();
+    const check = /if\s*\(([\s\S]*?)&&\s*!errFlag\['((?:[^'\\]|\\.)*)'\]\s*\)/g;
+    getScriptContents().forEach((content) => {
+        if (!content.includes('errFlag')) {
+            return;
+        }
+        let previousEnd = 0;
+        let match;
+        check.lastIndex = 0;
+        while ((match = check.exec(content)) !== null) {
+            const name = match[2].replace(/\\(.)/g, '$1');
+            const setup = content.substring(Math.max(previousEnd, match.index - 500), match.index);
+            const type = getClientRuleType(setup, match[1]);
+            if (!rules.has(name)) {
+                rules.set(name, []);
+            }
+            if (!rules.get(name).includes(type)) {
+                rules.get(name).push(type);
+            }
+            previousEnd = check.lastIndex;
+        }
+    });
+
+    clientRulesCache = {scriptCount: scriptCount, rules: rules};
+    return rules;
+};
+
+/**
+ * Check whether a form element is required.
+ *
+ * Moodle marks required fields with an icon next to the label, and may add the
+ * required attributes to the element itself.
+ *
+ * @param {HTMLElement} node - The form element
+ * @param {string[]} rules - Client-side rule types of the element
+ * @returns {boolean} True if the element is required
+ */
+const isRequiredElement = (node, rules) => {
+    if (rules.includes('required') || node.required || node.getAttribute('aria-required') === 'true') {
+        return true;
+    }
+    const fitem = node.closest('.fitem');
+    const marker = '.col-form-label .text-danger .icon, .col-form-label abbr.initialism, .col-form-label .req';
+    return !!(fitem && fitem.querySelector(marker));
+};
+
+/**
+ * Find the validation error shown for a form element.
+ *
+ * @param {HTMLElement} node - The form element
+ * @returns {{invalid: boolean, message: string}} Whether the element failed validation and the message shown
+ */
+const findValidationError = (node) => {
+    const fitem = node.closest('.fitem');
+    const candidates = [];
+    (node.getAttribute('aria-describedby') || '').split(/\s+/).forEach((id) => {
+        const described = id ? document.getElementById(id) : null;
+        if (described && described.matches('.invalid-feedback, .form-control-feedback')) {
+            candidates.push(described);
+        }
+    });
+    if (node.name) {
+        const errorElement = document.getElementById(`id_error_${node.name.replace(/\]\[|\[|\]/g, '_').replace(/_$/, '')}`);
+        if (errorElement) {
+            candidates.push(errorElement);
+        }
+    }
+    if (fitem) {
+        candidates.push(...fitem.querySelectorAll('.invalid-feedback, .form-control-feedback'));
+    }
+
+    const shown = candidates.find((candidate) => candidate.textContent.trim() !== '' &&
+        candidate.style.display !== 'none' && !candidate.hidden);
+    const message = shown ? shown.textContent.trim() : '';
+    const invalid = message !== '' || node.classList.contains('is-invalid') || node.getAttribute('aria-invalid') === 'true';
+    return {invalid: invalid, message: message};
+};
+
+/**
+ * Selector for the containers of Moodle date and date/time selectors.
+ */
+const DATE_SELECTOR_CONTAINER = '[data-fieldtype="date_time"], [data-fieldtype="date_selector"]';
+
+/**
+ * Pattern of the names of the parts of a date selector, e.g. timeopen[day].
+ */
+const DATE_PART_PATTERN = /^(.+)\[(day|month|year|hour|minute|enabled)\]$/;
+
+/**
+ * Pad a number to two digits.
+ *
+ * @param {string} value - The number
+ * @returns {string} The padded number
+ */
+const padDatePart = (value) => String(value).padStart(2, '0');
+
+/**
+ * Build one logical element from the parts of a date selector.
+ *
+ * @param {HTMLElement} container - The date selector container
+ * @param {Array} parts - Element data of the selects and enable checkbox
+ * @returns {Object} The element data
+ */
+const buildDateElement = (container, parts) => {
+    const byPart = {};
+    let name = '';
+    parts.forEach((data) => {
+        const match = data.name.match(DATE_PART_PATTERN);
+        if (match) {
+            name = match[1];
+            byPart[match[2]] = data;
+        }
+    });
+    const value = (part) => (byPart[part] ? byPart[part].current_value : '');
+    const hasTime = !!byPart.hour;
+
+    // Moodle fills the selects with the user's local time, so no offset is given.
+    let isoValue = '';
+    if (value('year') && value('month') && value('day')) {
+        isoValue = `${value('year')}-${padDatePart(value('month'))}-${padDatePart(value('day'))}`;
+        if (hasTime) {
+            isoValue += `T${padDatePart(value('hour'))}:${padDatePart(value('minute') || '0')}`;
+        }
+    }
+
+    const optional = !!byPart.enabled;
+    const enabled = optional ? byPart.enabled.checked === true : true;
+    const first = byPart.day || parts[0];
+    const dateData = {
+        id: container.id || first.id,
+        name: name,
+        type: container.dataset.fieldtype,
+        current_value: isoValue,
+        label: findLabelForElement(container) || first.label,
+        helptext: first.helptext,
+        active: (enabled && parts.some((data) => data.active && data !== byPart.enabled)) ? 1 : 0,
+        visible: parts.some((data) => data.visible),
+        required: parts.some((data) => data.required),
+        optional: optional,
+        enabled: enabled,
+        locator: Object.assign(getElementLocator(container), {name: name})
+    };
+
+    ['invalid', 'error', 'rules', 'depends_on_enabled', 'dependencies', 'js_dependencies'].forEach((key) => {
+        const withKey = parts.find((data) => data[key] !== undefined);
+        if (withKey) {
+            dateData[key] = withKey[key];
+        }
+    });
+    // Parts depend on the selector's own enable checkbox, which enabled already reports.
+    if (optional && dateData.depends_on_enabled === byPart.enabled.name) {
+        delete dateData.depends_on_enabled;
+    }
+
+    elementNodes.set(dateData, container);
+    return dateData;
+};
+
+/**
+ * Replace the parts of each date and date/time selector with one element.
+ *
+ * The day, month, year, hour and minute selects and the enable checkbox become one
+ * element with the date as an ISO 8601 value, e.g. 2025-03-01T09:30, whether the date
+ * is enabled, and the label of the selector. It takes the place of the first part.
+ *
+ * @param {Array} elements - Element data from analyzeElement
+ * @returns {Array} The element data
+ */
+export const collapseDateSelectors = (elements) => {
+    const containers = new Map();
+    elements.forEach((data) => {
+        const node = getNodeForElement(data);
+        const container = (node && DATE_PART_PATTERN.test(data.name)) ? node.closest(DATE_SELECTOR_CONTAINER) : null;
+        if (container) {
+            if (!containers.has(container)) {
+                containers.set(container, []);
+            }
+            containers.get(container).push(data);
+        }
+    });
+    if (containers.size === 0) {
+        return elements;
+    }
+
+    const collapsed = [];
+    const done = new Set();
+    elements.forEach((data) => {
+        const node = getNodeForElement(data);
+        const container = (node && DATE_PART_PATTERN.test(data.name)) ? node.closest(DATE_SELECTOR_CONTAINER) : null;
+        if (!container || !containers.has(container)) {
+            collapsed.push(data);
+            return;
+        }
+        if (!done.has(container)) {
+            done.add(container);
+            collapsed.push(buildDateElement(container, containers.get(container)));
+        }
+    });
+    return collapsed;
+};
+
+/**
+ * Actions of declared dependencies, by the index Moodle's formslib stores them under.
+ */
+const DEPENDENCY_ACTIONS = {0: 'disable', 1: 'hide'};
+
+// Declared dependency rules read for each form, with the number of scripts they were read from.
+const declaredDependencyCache = new WeakMap();
+
+/**
+ * Find the JSON object argument that starts at a position in a script.
+ *
+ * @param {string} content - The script
+ * @param {number} start - Position of the opening brace
+ * @returns {string|null} The JSON text, or null if the braces do not balance
+ */
+const extractJsonObject = (content, start) => {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < content.length; i++) {
+        const char = content[i];
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) {
+                return content.substring(start, i + 1);
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Read the dependency rules of a form from the page scripts.
+ *
+ * Moodle forms with hideIf or disabledIf rules initialise them with
+ * M.form.initFormDependencies(Y, formid, dependencies) at the end of the page.
+ *
+ * @param {string} formId - The form id
+ * @returns {Object|null} The rules, or null if the form has none
+ */
+const readDependenciesFromScripts = (formId) => {
+    const call = /M\.form\.initFormDependencies\(\s*Y\s*,\s*"((?:[^"\\]|\\.)*)"\s*,\s*/g;
+    for (const content of getScriptContents()) {
+        if (!content.includes('initFormDependencies')) {
+            continue;
+        }
+        call.lastIndex = 0;
+        let match;
+        while ((match = call.exec(content)) !== null) {
+            if (match[1] !== formId) {
+                continue;
+            }
+            const json = extractJsonObject(content, call.lastIndex);
+            if (json) {
+                try {
+                    return JSON.parse(json);
+                } catch (e) {
+                    return null;
+                }
+            }
+        }
+    }
     return null;
 };
 
 /**
- * Check if a select element is within a date_time container.
+ * Get the hideIf and disabledIf rules a Moodle form declares.
  *
- * Date/time fields in Moodle often have many select options (days, months, years, hours, minutes)
- * which would clutter the output. This function identifies such containers to exclude their options.
+ * The rules come from the form dependency manager when it has been initialised, and
+ * otherwise from the initialisation call in the page scripts. They are indexed by the
+ * name of the dependent element.
  *
- * @param {HTMLElement} element - The select element to check
- * @returns {boolean} True if the element is within a date_time container
+ * @param {HTMLElement} form - The form
+ * @returns {Map|null} Rules keyed by dependent element name, or null if the form declares none
  */
-const isWithinDateTimeContainer = (element) => {
-    // Search for parent element with data-fieldtype="date_time" attribute.
-    const dateTimeContainer = element.closest('[data-fieldtype="date_time"]');
-    if (dateTimeContainer) {
-        return true;
+export const getDeclaredDependencies = (form) => {
+    if (!form.id) {
+        return null;
     }
 
-    // Additional search for fieldset with date_time fieldtype.
-    const fieldsetContainer = element.closest('fieldset[data-fieldtype="date_time"]');
-    if (fieldsetContainer) {
-        return true;
+    const scriptCount = document.getElementsByTagName('script').length;
+    const cached = declaredDependencyCache.get(form);
+    if (cached && cached.scriptCount === scriptCount && cached.rules) {
+        return cached.rules;
     }
 
-    // Search for div or other containers with date_time fieldtype.
-    const divContainer = element.closest('div[data-fieldtype="date_time"]');
-    if (divContainer) {
-        return true;
+    let dependencies = null;
+    const managers = window.M && window.M.form && window.M.form.dependencyManagers;
+    const manager = managers ? managers[form.id] : null;
+    if (manager) {
+        dependencies = typeof manager.get === 'function' ? manager.get('dependencies') : manager.dependencies;
+    }
+    if (!dependencies) {
+        dependencies = (cached && cached.scriptCount === scriptCount) ? null : readDependenciesFromScripts(form.id);
     }
 
-    return false;
+    // The rules are structured as control name => operator => value => action => dependent names.
+    let rules = null;
+    if (dependencies && typeof dependencies === 'object') {
+        rules = new Map();
+        Object.keys(dependencies).forEach((controlName) => {
+            const operators = dependencies[controlName] || {};
+            Object.keys(operators).forEach((operator) => {
+                const values = operators[operator] || {};
+                Object.keys(values).forEach((value) => {
+                    const actions = values[value] || {};
+                    Object.keys(actions).forEach((actionKey) => {
+                        (actions[actionKey] || []).forEach((dependentName) => {
+                            if (!rules.has(dependentName)) {
+                                rules.set(dependentName, []);
+                            }
+                            rules.get(dependentName).push({
+                                controlName: controlName,
+                                operator: operator,
+                                value: value,
+                                action: DEPENDENCY_ACTIONS[actionKey] || String(actionKey)
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    declaredDependencyCache.set(form, {scriptCount: scriptCount, rules: rules});
+    return rules;
+};
+
+/**
+ * Get the current values of a control a dependency refers to.
+ *
+ * Follows the rules of Moodle's dependency manager: checked radios give their value,
+ * checkboxes their value when checked and otherwise the value of the hidden input an
+ * advcheckbox carries, selects every selected option.
+ *
+ * @param {HTMLElement[]} controls - The elements with the control name
+ * @returns {string[]} The current values
+ */
+const getDeclaredControlValues = (controls) => {
+    const values = [];
+    const checkable = controls.filter((control) => control.type === 'checkbox' || control.type === 'radio');
+    if (checkable.length > 0) {
+        checkable.filter((control) => control.checked).forEach((control) => values.push(control.value));
+        if (values.length === 0) {
+            controls.filter((control) => control.type === 'hidden').forEach((control) => values.push(control.value));
+        }
+        return values;
+    }
+
+    controls.forEach((control) => {
+        if (control.tagName.toLowerCase() === 'select') {
+            Array.from(control.selectedOptions).forEach((option) => values.push(option.value));
+        } else {
+            values.push(control.value);
+        }
+    });
+    return values;
+};
+
+/**
+ * Check whether the condition of a declared dependency currently holds.
+ *
+ * When it holds the dependent element is hidden or disabled.
+ *
+ * @param {string} operator - The dependency operator
+ * @param {string} value - The value of the condition
+ * @param {HTMLElement[]} controls - The elements with the control name
+ * @returns {boolean|null} Whether the condition holds, or null for an unknown operator
+ */
+const isDeclaredConditionSatisfied = (operator, value, controls) => {
+    const values = getDeclaredControlValues(controls);
+    const isChecked = controls.some((control) => (control.type === 'checkbox' || control.type === 'radio') && control.checked);
+
+    switch (operator) {
+        case 'checked':
+            return isChecked;
+        case 'notchecked':
+            return !isChecked;
+        case 'noitemselected':
+            return values.length === 0;
+        case 'eq':
+        case 'defaultcondition':
+            return values.includes(String(value));
+        case 'neq':
+            return !values.includes(String(value));
+        case 'in':
+            return String(value).split('|').some((option) => values.includes(option));
+        default:
+            return null;
+    }
+};
+
+/**
+ * Report the declared dependencies of an element.
+ *
+ * @param {HTMLElement} element - The dependent element
+ * @param {HTMLElement} form - The form the element is in
+ * @param {Map} rules - Rules from getDeclaredDependencies
+ * @returns {Array|null} Dependency objects, or null if the element has none
+ */
+const getDeclaredElementDependencies = (element, form, rules) => {
+    const elementRules = element.name ? rules.get(element.name) : null;
+    if (!elementRules) {
+        return null;
+    }
+
+    return elementRules.map((rule) => {
+        const controls = Array.from(form.querySelectorAll(`[name="${CSS.escape(rule.controlName)}"]`));
+        const control = controls.find((candidate) => candidate.type !== 'hidden') || controls[0];
+        return {
+            controllingElement: rule.controlName,
+            controllingElementId: control ? control.id || '' : '',
+            controllingValue: getDeclaredControlValues(controls).join(','),
+            operator: rule.operator,
+            value: rule.value,
+            action: rule.action,
+            satisfied: controls.length > 0 ? isDeclaredConditionSatisfied(rule.operator, rule.value, controls) : null,
+            source: 'declared'
+        };
+    });
 };
 
 /**
@@ -445,6 +1583,10 @@ const isWithinDateTimeContainer = (element) => {
  * relationships between form elements. It identifies when elements are controlled by
  * other elements (e.g., select values determining field visibility).
  *
+ * These are guesses from naming conventions, only used for forms that declare no
+ * dependency rules of their own (see getDeclaredDependencies). The dependencies found
+ * are marked with source 'heuristic'.
+ *
  * @param {HTMLElement} element - The element to check for dependencies
  * @returns {Array|null} Array of dependency objects or null if no dependencies found
  */
@@ -787,10 +1929,30 @@ const createDependencyObject = (controlElement, controlValue, requiredValue, vis
         controllingValue: controlValue,
         requiredValue: requiredValue,
         isCurrentlyVisible: !visibility.isHidden && controlValue === requiredValue,
-        hideMethod: visibility.hideMethod
+        hideMethod: visibility.hideMethod,
+        source: 'heuristic'
     };
 };
 
+// Text of the scripts on the page, read again only when scripts are added or removed.
+let scriptContentsCache = {count: -1, contents: []};
+
+/**
+ * Get the text of every script on the page.
+ *
+ * @returns {string[]} The script contents
+ */
+const getScriptContents = () => {
+    const scripts = document.getElementsByTagName('script');
+    if (scripts.length !== scriptContentsCache.count) {
+        scriptContentsCache = {
+            count: scripts.length,
+            contents: Array.from(scripts, (script) => script.textContent || script.innerText || '')
+        };
+    }
+    return scriptContentsCache.contents;
+};
+
 /**
  * Enhanced dependency analysis that also checks for common JavaScript patterns.
  *
@@ -835,9 +1997,7 @@ const analyzeJavaScriptDependencies = (element) => {
     // Prüfe Event-Handler, die auf Änderungen reagieren
     const form = element.closest('form');
     if (form) {
-        const scripts = document.querySelectorAll('script');
-        scripts.forEach((script) => {
-            const content = script.textContent || script.innerText;
+        getScriptContents().forEach((content) => {
             if (content && content.includes(element.name || element.id)) {
                 // Suche nach Event-Handler-Patterns
                 const eventPatterns = [
@@ -905,7 +2065,8 @@ const analyzeSiblingDependencies = (element) => {
                     siblingElement: siblingName,
                     siblingId: siblingElement.id || '',
                     similarity: similarity,
-                    siblingVisible: !siblingVisibility.isHidden
+                    siblingVisible: !siblingVisibility.isHidden,
+                    source: 'heuristic'
                 });
             }
         });
@@ -1091,24 +2252,286 @@ const hasHiddenParent = (element) => {
     return false;
 };
 
+/**
+ * Built-in redaction rules, applied before any rules added by the site.
+ *
+ * Each rule matches an element by its type, its name or its current value. Drop
+ * leaves the element out of the analysis. Mask replaces the whole value for type
+ * and name rules, and only the matching parts of the value for value rules.
+ */
+export const DEFAULT_REDACTION_RULES = [
+    {action: 'drop', match: 'type', pattern: /^password$/i, reason: 'password'},
+    {action: 'drop', match: 'name', pattern: /^sesskey$/i, reason: 'sesskey'},
+    {action: 'mask', match: 'name', pattern: /(passw(or)?d|secret|token|api_?key|private_?key)/i, reason: 'secret'},
+    {action: 'mask', match: 'value', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, reason: 'email'},
+    {action: 'mask', match: 'value', pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, reason: 'token'},
+    {action: 'mask', match: 'value', pattern: /\b[0-9a-f]{24,}\b/gi, reason: 'hex'},
+    {action: 'mask', match: 'value', pattern: /\b(?=[\w-]*\d)(?=[\w-]*[a-z])[\w-]{32,}\b/gi, reason: 'token'}
+];
+
+/** Text put in place of a masked value. */
+const REDACTED_VALUE = '[redacted]';
+
+/**
+ * Build the list of redaction rules to apply.
+ *
+ * Rules added by the site have their pattern as a string, which is compiled as a
+ * case-insensitive regular expression. Rules whose pattern does not compile are skipped.
+ *
+ * @param {Array<{action: string, match: string, pattern: string|RegExp}>} extraRules - Rules added to the defaults
+ * @returns {Array<{action: string, match: string, pattern: RegExp, reason: string}>} The rules
+ */
+export const getRedactionRules = (extraRules = []) => {
+    const rules = DEFAULT_REDACTION_RULES.slice();
+
+    extraRules.forEach((rule) => {
+        if (!['drop', 'mask'].includes(rule.action) || !['type', 'name', 'value'].includes(rule.match)) {
+            return;
+        }
+        try {
+            const pattern = (rule.pattern instanceof RegExp) ? rule.pattern : new RegExp(rule.pattern, 'gi');
+            rules.push({action: rule.action, match: rule.match, pattern: pattern, reason: rule.reason || 'site'});
+        } catch (e) {
+            console.warn(`Skipping redaction rule with invalid pattern "${rule.pattern}"`);
+        }
+    });
+
+    return rules;
+};
+
+/**
+ * Check whether a pattern matches a string.
+ *
+ * Global patterns keep their position between calls, so it is reset first.
+ *
+ * @param {RegExp} pattern - The pattern
+ * @param {string} text - The string to test
+ * @returns {boolean} True if the pattern matches
+ */
+const patternMatches = (pattern, text) => {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+};
+
+/**
+ * Get every string sent for an element that value rules are matched against.
+ *
+ * Besides its value that is the HTML of an editor, so a match only in an attribute
+ * such as a mailto link counts, the source and alt text of its media, the values
+ * and text of its options, its label, help and error text and the values of the
+ * fields it depends on.
+ *
+ * @param {Object} element - Element from extractDomElements
+ * @returns {string[]} The strings that are not empty
+ */
+const getRedactableStrings = (element) => {
+    const richText = element.rich_text || {};
+    return [String(element.current_value ?? ''), richText.html, element.label, element.helptext, element.error]
+        .concat((richText.media || []).flatMap((item) => [item.src, item.alt, item.title]))
+        .concat((element.options || []).flatMap((option) => [option.value, option.text]))
+        .concat((element.dependencies || []).map((dependency) => dependency.controllingValue))
+        .filter((text) => typeof text === 'string' && text !== '');
+};
+
+/**
+ * Apply redaction rules to analysed form elements.
+ *
+ * Returns copies of the elements that are kept, with masked values replaced, and a
+ * record of every element that was dropped or masked so the payload can say what
+ * was left out without repeating it. Value rules are matched against every string
+ * sent for an element, see getRedactableStrings.
+ *
+ * @param {Array} elements - Elements from extractDomElements
+ * @param {Array} rules - Rules from getRedactionRules
+ * @returns {{elements: Array, redacted: Array<{id: string, name: string, type: string, action: string, reasons: string[]}>}}
+ */
+export const redactElements = (elements, rules = getRedactionRules()) => {
+    const kept = [];
+    const redacted = [];
+
+    elements.forEach((element) => {
+        const strings = getRedactableStrings(element);
+        let action = null;
+        const reasons = [];
+        let maskedValue = String(element.current_value ?? '');
+        const maskPatterns = [];
+
+        rules.forEach((rule) => {
+            if (action === 'drop') {
+                return;
+            }
+
+            if (rule.match === 'value') {
+                if (!strings.some((text) => patternMatches(rule.pattern, text))) {
+                    return;
+                }
+                if (rule.action === 'drop') {
+                    action = 'drop';
+                } else {
+                    action = 'mask';
+                    const flags = rule.pattern.flags.includes('g') ? rule.pattern.flags : rule.pattern.flags + 'g';
+                    maskPatterns.push({pattern: new RegExp(rule.pattern.source, flags), reason: rule.reason});
+                    // Only the matching parts are hidden, unless a whole-value rule already matched.
+                    if (maskedValue !== REDACTED_VALUE) {
+                        maskedValue = maskedValue.replace(new RegExp(rule.pattern.source, flags), `[redacted:${rule.reason}]`);
+                    }
+                }
+                reasons.push(rule.reason);
+                return;
+            }
+
+            const subject = rule.match === 'type' ? element.type : element.name;
+            if (!subject || !patternMatches(rule.pattern, subject)) {
+                return;
+            }
+            action = rule.action === 'drop' ? 'drop' : 'mask';
+            maskedValue = REDACTED_VALUE;
+            reasons.push(rule.reason);
+        });
+
+        if (!action) {
+            kept.push(element);
+            return;
+        }
+
+        redacted.push({
+            id: element.id,
+            name: element.name,
+            type: element.type,
+            action: action,
+            reasons: reasons
+        });
+
+        if (action === 'mask') {
+            const mask = (text) => (typeof text === 'string' ? maskPatterns.reduce((masked, {pattern, reason}) =>
+                masked.replace(pattern, `[redacted:${reason}]`), text) : text);
+            const copy = Object.assign({}, element, {current_value: maskedValue});
+            elementNodes.set(copy, getNodeForElement(element));
+            // The options of a masked select would give its value away.
+            delete copy.options;
+            // What is said about the element is masked the same way as its value.
+            ['label', 'helptext', 'error'].forEach((key) => {
+                if (key in copy) {
+                    copy[key] = mask(copy[key]);
+                }
+            });
+            if (copy.dependencies) {
+                copy.dependencies = copy.dependencies.map((dependency) => Object.assign({}, dependency, {
+                    controllingValue: mask(dependency.controllingValue)
+                }));
+            }
+            // Editor content is masked the same way as its text.
+            if (copy.rich_text && maskedValue === REDACTED_VALUE) {
+                delete copy.rich_text;
+            } else if (copy.rich_text) {
+                copy.rich_text = Object.assign({}, copy.rich_text, {
+                    html: mask(copy.rich_text.html),
+                    media: (copy.rich_text.media || []).map((item) => Object.assign({}, item, {
+                        src: mask(item.src),
+                        alt: mask(item.alt),
+                        title: mask(item.title)
+                    }))
+                });
+            }
+            kept.push(copy);
+        }
+    });
+
+    return {elements: kept, redacted: redacted};
+};
+
+// Incremental analyzers of the hidden fields being auto-populated, keyed by field id.
+const activeAnalyzers = new Map();
+
+/** Event fired at the hidden field each time the analysis in it is brought up to date. */
+export const ANALYSIS_UPDATED_EVENT = 'block_helpchat:analysisupdated';
+
+/**
+ * Get every element analysed for a hidden field being auto-populated.
+ *
+ * Unlike the form tree in the field, this has the blank repeats left out of it, and
+ * nothing is redacted.
+ *
+ * @param {string} hiddenFieldId - ID of the hidden field
+ * @returns {Array|null} Element data from analyzeElement, or null if the field is not auto-populated
+ */
+export const getAnalysedElements = (hiddenFieldId) => {
+    const analyzer = activeAnalyzers.get(hiddenFieldId);
+    const elements = analyzer ? analyzer.getElements() : null;
+    return Array.isArray(elements) ? elements : null;
+};
+
+/**
+ * Have the analysis of a hidden field being auto-populated read some elements again.
+ *
+ * For changes made by script that the events the analyzer listens for may not show.
+ *
+ * @param {string} hiddenFieldId - ID of the hidden field
+ * @param {HTMLElement[]} nodes - The changed elements
+ */
+export const invalidateAnalysedElements = (hiddenFieldId, nodes) => {
+    const analyzer = activeAnalyzers.get(hiddenFieldId);
+    if (analyzer) {
+        nodes.forEach((node) => analyzer.invalidate(node));
+    }
+};
+
+/**
+ * Remove the session key from a URL.
+ *
+ * @param {string} url - The URL
+ * @returns {string} The URL without a sesskey parameter
+ */
+const removeSesskeyFromUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        if (!parsed.searchParams.has('sesskey')) {
+            return url;
+        }
+        parsed.searchParams.delete('sesskey');
+        return parsed.toString();
+    } catch (e) {
+        return url;
+    }
+};
+
 /**
  * Populate a hidden field with DOM analysis data.
  *
+ * Elements are passed through the redaction rules first, and the fields that were
+ * dropped or masked are listed in the data. Data from the extractors registered for
+ * the page is added under extracted.
+ *
  * @param {string} hiddenFieldId - ID of the hidden field to populate
- * @param {Object} options - Configuration options
+ * @param {Object} options - Extraction options, see DEFAULT_EXTRACTION_OPTIONS
+ * @param {Array} [options.redactionRules] - Redaction rules added to the defaults
  * @returns {Promise<void>}
  */
 export const populateHiddenField = async (hiddenFieldId, options = {}) => {
     try {
-        const elements = await getDomElementsAsJson();
-
-        // Add form metadata
+        // Use the incremental analysis when the field is being kept up to date.
+        const analyzer = activeAnalyzers.get(hiddenFieldId);
+        const allElements = analyzer ? analyzer.getElements() : await getDomElementsAsJson(options);
+
+        // Keep secrets on the page, the analysis is sent to a third-party AI service.
+        const {elements, redacted} = redactElements(
+            Array.isArray(allElements) ? allElements : [],
+            getRedactionRules(options.redactionRules || [])
+        );
+
+        // Add form metadata, with the elements arranged in their sections
+        const root = findExtractionRoot(resolveExtractionOptions(options));
         const analysisData = {
             timestamp: new Date().toISOString(),
-            formUrl: window.location.href,
-            formelements: elements,
-            version: '1.0'
+            formUrl: removeSesskeyFromUrl(window.location.href),
+            form: root ? buildFormTree(elements, root) : {sections: [], elements: elements},
+            redacted: redacted,
+            version: '2.0'
         };
+        const extracted = root ? runExtractors(root, elements) : {};
+        if (Object.keys(extracted).length > 0) {
+            analysisData.extracted = extracted;
+        }
 
         // Find the hidden field
         const hiddenField = document.getElementById(hiddenFieldId);
@@ -1118,6 +2541,7 @@ export const populateHiddenField = async (hiddenFieldId, options = {}) => {
 
         // Populate the field with JSON data
         hiddenField.value = JSON.stringify(analysisData);
+        hiddenField.dispatchEvent(new CustomEvent(ANALYSIS_UPDATED_EVENT));
 
         console.log(`Successfully populated hidden field "${hiddenFieldId}" with ${elements.length} form elements`);
 
@@ -1127,11 +2551,272 @@ export const populateHiddenField = async (hiddenFieldId, options = {}) => {
     }
 };
 
+/**
+ * Attributes whose changes can alter the analysis of an element or its dependents.
+ */
+const OBSERVED_ATTRIBUTES = ['class', 'style', 'hidden', 'disabled', 'checked', 'selected', 'value', 'aria-expanded'];
+
+/**
+ * Get the ids and names of the elements an analysed element depends on.
+ *
+ * @param {Object} data - The element data
+ * @returns {string[]} Ids and names of the controlling elements
+ */
+const getControllingKeys = (data) => {
+    const keys = [];
+    (data.dependencies || []).forEach((dependency) => {
+        keys.push(dependency.controllingElementId, dependency.controllingElement);
+    });
+    (data.sibling_dependencies || []).forEach((dependency) => {
+        keys.push(dependency.siblingId, dependency.siblingElement);
+    });
+    (data.js_dependencies || []).forEach((dependency) => {
+        keys.push(dependency.dependsOn);
+    });
+    keys.push(data.depends_on_enabled);
+    return keys.filter((key) => key);
+};
+
+/**
+ * Create an analyzer that keeps form element data up to date incrementally.
+ *
+ * The first call to getElements analyzes every element. After that a MutationObserver
+ * and input/change listeners mark elements dirty, and only those elements, the
+ * elements depending on them and any new elements are analyzed again. Everything
+ * else is served from a per-element cache.
+ *
+ * - Typing in a field re-analyzes that field and the fields that depend on it.
+ * - Attribute changes (hidden, disabled, class, style) re-analyze every element inside
+ *   the changed node and their dependents.
+ * - Form controls being added or removed re-analyze the rest of the form, since the
+ *   dependency analysis looks across the whole form.
+ * - TinyMCE content lives in an iframe the observer cannot see, and its textarea is only
+ *   updated when the form is saved, so editors are always re-analyzed and their input,
+ *   change and SetContent events count as changes.
+ *
+ * @param {Object} options - Extraction options, see DEFAULT_EXTRACTION_OPTIONS
+ * @param {Function} onChange - Called whenever something that may change the analysis happens
+ * @returns {Object} The analyzer, with getElements, invalidate, invalidateAll, getStats and disconnect
+ */
+export const createIncrementalAnalyzer = (options = {}, onChange = null) => {
+    const settings = resolveExtractionOptions(options);
+    const cache = new Map();
+    const dirty = new Set();
+    // Controlling element id or name => elements whose analysis refers to it.
+    const dependents = new Map();
+    const indexedKeys = new Map();
+    const stats = {refreshes: 0, analyzed: 0, reused: 0};
+    let allDirty = true;
+    let root = findExtractionRoot(settings);
+
+    const unindex = (node) => {
+        (indexedKeys.get(node) || []).forEach((key) => {
+            const nodes = dependents.get(key);
+            if (nodes) {
+                nodes.delete(node);
+                if (nodes.size === 0) {
+                    dependents.delete(key);
+                }
+            }
+        });
+        indexedKeys.delete(node);
+    };
+
+    const index = (node, data) => {
+        unindex(node);
+        const keys = getControllingKeys(data);
+        keys.forEach((key) => {
+            if (!dependents.has(key)) {
+                dependents.set(key, new Set());
+            }
+            dependents.get(key).add(node);
+        });
+        indexedKeys.set(node, keys);
+    };
+
+    const markDirty = (node) => {
+        if (!cache.has(node) || dirty.has(node)) {
+            return;
+        }
+        dirty.add(node);
+        // Elements depending on this one may report its value or visibility.
+        [node.id, node.name].forEach((key) => {
+            if (key && dependents.has(key)) {
+                dependents.get(key).forEach((dependent) => markDirty(dependent));
+            }
+        });
+    };
+
+    const markWithinDirty = (container) => {
+        cache.forEach((data, node) => {
+            if (container === node || container.contains(node)) {
+                markDirty(node);
+            }
+        });
+    };
+
+    const notify = () => {
+        if (onChange) {
+            onChange();
+        }
+    };
+
+    const containsFormControl = (nodes) => {
+        return Array.from(nodes).some((node) => {
+            return node.nodeType === Node.ELEMENT_NODE &&
+                (node.matches(FORM_ELEMENT_SELECTOR) || node.querySelector(FORM_ELEMENT_SELECTOR) !== null);
+        });
+    };
+
+    const handleMutations = (mutations) => {
+        let relevant = false;
+        mutations.forEach((mutation) => {
+            const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+            if (!target || target.closest(HELPCHAT_REGION_SELECTOR)) {
+                return;
+            }
+            relevant = true;
+
+            if (mutation.type === 'attributes') {
+                markWithinDirty(target);
+            } else if (mutation.type === 'childList' &&
+                    (containsFormControl(mutation.addedNodes) || containsFormControl(mutation.removedNodes))) {
+                markWithinDirty(target.closest('form') || root);
+            } else {
+                // Labels, help text or error messages changed.
+                markWithinDirty(target.closest('.fitem') || target);
+            }
+        });
+        if (relevant) {
+            notify();
+        }
+    };
+
+    const handleValueChange = (e) => {
+        const target = e.target;
+        if (!target || !target.closest || target.closest(HELPCHAT_REGION_SELECTOR)) {
+            return;
+        }
+        markDirty(target);
+        // Checking a radio button unchecks the others in its group without any event.
+        if (target.type === 'radio' && target.name && target.form) {
+            Array.from(target.form.elements).forEach((other) => {
+                if (other.type === 'radio' && other.name === target.name) {
+                    markDirty(other);
+                }
+            });
+        }
+        notify();
+    };
+
+    // Editors whose events are listened to, with their listeners.
+    const editorListeners = new Map();
+    const stopWatchingEditors = watchRichTextEditors((editor) => {
+        const textarea = typeof editor.getElement === 'function' ? editor.getElement() : null;
+        if (!textarea) {
+            return;
+        }
+        const listener = () => {
+            if (!root || !root.contains(textarea) || textarea.closest(HELPCHAT_REGION_SELECTOR)) {
+                return;
+            }
+            markDirty(textarea);
+            notify();
+        };
+        editor.on('input change SetContent', listener);
+        editorListeners.set(editor, listener);
+    });
+
+    const observer = new MutationObserver(handleMutations);
+    const observe = () => {
+        if (root) {
+            observer.observe(root, {
+                subtree: true,
+                childList: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: OBSERVED_ATTRIBUTES
+            });
+            root.addEventListener('input', handleValueChange, true);
+            root.addEventListener('change', handleValueChange, true);
+        }
+    };
+    const unobserve = () => {
+        observer.disconnect();
+        if (root) {
+            root.removeEventListener('input', handleValueChange, true);
+            root.removeEventListener('change', handleValueChange, true);
+        }
+    };
+    observe();
+
+    const getElements = () => {
+        // The root may have been replaced, or appeared since the analyzer was created.
+        if (!root || !root.isConnected) {
+            unobserve();
+            root = findExtractionRoot(settings);
+            allDirty = true;
+            observe();
+        }
+        if (!root) {
+            return {};
+        }
+
+        const nodes = getExtractableNodes(root, settings);
+        const present = new Set(nodes);
+        Array.from(cache.keys()).forEach((node) => {
+            if (!present.has(node)) {
+                cache.delete(node);
+                unindex(node);
+            }
+        });
+
+        const elements = nodes.map((node) => {
+            const isEditor = node.tagName === 'TEXTAREA' && node.id && document.getElementById(`${node.id}_ifr`);
+            if (!allDirty && !dirty.has(node) && !isEditor && cache.has(node)) {
+                stats.reused++;
+                return cache.get(node);
+            }
+            const data = analyzeElement(node, settings);
+            cache.set(node, data);
+            index(node, data);
+            stats.analyzed++;
+            return data;
+        });
+
+        dirty.clear();
+        allDirty = false;
+        stats.refreshes++;
+        return collapseDateSelectors(elements);
+    };
+
+    return {
+        getElements: getElements,
+        invalidate: (node) => {
+            markDirty(node);
+        },
+        invalidateAll: () => {
+            allDirty = true;
+        },
+        getStats: () => Object.assign({cached: cache.size}, stats),
+        disconnect: () => {
+            unobserve();
+            stopWatchingEditors();
+            editorListeners.forEach((listener, editor) => editor.off('input change SetContent', listener));
+            editorListeners.clear();
+            cache.clear();
+            dirty.clear();
+            dependents.clear();
+            indexedKeys.clear();
+        }
+    };
+};
+
 /**
  * Setup auto-population of hidden field with debouncing.
  *
  * @param {string} hiddenFieldId - ID of the hidden field to populate
- * @param {Object} options - Configuration options
+ * @param {Object} options - Extraction options, passed on to populateHiddenField
  * @param {number} debounceMs - Debounce time in milliseconds
  * @returns {Function} Cleanup function to stop auto-population
  */
@@ -1161,15 +2846,16 @@ export const autoPopulateHiddenField = (hiddenFieldId, options = {}, debounceMs
         timeoutId = setTimeout(updateHiddenField, debounceMs);
     };
 
-    // Listen for various form events that might change the DOM
-    const events = ['input', 'change', 'click', 'focus', 'blur', 'DOMSubtreeModified'];
-
-    events.forEach(eventType => {
-        document.addEventListener(eventType, debouncedUpdate, true);
-    });
+    // Only elements that changed, or depend on one that did, are analyzed again.
+    const analyzer = createIncrementalAnalyzer(options, () => debouncedUpdate());
+    activeAnalyzers.set(hiddenFieldId, analyzer);
 
-    // Also listen for window resize in case of responsive layouts
-    window.addEventListener('resize', debouncedUpdate);
+    // Responsive layouts can show or hide anything when the window is resized.
+    const handleResize = () => {
+        analyzer.invalidateAll();
+        debouncedUpdate();
+    };
+    window.addEventListener('resize', handleResize);
 
     // Initial population
     updateHiddenField();
@@ -1180,11 +2866,12 @@ export const autoPopulateHiddenField = (hiddenFieldId, options = {}, debounceMs
             clearTimeout(timeoutId);
         }
 
-        events.forEach(eventType => {
-            document.removeEventListener(eventType, debouncedUpdate, true);
-        });
+        analyzer.disconnect();
+        if (activeAnalyzers.get(hiddenFieldId) === analyzer) {
+            activeAnalyzers.delete(hiddenFieldId);
+        }
 
-        window.removeEventListener('resize', debouncedUpdate);
+        window.removeEventListener('resize', handleResize);
 
         console.log('Auto-population cleanup completed');
     };
@@ -1218,9 +2905,9 @@ export const makeGloballyAccessible = () => {
     };
 
     // Main analysis function that returns a Promise
-    window.MoodleDomParser.analyze = async () => {
+    window.MoodleDomParser.analyze = async (options = {}) => {
         try {
-            const result = await getDomElementsAsJson();
+            const result = await getDomElementsAsJson(options);
             return result;
         } catch (error) {
             // eslint-disable-next-line no-console
@@ -1236,7 +2923,7 @@ export const makeGloballyAccessible = () => {
             // eslint-disable-next-line no-console
             console.log('=== Moodle DOM Analysis Results ===');
             // eslint-disable-next-line no-console
-            console.log('Found', result.formelements ? result.formelements.length : 0, 'form elements');
+            console.log('Found', Array.isArray(result) ? result.length : 0, 'form elements');
             // eslint-disable-next-line no-console
             console.log('Full data:', result);
             // eslint-disable-next-line no-console
@@ -1253,7 +2940,7 @@ export const makeGloballyAccessible = () => {
     window.MoodleDomParser.analyzeAndDisplay = async () => {
         try {
             const result = await window.MoodleDomParser.analyze();
-            const elementCount = result.formelements ? result.formelements.length : 0;
+            const elementCount = Array.isArray(result) ? result.length : 0;
             const jsonString = JSON.stringify(result, null, 2);
 
             const message = `Moodle DOM Analysis Results:
@@ -1278,6 +2965,47 @@ ${jsonString.substring(0, 2000)}${jsonString.length > 2000 ? '...\n\n(Data trunc
         }
     };
 
+    // Analysis arranged as a tree of sections, groups and elements
+    window.MoodleDomParser.tree = async (options = {}) => {
+        const elements = await getDomElementsAsJson(options);
+        const root = findExtractionRoot(resolveExtractionOptions(options));
+        return root ? buildFormTree(elements, root) : null;
+    };
+
+    // Extractors adding structured data for particular forms
+    window.MoodleDomParser.registerExtractor = registerExtractor;
+    window.MoodleDomParser.unregisterExtractor = unregisterExtractor;
+    window.MoodleDomParser.listExtractors = getExtractors;
+    window.MoodleDomParser.extract = async (options = {}) => {
+        const elements = await getDomElementsAsJson(options);
+        const root = findExtractionRoot(resolveExtractionOptions(options));
+        const {elements: kept} = redactElements(Array.isArray(elements) ? elements : [],
+            getRedactionRules(options.redactionRules || []));
+        return root ? runExtractors(root, kept) : {};
+    };
+
+    // The compact text sent with chat messages, within a token budget
+    window.MoodleDomParser.serialise = async (tokenBudget = 0, options = {}) => {
+        const {serialiseFormAnalysis} = await import('./form_serialiser');
+        const elements = await getDomElementsAsJson(options);
+        const root = findExtractionRoot(resolveExtractionOptions(options));
+        const {elements: kept, redacted} = redactElements(Array.isArray(elements) ? elements : [],
+            getRedactionRules(options.redactionRules || []));
+        const analysis = {
+            formUrl: removeSesskeyFromUrl(window.location.href),
+            form: root ? buildFormTree(kept, root) : {sections: [], elements: kept},
+            redacted: redacted,
+            extracted: root ? runExtractors(root, kept) : {}
+        };
+        return serialiseFormAnalysis(analysis, {tokenBudget: tokenBudget});
+    };
+
+    // Benchmark full against incremental analysis on a large synthetic form
+    window.MoodleDomParser.benchmark = async (config = {}) => {
+        const {runBenchmark} = await import('./dom_parser_benchmark');
+        return runBenchmark(config);
+    };
+
     // Add help function
     window.MoodleDomParser.help = () => {
 // eslint-disable-next-line no-console
@@ -1285,17 +3013,29 @@ ${jsonString.substring(0, 2000)}${jsonString.length > 2000 ? '...\n\n(Data trunc
  === Moodle DOM Parser Console Commands ===
 
  Available functions:
- • window.MoodleDomParser.analyze()              - Returns Promise with DOM analysis data
+ • window.MoodleDomParser.analyze(options)       - Returns Promise with DOM analysis data
  • window.MoodleDomParser.analyzeAndLog()        - Analyzes and logs results to console
  • window.MoodleDomParser.analyzeAndDisplay()    - Analyzes and shows results in alert
+ • window.MoodleDomParser.tree(options)          - Returns Promise with the analysis as a tree of sections
+ • window.MoodleDomParser.extract(options)       - Returns Promise with the data of the extractors for this page
+ • window.MoodleDomParser.registerExtractor(ext) - Adds an extractor, see block_helpchat/extractors
+ • window.MoodleDomParser.unregisterExtractor(name) - Removes an extractor
+ • window.MoodleDomParser.listExtractors()       - Lists the registered extractors
+ • window.MoodleDomParser.serialise(budget)      - Returns Promise with the compact text sent with messages
+ • window.MoodleDomParser.history()              - Lists the snapshots of the form taken for each message sent
+ • window.MoodleDomParser.diff(a, b)             - Compares two snapshots, by default the last two
  • window.MoodleDomParser.populateHiddenField()  - Populates hidden field with analysis data
  • window.MoodleDomParser.autoPopulateHiddenField() - Setup auto-population with debouncing
+ • window.MoodleDomParser.benchmark(config)      - Times full against incremental analysis of a large form
  • window.MoodleDomParser.help()                 - Shows this help message
 
  Examples:
  // Basic analysis
  await window.MoodleDomParser.analyze()
 
+ // Analysis of text fields only, without the sibling analysis
+ await window.MoodleDomParser.analyze({types: ['text', 'textarea'], analyzeSiblingDependencies: false})
+
  // Quick analysis with console output
  await window.MoodleDomParser.analyzeAndLog()
 
@@ -1308,10 +3048,19 @@ ${jsonString.substring(0, 2000)}${jsonString.length > 2000 ? '...\n\n(Data trunc
  // Setup auto-population with 2 second debounce
  const cleanup = window.MoodleDomParser.autoPopulateHiddenField("form_analysis", {}, 2000)
 
+ // Benchmark on a form with 40 sections of 25 fields, re-analysed after 50 edits
+ await window.MoodleDomParser.benchmark({sections: 40, fieldsPerSection: 25, edits: 50})
+
  // Get specific element data
  const data = await window.MoodleDomParser.analyze()
- console.log('Visible elements:', data.formelements.filter(el => el.visible === 1))
- console.log('Hidden elements:', data.formelements.filter(el => el.visible === 0))
+ console.log('Visible elements:', data.filter(el => el.visible))
+ console.log('Hidden elements:', data.filter(el => !el.visible))
+
+ // Elements arranged in their sections and groups
+ await window.MoodleDomParser.tree()
+
+ // Answers of a multichoice question, or the response trees of a STACK question
+ await window.MoodleDomParser.extract()
          `);
     };
 
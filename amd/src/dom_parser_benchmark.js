@@ -0,0 +1,219 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Benchmark of full and incremental form analysis for Help Chat block
+ *
+ * Builds a large synthetic Moodle form off screen, makes a series of edits to it and
+ * times re-analysing the form after each edit with a full extractDomElements scan
+ * and with the incremental analyzer. Run it from the browser console with
+ * await window.MoodleDomParser.benchmark().
+ *
+ * @module     block_helpchat/dom_parser_benchmark
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {createIncrementalAnalyzer, extractDomElements} from './dom_parser';
+
+/**
+ * Build one form item in the markup Moodle forms use
+ *
+ * @param {string} name - The element name
+ * @param {string} label - The label text
+ * @param {string} control - HTML of the control
+ * @returns {string} HTML of the form item
+ */
+const buildFitem = (name, label, control) => {
+    return `<div id="fitem_id_${name}" class="mb-3 row fitem">
+        <div class="col-md-3 col-form-label d-flex pb-0 pe-md-0">
+            <label id="id_${name}_label" for="id_${name}">${label}</label>
+            <a class="btn btn-link p-0" role="button" data-bs-toggle="popover"
+                data-bs-content="&lt;p&gt;Help for ${label}&lt;/p&gt;">?</a>
+        </div>
+        <div class="col-md-9 d-flex flex-wrap align-items-start felement">${control}</div>
+    </div>`;
+};
+
+/**
+ * Build a large synthetic Moodle form
+ *
+ * Each section holds text fields, textareas, selects and checkboxes with enable
+ * checkboxes, numbered series and inline scripts, like a big quiz settings form.
+ *
+ * @param {number} sections - Number of collapsible sections
+ * @param {number} fieldsPerSection - Number of form items in each section
+ * @returns {HTMLElement} The form, not yet attached to the page
+ */
+export const buildSyntheticForm = (sections = 20, fieldsPerSection = 25) => {
+    const form = document.createElement('form');
+    form.className = 'mform';
+    form.id = 'helpchat-benchmark-form';
+
+    const parts = [];
+    for (let s = 0; s < sections; s++) {
+        parts.push(`<fieldset class="clearfix collapsible" id="id_section${s}">
+            <legend class="d-none">Section ${s}</legend><div class="fcontainer">`);
+        for (let f = 0; f < fieldsPerSection; f++) {
+            const name = `s${s}field${f}`;
+            switch (f % 5) {
+                case 0:
+                    parts.push(buildFitem(name, `Text ${s}.${f}`,
+                        `<input type="text" class="form-control" name="${name}" id="id_${name}" value="Value ${f}">`));
+                    break;
+                case 1:
+                    parts.push(buildFitem(name, `Description ${s}.${f}`,
+                        `<textarea class="form-control" name="${name}" id="id_${name}" rows="3">Some text ${f}</textarea>`));
+                    break;
+                case 2:
+                    parts.push(buildFitem(name, `Choice ${s}.${f}`,
+                        `<select class="form-select" name="${name}" id="id_${name}">` +
+                        Array.from({length: 10}, (v, i) => `<option value="${i}">Option ${i}</option>`).join('') +
+                        '</select>'));
+                    break;
+                case 3:
+                    parts.push(buildFitem(`${name}_enabled`, `Enable ${s}.${f}`,
+                        `<input type="checkbox" name="${name}_enabled" id="id_${name}_enabled" value="1" checked>`));
+                    break;
+                default:
+                    parts.push(buildFitem(name, `Number ${s}.${f}`,
+                        `<input type="number" class="form-control" name="${name}" id="id_${name}" value="${f}">`));
+            }
+        }
+        parts.push('</div></fieldset>');
+        // Inline scripts make the JavaScript dependency analysis do real work.
+        parts.push(`<script type="text/plain">document.getElementById('id_s${s}field0')` +
+            `.addEventListener('change', function() {});</script>`);
+    }
+    parts.push('<input type="hidden" name="sesskey" value="abcdef1234">');
+    form.innerHTML = parts.join('');
+
+    return form;
+};
+
+/**
+ * Make one edit to the synthetic form, as a user would
+ *
+ * Most edits are typing in a text field, every fifth one toggles an enable checkbox.
+ *
+ * @param {HTMLElement} form - The synthetic form
+ * @param {number} step - Number of the edit
+ * @param {number} sections - Number of sections in the form
+ */
+const makeEdit = (form, step, sections) => {
+    const section = step % sections;
+    if (step % 5 === 4) {
+        const checkbox = form.querySelector(`#id_s${section}field3_enabled`);
+        checkbox.checked = !checkbox.checked;
+        checkbox.dispatchEvent(new Event('change', {bubbles: true}));
+    } else {
+        const input = form.querySelector(`#id_s${section}field0`);
+        input.value = `Edited ${step}`;
+        input.dispatchEvent(new Event('input', {bubbles: true}));
+    }
+};
+
+/**
+ * Wait for pending MutationObserver callbacks to run
+ *
+ * @returns {Promise<void>}
+ */
+const flushMutations = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Time a function
+ *
+ * @param {Function} fn - The function
+ * @returns {{ms: number, result: *}} Time taken in milliseconds and the result
+ */
+const time = (fn) => {
+    const start = performance.now();
+    const result = fn();
+    return {ms: performance.now() - start, result: result};
+};
+
+/**
+ * Run the benchmark
+ *
+ * @param {Object} config - Benchmark settings
+ * @param {number} config.sections - Number of sections in the synthetic form
+ * @param {number} config.fieldsPerSection - Number of form items in each section
+ * @param {number} config.edits - Number of edits to make and re-analyse after
+ * @returns {Promise<Object>} The timings, speedup and whether both analyses agree after every edit
+ */
+export const runBenchmark = async ({sections = 20, fieldsPerSection = 25, edits = 30} = {}) => {
+    const form = buildSyntheticForm(sections, fieldsPerSection);
+    const container = document.createElement('div');
+    container.style.position = 'absolute';
+    container.style.left = '-10000px';
+    container.style.width = '800px';
+    container.setAttribute('aria-hidden', 'true');
+    container.appendChild(form);
+    document.body.appendChild(container);
+
+    const options = {root: container};
+    const analyzer = createIncrementalAnalyzer(options);
+
+    try {
+        const fullInitial = time(() => extractDomElements(options));
+        const incrementalInitial = time(() => analyzer.getElements());
+
+        let fullTotal = 0;
+        let incrementalTotal = 0;
+        // Edits after which the two analyses differ, the initial analysis being edit 0.
+        const differences = [];
+        if (JSON.stringify(fullInitial.result) !== JSON.stringify(incrementalInitial.result)) {
+            differences.push(0);
+        }
+        for (let step = 0; step < edits; step++) {
+            makeEdit(form, step, sections);
+            await flushMutations();
+
+            const full = time(() => extractDomElements(options));
+            fullTotal += full.ms;
+
+            const incremental = time(() => analyzer.getElements());
+            incrementalTotal += incremental.ms;
+
+            if (JSON.stringify(full.result) !== JSON.stringify(incremental.result)) {
+                differences.push(step + 1);
+            }
+        }
+
+        const report = {
+            elements: fullInitial.result.length,
+            edits: edits,
+            fullInitialMs: Math.round(fullInitial.ms),
+            incrementalInitialMs: Math.round(incrementalInitial.ms),
+            fullPerEditMs: +(fullTotal / edits).toFixed(2),
+            incrementalPerEditMs: +(incrementalTotal / edits).toFixed(2),
+            speedup: +(fullTotal / Math.max(incrementalTotal, 0.01)).toFixed(1),
+            matchesFullScan: differences.length === 0,
+            differences: differences,
+            analyzerStats: analyzer.getStats()
+        };
+
+        window.console.log(`Full scan: ${report.fullInitialMs} ms initially, ${report.fullPerEditMs} ms per edit`);
+        window.console.log(`Incremental: ${report.incrementalInitialMs} ms initially, ${report.incrementalPerEditMs} ms per edit`);
+        window.console.log(`${report.elements} elements, ${edits} edits: incremental analysis is ${report.speedup}x faster` +
+            (report.matchesFullScan ? ' and matches the full scan after every edit'
+                : ` but DIFFERS from the full scan after edits ${differences.join(', ')}`));
+
+        return report;
+    } finally {
+        analyzer.disconnect();
+        container.remove();
+    }
+};
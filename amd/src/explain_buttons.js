@@ -0,0 +1,219 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Buttons explaining form settings for Help Chat block
+ *
+ * When turned on for a block, every form field with a help icon gets a sparkle
+ * button beside it. Clicking it asks the AI what the setting does in this case,
+ * given its current value, the fields it depends on and the fields depending on it,
+ * and the section it is in. The answer is shown under the field, and clicking the
+ * button again hides it.
+ *
+ * @module     block_helpchat/explain_buttons
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {get_strings as getStrings} from 'core/str';
+import Templates from 'core/templates';
+import {sendMessage} from './chat';
+import {findElementByLocator, flattenFormTree} from './dom_parser';
+import {getCurrentFormAnalysis, getPromptContext, getSharedAnalysis, populateFormAnalysis,
+    setFocusedField} from './form_integration';
+import {renderMarkdownInto} from './markdown';
+
+/** Id of the hidden field holding the form analysis. */
+const ANALYSIS_FIELD_ID = 'form-analysis-data';
+
+const SELECTORS = {
+    HELPCHAT: '[data-region="helpchat"]',
+    HELP_ANCHOR: 'a[data-bs-content]',
+    EXPLANATION: ':scope > .helpchat-explanation'
+};
+
+/**
+ * Describe what a dependency from the form analysis means
+ *
+ * @param {Object} dependency - Dependency of an element, see analyzeElement
+ * @param {Set<string>} shared - Names of the fields the user shares
+ * @returns {string} The description
+ */
+const describeDependency = (dependency, shared) => {
+    // The value of a field the user chose not to share stays out, and so does whether it applies.
+    const known = shared.has(dependency.controllingElement);
+    if (dependency.source === 'declared') {
+        const state = (dependency.satisfied === null || !known) ? ''
+            : (dependency.satisfied ? ', which applies now' : ', which does not apply now');
+        const current = known ? ` (its value is ${JSON.stringify(dependency.controllingValue)}${state})` : '';
+        return `${dependency.action} when ${dependency.controllingElement} ${dependency.operator} ` +
+            `${JSON.stringify(dependency.value ?? '')}${current}`;
+    }
+    return `shown when ${dependency.controllingElement} is ${JSON.stringify(dependency.requiredValue)}` +
+        (known ? ` (its value is ${JSON.stringify(dependency.controllingValue)})` : '');
+};
+
+/**
+ * Write the question asking the AI to explain a setting
+ *
+ * Only the label of a field the user chose not to share is sent.
+ *
+ * @param {Object} el - The element from the form analysis
+ * @param {Array} elements - The elements of the form analysis the user shares
+ * @param {string} intro - The opening of the question
+ * @returns {string} The question
+ */
+const buildQuestion = (el, elements, intro) => {
+    const lines = [intro.replace('{$a}', el.label || el.name)];
+    if (!elements.some((other) => other.id === el.id && other.name === el.name)) {
+        return lines.join('\n');
+    }
+    const shared = new Set(elements.map((other) => other.name).filter((name) => name));
+    if (el.sections && el.sections.length > 0) {
+        lines.push(`Section: ${el.sections.join(' > ')}`);
+    }
+    const value = (el.type === 'checkbox' || el.type === 'radio') ? (el.checked ? 'checked' : 'unchecked')
+        : JSON.stringify(String(el.current_value ?? ''));
+    lines.push(`Field: ${el.id || el.name}, current value ${value}${el.active ? '' : ', disabled'}`);
+    if (el.helptext) {
+        lines.push(`Help text: ${el.helptext}`);
+    }
+
+    const dependsOn = (el.dependencies || []).map((dependency) => describeDependency(dependency, shared));
+    if (el.depends_on_enabled) {
+        dependsOn.push(`enabled by the checkbox ${el.depends_on_enabled}`);
+    }
+    if (dependsOn.length > 0) {
+        lines.push(`It is ${dependsOn.join('; ')}.`);
+    }
+    const dependents = elements.filter((other) => other.name !== el.name && el.name && ((other.dependencies || [])
+        .some((dependency) => dependency.controllingElement === el.name) || other.depends_on_enabled === el.name));
+    if (dependents.length > 0) {
+        const names = Array.from(new Set(dependents.map((other) => other.label || other.name)));
+        lines.push(`Fields depending on it: ${names.join(', ')}.`);
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Find the analysed element of a form item
+ *
+ * @param {HTMLElement} fitem - The form item
+ * @param {Array} elements - Elements of the form analysis
+ * @returns {Object|null} The element, or null if none of them is in the form item
+ */
+const findElementInItem = (fitem, elements) => {
+    return elements.find((el) => {
+        if (!el.locator || el.type === 'hidden') {
+            return false;
+        }
+        const node = findElementByLocator(el.locator);
+        return node !== null && fitem.contains(node);
+    }) || null;
+};
+
+/**
+ * Ask the AI to explain the setting of a form item and show the answer under it
+ *
+ * @param {HTMLElement} fitem - The form item
+ * @param {HTMLElement} button - The button that was clicked
+ * @param {number} instanceId - The block instance id
+ * @param {string} pageType - The page type the block is shown on
+ * @param {Object} strings - Strings used by the buttons
+ * @returns {Promise<void>}
+ */
+const explainSetting = async (fitem, button, instanceId, pageType, strings) => {
+    const shown = fitem.querySelector(SELECTORS.EXPLANATION);
+    if (shown) {
+        shown.remove();
+        button.setAttribute('aria-expanded', 'false');
+        return;
+    }
+
+    const explanation = document.createElement('div');
+    explanation.className = 'helpchat-explanation helpchat-response-content';
+    explanation.setAttribute('aria-live', 'polite');
+    explanation.textContent = strings.thinking;
+    fitem.appendChild(explanation);
+    button.setAttribute('aria-expanded', 'true');
+    button.disabled = true;
+
+    try {
+        await populateFormAnalysis(ANALYSIS_FIELD_ID);
+        const analysis = getCurrentFormAnalysis(ANALYSIS_FIELD_ID);
+        const el = findElementInItem(fitem, (analysis && analysis.form) ? flattenFormTree(analysis.form) : []);
+        if (!el) {
+            throw new Error(`No analysed field in ${fitem.id}`);
+        }
+
+        setFocusedField(el.id);
+        // Describe the field from what the user shares, as the context sent with the question does.
+        const shared = getSharedAnalysis(ANALYSIS_FIELD_ID);
+        const elements = shared ? flattenFormTree(shared.form) : [];
+        // The chat keeps its snapshots for its own follow-up questions.
+        const context = getPromptContext(ANALYSIS_FIELD_ID, true);
+        const markdown = await sendMessage(instanceId, buildQuestion(el, elements, strings.prompt),
+            context ? context.text : '', pageType);
+        renderMarkdownInto(explanation, markdown);
+    } catch (error) {
+        window.console.error('Help Chat explanation failed:', error);
+        explanation.textContent = strings.error;
+    } finally {
+        button.disabled = false;
+    }
+};
+
+/**
+ * Add the explain buttons beside the help icons of the form
+ *
+ * @param {number} instanceId - The block instance id
+ * @param {string} pageType - The page type the block is shown on
+ * @returns {Promise<void>}
+ */
+export const init = async (instanceId, pageType) => {
+    const pageContent = document.getElementById('page-content') || document.body;
+    const fitems = Array.from(pageContent.querySelectorAll('form .fitem')).filter((fitem) => {
+        return !fitem.closest(SELECTORS.HELPCHAT) && fitem.querySelector(SELECTORS.HELP_ANCHOR) &&
+            !fitem.querySelector('.helpchat-explain');
+    });
+    if (fitems.length === 0) {
+        return;
+    }
+
+    const [title, prompt, thinking, error] = await getStrings([
+        {key: 'explainsetting', component: 'block_helpchat'},
+        {key: 'explainsettingprompt', component: 'block_helpchat'},
+        {key: 'explainsettingthinking', component: 'block_helpchat'},
+        {key: 'errorprocessingrequest', component: 'block_helpchat'}
+    ]);
+    const strings = {prompt, thinking, error};
+    const icon = await Templates.renderPix('sparkles', 'block_helpchat', title);
+
+    fitems.forEach((fitem) => {
+        const anchor = fitem.querySelector(SELECTORS.HELP_ANCHOR);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-link p-0 helpchat-explain';
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.setAttribute('aria-expanded', 'false');
+        button.innerHTML = icon;
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            explainSetting(fitem, button, instanceId, pageType, strings);
+        });
+        anchor.after(button);
+    });
+};
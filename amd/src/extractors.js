@@ -0,0 +1,287 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Registry of extractors that add structured data for particular forms.
+ *
+ * The DOM parser reads every form the same way. An extractor registered here for a
+ * page type or form id adds data shaped for that form, such as the answers of a
+ * multichoice question or the nodes of a STACK potential response tree, under its
+ * name in the extracted property of the analysis.
+ *
+ * Other plugins can register their own extractors:
+ *
+ *     import {registerExtractor} from 'block_helpchat/extractors';
+ *     registerExtractor({
+ *         name: 'qtype_myqtype',
+ *         pageTypes: ['question-type-myqtype'],
+ *         extract: (context) => ({hints: Array.from(context.getIndexed(/^hint\[(\d+)\]/).keys())})
+ *     });
+ *
+ * or from the console and plain scripts with window.MoodleDomParser.registerExtractor().
+ *
+ * @module     block_helpchat/extractors
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {extract as extractMultichoice} from './extractors/multichoice';
+import {extract as extractStack} from './extractors/stack';
+
+// Registered extractors in the order they were registered.
+const extractors = [];
+
+/**
+ * Check whether a value matches a pattern where * matches any text.
+ *
+ * @param {string} pattern - The pattern
+ * @param {string} value - The value
+ * @returns {boolean} True if it matches
+ */
+const matchesPattern = (pattern, value) => {
+    const regex = new RegExp('^' + pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(value);
+};
+
+/**
+ * Get the page type of the current page, as Moodle writes it in the body id.
+ *
+ * @returns {string} The page type, e.g. question-type-stack
+ */
+export const getPageType = () => {
+    return (document.body && document.body.id) ? document.body.id.replace(/^page-/, '') : '';
+};
+
+/**
+ * Register an extractor.
+ *
+ * An extractor with the same name replaces the one registered before.
+ *
+ * @param {Object} extractor - The extractor
+ * @param {string} extractor.name - Unique name, used as the key of its data
+ * @param {string[]} [extractor.pageTypes] - Page types it applies to, * matches any text
+ * @param {string[]} [extractor.formIds] - Ids of forms it applies to, * matches any text
+ * @param {Function} [extractor.matches] - Called with the context, returns true if it applies
+ * @param {Function} extractor.extract - Called with the context, returns data that can be sent as JSON
+ * @returns {Function} Function that unregisters the extractor
+ */
+export const registerExtractor = (extractor) => {
+    if (!extractor || typeof extractor.name !== 'string' || extractor.name === '' || typeof extractor.extract !== 'function') {
+        throw new Error('An extractor needs a name and an extract function');
+    }
+
+    unregisterExtractor(extractor.name);
+    extractors.push({
+        name: extractor.name,
+        pageTypes: extractor.pageTypes || [],
+        formIds: extractor.formIds || [],
+        matches: extractor.matches || null,
+        extract: extractor.extract
+    });
+
+    return () => unregisterExtractor(extractor.name);
+};
+
+/**
+ * Unregister an extractor.
+ *
+ * @param {string} name - Name of the extractor
+ * @returns {boolean} True if an extractor was removed
+ */
+export const unregisterExtractor = (name) => {
+    const index = extractors.findIndex((extractor) => extractor.name === name);
+    if (index === -1) {
+        return false;
+    }
+    extractors.splice(index, 1);
+    return true;
+};
+
+/**
+ * List the registered extractors.
+ *
+ * @returns {Array<{name: string, pageTypes: string[], formIds: string[]}>} The extractors
+ */
+export const getExtractors = () => {
+    return extractors.map(({name, pageTypes, formIds}) => ({name, pageTypes, formIds}));
+};
+
+/**
+ * Build the context passed to extractors.
+ *
+ * @param {HTMLElement|null} root - The container that was analysed, null when extractors are run again
+ * @param {Array} elements - The analysed elements, after redaction
+ * @param {string} pageType - The page type
+ * @returns {Object} The context
+ */
+const createContext = (root, elements, pageType) => {
+    const byName = new Map();
+    elements.forEach((element) => {
+        if (element.name && !byName.has(element.name)) {
+            byName.set(element.name, element);
+        }
+    });
+
+    const context = {
+        root: root,
+        forms: root ? Array.from(root.querySelectorAll('form')) : [],
+        pageType: pageType,
+        elements: elements,
+
+        /**
+         * Get an analysed element by name.
+         *
+         * Editors are found by their plain name as well as by name[text].
+         *
+         * @param {string} name - The element name
+         * @returns {Object|null} The element data
+         */
+        getElement: (name) => byName.get(name) || byName.get(`${name}[text]`) || null,
+
+        /**
+         * Get the value of an element, taking checkboxes and radio groups into account.
+         *
+         * @param {string} name - The element name
+         * @returns {string} The value, empty if there is no such element
+         */
+        getValue: (name) => {
+            const matching = elements.filter((element) => element.name === name || element.name === `${name}[text]`);
+            const checkable = matching.filter((element) => element.type === 'checkbox' || element.type === 'radio');
+            if (checkable.length > 0) {
+                const checked = checkable.find((element) => element.checked);
+                if (checked) {
+                    return checked.current_value;
+                }
+                // The hidden input of an advcheckbox holds the unchecked value.
+                const hidden = matching.find((element) => element.type === 'hidden');
+                return hidden ? hidden.current_value : '';
+            }
+            return matching.length > 0 ? matching[0].current_value : '';
+        },
+
+        /**
+         * Group elements named like field[0], field[1] by their index.
+         *
+         * @param {RegExp} pattern - Pattern for the names, the first capture being the index
+         * @returns {Map<number, Object[]>} Elements by index, in index order
+         */
+        getIndexed: (pattern) => {
+            const indexed = new Map();
+            elements.forEach((element) => {
+                const match = element.name.match(pattern);
+                if (match) {
+                    const index = parseInt(match[1], 10);
+                    if (!indexed.has(index)) {
+                        indexed.set(index, []);
+                    }
+                    indexed.get(index).push(element);
+                }
+            });
+            return new Map(Array.from(indexed.entries()).sort((a, b) => a[0] - b[0]));
+        }
+    };
+    return context;
+};
+
+/**
+ * Check whether an extractor applies to the page.
+ *
+ * @param {Object} extractor - The registered extractor
+ * @param {Object} context - The extraction context
+ * @returns {boolean} True if it applies
+ */
+const appliesTo = (extractor, context) => {
+    if (extractor.pageTypes.some((pattern) => matchesPattern(pattern, context.pageType))) {
+        return true;
+    }
+    if (extractor.formIds.some((pattern) => context.forms.some((form) => form.id && matchesPattern(pattern, form.id)))) {
+        return true;
+    }
+    return extractor.matches ? !!extractor.matches(context) : false;
+};
+
+/**
+ * Run the extractors that apply to the page.
+ *
+ * An extractor that fails is skipped so it cannot stop the analysis.
+ *
+ * @param {HTMLElement} root - The container that was analysed
+ * @param {Array} elements - The analysed elements, after redaction
+ * @param {string} pageType - The page type, defaults to the page type of the current page
+ * @returns {Object} Data of each extractor that returned some, keyed by extractor name
+ */
+export const runExtractors = (root, elements, pageType = getPageType()) => {
+    const context = createContext(root, elements, pageType);
+    const extracted = {};
+
+    extractors.forEach((extractor) => {
+        try {
+            if (!appliesTo(extractor, context)) {
+                return;
+            }
+            const data = extractor.extract(context);
+            if (data !== null && data !== undefined) {
+                extracted[extractor.name] = data;
+            }
+        } catch (error) {
+            window.console.error(`Help Chat extractor "${extractor.name}" failed:`, error);
+        }
+    });
+
+    return extracted;
+};
+
+/**
+ * Run extractors again on part of the elements they were first run on.
+ *
+ * Used when the user leaves fields out of what is shared, so no data comes from
+ * them. The extractors have already been found to apply to the page, and are given
+ * no root, so one that reads the page instead of the elements fails and its data
+ * is left out.
+ *
+ * @param {string[]} names - Names of the extractors to run
+ * @param {Array} elements - The elements left
+ * @param {string} pageType - The page type, defaults to the page type of the current page
+ * @returns {Object} Data of each extractor that returned some, keyed by extractor name
+ */
+export const rerunExtractors = (names, elements, pageType = getPageType()) => {
+    const context = createContext(null, elements, pageType);
+    const extracted = {};
+
+    extractors.filter((extractor) => names.includes(extractor.name)).forEach((extractor) => {
+        try {
+            const data = extractor.extract(context);
+            if (data !== null && data !== undefined) {
+                extracted[extractor.name] = data;
+            }
+        } catch (error) {
+            window.console.error(`Help Chat extractor "${extractor.name}" failed:`, error);
+        }
+    });
+
+    return extracted;
+};
+
+// Extractors for forms shipped with Moodle and common plugins.
+registerExtractor({
+    name: 'multichoice',
+    pageTypes: ['question-type-multichoice'],
+    extract: extractMultichoice
+});
+registerExtractor({
+    name: 'stack',
+    pageTypes: ['question-type-stack'],
+    extract: extractStack
+});
@@ -0,0 +1,60 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Extractor for the multiple choice question editing form.
+ *
+ * Groups the repeated answer, fraction and feedback fields into one object per
+ * answer, leaving out the blank answers Moodle ignores on save.
+ *
+ * @module     block_helpchat/extractors/multichoice
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Extract the answers and settings of a multichoice question.
+ *
+ * @param {Object} context - The extraction context from block_helpchat/extractors
+ * @returns {Object|null} The question data, or null if the form has no answers
+ */
+export const extract = (context) => {
+    const indexed = context.getIndexed(/^answer\[(\d+)\](\[text\])?$/);
+    if (indexed.size === 0) {
+        return null;
+    }
+
+    const answers = [];
+    indexed.forEach((fields, index) => {
+        const answer = context.getValue(`answer[${index}]`);
+        if (answer.trim() === '') {
+            return;
+        }
+        const fraction = parseFloat(context.getValue(`fraction[${index}]`));
+        answers.push({
+            index: index,
+            answer: answer,
+            fraction: isNaN(fraction) ? 0 : fraction,
+            feedback: context.getValue(`feedback[${index}]`)
+        });
+    });
+
+    return {
+        single: context.getValue('single') === '1',
+        shuffleanswers: context.getValue('shuffleanswers') === '1',
+        answernumbering: context.getValue('answernumbering'),
+        answers: answers
+    };
+};
@@ -0,0 +1,135 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Extractor for the STACK question editing form.
+ *
+ * Turns the fields of each potential response tree (prt1answertest[0],
+ * prt1truenextnode[0] and so on) into a graph of nodes and the edges between them,
+ * and lists the inputs with their type and model answer.
+ *
+ * @module     block_helpchat/extractors/stack
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Node next node value meaning the tree stops.
+ */
+const STOP = '-1';
+
+/**
+ * Read one branch of a node.
+ *
+ * @param {Object} context - The extraction context
+ * @param {string} prefix - Field name prefix, the tree name followed by true or false
+ * @param {number} index - The node index
+ * @returns {Object} The branch
+ */
+const getBranch = (context, prefix, index) => {
+    const nextnode = context.getValue(`${prefix}nextnode[${index}]`);
+    return {
+        scoremode: context.getValue(`${prefix}scoremode[${index}]`),
+        score: context.getValue(`${prefix}score[${index}]`),
+        penalty: context.getValue(`${prefix}penalty[${index}]`),
+        nextnode: (nextnode === '' || nextnode === STOP) ? null : nextnode,
+        answernote: context.getValue(`${prefix}answernote[${index}]`),
+        feedback: context.getValue(`${prefix}feedback[${index}]`)
+    };
+};
+
+/**
+ * Read one potential response tree as a graph.
+ *
+ * Nodes are identified by their index in the form, which is what the next node
+ * menus refer to. The root is the node no other node leads to.
+ *
+ * @param {Object} context - The extraction context
+ * @param {string} name - The tree name, e.g. prt1
+ * @returns {Object} The tree
+ */
+const getTree = (context, name) => {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const nodes = [];
+    const edges = [];
+
+    context.getIndexed(new RegExp(`^${escaped}answertest\\[(\\d+)\\]$`)).forEach((fields, index) => {
+        const node = {
+            id: String(index),
+            description: context.getValue(`${name}description[${index}]`),
+            answertest: context.getValue(`${name}answertest[${index}]`),
+            sans: context.getValue(`${name}sans[${index}]`),
+            tans: context.getValue(`${name}tans[${index}]`),
+            testoptions: context.getValue(`${name}testoptions[${index}]`),
+            quiet: context.getValue(`${name}quiet[${index}]`) === '1',
+            true: getBranch(context, `${name}true`, index),
+            false: getBranch(context, `${name}false`, index)
+        };
+        nodes.push(node);
+        ['true', 'false'].forEach((branch) => {
+            if (node[branch].nextnode !== null) {
+                edges.push({from: node.id, to: node[branch].nextnode, branch: branch});
+            }
+        });
+    });
+
+    const targets = new Set(edges.map((edge) => edge.to));
+    return {
+        name: name,
+        value: context.getValue(`${name}value`),
+        autosimplify: context.getValue(`${name}autosimplify`) === '1',
+        feedbackstyle: context.getValue(`${name}feedbackstyle`),
+        feedbackvariables: context.getValue(`${name}feedbackvariables`),
+        nodes: nodes,
+        edges: edges,
+        roots: nodes.filter((node) => !targets.has(node.id)).map((node) => node.id)
+    };
+};
+
+/**
+ * Extract the inputs and potential response trees of a STACK question.
+ *
+ * Inputs are known by their model answer field, which STACK adds once the question
+ * text with the input is saved.
+ *
+ * @param {Object} context - The extraction context from block_helpchat/extractors
+ * @returns {Object|null} The inputs and trees, or null if the form has neither
+ */
+export const extract = (context) => {
+    const names = [];
+    const inputs = [];
+    context.elements.forEach((element) => {
+        const match = element.name.match(/^(.+?)answertest\[\d+\]$/);
+        if (match && !names.includes(match[1])) {
+            names.push(match[1]);
+        }
+        const input = element.name.match(/^(.+)modelans$/);
+        if (input && !inputs.some((item) => item.name === input[1])) {
+            inputs.push({
+                name: input[1],
+                type: context.getValue(`${input[1]}type`),
+                modelans: context.getValue(element.name)
+            });
+        }
+    });
+    if (names.length === 0 && inputs.length === 0) {
+        return null;
+    }
+
+    return {
+        inputs: inputs,
+        prts: names.map((name) => getTree(context, name))
+    };
+};
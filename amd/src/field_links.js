@@ -0,0 +1,273 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Links from responses to the form fields they mention for Help Chat block
+ *
+ * Field ids, and labels that belong to a single field, are turned into links the
+ * first time a response mentions them, as are field names in inline code. Following
+ * a link expands the collapsed sections around the field, scrolls to it, focuses it
+ * and flashes a highlight so it can be found on a long form.
+ *
+ * @module     block_helpchat/field_links
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {get_string as getString} from 'core/str';
+import {findElementByLocator} from './dom_parser';
+import {getRichTextEditor} from './field_writer';
+
+/** Shortest label that is linked, shorter ones are too likely to be ordinary words. */
+const MIN_LABEL_LENGTH = 4;
+
+/** How long the highlight of a field lasts in milliseconds. */
+const HIGHLIGHT_MS = 2000;
+
+/** How long Bootstrap takes to expand a section in milliseconds. */
+const EXPAND_MS = 350;
+
+/** Parts of a response that are left as they are. */
+const SKIPPED_SELECTOR = 'a, pre, button, select, .helpchat-suggestions, .helpchat-code-actions';
+
+/**
+ * Expand the collapsed sections a field is in
+ *
+ * @param {HTMLElement} element - The field
+ * @returns {boolean} True if any section had to be expanded
+ */
+const expandSections = (element) => {
+    let expanded = false;
+    let fieldset = element.parentElement ? element.parentElement.closest('fieldset') : null;
+    while (fieldset) {
+        const container = fieldset.querySelector(':scope > .fcontainer, :scope > .collapse');
+        if (container && container.classList.contains('collapse') && !container.classList.contains('show')) {
+            const toggle = container.id ? document.querySelector(
+                `[aria-controls="${CSS.escape(container.id)}"], [href="#${CSS.escape(container.id)}"]`) : null;
+            if (toggle) {
+                toggle.click();
+            } else {
+                container.classList.add('show');
+            }
+            expanded = true;
+        }
+        if (fieldset.classList.contains('collapsed')) {
+            fieldset.classList.remove('collapsed');
+            expanded = true;
+        }
+        fieldset = fieldset.parentElement ? fieldset.parentElement.closest('fieldset') : null;
+    }
+    return expanded;
+};
+
+/**
+ * Scroll to a field, focus it and flash a highlight on it
+ *
+ * @param {HTMLElement} element - The field
+ */
+const showField = (element) => {
+    const fitem = element.closest('.fitem') || element;
+    fitem.scrollIntoView({behavior: 'smooth', block: 'center'});
+
+    const editor = getRichTextEditor(element);
+    if (editor) {
+        editor.focus();
+    } else {
+        // Date selectors are located by their container, focus their first part.
+        const focusable = element.matches('input, select, textarea, button') ? element
+            : element.querySelector('input, select, textarea, button');
+        if (focusable) {
+            focusable.focus({preventScroll: true});
+        }
+    }
+
+    fitem.classList.remove('helpchat-field-highlight');
+    // Restart the animation when the same field is shown twice in a row.
+    void fitem.offsetWidth;
+    fitem.classList.add('helpchat-field-highlight');
+    setTimeout(() => fitem.classList.remove('helpchat-field-highlight'), HIGHLIGHT_MS);
+};
+
+/**
+ * Expand the sections around a field, scroll to it, focus it and highlight it
+ *
+ * @param {Object} locator - Locator of the field, see getElementLocator
+ * @returns {boolean} True if the field was found
+ */
+export const highlightField = (locator) => {
+    const element = findElementByLocator(locator);
+    if (!element) {
+        return false;
+    }
+    if (expandSections(element)) {
+        setTimeout(() => showField(element), EXPAND_MS);
+    } else {
+        showField(element);
+    }
+    return true;
+};
+
+/**
+ * Escape text for use in a regular expression
+ *
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Work out which words of a response refer to which fields
+ *
+ * @param {Array} elements - Elements of the form analysis
+ * @returns {{terms: Map<string, Object>, code: Map<string, Object>}} Fields by the text mentioning them in
+ *     running text and in inline code
+ */
+const getMentions = (elements) => {
+    const terms = new Map();
+    const code = new Map();
+    const labelCounts = new Map();
+    const fields = elements.filter((el) => el.type !== 'hidden' && el.locator && (el.id || el.name));
+
+    fields.forEach((el) => {
+        const label = (el.label || '').trim();
+        if (label) {
+            labelCounts.set(label, (labelCounts.get(label) || 0) + 1);
+        }
+    });
+    fields.forEach((el) => {
+        const label = (el.label || '').trim();
+        // A label shared by several fields, such as Feedback, cannot say which one is meant.
+        if (label.length >= MIN_LABEL_LENGTH && labelCounts.get(label) === 1) {
+            terms.set(label, el);
+            code.set(label, el);
+        }
+        if (el.id) {
+            terms.set(el.id, el);
+            code.set(el.id, el);
+        }
+        if (el.name && !code.has(el.name)) {
+            code.set(el.name, el);
+        }
+    });
+    return {terms, code};
+};
+
+/**
+ * Create a link to a field
+ *
+ * @param {Object} el - The element from the form analysis
+ * @param {string} title - Title of the link
+ * @returns {HTMLElement} The link
+ */
+const createLink = (el, title) => {
+    const link = document.createElement('a');
+    link.href = el.id ? `#${el.id}` : '#';
+    link.className = 'helpchat-field-link';
+    link.dataset.action = 'show-field';
+    link.dataset.locator = JSON.stringify(el.locator);
+    link.title = title;
+    return link;
+};
+
+/**
+ * Turn mentions of form fields in a rendered response into links to them
+ *
+ * Each field is linked once in running text and once in inline code.
+ *
+ * @param {HTMLElement} container - The rendered response
+ * @param {Array} elements - Elements of the form analysis, flattened
+ * @returns {Promise<void>}
+ */
+export const linkFieldMentions = async (container, elements) => {
+    const {terms, code} = getMentions(elements || []);
+    if (terms.size === 0 && code.size === 0) {
+        return;
+    }
+    const title = await getString('showfield', 'block_helpchat');
+
+    // Field names and ids in inline code.
+    const linkedCode = new Set();
+    container.querySelectorAll('code').forEach((node) => {
+        const el = code.get(node.textContent.trim());
+        if (!el || linkedCode.has(el) || node.closest(SKIPPED_SELECTOR)) {
+            return;
+        }
+        linkedCode.add(el);
+        const link = createLink(el, title);
+        node.replaceWith(link);
+        link.appendChild(node);
+    });
+
+    // Labels and ids in running text, longest first so "Penalty for each try" wins over "Penalty".
+    const sorted = Array.from(terms.keys()).sort((a, b) => b.length - a.length);
+    if (sorted.length === 0) {
+        return;
+    }
+    const pattern = new RegExp(`(^|[^\\w])(${sorted.map(escapeRegExp).join('|')})(?![\\w])`);
+    const linked = new Set();
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement && !node.parentElement.closest(`code, ${SKIPPED_SELECTOR}`))
+            ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach((textNode) => {
+        let node = textNode;
+        let match;
+        while (node && (match = node.textContent.match(pattern)) !== null) {
+            const el = terms.get(match[2]);
+            const start = match.index + match[1].length;
+            if (linked.has(el)) {
+                // Look for other fields in the rest of the text.
+                node = node.splitText(start + match[2].length);
+                continue;
+            }
+            linked.add(el);
+            const mention = node.splitText(start);
+            const rest = mention.splitText(match[2].length);
+            const link = createLink(el, title);
+            mention.replaceWith(link);
+            link.appendChild(mention);
+            node = rest;
+        }
+    });
+};
+
+/**
+ * Make links to fields in a container show the field when followed
+ *
+ * @param {HTMLElement} container - The container holding responses
+ */
+export const registerFieldLinks = (container) => {
+    container.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-action="show-field"]');
+        if (!link || !container.contains(link)) {
+            return;
+        }
+        e.preventDefault();
+        let locator = null;
+        try {
+            locator = JSON.parse(link.dataset.locator);
+        } catch (error) {
+            return;
+        }
+        if (!highlightField(locator)) {
+            link.classList.add('helpchat-field-link-missing');
+        }
+    });
+};
@@ -0,0 +1,163 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Read and write values of Moodle form fields for Help Chat block
+ *
+ * Handles plain inputs, selects, checkboxes and TinyMCE editors, and fires the
+ * events Moodle's form JavaScript (dependencies, change checker) listens for.
+ *
+ * @module     block_helpchat/field_writer
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Get the TinyMCE editor attached to a textarea
+ *
+ * @param {HTMLElement} element - The form element
+ * @returns {Object|null} The TinyMCE editor, or null if there is none
+ */
+export const getRichTextEditor = (element) => {
+    if (!element || !element.id || !window.tinymce || typeof window.tinymce.get !== 'function') {
+        return null;
+    }
+    return window.tinymce.get(element.id) || null;
+};
+
+/**
+ * Call a function for each TinyMCE editor on the page, now and as editors are added
+ *
+ * Editors can be set up after the block, so besides those already there each is
+ * found when it is added or, failing that, when it is first focused.
+ *
+ * @param {Function} callback - Called once with each editor
+ * @returns {Function} Function that stops looking for new editors
+ */
+export const watchRichTextEditors = (callback) => {
+    const seen = new Set();
+    const attach = (editor) => {
+        if (editor && !seen.has(editor)) {
+            seen.add(editor);
+            callback(editor);
+        }
+    };
+    const handleFocus = (e) => {
+        if (e.target.tagName === 'IFRAME' && e.target.id.endsWith('_ifr')) {
+            attach(getRichTextEditor(document.getElementById(e.target.id.replace(/_ifr$/, ''))));
+        }
+    };
+    const handleAdd = (e) => attach(e.editor);
+
+    document.addEventListener('focusin', handleFocus);
+    const tinymce = window.tinymce;
+    if (tinymce && typeof tinymce.get === 'function') {
+        [].concat(tinymce.get() || []).forEach(attach);
+    }
+    if (tinymce && typeof tinymce.on === 'function') {
+        tinymce.on('AddEditor', handleAdd);
+    }
+    return () => {
+        document.removeEventListener('focusin', handleFocus);
+        if (tinymce && typeof tinymce.off === 'function') {
+            tinymce.off('AddEditor', handleAdd);
+        }
+    };
+};
+
+/**
+ * Check whether a textarea is edited through TinyMCE
+ *
+ * @param {HTMLElement} element - The form element
+ * @returns {boolean} True if a TinyMCE editor is attached
+ */
+export const isRichTextEditor = (element) => {
+    return getRichTextEditor(element) !== null || (!!element.id && !!document.getElementById(`${element.id}_ifr`));
+};
+
+/**
+ * Convert text to HTML for an editor
+ *
+ * The text is always escaped, so code such as if a<b then c>d arrives as written
+ * and markup from the AI is shown rather than added to the page. Code is kept in a
+ * pre block, other text is split into paragraphs keeping its line breaks.
+ *
+ * @param {string} text - The text to convert
+ * @param {boolean} code - Whether the text is code
+ * @returns {string} HTML for the editor
+ */
+const textToEditorHtml = (text, code) => {
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    if (code) {
+        return `<pre>${escaped}</pre>`;
+    }
+    return escaped.split(/\n{2,}/).map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`).join('');
+};
+
+/**
+ * Read the current value of a form field
+ *
+ * @param {HTMLElement} element - The form element
+ * @returns {string} The value, HTML for TinyMCE editors
+ */
+export const readFieldValue = (element) => {
+    const editor = getRichTextEditor(element);
+    if (editor) {
+        return editor.getContent();
+    }
+    if (element.type === 'checkbox' || element.type === 'radio') {
+        return element.checked ? (element.value || 'on') : '';
+    }
+    return element.value || '';
+};
+
+/**
+ * Write a value into a form field and notify listeners of the change
+ *
+ * The value replaces the current content of the field. For TinyMCE editors the
+ * format says how to read it: 'text' and 'code' are escaped, only 'html' is used as
+ * markup and is meant for content read from the editor with readFieldValue.
+ *
+ * @param {HTMLElement} element - The form element
+ * @param {string} value - The value to write
+ * @param {string} format - 'text', 'code' or 'html'
+ */
+export const writeFieldValue = (element, value, format = 'text') => {
+    const editor = getRichTextEditor(element);
+    if (editor) {
+        editor.setContent(format === 'html' ? value : textToEditorHtml(value, format === 'code'));
+        editor.undoManager.add();
+        // Copy the content back to the textarea the form submits.
+        editor.save();
+        if (typeof editor.dispatch === 'function') {
+            editor.dispatch('change');
+        } else if (typeof editor.fire === 'function') {
+            editor.fire('change');
+        }
+    } else if (element.type === 'checkbox' || element.type === 'radio') {
+        element.checked = value !== '' && value !== '0' && value !== 'false';
+    } else if (element.tagName.toLowerCase() === 'select') {
+        const option = Array.from(element.options).find(opt => opt.value === value || opt.text.trim() === value);
+        if (!option) {
+            throw new Error(`"${value}" is not an option of ${element.id || element.name}`);
+        }
+        element.value = option.value;
+    } else {
+        element.value = value;
+    }
+
+    element.dispatchEvent(new Event('input', {bubbles: true}));
+    element.dispatchEvent(new Event('change', {bubbles: true}));
+};
@@ -22,7 +22,66 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-import {populateHiddenField, autoPopulateHiddenField } from './dom_parser';
+import {populateHiddenField, autoPopulateHiddenField, flattenFormTree, getAnalysedElements, getNodeForElement,
+    getRedactionRules, invalidateAnalysedElements, redactElements, ANALYSIS_UPDATED_EVENT} from './dom_parser';
+import {rerunExtractors} from './extractors';
+import {watchRichTextEditors} from './field_writer';
+import {serialiseFormAnalysis} from './form_serialiser';
+
+// Options each hidden field was set up with, reused when it is populated on demand
+const integrationOptions = new Map();
+
+// Most recently edited fields remembered for ranking the form context
+const MAX_EDITED = 20;
+
+// The field the user was last in and the fields they edited, most recent first
+const activity = {focused: '', edited: []};
+
+// Most snapshots of the form kept for each hidden field
+const MAX_SNAPSHOTS = 10;
+
+// Snapshots of the form taken each time a message was sent, oldest first
+const snapshots = new Map();
+
+// Fields, sections and structured data the user chose not to share, for each hidden field
+const exclusions = new Map();
+
+/**
+ * Keep track of the field the user is in and the fields they edit
+ *
+ * Fields of the Help Chat block itself are ignored, so the last form field stays
+ * focused while a question is typed.
+ */
+const trackActivity = () => {
+    const isFormField = (target) => target && target.id && target.closest &&
+        target.closest('form') && !target.closest('[data-region="helpchat"]');
+
+    document.addEventListener('focusin', (e) => {
+        if (isFormField(e.target)) {
+            activity.focused = e.target.id;
+        }
+    });
+    const recordEdit = (target) => {
+        if (isFormField(target)) {
+            activity.edited = [target.id].concat(activity.edited.filter(id => id !== target.id)).slice(0, MAX_EDITED);
+        }
+    };
+    document.addEventListener('input', (e) => recordEdit(e.target));
+    document.addEventListener('change', (e) => recordEdit(e.target));
+    // Typing in an editor happens in its iframe, the textarea only changes when the form is saved.
+    watchRichTextEditors((editor) => {
+        editor.on('input change', () => recordEdit(editor.getElement()));
+    });
+};
+
+/**
+ * Make a field the focus of the form context, as when the user asks about it from outside the form
+ *
+ * @param {string} id - Id of the field
+ */
+export const setFocusedField = (id) => {
+    activity.focused = id;
+};
 
 /**
  * Initialize form integration with DOM parser
@@ -32,6 +91,11 @@ import {populateHiddenField, autoPopulateHiddenField } from './dom_parser';
  * @param {number} debounceMs - Debounce time for auto-population (default: 1000ms)
  */
 export const initFormIntegration = (hiddenFieldId, options = {}, debounceMs = 1000) => {
+    if (integrationOptions.size === 0) {
+        trackActivity();
+    }
+    integrationOptions.set(hiddenFieldId, options);
+
     // Ensure DOM parser is available
     if (typeof window.MoodleDomParser === 'undefined') {
         console.warn('DOM Parser not available, loading...');
@@ -56,6 +120,8 @@ export const initFormIntegration = (hiddenFieldId, options = {}, debounceMs = 10
  */
 const setupIntegration = async (hiddenFieldId, options, debounceMs) => {
     try {
+        exposeHistory(hiddenFieldId);
+
         // Initial population when form is ready
         await populateHiddenField(hiddenFieldId, options);
         console.log('Form integration initialized successfully');
@@ -89,9 +155,10 @@ const setupIntegration = async (hiddenFieldId, options, debounceMs) => {
  * Manual trigger to populate form analysis data
  *
  * @param {string} hiddenFieldId
- * @param {Object} options
+ * @param {Object} options - Defaults to the options the integration was set up with
+ * @returns {Promise<boolean>} True if the field was populated
  */
-export const populateFormAnalysis = async (hiddenFieldId, options = {}) => {
+export const populateFormAnalysis = async (hiddenFieldId, options = integrationOptions.get(hiddenFieldId) || {}) => {
     try {
         if (typeof window.MoodleDomParser === 'undefined') {
             throw new Error('DOM Parser not available');
@@ -107,6 +174,18 @@ export const populateFormAnalysis = async (hiddenFieldId, options = {}) => {
     }
 };
 
+/**
+ * Bring the form analysis up to date after fields were changed from the chat
+ *
+ * @param {string} hiddenFieldId
+ * @param {HTMLElement[]} elements - The changed fields
+ * @returns {Promise<boolean>} Success status
+ */
+export const refreshChangedFields = (hiddenFieldId, elements) => {
+    invalidateAnalysedElements(hiddenFieldId, elements);
+    return populateFormAnalysis(hiddenFieldId);
+};
+
 /**
  * Get current form analysis data
  *
@@ -127,26 +206,397 @@ export const getCurrentFormAnalysis = (hiddenFieldId) => {
     }
 };
 
+/**
+ * Call a function each time the form analysis is brought up to date
+ *
+ * The analysis is kept up to date while the form is edited, only analysing again
+ * the fields that changed, so listeners do not need to watch the form themselves.
+ *
+ * @param {string} hiddenFieldId
+ * @param {Function} callback - Called with no arguments
+ * @returns {Function} Function that stops the calls
+ */
+export const onFormAnalysisUpdated = (hiddenFieldId, callback) => {
+    const hiddenField = document.getElementById(hiddenFieldId);
+    if (!hiddenField) {
+        return () => undefined;
+    }
+    hiddenField.addEventListener(ANALYSIS_UPDATED_EVENT, callback);
+    return () => hiddenField.removeEventListener(ANALYSIS_UPDATED_EVENT, callback);
+};
+
+/**
+ * Take a snapshot of the values of the fields in a form analysis
+ *
+ * @param {Object} analysis - The form analysis
+ * @returns {{timestamp: string, fields: Object}} The snapshot, with the fields keyed by id or name
+ */
+export const takeSnapshot = (analysis) => {
+    const fields = {};
+    flattenFormTree(analysis.form).forEach(el => {
+        if (el.type === 'hidden' || el.type === 'submit' || el.type === 'button') {
+            return;
+        }
+        // Unchecked checkboxes and radios have an empty value, so checking one shows as a change.
+        fields[el.id || el.name] = {
+            id: el.id,
+            name: el.name,
+            key: getFieldKey(el),
+            label: el.label,
+            sections: el.sections,
+            section_ids: el.section_ids,
+            value: el.current_value ?? ''
+        };
+    });
+    return {timestamp: analysis.timestamp || new Date().toISOString(), fields: fields};
+};
+
+/**
+ * Compare two snapshots of the form
+ *
+ * @param {Object} before - The earlier snapshot
+ * @param {Object} after - The later snapshot
+ * @returns {{added: Array, removed: Array, changed: Array}} Fields only in the later snapshot, fields only in
+ *     the earlier one and fields whose value changed, with their old and new values
+ */
+export const diffSnapshots = (before, after) => {
+    const diff = {added: [], removed: [], changed: []};
+    Object.keys(after.fields).forEach(key => {
+        const field = after.fields[key];
+        const old = before.fields[key];
+        if (!old) {
+            diff.added.push(field);
+        } else if (String(old.value) !== String(field.value)) {
+            diff.changed.push({id: field.id, name: field.name, label: field.label, sections: field.sections,
+                old: old.value, new: field.value});
+        }
+    });
+    Object.keys(before.fields).forEach(key => {
+        if (!after.fields[key]) {
+            diff.removed.push(before.fields[key]);
+        }
+    });
+    return diff;
+};
+
+/**
+ * Get the snapshots taken of the form, one for each message sent
+ *
+ * @param {string} hiddenFieldId
+ * @returns {Array} The snapshots, oldest first
+ */
+export const getSnapshots = (hiddenFieldId) => {
+    return (snapshots.get(hiddenFieldId) || []).slice();
+};
+
+/**
+ * Get the key a field is excluded by, its name as ids can change between page loads
+ *
+ * @param {Object} el - Element from the form tree
+ * @returns {string} The key
+ */
+export const getFieldKey = (el) => el.name || el.id;
+
+/**
+ * Remove the fields, sections and structured data the user chose not to share from an analysis
+ *
+ * @param {Object} analysis - The form analysis
+ * @param {{fields: string[], sections: string[], extracted: string[]}} excluded - Keys of the fields (see
+ *     getFieldKey), ids of the sections and names of the structured data left out
+ * @returns {Object} A copy of the analysis without them, saying how many fields and which sections were left out
+ */
+export const excludeFromAnalysis = (analysis, excluded) => {
+    const fields = new Set(excluded.fields || []);
+    const sections = new Set(excluded.sections || []);
+    const left = {fields: 0, sections: []};
+
+    const keep = (el) => {
+        if (fields.has(getFieldKey(el))) {
+            left.fields++;
+            return false;
+        }
+        return true;
+    };
+    const prune = (items) => items.reduce((kept, item) => {
+        if (item.kind === 'section') {
+            if (item.id && sections.has(item.id)) {
+                left.sections.push(item.legend || item.id);
+                left.fields += flattenFormTree({sections: [item], elements: []}).length;
+            } else {
+                kept.push(Object.assign({}, item, {children: prune(item.children)}));
+            }
+        } else if (item.kind === 'group') {
+            kept.push(Object.assign({}, item, {children: prune(item.children)}));
+        } else if (item.kind === 'repeat') {
+            kept.push(Object.assign({}, item, {
+                records: item.records.map(record => Object.assign({}, record, {elements: record.elements.filter(keep)}))
+            }));
+        } else if (keep(item)) {
+            kept.push(item);
+        }
+        return kept;
+    }, []);
+
+    const form = {sections: prune(analysis.form.sections), elements: prune(analysis.form.elements)};
+
+    // Structured data repeats field values, so it is made again from the fields left.
+    const names = Object.keys(analysis.extracted || {}).filter(name => !(excluded.extracted || []).includes(name));
+    let extracted = {};
+    if (left.fields > 0) {
+        extracted = rerunExtractors(names, flattenFormTree(form));
+    } else {
+        names.forEach(name => {
+            extracted[name] = analysis.extracted[name];
+        });
+    }
+
+    return Object.assign({}, analysis, {
+        form: form,
+        extracted: extracted,
+        excluded: left
+    });
+};
+
+/**
+ * Remove the fields the user chose not to share from a snapshot
+ *
+ * Snapshots only hold what was shared when they were taken, but the user can leave
+ * more out before the next message, and the old values must not be sent as changes.
+ *
+ * @param {Object} snapshot - The snapshot, see takeSnapshot
+ * @param {{fields: string[], sections: string[]}} excluded - See excludeFromAnalysis
+ * @returns {Object} A copy of the snapshot without them
+ */
+export const excludeFromSnapshot = (snapshot, excluded) => {
+    const fields = {};
+    Object.keys(snapshot.fields).forEach(key => {
+        const field = snapshot.fields[key];
+        if (!(excluded.fields || []).includes(field.key || field.name || field.id) &&
+                !(field.section_ids || []).some(id => (excluded.sections || []).includes(id))) {
+            fields[key] = field;
+        }
+    });
+    return Object.assign({}, snapshot, {fields: fields});
+};
+
+/**
+ * Set what the user chose not to share from the form
+ *
+ * @param {string} hiddenFieldId
+ * @param {{fields: string[], sections: string[], extracted: string[]}} excluded - See excludeFromAnalysis
+ */
+export const setExclusions = (hiddenFieldId, excluded) => {
+    exclusions.set(hiddenFieldId, excluded);
+};
+
+/**
+ * Get the form analysis without what the user chose not to share
+ *
+ * @param {string} hiddenFieldId
+ * @returns {Object|null} The analysis, see excludeFromAnalysis, or null if not available
+ */
+export const getSharedAnalysis = (hiddenFieldId) => {
+    const analysis = getCurrentFormAnalysis(hiddenFieldId);
+    if (!analysis || !analysis.form) {
+        return null;
+    }
+    return exclusions.has(hiddenFieldId) ? excludeFromAnalysis(analysis, exclusions.get(hiddenFieldId)) : analysis;
+};
+
+/**
+ * Get the fields changes from the chat can be written into
+ *
+ * Every analysed field counts, the blank spare repeats left out of the form analysis
+ * too, except those the redaction rules drop and those the user chose not to share.
+ *
+ * @param {string} hiddenFieldId
+ * @returns {Array} Element data in page order
+ */
+export const getTargetElements = (hiddenFieldId) => {
+    const all = getAnalysedElements(hiddenFieldId);
+    let elements = [];
+    if (all) {
+        const options = integrationOptions.get(hiddenFieldId) || {};
+        elements = redactElements(all, getRedactionRules(options.redactionRules || [])).elements;
+    } else {
+        const analysis = getCurrentFormAnalysis(hiddenFieldId);
+        elements = (analysis && analysis.form) ? flattenFormTree(analysis.form) : [];
+    }
+
+    const excluded = exclusions.get(hiddenFieldId) || {};
+    const fields = excluded.fields || [];
+    const sections = excluded.sections || [];
+    return elements.filter((el) => {
+        if (fields.includes(getFieldKey(el))) {
+            return false;
+        }
+        const node = getNodeForElement(el);
+        for (let fieldset = node ? node.closest('fieldset') : null; fieldset;
+            fieldset = fieldset.parentElement ? fieldset.parentElement.closest('fieldset') : null) {
+            if (fieldset.id && sections.includes(fieldset.id)) {
+                return false;
+            }
+        }
+        return true;
+    });
+};
+
+/**
+ * Get the form analysis as compact text to send with a message
+ *
+ * The text stays within the token budget the integration was set up with, listing
+ * the fields the user is working on first, and leaves out what the user chose not to
+ * share. A snapshot of the form is kept each time, and follow-up messages also say
+ * what changed since the message before.
+ *
+ * @param {string} hiddenFieldId
+ * @param {boolean} [preview=false] - Whether this is only a preview, so no snapshot is kept
+ * @returns {Object|null} The text with what was left out, see serialiseFormAnalysis, or null if not available
+ */
+export const getPromptContext = (hiddenFieldId, preview = false) => {
+    const analysis = getSharedAnalysis(hiddenFieldId);
+    if (!analysis) {
+        return null;
+    }
+
+    const history = snapshots.get(hiddenFieldId) || [];
+    const snapshot = takeSnapshot(analysis);
+    const excluded = exclusions.get(hiddenFieldId);
+    const previous = (history.length > 0 && excluded) ? excludeFromSnapshot(history[history.length - 1], excluded)
+        : history[history.length - 1];
+    if (!preview) {
+        snapshots.set(hiddenFieldId, history.concat(snapshot).slice(-MAX_SNAPSHOTS));
+    }
+
+    const options = integrationOptions.get(hiddenFieldId) || {};
+    return serialiseFormAnalysis(analysis, {
+        tokenBudget: options.tokenBudget,
+        focused: activity.focused,
+        edited: activity.edited,
+        changes: previous ? diffSnapshots(previous, snapshot) : null
+    });
+};
+
+/**
+ * Add the snapshot history and diff to the console helpers
+ *
+ * @param {string} hiddenFieldId
+ */
+const exposeHistory = (hiddenFieldId) => {
+    const resolve = (snapshot, fallback) => {
+        const history = getSnapshots(hiddenFieldId);
+        if (snapshot === undefined) {
+            return history[history.length + fallback];
+        }
+        // Negative numbers count back from the latest snapshot.
+        return typeof snapshot === 'number' ? history[snapshot < 0 ? history.length + snapshot : snapshot] : snapshot;
+    };
+
+    window.MoodleDomParser.history = () => getSnapshots(hiddenFieldId);
+    window.MoodleDomParser.diff = (a, b) => {
+        const before = resolve(a, -2);
+        const after = resolve(b, -1);
+        if (!before || !after) {
+            throw new Error('Two snapshots are needed, they are taken each time a message is sent');
+        }
+        return diffSnapshots(before, after);
+    };
+};
+
+/**
+ * Count the elements in a list that are filled, visible and hidden
+ *
+ * @param {Array} elements
+ * @returns {Object} The counts
+ */
+const countElements = (elements) => {
+    return {
+        totalElements: elements.length,
+        filledElements: elements.filter(el => el.current_value && String(el.current_value).trim() !== '').length,
+        visibleElements: elements.filter(el => el.visible).length,
+        hiddenElements: elements.filter(el => !el.visible).length
+    };
+};
+
+/**
+ * Summarise a section of the form tree and the sections inside it
+ *
+ * @param {Object} section - Section from the form tree
+ * @returns {Object} Section summary
+ */
+const summariseSection = (section) => {
+    return Object.assign({
+        id: section.id,
+        legend: section.legend,
+        order: section.order,
+        collapsible: section.collapsible,
+        expanded: section.expanded,
+        sections: section.children.filter(child => child.kind === 'section').map(summariseSection)
+    }, countElements(flattenFormTree({sections: [section], elements: []})));
+};
+
+/**
+ * List the repeated groups of fields in the form tree with how many are filled
+ *
+ * @param {Array} items - Nodes of the form tree
+ * @returns {Array<{name: string, fields: string[], total: number, filled: number}>} The repeats
+ */
+const summariseRepeats = (items) => {
+    return items.reduce((repeats, item) => {
+        if (item.kind === 'repeat') {
+            repeats.push({name: item.name, fields: item.fields, total: item.total, filled: item.filled});
+        } else if (item.children) {
+            repeats.push(...summariseRepeats(item.children));
+        }
+        return repeats;
+    }, []);
+};
+
+/**
+ * Describe an element for the lists of problems in the summary
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @returns {Object} The element id, name, label and sections
+ */
+const describeElement = (el) => ({id: el.id, name: el.name, label: el.label, sections: el.sections});
+
+/**
+ * Check whether an element has a value
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @returns {boolean} True if it is empty
+ */
+const isEmpty = (el) => {
+    if (el.type === 'checkbox' || el.type === 'radio') {
+        return !el.checked;
+    }
+    return !el.current_value || String(el.current_value).trim() === '';
+};
+
 /**
  * Get summary of current form state
  *
  * @param {string} hiddenFieldId
- * @returns {Object|null} Form summary or null if not available
+ * @returns {Object|null} Form summary with counts per section, the errors shown and the required
+ *     fields that are empty, or null if not available
  */
 export const getFormSummary = (hiddenFieldId) => {
     const analysis = getCurrentFormAnalysis(hiddenFieldId);
-    if (!analysis || !analysis.elements) {
+    if (!analysis || !analysis.form) {
         return null;
     }
 
-    const elements = analysis.elements;
+    const elements = flattenFormTree(analysis.form);
 
-    return {
+    // Fields Moodle skips in validation, because they are disabled or hidden, cannot block saving.
+    const validated = elements.filter(el => el.active && el.type !== 'hidden');
+    // Only one radio button of a required group needs to be checked.
+    const requiredRadios = new Set(validated.filter(el => el.type === 'radio' && el.checked).map(el => el.name));
+    const emptyRequired = validated.filter(el => el.required && isEmpty(el) && !requiredRadios.has(el.name))
+        .filter((el, index, list) => el.type !== 'radio' || list.findIndex(other => other.name === el.name) === index);
+
+    return Object.assign({
         timestamp: analysis.timestamp,
-        totalElements: elements.length,
-        filledElements: elements.filter(el => el.current_value && el.current_value.trim() !== '').length,
-        visibleElements: elements.filter(el => el.visible === 1).length,
-        hiddenElements: elements.filter(el => el.visible === 0).length,
         formUrl: analysis.formUrl,
         elementTypes: {
             text: elements.filter(el => ['text', 'email', 'password'].includes(el.type)).length,
@@ -154,8 +604,12 @@ export const getFormSummary = (hiddenFieldId) => {
             textarea: elements.filter(el => el.type === 'textarea').length,
             checkbox: elements.filter(el => el.type === 'checkbox').length,
             radio: elements.filter(el => el.type === 'radio').length
-        }
-    };
+        },
+        sections: analysis.form.sections.map(summariseSection),
+        repeats: summariseRepeats(analysis.form.sections.concat(analysis.form.elements)),
+        blockingErrors: elements.filter(el => el.invalid).map(el => Object.assign(describeElement(el), {error: el.error})),
+        emptyRequired: emptyRequired.map(describeElement)
+    }, countElements(elements));
 };
 
 // Initialize Moodle namespace if it doesn't exist
@@ -168,3 +622,8 @@ M.block_helpchat.initFormIntegration = initFormIntegration;
 M.block_helpchat.populateFormAnalysis = populateFormAnalysis;
 M.block_helpchat.getCurrentFormAnalysis = getCurrentFormAnalysis;
 M.block_helpchat.getFormSummary = getFormSummary;
+M.block_helpchat.getPromptContext = getPromptContext;
+M.block_helpchat.getSnapshots = getSnapshots;
+M.block_helpchat.setExclusions = setExclusions;
+M.block_helpchat.getSharedAnalysis = getSharedAnalysis;
+M.block_helpchat.diffSnapshots = diffSnapshots;
@@ -0,0 +1,524 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Compact text form of the form analysis for Help Chat block
+ *
+ * The JSON analysis is too verbose to send as it is on big forms. This turns it into
+ * one line per field, with its state, rules, dependencies and help text, grouped under
+ * headings for the sections and repeats it is in, within a token budget.
+ * Fields are ranked so the focused and recently edited fields come first, then
+ * fields with errors, visible fields and filled fields. Fields that do not fit are
+ * summarised at the end and reported in the result.
+ *
+ * @module     block_helpchat/form_serialiser
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {flattenFormTree} from './dom_parser';
+
+/** Token budget used when none is given. */
+export const DEFAULT_TOKEN_BUDGET = 3000;
+
+/** Rough number of characters in a token of English text and code. */
+const CHARACTERS_PER_TOKEN = 4;
+
+/** Share of the budget kept back for the summary of what was left out. */
+const SUMMARY_RESERVE = 0.08;
+
+/** Share of the budget the data from extractors may take. */
+const EXTRACTED_SHARE = 0.3;
+
+/** Share of the budget the changes since the last message may take. */
+const CHANGES_SHARE = 0.25;
+
+/** Most options of a select listed with its value. */
+const MAX_LISTED_OPTIONS = 8;
+
+/** Most redacted fields and sections not shared named in the summary lines. */
+const MAX_LISTED_NAMES = 10;
+
+/**
+ * Estimate the number of tokens in some text
+ *
+ * @param {string} text - The text
+ * @returns {number} The estimated number of tokens
+ */
+export const estimateTokens = (text) => Math.ceil(text.length / CHARACTERS_PER_TOKEN);
+
+/**
+ * Check whether an element has a value
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @returns {boolean} True if it is filled
+ */
+const isFilled = (el) => {
+    if (el.type === 'checkbox' || el.type === 'radio') {
+        return !!el.checked;
+    }
+    return el.current_value !== undefined && el.current_value !== null && String(el.current_value).trim() !== '';
+};
+
+/**
+ * Work out how relevant an element is to the conversation
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @param {Object} activity - The focused element id and the ids of recently edited elements
+ * @returns {number} The score, higher is more relevant
+ */
+const scoreElement = (el, activity) => {
+    let score = 0;
+    if (activity.focused && (el.id === activity.focused || el.name === activity.focused)) {
+        score += 1000;
+    }
+    const edited = activity.edited.indexOf(el.id);
+    if (edited !== -1) {
+        // The most recent edit counts most.
+        score += 500 - Math.min(edited, 40) * 10;
+    }
+    if (el.invalid) {
+        score += 300;
+    }
+    if (el.required && !isFilled(el)) {
+        score += 150;
+    }
+    if (el.visible) {
+        score += 100;
+    }
+    if (isFilled(el)) {
+        score += 50;
+    }
+    if (el.active) {
+        score += 20;
+    }
+    if (el.type === 'hidden' || el.type === 'submit' || el.type === 'button') {
+        score -= 200;
+    }
+    return score;
+};
+
+/**
+ * Shorten a value to a number of characters
+ *
+ * @param {string} value - The value
+ * @param {number} maxLength - The longest value kept
+ * @returns {string} The value
+ */
+const shorten = (value, maxLength) => {
+    return value.length > maxLength ? `${value.substring(0, maxLength)}… (${value.length} characters)` : value;
+};
+
+/**
+ * Describe the source of an embedded image or other media
+ *
+ * Data URLs hold the whole file, so only their type and size are given.
+ *
+ * @param {string} src - The source
+ * @param {number} maxLength - The longest source kept
+ * @returns {string} The source as text
+ */
+const formatSource = (src, maxLength) => {
+    const data = String(src ?? '').match(/^data:([^;,]*)[^,]*,/);
+    if (data) {
+        return `data:${data[1] || 'text/plain'} (${src.length} characters)`;
+    }
+    return shorten(String(src ?? ''), maxLength);
+};
+
+/**
+ * List some names, saying how many more there are
+ *
+ * @param {string[]} names - The names
+ * @param {number} maxLength - The longest list kept, at least one name is listed
+ * @returns {string} The list
+ */
+const listNames = (names, maxLength) => {
+    let listed = 1;
+    while (listed < Math.min(names.length, MAX_LISTED_NAMES) && names.slice(0, listed + 1).join(', ').length <= maxLength) {
+        listed++;
+    }
+    const more = names.length > listed ? ` and ${names.length - listed} more` : '';
+    return names.slice(0, listed).join(', ') + more;
+};
+
+/**
+ * Describe the value of an element
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @param {number} maxLength - The longest value kept
+ * @returns {string} The value as text
+ */
+const formatValue = (el, maxLength) => {
+    if (el.type === 'checkbox' || el.type === 'radio') {
+        return el.checked ? `checked (${el.current_value})` : 'unchecked';
+    }
+    const value = JSON.stringify(shorten(String(el.current_value ?? ''), maxLength));
+    if (el.type !== 'select' || !el.options) {
+        return value;
+    }
+    const selected = el.options.find((option) => option.selected);
+    const shown = selected && selected.text.trim() !== el.current_value ? `${value} (${selected.text.trim()})` : value;
+    if (el.options.length <= MAX_LISTED_OPTIONS) {
+        return `${shown} of ${el.options.map((option) => `${option.value}=${option.text.trim()}`).join(' | ')}`;
+    }
+    return `${shown} of ${el.options.length} options`;
+};
+
+/**
+ * Describe what an element depends on
+ *
+ * Declared dependencies say what the hideIf or disabledIf rule checks and whether it
+ * applies now, the ones guessed from the page the value the control needs.
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @param {number} maxLength - The longest value kept
+ * @returns {string} The dependencies, empty if there are none
+ */
+const formatDependencies = (el, maxLength) => {
+    const quote = (value) => JSON.stringify(shorten(String(value ?? ''), maxLength));
+    const conditions = (el.dependencies || []).map((dependency) => {
+        if (dependency.source === 'declared') {
+            const value = ['checked', 'notchecked', 'noitemselected'].includes(dependency.operator) ? ''
+                : ` ${quote(dependency.value)}`;
+            const state = dependency.satisfied === null ? '' : `, ${dependency.satisfied ? 'applies' : 'does not apply'} now`;
+            return `${dependency.action} if ${dependency.controllingElement} ${dependency.operator}${value} (declared${state})`;
+        }
+        return `shown if ${dependency.controllingElement} = ${quote(dependency.requiredValue)} ` +
+            `(heuristic, now ${quote(dependency.controllingValue)})`;
+    });
+    if (el.depends_on_enabled) {
+        conditions.push(`enabled by ${el.depends_on_enabled}`);
+    }
+    return conditions.join('; ');
+};
+
+/**
+ * Write the line for one element
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @param {Object} activity - The focused element id and the ids of recently edited elements
+ * @param {number} maxLength - The longest value kept
+ * @returns {string} The line
+ */
+const formatElement = (el, activity, maxLength) => {
+    const flags = [el.type];
+    if (el.id && el.id === activity.focused) {
+        flags.push('focused');
+    }
+    if (el.id && activity.edited.includes(el.id)) {
+        flags.push('edited');
+    }
+    if (el.required) {
+        flags.push('required');
+    }
+    if (!el.active) {
+        flags.push('disabled');
+    }
+    if (!el.visible) {
+        flags.push('hidden');
+    }
+    if (el.optional) {
+        flags.push(el.enabled ? 'enabled' : 'not enabled');
+    }
+    if (el.group) {
+        flags.push(`in group ${el.group.replace(/^fgroup_id_/, '')}`);
+    }
+    if (el.truncated) {
+        flags.push(`truncated from ${el.value_length} characters`);
+    }
+    const name = el.name && el.id !== `id_${el.name}` ? ` [${el.name}]` : '';
+    let line = `- ${el.id || el.name}${name} "${el.label || ''}" (${flags.join(', ')}) = ${formatValue(el, maxLength)}`;
+    if (el.invalid) {
+        line += ` ERROR: ${el.error ? JSON.stringify(el.error) : 'invalid'}`;
+    }
+    if (el.rules && el.rules.length > 0) {
+        line += ` rules: ${el.rules.join(', ')}`;
+    }
+    const dependencies = formatDependencies(el, maxLength);
+    if (dependencies) {
+        line += ` depends on: ${dependencies}`;
+    }
+    if (el.helptext) {
+        line += ` help: ${JSON.stringify(shorten(el.helptext, maxLength))}`;
+    }
+    if (el.rich_text && el.rich_text.media && el.rich_text.media.length > 0) {
+        const media = el.rich_text.media.map((item) => `${item.type} ${formatSource(item.src, maxLength)} ` +
+            `alt=${JSON.stringify(item.alt === null ? null : shorten(String(item.alt), maxLength))}`);
+        line += ` media: ${media.join('; ')}`;
+    }
+    return line;
+};
+
+/**
+ * Find the collapsed sections and the repeats of a form tree
+ *
+ * The flattened elements only keep the legends of their sections and the name of
+ * their repeat, this keeps the rest for the headings.
+ *
+ * @param {{sections: Array, elements: Array}} tree - Tree from buildFormTree
+ * @returns {{collapsed: Set<string>, repeats: Map<string, Object>}} Paths of the collapsed sections and
+ *     the repeats by name
+ */
+const describeStructure = (tree) => {
+    const structure = {collapsed: new Set(), repeats: new Map()};
+    const visit = (items, path) => {
+        items.forEach((item) => {
+            if (item.kind === 'section') {
+                const sectionPath = path.concat(item.legend);
+                if (item.collapsible && !item.expanded) {
+                    structure.collapsed.add(sectionPath.join(' > '));
+                }
+                visit(item.children, sectionPath);
+            } else if (item.kind === 'group') {
+                visit(item.children, path);
+            } else if (item.kind === 'repeat') {
+                structure.repeats.set(item.name, item);
+            }
+        });
+    };
+    visit(tree.sections.concat(tree.elements), []);
+    return structure;
+};
+
+/**
+ * Write the heading of a section, saying which of the sections it is in are collapsed
+ *
+ * @param {string[]} sections - Legends of the sections, outermost first
+ * @param {Set<string>} collapsed - Paths of the collapsed sections
+ * @returns {string} The heading
+ */
+const formatHeading = (sections, collapsed) => {
+    if (sections.length === 0) {
+        return '## (no section)';
+    }
+    return '## ' + sections.map((legend, index) =>
+        (collapsed.has(sections.slice(0, index + 1).join(' > ')) ? `${legend} (collapsed)` : legend)).join(' > ');
+};
+
+/**
+ * Write the heading of a repeat, saying how many of its records are filled
+ *
+ * @param {string} name - Name of the repeat
+ * @param {Object|undefined} repeat - The repeat from the form tree
+ * @returns {string} The heading
+ */
+const formatRepeat = (name, repeat) => {
+    if (!repeat) {
+        return `### Repeat ${name}`;
+    }
+    const spare = repeat.total > repeat.records.length ? ', the blank spare ones not listed' : '';
+    return `### Repeat ${name} (${repeat.fields.join(', ')}): ${repeat.filled} of ${repeat.total} filled${spare}`;
+};
+
+/**
+ * Get why an element left out matters least
+ *
+ * @param {Object} el - Element from the flattened form tree
+ * @returns {string} hidden, disabled, empty or other
+ */
+const getCategory = (el) => {
+    if (!el.visible || el.type === 'hidden') {
+        return 'hidden';
+    }
+    if (!el.active) {
+        return 'disabled';
+    }
+    return isFilled(el) ? 'other' : 'empty';
+};
+
+/**
+ * Write the lines describing the changes to the form since the last message
+ *
+ * @param {{added: Array, removed: Array, changed: Array}} changes - Diff of two snapshots
+ * @param {number} maxTokens - Most tokens the lines may use
+ * @param {number} maxLength - The longest value kept
+ * @returns {string[]} The lines
+ */
+const formatChanges = (changes, maxTokens, maxLength) => {
+    const quote = (value) => JSON.stringify(shorten(String(value ?? ''), maxLength));
+    const describe = (field) => `${field.id || field.name} "${field.label || ''}"`;
+    const changeLines = [].concat(
+        changes.changed.map((field) => `- changed ${describe(field)} from ${quote(field.old)} to ${quote(field.new)}`),
+        changes.added.map((field) => `- added ${describe(field)} = ${quote(field.value)}`),
+        changes.removed.map((field) => `- removed ${describe(field)}, was ${quote(field.value)}`)
+    );
+    if (changeLines.length === 0) {
+        return [];
+    }
+
+    const lines = ['Changes since the last message:'];
+    let used = estimateTokens(lines[0]);
+    for (let i = 0; i < changeLines.length; i++) {
+        const tokens = estimateTokens(changeLines[i]) + 1;
+        if (used + tokens > maxTokens) {
+            lines.push(`- and ${changeLines.length - i} more changes`);
+            break;
+        }
+        lines.push(changeLines[i]);
+        used += tokens;
+    }
+    return lines;
+};
+
+/**
+ * Put the text together from the lines chosen
+ *
+ * @param {string[]} header - The form and the changes since the last message
+ * @param {Array} included - The elements listed, most relevant first
+ * @param {string[]} extractedLines - The structured data listed
+ * @param {string[]} notices - What the user left out and what was redacted
+ * @param {Array} dropped - The elements left out
+ * @param {string[]} droppedExtracted - Names of the structured data left out
+ * @param {number} total - How many elements there are
+ * @param {Object} structure - The collapsed sections and the repeats, see describeStructure
+ * @returns {{text: string, dropped: Array}} The text and the elements left out in page order
+ */
+const compose = (header, included, extractedLines, notices, dropped, droppedExtracted, total, structure) => {
+    const lines = header.slice();
+    let section = null;
+    let repeat = null;
+    included.slice().sort((a, b) => a.position - b.position).forEach(({el, line}) => {
+        const path = (el.sections || []).join(' > ');
+        if (path !== section) {
+            section = path;
+            repeat = null;
+            lines.push(formatHeading(el.sections || [], structure.collapsed));
+        }
+        if (el.repeat && el.repeat !== repeat) {
+            lines.push(formatRepeat(el.repeat, structure.repeats.get(el.repeat)));
+        }
+        repeat = el.repeat || null;
+        lines.push(line);
+    });
+    lines.push(...extractedLines);
+    lines.push(...notices);
+
+    const droppedList = dropped.slice().sort((a, b) => a.position - b.position).map(({el}) => ({
+        id: el.id,
+        name: el.name,
+        label: el.label,
+        sections: el.sections || [],
+        category: getCategory(el)
+    }));
+    if (droppedList.length > 0) {
+        const categories = {};
+        const sections = {};
+        droppedList.forEach((item) => {
+            categories[item.category] = (categories[item.category] || 0) + 1;
+            const path = item.sections.join(' > ') || '(no section)';
+            sections[path] = (sections[path] || 0) + 1;
+        });
+        const bySize = Object.keys(sections).sort((a, b) => sections[b] - sections[a]);
+        const more = bySize.length > 10 ? `, and ${bySize.length - 10} more sections` : '';
+        lines.push(`Not shown to keep within the size limit: ${droppedList.length} of ${total} fields (` +
+            Object.keys(categories).map((category) => `${categories[category]} ${category}`).join(', ') + '). By section: ' +
+            bySize.slice(0, 10).map((path) => `${path} ${sections[path]}`).join(', ') + more + '.');
+    }
+    if (droppedExtracted.length > 0) {
+        lines.push(`Structured data not shown: ${droppedExtracted.join(', ')}.`);
+    }
+    return {text: lines.join('\n'), dropped: droppedList};
+};
+
+/**
+ * Serialise the form analysis as compact text within a token budget
+ *
+ * @param {Object} analysis - The analysis populateHiddenField writes
+ * @param {Object} options - Serialisation options
+ * @param {number} [options.tokenBudget] - Most tokens the text may use
+ * @param {string} [options.focused] - Id of the element the user is in or asked about
+ * @param {string[]} [options.edited] - Ids of the elements the user edited, most recent first
+ * @param {Object} [options.changes] - Changes since the last message, from diffSnapshots in form_integration
+ * @returns {{text: string, tokens: number, included: number, total: number, dropped: Array}} The text, its
+ *     estimated size, how many elements it lists and the elements left out
+ */
+export const serialiseFormAnalysis = (analysis, options = {}) => {
+    const budget = Math.max(200, options.tokenBudget || DEFAULT_TOKEN_BUDGET);
+    const activity = {focused: options.focused || '', edited: options.edited || []};
+    const tree = analysis.form || {sections: [], elements: []};
+    const elements = flattenFormTree(tree);
+    const structure = describeStructure(tree);
+    const maxValueLength = Math.max(120, Math.floor(budget * CHARACTERS_PER_TOKEN / 20));
+
+    const header = [`Form: ${analysis.formUrl || ''}`];
+    if (options.changes) {
+        header.push(...formatChanges(options.changes, budget * CHANGES_SHARE, maxValueLength));
+    }
+
+    // What the user left out and what was redacted is always said, so it counts against the budget first.
+    const notices = [];
+    if (analysis.excluded && (analysis.excluded.fields > 0 || analysis.excluded.sections.length > 0)) {
+        const sections = analysis.excluded.sections.length > 0
+            ? `, including the sections ${listNames(analysis.excluded.sections, maxValueLength)}` : '';
+        notices.push(`Not shared by the user: ${analysis.excluded.fields} fields${sections}.`);
+    }
+    if (analysis.redacted && analysis.redacted.length > 0) {
+        const names = analysis.redacted.map((item) => item.name || item.id);
+        notices.push(`Redacted: ${names.length} fields (${listNames(names, maxValueLength)})`);
+    }
+
+    let used = estimateTokens(header.concat(notices).join('\n'));
+    const available = budget - Math.ceil(budget * SUMMARY_RESERVE);
+
+    // Structured data from the extractors is compact already, and worth a share of the budget.
+    const extractedLines = [];
+    const droppedExtracted = [];
+    Object.keys(analysis.extracted || {}).forEach((name) => {
+        const line = `Structured data (${name}): ${JSON.stringify(analysis.extracted[name])}`;
+        const tokens = estimateTokens(line);
+        if (tokens <= budget * EXTRACTED_SHARE && used + tokens <= available) {
+            extractedLines.push(line);
+            used += tokens;
+        } else {
+            droppedExtracted.push(name);
+        }
+    });
+
+    // Pick the most relevant elements that fit, then list them in page order.
+    const ranked = elements.map((el, position) => ({el, position, score: scoreElement(el, activity)}))
+        .sort((a, b) => (b.score - a.score) || (a.position - b.position));
+    const included = [];
+    const dropped = [];
+    ranked.forEach((entry) => {
+        entry.line = formatElement(entry.el, activity, maxValueLength);
+        // The section and repeat headings may have to be written for this element as well.
+        const repeatHeading = entry.el.repeat ? formatRepeat(entry.el.repeat, structure.repeats.get(entry.el.repeat)) : '';
+        const sectionHeading = formatHeading(entry.el.sections || [], structure.collapsed);
+        const tokens = estimateTokens(entry.line) + 1 + estimateTokens(sectionHeading) + estimateTokens(repeatHeading);
+        if (used + tokens <= available) {
+            included.push(entry);
+            used += tokens;
+        } else {
+            dropped.push(entry);
+        }
+    });
+
+    let composed = compose(header, included, extractedLines, notices, dropped, droppedExtracted, elements.length, structure);
+    // The summary of what was left out can take more than was kept back for it, then the least relevant go too.
+    while (estimateTokens(composed.text) > budget && included.length > 0) {
+        dropped.push(included.pop());
+        composed = compose(header, included, extractedLines, notices, dropped, droppedExtracted, elements.length, structure);
+    }
+
+    return {
+        text: composed.text,
+        tokens: estimateTokens(composed.text),
+        included: included.length,
+        total: elements.length,
+        dropped: composed.dropped,
+        droppedExtracted: droppedExtracted
+    };
+};
@@ -0,0 +1,111 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Conversation history for Help Chat block
+ *
+ * The thread is kept in sessionStorage, keyed by block instance and page URL,
+ * so it survives navigation and reloads of the same page.
+ *
+ * @module     block_helpchat/history
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const STORAGE_PREFIX = 'block_helpchat/history';
+
+/** Maximum number of messages kept for a page. */
+const MAX_STORED_MESSAGES = 50;
+
+/** Maximum number of earlier messages sent back to the backend as context. */
+export const MAX_CONTEXT_MESSAGES = 20;
+
+/**
+ * Get the sessionStorage key for a block instance on the current page
+ *
+ * @param {number} instanceId - The block instance id
+ * @returns {string} The storage key
+ */
+const getStorageKey = (instanceId) => {
+    return `${STORAGE_PREFIX}/${instanceId}/${window.location.pathname}${window.location.search}`;
+};
+
+/**
+ * Load the conversation for a block instance on the current page
+ *
+ * @param {number} instanceId - The block instance id
+ * @returns {Array<{role: string, content: string}>} The messages, oldest first
+ */
+export const loadHistory = (instanceId) => {
+    try {
+        const stored = JSON.parse(window.sessionStorage.getItem(getStorageKey(instanceId)));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        // Storage can be unavailable (private browsing) or hold corrupt data.
+        return [];
+    }
+};
+
+/**
+ * Save the conversation for a block instance on the current page
+ *
+ * @param {number} instanceId - The block instance id
+ * @param {Array<{role: string, content: string}>} messages - The messages, oldest first
+ */
+const saveHistory = (instanceId, messages) => {
+    try {
+        window.sessionStorage.setItem(getStorageKey(instanceId), JSON.stringify(messages.slice(-MAX_STORED_MESSAGES)));
+    } catch (error) {
+        window.console.warn('Help Chat conversation could not be stored:', error);
+    }
+};
+
+/**
+ * Append a message to the conversation
+ *
+ * @param {number} instanceId - The block instance id
+ * @param {string} role - Either 'user' or 'assistant'
+ * @param {string} content - The message text
+ * @returns {Array<{role: string, content: string}>} The updated messages
+ */
+export const addMessage = (instanceId, role, content) => {
+    const messages = loadHistory(instanceId);
+    messages.push({role, content});
+    saveHistory(instanceId, messages);
+    return messages;
+};
+
+/**
+ * Forget the conversation for a block instance on the current page
+ *
+ * @param {number} instanceId - The block instance id
+ */
+export const clearHistory = (instanceId) => {
+    try {
+        window.sessionStorage.removeItem(getStorageKey(instanceId));
+    } catch (error) {
+        // Nothing stored, nothing to clear.
+    }
+};
+
+/**
+ * Get the earlier messages to send to the backend as conversation context
+ *
+ * @param {number} instanceId - The block instance id
+ * @returns {Array<{role: string, content: string}>} The most recent messages, oldest first
+ */
+export const getContextMessages = (instanceId) => {
+    return loadHistory(instanceId).slice(-MAX_CONTEXT_MESSAGES);
+};
@@ -14,102 +14,1171 @@
 // along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
 
 /**
- * Simple markdown processor for Help Chat block
+ * Markdown renderer for Help Chat block
+ *
+ * Responses come from an LLM and must be treated as untrusted input. The
+ * markdown is tokenized into blocks and inlines and rendered from scratch:
+ * all text is HTML escaped, raw HTML is shown as text, and links and images
+ * are only rendered for whitelisted URL schemes.
+ *
+ * Maths in \( \), \[ \] or $$ $$ delimiters and STACK CAS text in {@ @}
+ * is kept out of the markdown pass and left for Moodle's filters (MathJax) to
+ * typeset once the HTML is in the page.
+ *
+ * The module has no dependencies so the output can be pinned by the fixture
+ * corpus in tests/fixtures/markdown (see tests/js/markdown_test.mjs).
  *
  * @module     block_helpchat/markdown
  * @copyright  2025 Marcus Green
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+/** URL schemes links and images may use. Relative URLs are always allowed. */
+const ALLOWED_SCHEMES = ['http', 'https', 'mailto'];
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/** Delimiters of maths that is passed through to the filters untouched. */
+const MATH_DELIMITERS = [
+    {open: '$$', close: '$$', display: true},
+    {open: '\\[', close: '\\]', display: true},
+    {open: '\\(', close: '\\)', display: false},
+    {open: '{@', close: '@}', display: false, cas: true}
+];
+
+const PATTERNS = {
+    FENCE_OPEN: /^( {0,3})(`{3,}|~{3,})(.*)$/,
+    HEADING: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    THEMATIC_BREAK: /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/,
+    BLOCKQUOTE: /^ {0,3}> ?(.*)$/,
+    LIST_ITEM: /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)(.*)$/,
+    INDENTED_CODE: /^ {4}(.*)$/,
+    SETEXT_UNDERLINE: /^ {0,3}(=+|-+)[ \t]*$/,
+    TABLE_DELIMITER: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    REFERENCE_DEFINITION: /^ {0,3}\[((?:[^\\\]]|\\.){1,999})\]:[ \t]*(?:<([^<>\n]*)>|(\S+))(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/,
+    ENTITY: /^&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/,
+    AUTOLINK_URI: /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/,
+    AUTOLINK_EMAIL: /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/,
+    BARE_URL: /^(?:https?:\/\/|www\.)[^\s<]+/,
+    ASCII_PUNCTUATION: /^[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]$/,
+    PUNCTUATION: /[!-/:-@[-`{-~¡-¿‐-‧‰-⁞　-〿]/,
+    WHITESPACE: /\s/
+};
+
 /**
- * Simple markdown to HTML converter
- * Supports basic markdown syntax:
- * - Headers (#, ##, ###)
- * - Bold (**text** or __text__)
- * - Italic (*text* or _text_)
- * - Lists (- item)
- * - Links ([text](url))
- * - Code blocks (```code```)
- * - Line breaks
+ * Escape text for use in HTML content or attribute values
  *
- * @param {string} markdown - The markdown text to convert
- * @returns {string} The HTML representation
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
  */
-export const renderMarkdown = (markdown) => {
-    if (!markdown) {
-        return '';
+export const escapeHtml = (text) => {
+    return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+};
+
+/**
+ * Check a link or image URL against the scheme whitelist
+ *
+ * Control characters and whitespace are ignored when reading the scheme, as
+ * browsers do, so "java\tscript:" is recognised for what it is.
+ *
+ * @param {string} url - The URL from the markdown source
+ * @returns {string|null} The URL to use, or null if it is not allowed
+ */
+export const sanitizeUrl = (url) => {
+    const trimmed = String(url).trim();
+    const normalised = Array.from(trimmed).filter((char) => char > ' ' && char !== '\u007F').join('');
+    const scheme = normalised.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+    if (scheme && !ALLOWED_SCHEMES.includes(scheme[1].toLowerCase())) {
+        return null;
     }
+    return trimmed.replace(/ /g, '%20');
+};
 
-    let html = markdown;
+/**
+ * Remove backslash escapes from a string
+ *
+ * @param {string} text - Text that may contain backslash escapes
+ * @returns {string} The unescaped text
+ */
+const unescapeBackslashes = (text) => {
+    return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+};
 
-    // Convert code blocks (```code```)
-    html = html.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
+/**
+ * Normalise a link reference label for lookup
+ *
+ * @param {string} label - The label as written
+ * @returns {string} The normalised label
+ */
+const normaliseLabel = (label) => {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+};
 
-    // Convert inline code (`code`)
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+/**
+ * Expand tabs to spaces using a tab stop of four
+ *
+ * @param {string} line - The line to expand
+ * @returns {string} The line without tabs
+ */
+const expandTabs = (line) => {
+    if (line.indexOf('\t') === -1) {
+        return line;
+    }
+    let result = '';
+    for (const char of line) {
+        if (char === '\t') {
+            result += ' '.repeat(4 - (result.length % 4));
+        } else {
+            result += char;
+        }
+    }
+    return result;
+};
 
-    // Convert headers (# Header)
-    html = html.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-    html = html.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-    html = html.replace(/^# (.*$)/gim, '<h1>$1</h1>');
+/**
+ * Count the leading spaces of a line
+ *
+ * @param {string} line - The line
+ * @returns {number} The number of leading spaces
+ */
+const indentOf = (line) => {
+    return line.length - line.replace(/^ +/, '').length;
+};
 
-    // Convert bold (**text** or __text__)
-    html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    html = html.replace(/__(.*?)__/g, '<strong>$1</strong>');
+/**
+ * Check whether a line is blank
+ *
+ * @param {string} line - The line
+ * @returns {boolean} True if the line only holds whitespace
+ */
+const isBlank = (line) => {
+    return /^[ \t]*$/.test(line);
+};
 
-    // Convert italic (*text* or _text_)
-    html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-    html = html.replace(/_(.*?)_/g, '<em>$1</em>');
+/**
+ * Find a maths span starting at the given position
+ *
+ * @param {string} text - The text being parsed
+ * @param {number} start - The position to look at
+ * @returns {{text: string, display: boolean, cas: boolean}|null} The span, or null if there is none
+ */
+const findMathSpan = (text, start) => {
+    for (const delimiter of MATH_DELIMITERS) {
+        if (!text.startsWith(delimiter.open, start)) {
+            continue;
+        }
+        const end = text.indexOf(delimiter.close, start + delimiter.open.length);
+        if (end > start + delimiter.open.length) {
+            return {
+                text: text.slice(start, end + delimiter.close.length),
+                display: delimiter.display,
+                cas: !!delimiter.cas
+            };
+        }
+    }
+    return null;
+};
 
-    // Convert links ([text](url))
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+/**
+ * Split a table row into its cells
+ *
+ * @param {string} line - The table row
+ * @returns {string[]} The raw cell contents
+ */
+const splitTableRow = (line) => {
+    let row = line.trim();
+    if (row.startsWith('|')) {
+        row = row.slice(1);
+    }
+    if (row.endsWith('|') && !row.endsWith('\\|')) {
+        row = row.slice(0, -1);
+    }
 
-    // Convert unordered lists (- item)
-    html = html.replace(/^\- (.*$)/gim, '<li>$1</li>');
-    html = html.replace(/(<li>.*<\/li>)/gim, '<ul>$1</ul>');
+    const cells = [];
+    let current = '';
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += row[i];
+        }
+    }
+    cells.push(current.trim());
 
-    // Convert line breaks
-    html = html.replace(/\n/g, '<br>');
+    return cells;
+};
 
-    return html;
+/**
+ * Check whether two lines start a table
+ *
+ * @param {string} header - The candidate header row
+ * @param {string} delimiter - The candidate delimiter row
+ * @returns {boolean} True if they form a table header
+ */
+const startsTable = (header, delimiter) => {
+    if (delimiter === undefined || header.indexOf('|') === -1 || !PATTERNS.TABLE_DELIMITER.test(delimiter)) {
+        return false;
+    }
+    return splitTableRow(header).length === splitTableRow(delimiter).length;
 };
 
 /**
- * Process markdown in helpchat response
+ * Check whether a line starts a block that interrupts a paragraph
+ *
+ * @param {string} line - The line
+ * @returns {boolean} True if the line starts a new block
  */
-export const processResponseMarkdown = () => {
-    // Find all helpchat response containers
-    const responseContainers = document.querySelectorAll('.helpchat-response-content');
-    
-    responseContainers.forEach(container => {
-        // Get the text content
-        const markdownText = container.textContent || container.innerText;
-        
-        // Convert markdown to HTML
-        const htmlContent = renderMarkdown(markdownText);
-        
-        // Update the container with HTML content
-        container.innerHTML = htmlContent;
+const interruptsParagraph = (line) => {
+    if (isBlank(line) || PATTERNS.HEADING.test(line) || PATTERNS.THEMATIC_BREAK.test(line) ||
+            PATTERNS.BLOCKQUOTE.test(line)) {
+        return true;
+    }
+
+    const fence = line.match(PATTERNS.FENCE_OPEN);
+    if (fence && !(fence[2][0] === '`' && fence[3].indexOf('`') !== -1)) {
+        return true;
+    }
+
+    // Only lists starting at one with some content may interrupt a paragraph.
+    const item = line.match(PATTERNS.LIST_ITEM);
+    if (item && !isBlank(item[3])) {
+        return !/^\d/.test(item[2]) || parseInt(item[2], 10) === 1;
+    }
+
+    return false;
+};
+
+/**
+ * Parse lines of markdown into block tokens
+ *
+ * @param {string[]} lines - The lines to parse, without tabs
+ * @param {Object} references - Link reference definitions, filled in as they are found
+ * @returns {Object[]} The block tokens
+ */
+const parseBlocks = (lines, references) => {
+    const blocks = [];
+    let i = 0;
+    let ranged = 0;
+    let startLine = 0;
+
+    // Record the lines each block came from, used to tell tight lists from loose ones.
+    const recordRanges = () => {
+        for (; ranged < blocks.length; ranged++) {
+            blocks[ranged].firstLine = startLine;
+            blocks[ranged].lastLine = i;
+        }
+        startLine = i;
+    };
+
+    while (i < lines.length) {
+        recordRanges();
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        // Fenced code, which runs to the end of the input when it is never closed.
+        const fence = line.match(PATTERNS.FENCE_OPEN);
+        if (fence && !(fence[2][0] === '`' && fence[3].indexOf('`') !== -1)) {
+            const indent = fence[1].length;
+            const marker = fence[2];
+            const language = unescapeBackslashes(fence[3].trim().split(/\s+/)[0] || '');
+            const content = [];
+            i++;
+            while (i < lines.length) {
+                const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+                if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length) {
+                    i++;
+                    break;
+                }
+                content.push(lines[i].slice(Math.min(indent, indentOf(lines[i]))));
+                i++;
+            }
+            blocks.push({type: 'code', language: language, text: content.join('\n')});
+            continue;
+        }
+
+        const heading = line.match(PATTERNS.HEADING);
+        if (heading) {
+            blocks.push({type: 'heading', level: heading[1].length, text: (heading[2] || '').trim()});
+            i++;
+            continue;
+        }
+
+        if (PATTERNS.THEMATIC_BREAK.test(line)) {
+            blocks.push({type: 'hr'});
+            i++;
+            continue;
+        }
+
+        if (PATTERNS.BLOCKQUOTE.test(line)) {
+            const content = [];
+            while (i < lines.length) {
+                const quoted = lines[i].match(PATTERNS.BLOCKQUOTE);
+                if (quoted) {
+                    content.push(quoted[1]);
+                } else if (!isBlank(lines[i]) && content.length && !isBlank(content[content.length - 1]) &&
+                        !interruptsParagraph(lines[i])) {
+                    // Lazy continuation of a quoted paragraph.
+                    content.push(lines[i]);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            blocks.push({type: 'blockquote', children: parseBlocks(content, references)});
+            continue;
+        }
+
+        if (PATTERNS.LIST_ITEM.test(line)) {
+            i = parseList(lines, i, blocks, references);
+            continue;
+        }
+
+        if (PATTERNS.INDENTED_CODE.test(line)) {
+            const content = [];
+            while (i < lines.length && (PATTERNS.INDENTED_CODE.test(lines[i]) || isBlank(lines[i]))) {
+                content.push(lines[i].slice(Math.min(4, indentOf(lines[i]))));
+                i++;
+            }
+            while (content.length && isBlank(content[content.length - 1])) {
+                content.pop();
+                i--;
+            }
+            blocks.push({type: 'code', language: '', text: content.join('\n')});
+            continue;
+        }
+
+        // Display maths over several lines, which must not be split into paragraphs or lists.
+        const mathOpen = MATH_DELIMITERS.find(delimiter => delimiter.display && line.trim().startsWith(delimiter.open));
+        if (mathOpen && line.indexOf(mathOpen.close, line.indexOf(mathOpen.open) + mathOpen.open.length) === -1) {
+            let end = i + 1;
+            while (end < lines.length && lines[end].indexOf(mathOpen.close) === -1) {
+                end++;
+            }
+            if (end < lines.length && lines[end].trim().endsWith(mathOpen.close)) {
+                blocks.push({type: 'math', text: lines.slice(i, end + 1).map(l => l.trim()).join('\n')});
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if (startsTable(line, lines[i + 1])) {
+            i = parseTable(lines, i, blocks);
+            continue;
+        }
+
+        // Anything else is a paragraph, possibly underlined as a setext heading.
+        const content = [];
+        let setextLevel = 0;
+        while (i < lines.length) {
+            const current = lines[i];
+            if (content.length) {
+                const underline = current.match(PATTERNS.SETEXT_UNDERLINE);
+                if (underline) {
+                    setextLevel = underline[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (interruptsParagraph(current) || startsTable(current, lines[i + 1])) {
+                    break;
+                }
+            }
+            content.push(current.replace(/^ +/, ''));
+            i++;
+        }
+        // Trailing spaces of the paragraph are not a hard break.
+        if (content.length) {
+            content[content.length - 1] = content[content.length - 1].replace(/[ \t]+$/, '');
+        }
+
+        // Link reference definitions at the start of a paragraph are not shown.
+        while (content.length) {
+            const definition = content[0].match(PATTERNS.REFERENCE_DEFINITION);
+            if (!definition) {
+                break;
+            }
+            const label = normaliseLabel(definition[1]);
+            if (label && !references[label]) {
+                references[label] = {
+                    url: unescapeBackslashes(definition[2] !== undefined ? definition[2] : definition[3]),
+                    title: definition[4] ? unescapeBackslashes(definition[4].slice(1, -1)) : ''
+                };
+            }
+            content.shift();
+        }
+
+        if (!content.length) {
+            continue;
+        }
+        if (setextLevel) {
+            blocks.push({type: 'heading', level: setextLevel, text: content.join('\n')});
+        } else {
+            blocks.push({type: 'paragraph', text: content.join('\n')});
+        }
+    }
+    recordRanges();
+
+    return blocks;
+};
+
+/**
+ * Parse a list starting at the given line
+ *
+ * @param {string[]} lines - All lines being parsed
+ * @param {number} start - Index of the first list item
+ * @param {Object[]} blocks - Block tokens the list is added to
+ * @param {Object} references - Link reference definitions
+ * @returns {number} Index of the first line after the list
+ */
+const parseList = (lines, start, blocks, references) => {
+    const first = lines[start].match(PATTERNS.LIST_ITEM);
+    const ordered = /^\d/.test(first[2]);
+    const markerKind = ordered ? first[2].slice(-1) : first[2];
+    const list = {
+        type: 'list',
+        ordered: ordered,
+        start: ordered ? parseInt(first[2], 10) : 1,
+        loose: false,
+        items: []
+    };
+
+    let i = start;
+    while (i < lines.length) {
+        let next = i;
+        while (next < lines.length && isBlank(lines[next])) {
+            next++;
+        }
+        const item = next < lines.length ? lines[next].match(PATTERNS.LIST_ITEM) : null;
+        if (!item || (ordered ? item[2].slice(-1) : item[2]) !== markerKind ||
+                PATTERNS.THEMATIC_BREAK.test(lines[next])) {
+            break;
+        }
+
+        // A blank line between items makes the list loose.
+        if (next > i) {
+            list.loose = true;
+        }
+        i = next;
+
+        // Work out where the content of the item starts.
+        const markerEnd = item[1].length + item[2].length;
+        const rest = item[3];
+        const spaces = indentOf(rest);
+        let contentIndent;
+        let firstLine;
+        if (isBlank(rest)) {
+            contentIndent = markerEnd + 1;
+            firstLine = '';
+        } else if (spaces > 4) {
+            // The item starts with indented code.
+            contentIndent = markerEnd + 1;
+            firstLine = rest.slice(1);
+        } else {
+            contentIndent = markerEnd + spaces;
+            firstLine = rest.slice(spaces);
+        }
+
+        const content = [firstLine];
+        i++;
+        while (i < lines.length) {
+            const current = lines[i];
+            if (isBlank(current)) {
+                // An item may only begin with one blank line.
+                if (content.length === 1 && content[0] === '') {
+                    break;
+                }
+                content.push('');
+            } else if (indentOf(current) >= contentIndent) {
+                content.push(current.slice(contentIndent));
+            } else if (!isBlank(content[content.length - 1]) && !interruptsParagraph(current) &&
+                    !PATTERNS.LIST_ITEM.test(current)) {
+                // Lazy continuation of the item's paragraph.
+                content.push(current.trim());
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        // Blank lines at the end of an item belong between items, not to the item.
+        while (content.length > 1 && content[content.length - 1] === '') {
+            content.pop();
+            i--;
+        }
+
+        // So does a blank line between two direct children of the item.
+        const children = parseBlocks(content, references);
+        for (let c = 1; c < children.length; c++) {
+            if (children[c].firstLine > children[c - 1].lastLine) {
+                list.loose = true;
+            }
+        }
+
+        list.items.push(children);
+    }
+
+    blocks.push(list);
+    return i;
+};
+
+/**
+ * Parse a table starting at the given line
+ *
+ * @param {string[]} lines - All lines being parsed
+ * @param {number} start - Index of the header row
+ * @param {Object[]} blocks - Block tokens the table is added to
+ * @returns {number} Index of the first line after the table
+ */
+const parseTable = (lines, start, blocks) => {
+    const header = splitTableRow(lines[start]);
+    const align = splitTableRow(lines[start + 1]).map((cell) => {
+        if (cell.startsWith(':') && cell.endsWith(':')) {
+            return 'center';
+        } else if (cell.endsWith(':')) {
+            return 'right';
+        } else if (cell.startsWith(':')) {
+            return 'left';
+        }
+        return '';
     });
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+        const cells = splitTableRow(lines[i]);
+        // Rows are padded or cut to the width of the header.
+        rows.push(header.map((_, index) => cells[index] || ''));
+        i++;
+    }
+
+    blocks.push({type: 'table', header: header, align: align, rows: rows});
+    return i;
+};
+
+/**
+ * Check whether a delimiter run is left or right flanking
+ *
+ * @param {string} before - The character before the run, or a space at the start
+ * @param {string} after - The character after the run, or a space at the end
+ * @returns {{left: boolean, right: boolean}} The flanking of the run
+ */
+const getFlanking = (before, after) => {
+    const beforeSpace = PATTERNS.WHITESPACE.test(before);
+    const afterSpace = PATTERNS.WHITESPACE.test(after);
+    const beforePunct = PATTERNS.PUNCTUATION.test(before);
+    const afterPunct = PATTERNS.PUNCTUATION.test(after);
+
+    return {
+        left: !afterSpace && (!afterPunct || beforeSpace || beforePunct),
+        right: !beforeSpace && (!beforePunct || afterSpace || afterPunct)
+    };
 };
 
 /**
- * Initialize markdown processing for helpchat responses
+ * Find the closing bracket of a link label
+ *
+ * @param {string} text - The text being parsed
+ * @param {number} start - Index of the opening bracket
+ * @returns {number} Index of the closing bracket, or -1 if there is none
  */
-export const initMarkdown = () => {
-    // Process markdown when the page loads
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', processResponseMarkdown);
+const findClosingBracket = (text, start) => {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '`') {
+            // Brackets inside code spans do not count.
+            const run = text.slice(i).match(/^`+/)[0];
+            const end = text.indexOf(run, i + run.length);
+            if (end !== -1) {
+                i = end + run.length - 1;
+            }
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+    return -1;
+};
+
+/**
+ * Parse an inline link destination and title, as in (url "title")
+ *
+ * @param {string} text - The text being parsed
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {{url: string, title: string, end: number}|null} The destination, or null if it is not valid
+ */
+const parseLinkDestination = (text, start) => {
+    let i = start + 1;
+    const skipSpace = () => {
+        while (i < text.length && /[ \t\n]/.test(text[i])) {
+            i++;
+        }
+    };
+
+    skipSpace();
+    let url = '';
+    if (text[i] === '<') {
+        const end = text.indexOf('>', i);
+        if (end === -1 || text.slice(i + 1, end).indexOf('\n') !== -1) {
+            return null;
+        }
+        url = text.slice(i + 1, end);
+        i = end + 1;
     } else {
-        processResponseMarkdown();
-    }
-    
-    // Also process markdown after form submission
-    const form = document.getElementById('helpchat-form');
-    if (form) {
-        form.addEventListener('submit', () => {
-            // Process markdown after a short delay to allow for content update
-            setTimeout(processResponseMarkdown, 1000);
-        });
-    }
-};
\ No newline at end of file
+        let depth = 0;
+        const begin = i;
+        while (i < text.length && !/[ \t\n]/.test(text[i])) {
+            if (text[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (text[i] === '(') {
+                depth++;
+            } else if (text[i] === ')') {
+                if (depth === 0) {
+                    break;
+                }
+                depth--;
+            }
+            i++;
+        }
+        url = text.slice(begin, i);
+    }
+
+    const beforeTitle = i;
+    skipSpace();
+    let title = '';
+    const quote = text[i];
+    if (i > beforeTitle && (quote === '"' || quote === "'" || quote === '(')) {
+        const closing = quote === '(' ? ')' : quote;
+        let end = i + 1;
+        while (end < text.length && text[end] !== closing) {
+            end += text[end] === '\\' ? 2 : 1;
+        }
+        if (end >= text.length) {
+            return null;
+        }
+        title = text.slice(i + 1, end);
+        i = end + 1;
+        skipSpace();
+    }
+
+    if (text[i] !== ')') {
+        return null;
+    }
+
+    return {url: unescapeBackslashes(url), title: unescapeBackslashes(title), end: i};
+};
+
+/**
+ * Parse inline markdown into inline tokens
+ *
+ * @param {string} text - The text of a paragraph, heading or cell
+ * @param {Object} references - Link reference definitions
+ * @param {boolean} inLink - Whether the text is already inside a link
+ * @returns {Object[]} The inline tokens
+ */
+const parseInline = (text, references, inLink = false) => {
+    const nodes = [];
+    let buffer = '';
+
+    const flush = () => {
+        if (buffer) {
+            nodes.push({type: 'text', text: buffer});
+            buffer = '';
+        }
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+
+        // Maths comes first so backslashes, underscores and stars in it are left alone.
+        if (char === '$' || char === '\\' || char === '{') {
+            const math = findMathSpan(text, i);
+            if (math) {
+                flush();
+                nodes.push({type: 'math', text: math.text, cas: math.cas});
+                i += math.text.length;
+                continue;
+            }
+        }
+
+        if (char === '\\') {
+            if (text[i + 1] === '\n') {
+                flush();
+                nodes.push({type: 'break'});
+                i += 2;
+                continue;
+            }
+            // An escaped backslash before a bracket would turn into a maths delimiter in the output.
+            if (text[i + 1] === '\\' && ['(', ')', '[', ']'].includes(text[i + 2])) {
+                flush();
+                nodes.push({type: 'escape', text: '\\'});
+                i += 2;
+                continue;
+            }
+            if (i + 1 < text.length && PATTERNS.ASCII_PUNCTUATION.test(text[i + 1])) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
+            buffer += char;
+            i++;
+            continue;
+        }
+
+        if (char === '`') {
+            const run = rest.match(/^`+/)[0];
+            let end = i + run.length;
+            let found = -1;
+            while ((end = text.indexOf(run, end)) !== -1) {
+                // The closing run must be exactly as long as the opening one.
+                if (text[end + run.length] !== '`' && text[end - 1] !== '`') {
+                    found = end;
+                    break;
+                }
+                end += run.length;
+            }
+            if (found === -1) {
+                buffer += run;
+                i += run.length;
+                continue;
+            }
+            let code = text.slice(i + run.length, found).replace(/\n/g, ' ');
+            if (/^ .*[^ ].* $/.test(code) || /^ [^ ] $/.test(code)) {
+                code = code.slice(1, -1);
+            }
+            flush();
+            nodes.push({type: 'code', text: code});
+            i = found + run.length;
+            continue;
+        }
+
+        if (char === '&') {
+            const entity = rest.match(PATTERNS.ENTITY);
+            if (entity) {
+                flush();
+                nodes.push({type: 'entity', text: entity[0]});
+                i += entity[0].length;
+                continue;
+            }
+        }
+
+        if (char === '<') {
+            const uri = rest.match(PATTERNS.AUTOLINK_URI);
+            const email = uri ? null : rest.match(PATTERNS.AUTOLINK_EMAIL);
+            if (uri || email) {
+                const match = uri || email;
+                flush();
+                nodes.push({
+                    type: 'link',
+                    url: uri ? match[1] : 'mailto:' + match[1],
+                    title: '',
+                    children: [{type: 'text', text: match[1]}]
+                });
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        if (!inLink && (char === 'h' || char === 'w') && (i === 0 || /[\s*_~(]/.test(text[i - 1]))) {
+            const bare = rest.match(PATTERNS.BARE_URL);
+            if (bare) {
+                let url = bare[0].replace(/[?!.,:*_~'"]+$/, '');
+                // Keep a closing parenthesis only when it is balanced within the URL.
+                while (url.endsWith(')') && (url.split('(').length < url.split(')').length)) {
+                    url = url.slice(0, -1).replace(/[?!.,:*_~'"]+$/, '');
+                }
+                if (url.length > 'www.'.length) {
+                    flush();
+                    nodes.push({
+                        type: 'link',
+                        url: url.startsWith('www.') ? 'http://' + url : url,
+                        title: '',
+                        children: [{type: 'text', text: url}]
+                    });
+                    i += url.length;
+                    continue;
+                }
+            }
+        }
+
+        if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+            const image = char === '!';
+            const open = image ? i + 1 : i;
+            const close = findClosingBracket(text, open);
+            if (close !== -1 && (image || !inLink)) {
+                const label = text.slice(open + 1, close);
+                let target = null;
+                let end = close;
+
+                if (text[close + 1] === '(') {
+                    target = parseLinkDestination(text, close + 1);
+                    if (target) {
+                        end = target.end;
+                    }
+                }
+                if (!target) {
+                    // Full, collapsed or shortcut reference link.
+                    const reference = text.slice(close + 1).match(/^\[((?:[^\\\]]|\\.)*)\]/);
+                    const key = normaliseLabel(reference && reference[1] ? reference[1] : label);
+                    if (references[key]) {
+                        target = references[key];
+                        end = reference ? close + reference[0].length : close;
+                    }
+                }
+
+                if (target) {
+                    flush();
+                    nodes.push({
+                        type: image ? 'image' : 'link',
+                        url: target.url,
+                        title: target.title,
+                        children: parseInline(label, references, true)
+                    });
+                    i = end + 1;
+                    continue;
+                }
+            }
+            buffer += char;
+            i++;
+            continue;
+        }
+
+        if (char === '*' || char === '_' || char === '~') {
+            const run = rest.match(char === '*' ? /^\*+/ : (char === '_' ? /^_+/ : /^~+/))[0];
+            const before = i === 0 ? ' ' : text[i - 1];
+            const after = i + run.length >= text.length ? ' ' : text[i + run.length];
+            const flanking = getFlanking(before, after);
+            let canOpen = flanking.left;
+            let canClose = flanking.right;
+            if (char === '_') {
+                // Underscores inside words are not emphasis.
+                canOpen = flanking.left && (!flanking.right || PATTERNS.PUNCTUATION.test(before));
+                canClose = flanking.right && (!flanking.left || PATTERNS.PUNCTUATION.test(after));
+            }
+            flush();
+            nodes.push({type: 'delimiter', char: char, count: run.length, original: run.length, canOpen, canClose});
+            i += run.length;
+            continue;
+        }
+
+        if (char === '\n') {
+            // Two or more trailing spaces make a hard line break.
+            const hard = / {2,}$/.test(buffer);
+            buffer = buffer.replace(/ +$/, '');
+            flush();
+            nodes.push({type: hard ? 'break' : 'softbreak'});
+            i++;
+            while (text[i] === ' ') {
+                i++;
+            }
+            continue;
+        }
+
+        buffer += char;
+        i++;
+    }
+
+    flush();
+    return processEmphasis(nodes);
+};
+
+/**
+ * Match emphasis delimiters into emphasis, strong and strikethrough tokens
+ *
+ * Follows the CommonMark delimiter algorithm, including the "rule of three"
+ * for runs that can both open and close.
+ *
+ * @param {Object[]} nodes - Inline tokens including delimiter runs
+ * @returns {Object[]} The tokens with matched delimiters replaced
+ */
+const processEmphasis = (nodes) => {
+    let closerIndex = 0;
+    while (closerIndex < nodes.length) {
+        const closer = nodes[closerIndex];
+        if (closer.type !== 'delimiter' || !closer.canClose) {
+            closerIndex++;
+            continue;
+        }
+
+        let openerIndex = -1;
+        for (let o = closerIndex - 1; o >= 0; o--) {
+            const opener = nodes[o];
+            if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen) {
+                continue;
+            }
+            if (closer.char === '~') {
+                if (opener.count >= 2 && closer.count >= 2) {
+                    openerIndex = o;
+                    break;
+                }
+                continue;
+            }
+            const bothWays = opener.canClose || closer.canOpen;
+            const sum = opener.original + closer.original;
+            if (bothWays && sum % 3 === 0 && !(opener.original % 3 === 0 && closer.original % 3 === 0)) {
+                continue;
+            }
+            openerIndex = o;
+            break;
+        }
+
+        if (openerIndex === -1) {
+            closerIndex++;
+            continue;
+        }
+
+        const opener = nodes[openerIndex];
+        let use = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+        let type = use === 2 ? 'strong' : 'em';
+        if (closer.char === '~') {
+            use = 2;
+            type = 'del';
+        }
+
+        const wrapped = {type: type, children: nodes.slice(openerIndex + 1, closerIndex)};
+        opener.count -= use;
+        closer.count -= use;
+
+        const replacement = [];
+        if (opener.count > 0) {
+            replacement.push(opener);
+        }
+        replacement.push(wrapped);
+        if (closer.count > 0) {
+            replacement.push(closer);
+        }
+        nodes.splice(openerIndex, closerIndex - openerIndex + 1, ...replacement);
+
+        // Look at what is left of the closer again, or carry on after the new token.
+        closerIndex = openerIndex + (opener.count > 0 ? 1 : 0) + 1;
+    }
+
+    return nodes;
+};
+
+/**
+ * Get the plain text of inline tokens, used for image alt text
+ *
+ * @param {Object[]} nodes - The inline tokens
+ * @returns {string} The plain text
+ */
+const inlineText = (nodes) => {
+    return nodes.map((node) => {
+        if (node.children) {
+            return inlineText(node.children);
+        } else if (node.type === 'delimiter') {
+            return node.char.repeat(node.count);
+        } else if (node.type === 'softbreak' || node.type === 'break') {
+            return ' ';
+        }
+        return node.text || '';
+    }).join('');
+};
+
+/**
+ * Render inline tokens to HTML
+ *
+ * @param {Object[]} nodes - The inline tokens
+ * @returns {string} The HTML
+ */
+const renderInline = (nodes) => {
+    return nodes.map((node) => {
+        switch (node.type) {
+            case 'text':
+                return escapeHtml(node.text);
+            case 'entity':
+                // Character references are kept, they cannot produce markup.
+                return node.text;
+            case 'code':
+                return `<code>${escapeHtml(node.text)}</code>`;
+            case 'escape':
+                // MathJax skips this class, so the bracket after it is not taken for maths.
+                return `<span class="tex2jax_ignore">${escapeHtml(node.text)}</span>`;
+            case 'math':
+                return `<span class="${node.cas ? 'helpchat-cas' : 'helpchat-math'}">${escapeHtml(node.text)}</span>`;
+            case 'delimiter':
+                return escapeHtml(node.char.repeat(node.count));
+            case 'softbreak':
+                return '\n';
+            case 'break':
+                return '<br>\n';
+            case 'em':
+            case 'strong':
+            case 'del':
+                return `<${node.type}>${renderInline(node.children)}</${node.type}>`;
+            case 'link': {
+                const url = sanitizeUrl(node.url);
+                if (url === null) {
+                    return renderInline(node.children);
+                }
+                const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+                return `<a href="${escapeHtml(url)}"${title} target="_blank" rel="noopener noreferrer">` +
+                    `${renderInline(node.children)}</a>`;
+            }
+            case 'image': {
+                const url = sanitizeUrl(node.url);
+                const alt = escapeHtml(inlineText(node.children));
+                if (url === null) {
+                    return alt;
+                }
+                const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+                return `<img src="${escapeHtml(url)}" alt="${alt}"${title}>`;
+            }
+            default:
+                return '';
+        }
+    }).join('');
+};
+
+/**
+ * Render block tokens to HTML
+ *
+ * @param {Object[]} blocks - The block tokens
+ * @param {Object} references - Link reference definitions
+ * @param {boolean} tight - Whether paragraphs are in a tight list and render without <p>
+ * @returns {string} The HTML
+ */
+const renderBlocks = (blocks, references, tight = false) => {
+    return blocks.map((block) => {
+        switch (block.type) {
+            case 'paragraph': {
+                const content = renderInline(parseInline(block.text, references));
+                return tight ? content : `<p>${content}</p>`;
+            }
+            case 'heading':
+                return `<h${block.level}>${renderInline(parseInline(block.text, references))}</h${block.level}>`;
+            case 'hr':
+                return '<hr>';
+            case 'math':
+                return `<div class="helpchat-math-display">${escapeHtml(block.text)}</div>`;
+            case 'code': {
+                const language = block.language.replace(/[^A-Za-z0-9_+#.-]/g, '');
+                const attributes = language ? ` class="language-${language}" data-language="${language}"` : '';
+                const text = block.text ? block.text + '\n' : '';
+                return `<pre><code${attributes}>${escapeHtml(text)}</code></pre>`;
+            }
+            case 'blockquote':
+                return `<blockquote>\n${renderBlocks(block.children, references)}\n</blockquote>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const items = block.items.map((item) => {
+                    const content = renderBlocks(item, references, !block.loose);
+                    if (!content) {
+                        return '<li></li>';
+                    }
+                    // Text of tight items sits directly against the tags, other blocks go on their own lines.
+                    const textFirst = !block.loose && item[0].type === 'paragraph';
+                    const textLast = !block.loose && item[item.length - 1].type === 'paragraph';
+                    return `<li>${textFirst ? '' : '\n'}${content}${textLast ? '' : '\n'}</li>`;
+                });
+                return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+            }
+            case 'table': {
+                const cell = (tag, text, index) => {
+                    const align = block.align[index] ? ` style="text-align: ${block.align[index]}"` : '';
+                    return `<${tag}${align}>${renderInline(parseInline(text, references))}</${tag}>`;
+                };
+                const row = (texts, tag) => `<tr>\n${texts.map((text, index) => cell(tag, text, index)).join('\n')}\n</tr>`;
+                const head = `<thead>\n${row(block.header, 'th')}\n</thead>`;
+                const rows = block.rows.map((texts) => row(texts, 'td'));
+                const body = rows.length ? `\n<tbody>\n${rows.join('\n')}\n</tbody>` : '';
+                return `<table>\n${head}${body}\n</table>`;
+            }
+            default:
+                return '';
+        }
+    }).join('\n');
+};
+
+/**
+ * Convert markdown to safe HTML
+ *
+ * Supports the CommonMark block and inline syntax (headings, paragraphs,
+ * block quotes, ordered and nested lists, thematic breaks, indented and
+ * fenced code with language tags, emphasis, code spans, links, images,
+ * autolinks and hard breaks) plus the GitHub extensions tables,
+ * strikethrough and bare URLs. Raw HTML is escaped, not rendered.
+ *
+ * @param {string} markdown - The markdown text to convert
+ * @returns {string} The HTML representation
+ */
+export const renderMarkdown = (markdown) => {
+    if (!markdown) {
+        return '';
+    }
+
+    const lines = String(markdown).replace(/\r\n?/g, '\n').replace(/\u0000/g, '\uFFFD').split('\n').map(expandTabs);
+    if (lines[lines.length - 1] === '') {
+        // The final newline does not start another line.
+        lines.pop();
+    }
+    const references = {};
+    const blocks = parseBlocks(lines, references);
+
+    return renderBlocks(blocks, references);
+};
+
+/**
+ * Convert markdown that is still being streamed to HTML
+ *
+ * Unterminated constructs are safe to render: a code fence that has not been
+ * closed yet runs to the end of the text, and unmatched emphasis markers or
+ * brackets are shown as text until the rest arrives.
+ *
+ * @param {string} markdown - The markdown received so far
+ * @returns {string} The HTML representation
+ */
+export const renderPartialMarkdown = (markdown) => {
+    return renderMarkdown(markdown);
+};
+
+/**
+ * Render markdown into a response container
+ *
+ * Once the complete markdown is in place the container is handed to Moodle's
+ * filters, so MathJax typesets any maths in it.
+ *
+ * @param {HTMLElement} container - The element the rendered HTML is inserted into
+ * @param {string} markdown - The markdown text to render
+ * @param {boolean} partial - Whether more of the markdown is still to arrive
+ */
+export const renderMarkdownInto = (container, markdown, partial = false) => {
+    if (partial) {
+        container.innerHTML = renderPartialMarkdown(markdown);
+        return;
+    }
+
+    container.innerHTML = renderMarkdown(markdown);
+
+    // Loaded on demand to keep this module free of dependencies for the fixture tests.
+    import('core_filters/events').then(({notifyFilterContentUpdated}) => {
+        notifyFilterContentUpdated([container]);
+        return;
+    }).catch(error => {
+        window.console.error('Failed to notify filters of new Help Chat content:', error);
+    });
+};
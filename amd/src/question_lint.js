@@ -0,0 +1,255 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Question quality checks for Help Chat block
+ *
+ * Rules registered here check the question being edited, using the form analysis
+ * and the data of the extractors, for mistakes such as multichoice grades that do
+ * not add up or images without alt text. The checklist of block_helpchat/stack_lint
+ * shows what they find, each problem linking to the field it is about.
+ *
+ * Each rule has a name, the page types it applies to and a check(context) function
+ * returning the problems found, each with a code, the name of the field and the
+ * parameters of its message. The message is the block_helpchat string lint<code>.
+ * Rules can be turned off for a block instance in its settings.
+ *
+ * @module     block_helpchat/question_lint
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {flattenFormTree} from './dom_parser';
+import {getPageType} from './extractors';
+import {listMedia} from './rich_text';
+
+/** Grades of the correct answers of a multichoice question may be off by this much from 100%. */
+const FRACTION_TOLERANCE = 0.001;
+
+// Registered rules in the order they were registered.
+const rules = [];
+
+/**
+ * Check whether a page type matches a pattern where * matches any text
+ *
+ * @param {string} pattern - The pattern
+ * @param {string} pageType - The page type
+ * @returns {boolean} True if it matches
+ */
+const matchesPageType = (pattern, pageType) => {
+    return new RegExp('^' + pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$')
+        .test(pageType);
+};
+
+/**
+ * Register a rule
+ *
+ * A rule with the same name replaces the one registered before.
+ *
+ * @param {Object} rule - The rule
+ * @param {string} rule.name - Unique name, used to turn the rule off
+ * @param {string[]} rule.pageTypes - Page types it applies to, * matches any text
+ * @param {Function} rule.check - Called with the context, returns the problems found
+ * @returns {Function} Function that unregisters the rule
+ */
+export const registerRule = (rule) => {
+    if (!rule || typeof rule.name !== 'string' || rule.name === '' || typeof rule.check !== 'function') {
+        throw new Error('A rule needs a name and a check function');
+    }
+    unregisterRule(rule.name);
+    rules.push({name: rule.name, pageTypes: rule.pageTypes || [], check: rule.check});
+    return () => unregisterRule(rule.name);
+};
+
+/**
+ * Unregister a rule
+ *
+ * @param {string} name - Name of the rule
+ * @returns {boolean} True if a rule was removed
+ */
+export const unregisterRule = (name) => {
+    const index = rules.findIndex((rule) => rule.name === name);
+    if (index === -1) {
+        return false;
+    }
+    rules.splice(index, 1);
+    return true;
+};
+
+/**
+ * Build the context passed to rules
+ *
+ * @param {Object} analysis - The form analysis
+ * @param {string} pageType - The page type
+ * @returns {Object} The context
+ */
+const createContext = (analysis, pageType) => {
+    const elements = flattenFormTree(analysis.form);
+    const byName = new Map();
+    elements.forEach((el) => {
+        if (el.name && !byName.has(el.name)) {
+            byName.set(el.name, el);
+        }
+    });
+    const getElement = (name) => byName.get(name) || byName.get(`${name}[text]`) || null;
+
+    return {
+        pageType: pageType,
+        elements: elements,
+        extracted: analysis.extracted || {},
+        getElement: getElement,
+        getValue: (name) => {
+            const el = getElement(name);
+            return el ? String(el.current_value ?? '') : '';
+        },
+
+        /**
+         * Get the values of the fields named like field[0], field[1] that are filled in
+         *
+         * @param {string} field - The field name without the index
+         * @returns {Array<{index: number, value: string}>} The values in index order
+         */
+        getIndexedValues: (field) => {
+            const pattern = new RegExp(`^${field}\\[(\\d+)\\](\\[text\\])?$`);
+            return elements.map((el) => ({match: (el.name || '').match(pattern), el: el}))
+                .filter(({match, el}) => match && String(el.current_value ?? '').trim() !== '')
+                .map(({match, el}) => ({index: parseInt(match[1], 10), value: String(el.current_value)}))
+                .sort((a, b) => a.index - b.index);
+        }
+    };
+};
+
+/**
+ * Run the rules that apply to the page
+ *
+ * A rule that fails is skipped so it cannot stop the others.
+ *
+ * @param {Object} analysis - The form analysis
+ * @param {string[]} disabled - Names of the rules turned off
+ * @param {string} pageType - The page type, defaults to the page type of the current page
+ * @returns {{applied: string[], problems: Array}} Names of the rules that ran and the problems they found, each
+ *     with the rule, severity, code, field name and message parameters
+ */
+export const runRules = (analysis, disabled = [], pageType = getPageType()) => {
+    const context = createContext(analysis, pageType);
+    const applied = [];
+    const problems = [];
+    rules.forEach((rule) => {
+        if (disabled.includes(rule.name) || !rule.pageTypes.some((pattern) => matchesPageType(pattern, pageType))) {
+            return;
+        }
+        try {
+            applied.push(rule.name);
+            (rule.check(context) || []).forEach((problem) => {
+                problems.push(Object.assign({rule: rule.name, severity: 'warning', params: {}}, problem));
+            });
+        } catch (error) {
+            window.console.error(`Help Chat rule "${rule.name}" failed:`, error);
+        }
+    });
+    return {applied, problems};
+};
+
+/**
+ * Normalise an answer for comparing it with the others
+ *
+ * @param {string} value - The answer
+ * @param {boolean} caseSensitive - Whether the case of letters matters
+ * @returns {string} The normalised answer
+ */
+const normaliseAnswer = (value, caseSensitive) => {
+    const text = value.trim().replace(/\s+/g, ' ');
+    const number = Number(text);
+    if (text !== '' && !isNaN(number)) {
+        return String(number);
+    }
+    return caseSensitive ? text : text.toLowerCase();
+};
+
+// Rules for the question types shipped with Moodle.
+registerRule({
+    name: 'mcfractions',
+    pageTypes: ['question-type-multichoice'],
+    check: (context) => {
+        const data = context.extracted.multichoice;
+        if (!data || data.answers.length === 0) {
+            return [];
+        }
+        if (data.single) {
+            const best = Math.max(...data.answers.map((answer) => answer.fraction));
+            return best < 1 - FRACTION_TOLERANCE
+                ? [{code: 'nofullmark', name: `fraction[${data.answers[0].index}]`, params: {}}] : [];
+        }
+        const correct = data.answers.filter((answer) => answer.fraction > 0);
+        const total = correct.reduce((sum, answer) => sum + answer.fraction, 0);
+        if (Math.abs(total - 1) <= FRACTION_TOLERANCE) {
+            return [];
+        }
+        const first = correct.length > 0 ? correct[0] : data.answers[0];
+        return [{code: 'fractionsum', name: `fraction[${first.index}]`, params: {total: Math.round(total * 1000) / 10}}];
+    }
+});
+registerRule({
+    name: 'duplicateanswers',
+    pageTypes: ['question-type-multichoice', 'question-type-shortanswer', 'question-type-numerical'],
+    check: (context) => {
+        const caseSensitive = context.pageType === 'question-type-shortanswer' && context.getValue('usecase') === '1';
+        const seen = new Map();
+        const problems = [];
+        context.getIndexedValues('answer').forEach(({index, value}) => {
+            const key = normaliseAnswer(value, caseSensitive);
+            if (seen.has(key)) {
+                problems.push({code: 'duplicate', name: `answer[${index}]`,
+                    params: {index: index + 1, first: seen.get(key) + 1}});
+            } else {
+                seen.set(key, index);
+            }
+        });
+        return problems;
+    }
+});
+registerRule({
+    name: 'generalfeedback',
+    pageTypes: ['question-type-*'],
+    check: (context) => {
+        return (context.getElement('generalfeedback') && context.getValue('generalfeedback').trim() === '')
+            ? [{code: 'nogeneralfeedback', name: 'generalfeedback'}] : [];
+    }
+});
+registerRule({
+    name: 'numericaltolerance',
+    pageTypes: ['question-type-numerical'],
+    check: (context) => {
+        // An answer of * matches any response, there is nothing to be near.
+        return context.getIndexedValues('answer').filter(({value}) => value.trim() !== '*').filter(({index}) => {
+            const tolerance = parseFloat(context.getValue(`tolerance[${index}]`));
+            return isNaN(tolerance) || tolerance === 0;
+        }).map(({index}) => ({code: 'notolerance', name: `tolerance[${index}]`, params: {index: index + 1}}));
+    }
+});
+registerRule({
+    name: 'imagealt',
+    pageTypes: ['question-type-*'],
+    check: (context) => {
+        const questionText = context.getElement('questiontext');
+        if (!questionText) {
+            return [];
+        }
+        // Without an editor the value of the field is the HTML itself.
+        const media = questionText.rich_text ? questionText.rich_text.media : listMedia(context.getValue('questiontext'));
+        return media.filter((item) => item.type === 'image' && (item.alt === null || item.alt.trim() === ''))
+            .map((item) => ({code: 'imagealt', name: 'questiontext', params: {src: item.src.split('/').pop() || item.src}}));
+    }
+});
@@ -0,0 +1,288 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Read the content of TinyMCE editors for Help Chat block
+ *
+ * The content is read through the TinyMCE API where it is available, and from the
+ * editor iframe otherwise. It is given as sanitised HTML, as markdown-like text that
+ * keeps headings, lists, links, images and STACK placeholders such as {@x@} and
+ * [[input:ans1]] in place, and as a list of the embedded media with their alt text.
+ *
+ * @module     block_helpchat/rich_text
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getRichTextEditor} from './field_writer';
+
+/** Elements removed from the content with everything inside them. */
+const REMOVED_ELEMENTS = 'script, style, noscript, template, [data-mce-bogus="all"]';
+
+/** Attributes kept on the elements of sanitised HTML. */
+const ALLOWED_ATTRIBUTES = ['href', 'src', 'alt', 'title', 'width', 'height', 'colspan', 'rowspan', 'scope',
+    'lang', 'dir', 'role', 'aria-label', 'aria-hidden', 'controls', 'kind', 'srclang', 'label', 'type', 'start'];
+
+/** Attributes holding URLs, which may only use safe schemes. */
+const URL_ATTRIBUTES = ['href', 'src'];
+
+/**
+ * Parse HTML into an inert document, so scripts do not run and images do not load
+ *
+ * @param {string} html - The HTML
+ * @returns {HTMLElement} The body holding the content
+ */
+const parseHtml = (html) => {
+    const doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+    return doc.body;
+};
+
+/**
+ * Check whether a URL is safe to keep
+ *
+ * @param {string} url - The URL
+ * @returns {boolean} True for relative URLs and http, https, mailto and data image URLs
+ */
+const isSafeUrl = (url) => {
+    const trimmed = url.trim().toLowerCase();
+    const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/);
+    if (!scheme) {
+        return true;
+    }
+    return ['http', 'https', 'mailto'].includes(scheme[1]) || trimmed.startsWith('data:image/');
+};
+
+/**
+ * Remove scripts, event handlers, styles and editor internals from HTML
+ *
+ * @param {string} html - The HTML
+ * @returns {string} The sanitised HTML
+ */
+export const sanitiseHtml = (html) => {
+    const body = parseHtml(html);
+    body.querySelectorAll(REMOVED_ELEMENTS).forEach((node) => node.remove());
+    // Bogus elements TinyMCE adds for its own use are unwrapped, keeping what is inside.
+    body.querySelectorAll('[data-mce-bogus]').forEach((node) => node.replaceWith(...node.childNodes));
+
+    body.querySelectorAll('*').forEach((node) => {
+        Array.from(node.attributes).forEach((attribute) => {
+            const name = attribute.name.toLowerCase();
+            if (!ALLOWED_ATTRIBUTES.includes(name) || (URL_ATTRIBUTES.includes(name) && !isSafeUrl(attribute.value))) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+    });
+
+    return body.innerHTML.trim();
+};
+
+/**
+ * Convert the children of a node to markdown-like text
+ *
+ * @param {Node} node - The node
+ * @param {Object} context - Nesting of lists and whether the text is preformatted
+ * @returns {string} The text
+ */
+const childrenToText = (node, context) => {
+    return Array.from(node.childNodes).map((child) => nodeToText(child, context)).join('');
+};
+
+/**
+ * Convert a node to markdown-like text
+ *
+ * @param {Node} node - The node
+ * @param {Object} context - Nesting of lists and whether the text is preformatted
+ * @returns {string} The text
+ */
+const nodeToText = (node, context) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return context.pre ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    const inner = () => childrenToText(node, context);
+    const block = (text) => `\n\n${text.trim()}\n\n`;
+
+    switch (tag) {
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6':
+            return block(`${'#'.repeat(parseInt(tag.substring(1), 10))} ${inner().trim()}`);
+        case 'p':
+        case 'div':
+        case 'section':
+        case 'figure':
+            return block(inner());
+        case 'figcaption':
+            return `\n${inner().trim()}\n`;
+        case 'br':
+            return '\n';
+        case 'hr':
+            return block('---');
+        case 'strong':
+        case 'b':
+            return `**${inner()}**`;
+        case 'em':
+        case 'i':
+            return `*${inner()}*`;
+        case 'code':
+            return context.pre ? inner() : `\`${inner()}\``;
+        case 'pre':
+            return block('```\n' + childrenToText(node, Object.assign({}, context, {pre: true})).replace(/\n+$/, '') + '\n```');
+        case 'sub':
+            return `_{${inner()}}`;
+        case 'sup':
+            return `^{${inner()}}`;
+        case 'a': {
+            const text = inner().trim();
+            const href = node.getAttribute('href');
+            return href ? `[${text || href}](${href})` : text;
+        }
+        case 'img':
+            return `![${node.getAttribute('alt') || ''}](${node.getAttribute('src') || ''})`;
+        case 'video':
+        case 'audio':
+        case 'iframe': {
+            const source = node.querySelector('source');
+            const src = node.getAttribute('src') || (source ? source.getAttribute('src') : '');
+            return `[${tag}: ${node.getAttribute('title') || src || ''}]`;
+        }
+        case 'blockquote':
+            return block(inner().trim().split('\n').map((line) => `> ${line}`).join('\n'));
+        case 'ul':
+        case 'ol': {
+            const depth = context.depth || 0;
+            const items = Array.from(node.children).filter((child) => child.tagName.toLowerCase() === 'li');
+            const start = parseInt(node.getAttribute('start') || '1', 10);
+            const lines = items.map((item, index) => {
+                const marker = tag === 'ol' ? `${start + index}.` : '-';
+                const text = childrenToText(item, Object.assign({}, context, {depth: depth + 1})).trim()
+                    .replace(/\n{2,}/g, '\n').replace(/\n/g, '\n  ');
+                return `${marker} ${text}`;
+            });
+            return depth > 0 ? `\n${lines.join('\n')}` : block(lines.join('\n'));
+        }
+        case 'table': {
+            const rows = Array.from(node.querySelectorAll('tr')).map((row) => {
+                return '| ' + Array.from(row.children).map((cell) => childrenToText(cell, context).trim()
+                    .replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|')).join(' | ') + ' |';
+            });
+            if (rows.length > 1) {
+                const columns = (rows[0].match(/ \| /g) || []).length + 1;
+                rows.splice(1, 0, '|' + ' --- |'.repeat(columns));
+            }
+            return block(rows.join('\n'));
+        }
+        default:
+            return inner();
+    }
+};
+
+/**
+ * Convert HTML to markdown-like text
+ *
+ * @param {string} html - The HTML
+ * @returns {string} The text
+ */
+export const htmlToText = (html) => {
+    return nodeToText(parseHtml(sanitiseHtml(html)), {depth: 0, pre: false})
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+/**
+ * List the images, video, audio and embedded content in HTML
+ *
+ * An alt of null means the image has no alt attribute at all, which screen readers
+ * handle differently from an empty alt marking the image as decorative.
+ *
+ * @param {string} html - The HTML
+ * @returns {Array<{type: string, src: string, alt: (string|null), title: string, decorative: boolean}>} The media
+ */
+export const listMedia = (html) => {
+    const body = parseHtml(sanitiseHtml(html));
+    return Array.from(body.querySelectorAll('img, video, audio, iframe, object, embed')).map((node) => {
+        const tag = node.tagName.toLowerCase();
+        const source = node.querySelector('source');
+        const item = {
+            type: tag === 'img' ? 'image' : tag,
+            src: node.getAttribute('src') || node.getAttribute('data') || (source ? source.getAttribute('src') : '') || '',
+            alt: node.hasAttribute('alt') ? node.getAttribute('alt') : null,
+            title: node.getAttribute('title') || node.getAttribute('aria-label') || '',
+            decorative: (node.getAttribute('alt') === '' || node.getAttribute('role') === 'presentation' ||
+                node.getAttribute('aria-hidden') === 'true')
+        };
+        if (tag === 'video' || tag === 'audio') {
+            item.captions = Array.from(node.querySelectorAll('track'))
+                .filter((track) => ['captions', 'subtitles'].includes(track.getAttribute('kind') || 'subtitles'))
+                .map((track) => track.getAttribute('srclang') || track.getAttribute('label') || '');
+        }
+        return item;
+    });
+};
+
+/**
+ * Get the HTML content of a TinyMCE editor
+ *
+ * @param {HTMLElement} node - The textarea the editor is attached to
+ * @returns {string|null} The HTML, or null if the textarea has no editor
+ */
+export const getEditorHtml = (node) => {
+    const editor = getRichTextEditor(node);
+    if (editor) {
+        try {
+            return editor.getContent();
+        } catch (e) {
+            // The editor may not be fully initialised yet, fall back to the iframe.
+        }
+    }
+
+    const frame = node.id ? document.getElementById(`${node.id}_ifr`) : null;
+    if (!frame) {
+        return null;
+    }
+    try {
+        return frame.contentDocument && frame.contentDocument.body ? frame.contentDocument.body.innerHTML : null;
+    } catch (e) {
+        // Cross-origin iframes cannot be read.
+        return null;
+    }
+};
+
+/**
+ * Read the content of a TinyMCE editor
+ *
+ * @param {HTMLElement} node - The textarea the editor is attached to
+ * @returns {{html: string, text: string, media: Array}|null} The content, or null if the textarea has no editor
+ */
+export const readRichText = (node) => {
+    const html = getEditorHtml(node);
+    if (html === null) {
+        return null;
+    }
+    return {
+        html: sanitiseHtml(html),
+        text: htmlToText(html),
+        media: listMedia(html)
+    };
+};
@@ -0,0 +1,259 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Ask Help Chat about text selected in a form field for Help Chat block
+ *
+ * Selecting text in a text input, textarea or TinyMCE editor of the form shows a
+ * small floating button next to the selection. Clicking it puts the selection into
+ * the message box with the label and help text of the field, ready for the question
+ * to be typed, and makes that field the focus of the form context that is sent.
+ *
+ * @module     block_helpchat/selection_popover
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {get_strings as getStrings} from 'core/str';
+import {findHelptextForElement, findLabelForElement} from './dom_parser';
+import {getRichTextEditor} from './field_writer';
+import {setFocusedField} from './form_integration';
+
+/** Longest selection put into the message, longer ones are cut. */
+const MAX_SELECTION_LENGTH = 2000;
+
+/** Gap between the selection and the button in pixels. */
+const POPOVER_OFFSET = 6;
+
+const SELECTORS = {
+    HELPCHAT: '[data-region="helpchat"]',
+    MESSAGE: '#helpchat-message',
+    TEXT_FIELD: 'textarea, input:not([type]), input[type="text"], input[type="search"], input[type="url"]'
+};
+
+let stringsPromise = null;
+
+/** The button, the block it fills in and the selection it is shown for. */
+const state = {popover: null, root: null, selection: null};
+
+/** Editors listening for selections already. */
+const attachedEditors = new WeakSet();
+
+/**
+ * Get the strings used by the popover, loaded once
+ *
+ * @returns {Promise<Object>} The strings keyed by name
+ */
+const loadStrings = () => {
+    if (!stringsPromise) {
+        stringsPromise = getStrings([
+            {key: 'askhelpchat', component: 'block_helpchat'},
+            {key: 'askselection', component: 'block_helpchat'},
+            {key: 'askselectionhelp', component: 'block_helpchat'}
+        ]).then(([button, intro, help]) => ({button, intro, help}));
+    }
+    return stringsPromise;
+};
+
+/**
+ * Hide the button
+ */
+const hidePopover = () => {
+    if (state.popover) {
+        state.popover.hidden = true;
+    }
+    state.selection = null;
+};
+
+/**
+ * Show the button below a point of the viewport for a selection
+ *
+ * @param {HTMLElement} element - The field the text is selected in
+ * @param {string} text - The selected text
+ * @param {number} x - Left of the selection in the viewport
+ * @param {number} y - Bottom of the selection in the viewport
+ */
+const showPopover = (element, text, x, y) => {
+    if (!state.popover) {
+        return;
+    }
+    state.selection = {element, text};
+    state.popover.style.left = `${Math.max(0, window.scrollX + x)}px`;
+    state.popover.style.top = `${Math.max(0, window.scrollY + y + POPOVER_OFFSET)}px`;
+    state.popover.hidden = false;
+};
+
+/**
+ * Get the text selected in a text input or textarea of the form
+ *
+ * @param {HTMLElement} element - The element the selection ended in
+ * @returns {string} The selected text, empty if there is none
+ */
+const getFieldSelection = (element) => {
+    if (!element || !element.matches || !element.matches(SELECTORS.TEXT_FIELD) || element.closest(SELECTORS.HELPCHAT) ||
+            !element.closest('form')) {
+        return '';
+    }
+    const start = element.selectionStart;
+    const end = element.selectionEnd;
+    return (typeof start === 'number' && end > start) ? element.value.substring(start, end) : '';
+};
+
+/**
+ * Show or hide the button after a selection in a text input or textarea may have changed
+ *
+ * @param {Event} e - The mouseup or keyup event
+ */
+const checkFieldSelection = (e) => {
+    if (state.popover && state.popover.contains(e.target)) {
+        return;
+    }
+    const text = getFieldSelection(e.target);
+    if (text.trim() === '') {
+        hidePopover();
+        return;
+    }
+    // The caret position inside a field is not known, so the button goes by the pointer or the field.
+    const rect = e.target.getBoundingClientRect();
+    const fromPointer = e.type === 'mouseup' && e.clientX !== undefined;
+    showPopover(e.target, text, fromPointer ? e.clientX : rect.left, fromPointer ? e.clientY : rect.bottom);
+};
+
+/**
+ * Listen for selections in a TinyMCE editor
+ *
+ * @param {Object} editor - The TinyMCE editor
+ */
+const attachEditor = (editor) => {
+    if (!editor || attachedEditors.has(editor)) {
+        return;
+    }
+    attachedEditors.add(editor);
+    const element = editor.getElement();
+    if (!element || !element.closest('form')) {
+        return;
+    }
+
+    const check = () => {
+        const text = editor.selection ? editor.selection.getContent({format: 'text'}) : '';
+        const frame = document.getElementById(`${editor.id}_ifr`);
+        if (text.trim() === '' || !frame) {
+            hidePopover();
+            return;
+        }
+        const frameRect = frame.getBoundingClientRect();
+        const range = editor.selection.getRng();
+        const rect = range && range.getBoundingClientRect ? range.getBoundingClientRect() : null;
+        showPopover(element, text,
+            frameRect.left + (rect ? rect.left : 0),
+            frameRect.top + (rect ? rect.bottom : frameRect.height));
+    };
+    editor.on('mouseup', () => setTimeout(check, 0));
+    editor.on('keyup', check);
+    editor.on('mousedown', hidePopover);
+};
+
+/**
+ * Put the selection into the message box with the label and help text of its field
+ *
+ * @param {HTMLElement} element - The field the text is selected in
+ * @param {string} text - The selected text
+ * @returns {Promise<void>}
+ */
+const askAboutSelection = async (element, text) => {
+    const textarea = state.root.querySelector(SELECTORS.MESSAGE);
+    if (!textarea) {
+        return;
+    }
+    const strings = await loadStrings();
+    const label = findLabelForElement(element) || element.name || element.id;
+    const help = findHelptextForElement(element);
+    const selection = text.length > MAX_SELECTION_LENGTH ? `${text.substring(0, MAX_SELECTION_LENGTH)}…` : text;
+
+    const parts = [
+        strings.intro.replace('{$a}', label),
+        selection.trim().split('\n').map((line) => `> ${line}`).join('\n')
+    ];
+    if (help) {
+        parts.push(strings.help.replace('{$a}', help));
+    }
+    textarea.value = `${parts.join('\n\n')}\n\n`;
+
+    if (element.id) {
+        setFocusedField(element.id);
+    }
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    textarea.scrollTop = textarea.scrollHeight;
+};
+
+/**
+ * Set up the button shown for text selected in the form
+ *
+ * Only the first block on a page gets the button.
+ *
+ * @param {HTMLElement} root - The block chat region
+ * @returns {Promise<void>}
+ */
+export const initSelectionPopover = async (root) => {
+    if (state.root) {
+        return;
+    }
+    state.root = root;
+
+    const strings = await loadStrings();
+    const popover = document.createElement('button');
+    popover.type = 'button';
+    popover.className = 'btn btn-primary btn-sm helpchat-ask-popover';
+    popover.textContent = strings.button;
+    popover.hidden = true;
+    document.body.appendChild(popover);
+    state.popover = popover;
+
+    // Keep the selection when the button is pressed.
+    popover.addEventListener('mousedown', (e) => e.preventDefault());
+    popover.addEventListener('click', () => {
+        const selection = state.selection;
+        hidePopover();
+        if (selection) {
+            askAboutSelection(selection.element, selection.text);
+        }
+    });
+
+    document.addEventListener('mouseup', (e) => setTimeout(() => checkFieldSelection(e), 0));
+    document.addEventListener('keyup', (e) => {
+        if (e.key === 'Escape') {
+            hidePopover();
+        } else {
+            checkFieldSelection(e);
+        }
+    });
+    document.addEventListener('mousedown', (e) => {
+        if (!popover.contains(e.target)) {
+            hidePopover();
+        }
+    });
+    window.addEventListener('scroll', hidePopover, {passive: true});
+
+    // Editors can be set up after the block, listen to each the first time it is used.
+    document.addEventListener('focusin', (e) => {
+        if (e.target.tagName === 'IFRAME' && e.target.id.endsWith('_ifr')) {
+            attachEditor(getRichTextEditor(document.getElementById(e.target.id.replace(/_ifr$/, ''))));
+        }
+    });
+    if (window.tinymce && typeof window.tinymce.get === 'function') {
+        [].concat(window.tinymce.get() || []).forEach(attachEditor);
+    }
+};
@@ -53,30 +53,3 @@ export const hideSpinner = (button) => {
         delete button.dataset.originalContent;
     }
 };
-
-/**
- * Initialize spinner functionality for helpchat form
- */
-export const initSpinner = () => {
-    // Find the helpchat form
-    const form = document.getElementById('helpchat-form');
-    if (!form) {
-        return;
-    }
-    
-    // Find the submit button
-    const submitButton = form.querySelector('.helpchat-submit');
-    if (!submitButton) {
-        return;
-    }
-    
-    // Add submit event listener to show spinner
-    form.addEventListener('submit', () => {
-        showSpinner(submitButton);
-    });
-    
-    // Hide spinner when page is fully loaded (form submission complete)
-    window.addEventListener('load', () => {
-        hideSpinner(submitButton);
-    });
-};
\ No newline at end of file
@@ -0,0 +1,432 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks of STACK questions for Help Chat block
+ *
+ * Reads the question variables, question text, feedback, model answers and
+ * potential response tree fields of the STACK editing form, using the data of the
+ * stack extractor, and checks for common mistakes before the question is saved:
+ * unbalanced brackets and missing semicolons in Maxima, {@var@} referring to
+ * variables that are not defined, and inputs without a model answer. The findings
+ * are shown as a checklist in the block, kept up to date while the form is edited,
+ * and can be sent to the AI with one click to ask how to fix them.
+ *
+ * The checks run as the stack rule of block_helpchat/question_lint, and the checklist
+ * shows the findings of its other rules as well on the editing forms of other
+ * question types.
+ *
+ * @module     block_helpchat/stack_lint
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {get_strings as getStrings} from 'core/str';
+import {flattenFormTree} from './dom_parser';
+import {registerFieldLinks} from './field_links';
+import {getCurrentFormAnalysis, onFormAnalysisUpdated} from './form_integration';
+import {registerRule, runRules} from './question_lint';
+
+/** Closing brackets and the opening brackets they match. */
+const BRACKET_PAIRS = {')': '(', ']': '[', '}': '{'};
+
+/** Names that can be used in CAS text without being defined. */
+const MAXIMA_CONSTANTS = ['pi', 'e', 'i', '%pi', '%e', '%i', 'inf', 'minf', 'true', 'false', 'und'];
+
+/** Line endings and line starts that continue a statement on the next line. */
+const CONTINUES_AFTER = /(?:[:=+\-*/^,([{<>#!~]|\band|\bor|\bnot|\bthen|\belse|\bdo|\bif)$/;
+const CONTINUES_BEFORE = /^(?:[:=+\-*/^,)\]}<>#.]|and\b|or\b|then\b|else\b|elseif\b|do\b|step\b|thru\b|while\b|unless\b)/;
+
+/** Text fields of the form holding CAS text, with the variables they can use besides the question variables. */
+const CASTEXT_FIELDS = [
+    {name: 'questiontext', inputs: false},
+    {name: 'generalfeedback', inputs: false},
+    {name: 'questionnote', inputs: false},
+    {name: 'specificfeedback', inputs: true}
+];
+
+const SELECTORS = {
+    LINT: '[data-region="lint"]',
+    FORM: '#helpchat-form',
+    MESSAGE: '#helpchat-message'
+};
+
+let stringsPromise = null;
+
+/**
+ * Blank out the strings and comments of Maxima code, keeping line breaks and positions
+ *
+ * @param {string} code - The Maxima code
+ * @returns {string} The code without strings and comments
+ */
+const maskMaxima = (code) => {
+    return code.replace(/\/\*[\s\S]*?\*\/|"(?:[^"\\]|\\.)*"/g, (match) => match.replace(/[^\n]/g, ' '));
+};
+
+/**
+ * Check the brackets of Maxima code
+ *
+ * @param {string} code - The Maxima code, masked
+ * @returns {Array<{code: string, params: Object}>} The first bracket that does not match or is not closed
+ */
+const checkBrackets = (code) => {
+    const open = [];
+    let line = 1;
+    for (let i = 0; i < code.length; i++) {
+        const character = code[i];
+        if (character === '\n') {
+            line++;
+        } else if ('([{'.includes(character)) {
+            open.push({bracket: character, line: line});
+        } else if (BRACKET_PAIRS[character]) {
+            const last = open.pop();
+            if (!last || last.bracket !== BRACKET_PAIRS[character]) {
+                return [{code: 'unexpected', params: {bracket: character, line: line}}];
+            }
+        }
+    }
+    return open.length > 0 ? [{code: 'unclosed', params: open[open.length - 1]}] : [];
+};
+
+/**
+ * Find the lines of Maxima code that end a statement without a semicolon
+ *
+ * A line ends a statement when its brackets are closed, it does not end with an
+ * operator and the next line does not carry on with one.
+ *
+ * @param {string} code - The Maxima code, masked
+ * @returns {Array<{code: string, params: Object}>} The lines missing a semicolon
+ */
+const checkSemicolons = (code) => {
+    const problems = [];
+    const lines = code.split('\n');
+    let depth = 0;
+    lines.forEach((text, index) => {
+        for (const character of text) {
+            if ('([{'.includes(character)) {
+                depth++;
+            } else if (BRACKET_PAIRS[character]) {
+                depth = Math.max(0, depth - 1);
+            }
+        }
+        const trimmed = text.trim();
+        if (depth > 0 || trimmed === '' || /[;$]$/.test(trimmed) || CONTINUES_AFTER.test(trimmed)) {
+            return;
+        }
+        const next = lines.slice(index + 1).map((line) => line.trim()).find((line) => line !== '');
+        if (next !== undefined && !CONTINUES_BEFORE.test(next)) {
+            problems.push({code: 'semicolon', params: {line: index + 1}});
+        }
+    });
+    return problems;
+};
+
+/**
+ * Check Maxima code for unbalanced brackets and, for several statements, missing semicolons
+ *
+ * @param {string} code - The Maxima code
+ * @param {boolean} statements - Whether the code is a list of statements, rather than one expression
+ * @returns {Array<{code: string, params: Object}>} The problems found
+ */
+export const checkMaxima = (code, statements = true) => {
+    const masked = maskMaxima(code || '');
+    const brackets = checkBrackets(masked);
+    // Missing semicolons cannot be told apart from brackets left open.
+    if (brackets.length > 0 || !statements) {
+        return brackets;
+    }
+    return checkSemicolons(masked);
+};
+
+/**
+ * Find the variables and functions Maxima code defines
+ *
+ * @param {string} code - The Maxima code
+ * @returns {Set<string>} The names
+ */
+export const findDefinedNames = (code) => {
+    const names = new Set();
+    maskMaxima(code || '').split(/[;$]/).forEach((statement) => {
+        const variable = statement.match(/^\s*([A-Za-z%_][\w%]*)\s*:(?!=)/);
+        const fn = statement.match(/^\s*([A-Za-z%_][\w%]*)\s*\([^)]*\)\s*:=/);
+        const list = statement.match(/^\s*\[([^\]]*)\]\s*:(?!=)/);
+        if (variable) {
+            names.add(variable[1]);
+        }
+        if (fn) {
+            names.add(fn[1]);
+        }
+        if (list) {
+            list[1].split(',').map((name) => name.trim()).filter((name) => name !== '').forEach((name) => names.add(name));
+        }
+    });
+    return names;
+};
+
+/**
+ * Find the {@var@} and {#var#} in CAS text referring to a variable that is not defined
+ *
+ * Only references to a single name are checked, longer expressions can use free
+ * variables such as x on purpose.
+ *
+ * @param {string} text - The CAS text
+ * @param {Set<string>} defined - Names that are defined
+ * @returns {Array<{code: string, params: Object}>} The problems found
+ */
+export const checkCasText = (text, defined) => {
+    const problems = [];
+    const reported = new Set();
+    const pattern = /\{([@#])\s*([A-Za-z%_][\w%]*)\s*\1\}/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        const name = match[2];
+        if (!defined.has(name) && !MAXIMA_CONSTANTS.includes(name) && !reported.has(name)) {
+            reported.add(name);
+            problems.push({code: 'undefined', params: {variable: name, reference: match[0]}});
+        }
+    }
+    return problems;
+};
+
+/**
+ * Check a STACK question
+ *
+ * @param {Array} elements - Elements of the form analysis, flattened
+ * @param {Object} stack - Data of the stack extractor
+ * @returns {Array<{severity: string, code: string, name: string, params: Object}>} The problems found, each
+ *     with the name of the field it is in
+ */
+export const lintStackQuestion = (elements, stack) => {
+    const byName = new Map();
+    elements.forEach((el) => {
+        if (el.name && !byName.has(el.name.replace(/\[text\]$/, ''))) {
+            byName.set(el.name.replace(/\[text\]$/, ''), el);
+        }
+    });
+    const getValue = (name) => byName.has(name) ? String(byName.get(name).current_value ?? '') : '';
+    const problems = [];
+    const add = (name, found) => found.forEach((problem) => {
+        problems.push(Object.assign({
+            severity: ['unclosed', 'unexpected'].includes(problem.code) ? 'error' : 'warning',
+            name: name
+        }, problem));
+    });
+
+    const questionVariables = getValue('questionvariables');
+    add('questionvariables', checkMaxima(questionVariables));
+    const defined = findDefinedNames(questionVariables);
+    const inputs = (stack && stack.inputs) || [];
+    const withInputs = new Set([...defined, ...inputs.map((input) => input.name)]);
+
+    CASTEXT_FIELDS.forEach(({name, inputs: usesInputs}) => {
+        add(name, checkCasText(getValue(name), usesInputs ? withInputs : defined));
+    });
+
+    // Every input placed in the question text needs a model answer.
+    const placed = new Set();
+    const inputPattern = /\[\[input:([A-Za-z][\w]*)\]\]/g;
+    let match;
+    while ((match = inputPattern.exec(getValue('questiontext'))) !== null) {
+        if (placed.has(match[1])) {
+            continue;
+        }
+        placed.add(match[1]);
+        const input = inputs.find((item) => item.name === match[1]);
+        if (!input) {
+            add('questiontext', [{code: 'inputnotsaved', params: {input: match[1]}}]);
+        } else if (input.modelans.trim() === '') {
+            add(`${input.name}modelans`, [{code: 'nomodelans', params: {input: input.name}}]);
+        }
+    }
+    inputs.filter((input) => placed.has(input.name)).forEach((input) => {
+        add(`${input.name}modelans`, checkMaxima(input.modelans, false));
+    });
+
+    ((stack && stack.prts) || []).forEach((prt) => {
+        add(`${prt.name}feedbackvariables`, checkMaxima(prt.feedbackvariables));
+        const prtDefined = new Set([...withInputs, ...findDefinedNames(prt.feedbackvariables)]);
+        prt.nodes.forEach((node) => {
+            ['sans', 'tans', 'testoptions'].forEach((field) => {
+                add(`${prt.name}${field}[${node.id}]`, checkMaxima(node[field], false));
+            });
+            ['true', 'false'].forEach((branch) => {
+                add(`${prt.name}${branch}feedback[${node.id}]`, checkCasText(node[branch].feedback, prtDefined));
+            });
+        });
+    });
+
+    return problems;
+};
+
+/**
+ * Get the strings used by the checklist, loaded once
+ *
+ * @returns {Promise<Object>} The strings keyed by name
+ */
+const loadStrings = () => {
+    if (!stringsPromise) {
+        const keys = ['lintheading', 'lintheadingquestion', 'lintnoproblems', 'lintproblem', 'lintproblems', 'lintaskfix',
+            'lintfixprompt', 'lintfixpromptquestion', 'showfield',
+            'lintunclosed', 'lintunexpected', 'lintsemicolon', 'lintundefined', 'lintnomodelans', 'lintinputnotsaved',
+            'lintfractionsum', 'lintnofullmark', 'lintduplicate', 'lintnogeneralfeedback', 'lintnotolerance', 'lintimagealt'];
+        stringsPromise = getStrings(keys.map((key) => ({key: key, component: 'block_helpchat'})))
+            .then((values) => keys.reduce((strings, key, index) => Object.assign(strings, {[key]: values[index]}), {}));
+    }
+    return stringsPromise;
+};
+
+/**
+ * Fill in the {$a->name} placeholders of a string
+ *
+ * @param {string} text - The string
+ * @param {Object} params - Values of the placeholders
+ * @returns {string} The string
+ */
+const formatString = (text, params) => {
+    return text.replace(/\{\$a->(\w+)\}/g, (match, key) => (params[key] !== undefined ? String(params[key]) : match));
+};
+
+/**
+ * Show the problems found as a checklist
+ *
+ * @param {HTMLElement} container - The checklist region of the block
+ * @param {Array} problems - The problems, with the analysed elements they are in
+ * @param {Object} strings - Strings used by the checklist
+ * @param {string} title - Heading of the checklist
+ */
+const renderChecklist = (container, problems, strings, title) => {
+    container.innerHTML = '';
+    const heading = document.createElement('div');
+    heading.className = 'helpchat-lint-heading';
+    const count = problems.length === 1 ? strings.lintproblem : strings.lintproblems.replace('{$a}', problems.length);
+    heading.textContent = `${title}: ${problems.length === 0 ? strings.lintnoproblems : count}`;
+    container.appendChild(heading);
+    if (problems.length === 0) {
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'helpchat-lint-list';
+    problems.forEach((problem) => {
+        const item = document.createElement('li');
+        item.className = `helpchat-lint-${problem.severity}`;
+        if (problem.element && problem.element.locator) {
+            const link = document.createElement('a');
+            link.href = problem.element.id ? `#${problem.element.id}` : '#';
+            link.className = 'helpchat-field-link';
+            link.dataset.action = 'show-field';
+            link.dataset.locator = JSON.stringify(problem.element.locator);
+            link.title = strings.showfield;
+            link.textContent = problem.label;
+            item.appendChild(link);
+        } else {
+            item.appendChild(document.createTextNode(problem.label));
+        }
+        item.appendChild(document.createTextNode(`: ${problem.message}`));
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    const ask = document.createElement('button');
+    ask.type = 'button';
+    ask.className = 'btn btn-secondary btn-sm helpchat-lint-ask';
+    ask.dataset.action = 'ask-lint-fix';
+    ask.textContent = strings.lintaskfix;
+    container.appendChild(ask);
+};
+
+/**
+ * Set up the checklist of STACK checks in the block
+ *
+ * The checklist only shows on forms some rule of block_helpchat/question_lint applies
+ * to, and is checked again each time the form analysis is brought up to date.
+ *
+ * @param {HTMLElement} root - The block chat region
+ * @param {string} hiddenFieldId - Id of the hidden field holding the form analysis
+ * @param {string[]} disabledRules - Names of the rules turned off for the block instance
+ * @returns {Promise<void>}
+ */
+export const initStackLint = async (root, hiddenFieldId, disabledRules = []) => {
+    const container = root.querySelector(SELECTORS.LINT);
+    if (!container) {
+        return;
+    }
+    const strings = await loadStrings();
+    let problems = [];
+    let isStack = false;
+
+    const lint = () => {
+        const analysis = getCurrentFormAnalysis(hiddenFieldId);
+        if (!analysis || !analysis.form) {
+            container.hidden = true;
+            return;
+        }
+        const result = runRules(analysis, disabledRules);
+        if (result.applied.length === 0) {
+            container.hidden = true;
+            return;
+        }
+
+        const elements = flattenFormTree(analysis.form);
+        isStack = result.applied.includes('stack');
+        problems = result.problems.map((problem) => {
+            const element = elements.find((el) => el.name === problem.name || el.name === `${problem.name}[text]`) || null;
+            return Object.assign(problem, {
+                element: element,
+                label: (element && element.label) || problem.name,
+                message: formatString(strings[`lint${problem.code}`] || problem.code, problem.params)
+            });
+        });
+        renderChecklist(container, problems, strings, isStack ? strings.lintheading : strings.lintheadingquestion);
+        container.hidden = false;
+    };
+
+    // The analysis is kept up to date as the form is edited, check again when it is.
+    onFormAnalysisUpdated(hiddenFieldId, () => {
+        try {
+            lint();
+        } catch (error) {
+            window.console.error('Help Chat STACK checks failed:', error);
+        }
+    });
+
+    registerFieldLinks(container);
+    container.addEventListener('click', (e) => {
+        if (!e.target.closest('[data-action="ask-lint-fix"]') || problems.length === 0) {
+            return;
+        }
+        const textarea = root.querySelector(SELECTORS.MESSAGE);
+        const form = root.querySelector(SELECTORS.FORM);
+        if (!textarea || !form) {
+            return;
+        }
+        textarea.value = [isStack ? strings.lintfixprompt : strings.lintfixpromptquestion].concat(problems.map((problem) => {
+            return `- ${problem.label} (${problem.name}): ${problem.message}`;
+        })).join('\n');
+        form.requestSubmit();
+    });
+
+    try {
+        lint();
+    } catch (error) {
+        window.console.error('Help Chat STACK checks failed:', error);
+    }
+};
+
+registerRule({
+    name: 'stack',
+    pageTypes: ['question-type-stack'],
+    check: (context) => lintStackQuestion(context.elements, context.extracted.stack)
+});
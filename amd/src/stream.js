@@ -0,0 +1,140 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Streaming client for Help Chat block
+ *
+ * Reads the server-sent events written by /blocks/helpchat/stream.php and
+ * passes each chunk of the response on as it arrives.
+ *
+ * @module     block_helpchat/stream
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Config from 'core/config';
+
+/**
+ * Parse one server-sent event block
+ *
+ * @param {string} block - The lines of a single event
+ * @returns {{event: string, data: Object}|null} The event, or null if it has no data
+ */
+const parseEvent = (block) => {
+    let event = 'message';
+    const data = [];
+
+    block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).trim());
+        }
+    });
+
+    if (data.length === 0) {
+        return null;
+    }
+
+    return {event, data: JSON.parse(data.join('\n'))};
+};
+
+/**
+ * Stream the response to a message
+ *
+ * @param {Object} params - Request parameters
+ * @param {number} params.instanceId - The block instance id
+ * @param {string} params.message - The message typed by the user
+ * @param {string} params.formData - Analysis of the form on the page
+ * @param {string} params.pageType - The page type the block is shown on
+ * @param {Array<{role: string, content: string}>} params.history - Earlier turns of the conversation
+ * @param {Function} onChunk - Called with each chunk of text and the text received so far
+ * @returns {Promise<string>} The complete response as markdown
+ */
+export const streamMessage = async ({instanceId, message, formData = '', pageType = '', history = []}, onChunk) => {
+    const body = new URLSearchParams({
+        sesskey: Config.sesskey,
+        blockinstanceid: instanceId,
+        message: message,
+        formdata: formData,
+        pagetype: pageType,
+        history: JSON.stringify(history)
+    });
+
+    const response = await fetch(`${Config.wwwroot}/blocks/helpchat/stream.php`, {
+        method: 'POST',
+        body: body,
+        credentials: 'same-origin'
+    });
+    if (!response.ok) {
+        throw new Error(`Help Chat stream failed with status ${response.status}`);
+    }
+
+    let received = '';
+    let buffer = '';
+    let finished = false;
+
+    const handleEvents = () => {
+        // Events are separated by a blank line, the last part may still be incomplete.
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        blocks.forEach(block => {
+            const parsed = parseEvent(block);
+            if (!parsed) {
+                return;
+            }
+            if (parsed.event === 'chunk') {
+                received += parsed.data.text;
+                onChunk(parsed.data.text, received);
+            } else if (parsed.event === 'error') {
+                throw new Error(parsed.data.message);
+            } else if (parsed.event === 'done') {
+                finished = true;
+            }
+        });
+    };
+
+    if (response.body && response.body.getReader) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        try {
+            for (;;) {
+                const {done, value} = await reader.read();
+                if (done) {
+                    break;
+                }
+                buffer += decoder.decode(value, {stream: true});
+                handleEvents();
+            }
+        } finally {
+            // Close the request when an error event stops the reading early.
+            reader.cancel().catch(() => undefined);
+        }
+        buffer += decoder.decode();
+    } else {
+        // No streaming support, everything arrives at once.
+        buffer = await response.text();
+    }
+
+    buffer += '\n\n';
+    handleEvents();
+
+    if (!finished) {
+        throw new Error('Help Chat stream ended before the response was complete');
+    }
+
+    return received;
+};
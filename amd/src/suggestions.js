@@ -0,0 +1,362 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Suggested field values for Help Chat block
+ *
+ * The AI lists values it wants to put into the form in a fenced code block with
+ * the language helpchat-suggestions, holding a JSON array of {field, value}
+ * objects where field is an element id from the form analysis. The block is
+ * replaced by a change set showing each change as a diff of the current and
+ * proposed value, which can be accepted or rejected one at a time and undone.
+ *
+ * @module     block_helpchat/suggestions
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {get_strings as getStrings} from 'core/str';
+import {findLabelForElement} from './dom_parser';
+import {isRichTextEditor, readFieldValue, writeFieldValue} from './field_writer';
+import {getTargetElements, refreshChangedFields} from './form_integration';
+
+/** Id of the hidden field holding the form analysis. */
+const ANALYSIS_FIELD_ID = 'form-analysis-data';
+
+/** Language of the fenced code block holding suggestions. */
+export const SUGGESTIONS_LANGUAGE = 'helpchat-suggestions';
+
+/** Above this many token comparisons the diff shows the whole values as removed and added. */
+const MAX_DIFF_CELLS = 250000;
+
+let stringsPromise = null;
+
+/**
+ * Get the strings used by the change set, loaded once
+ *
+ * @returns {Promise<Object>} The strings keyed by name
+ */
+const loadStrings = () => {
+    if (!stringsPromise) {
+        stringsPromise = getStrings([
+            {key: 'suggestedchanges', component: 'block_helpchat'},
+            {key: 'acceptchange', component: 'block_helpchat'},
+            {key: 'rejectchange', component: 'block_helpchat'},
+            {key: 'changeaccepted', component: 'block_helpchat'},
+            {key: 'changerejected', component: 'block_helpchat'},
+            {key: 'changefailed', component: 'block_helpchat'},
+            {key: 'fieldnotfound', component: 'block_helpchat'},
+            {key: 'undochanges', component: 'block_helpchat'}
+        ]).then(([title, accept, reject, accepted, rejected, failed, notFound, undo]) => ({
+            title, accept, reject, accepted, rejected, failed, notFound, undo
+        }));
+    }
+    return stringsPromise;
+};
+
+/**
+ * Parse the suggestions in a code block
+ *
+ * @param {string} text - The content of the code block
+ * @returns {Array<{field: string, value: string}>} The suggestions, empty if the block is not valid
+ */
+export const parseSuggestions = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return [];
+    }
+    if (!Array.isArray(parsed)) {
+        parsed = [parsed];
+    }
+
+    return parsed.filter(item => item && typeof item.field === 'string' && item.field !== '' && item.value !== undefined)
+        .map(item => ({
+            field: item.field,
+            value: (item.value === null) ? '' : String(item.value)
+        }));
+};
+
+/**
+ * Find the form element a suggestion refers to
+ *
+ * Only analysed fields the user can see and edit can be changed, the empty spare
+ * answers of the form too, never hidden fields such as the sesskey or ones the user
+ * chose not to share.
+ *
+ * @param {string} field - The element id, or failing that its name
+ * @returns {HTMLElement|null} The element, or null if there is none that can be changed
+ */
+const findField = (field) => {
+    const records = getTargetElements(ANALYSIS_FIELD_ID);
+    const record = records.find(item => item.id === field) || records.find(item => item.name === field);
+    if (!record) {
+        return null;
+    }
+
+    const pageContent = document.getElementById('page-content') || document;
+    const element = record.id ? document.getElementById(record.id)
+        : pageContent.querySelector(`[name="${CSS.escape(record.name)}"]`);
+    if (!element || element.type === 'hidden' || element.disabled || element.readOnly) {
+        return null;
+    }
+    // Leave out the block's own fields.
+    if (element.closest('[data-region="helpchat"]')) {
+        return null;
+    }
+    // TinyMCE hides its textarea, the editor itself is what is visible.
+    return (record.visible || isRichTextEditor(element)) ? element : null;
+};
+
+/**
+ * Work out the word level differences between two values
+ *
+ * @param {string} oldValue - The current value
+ * @param {string} newValue - The proposed value
+ * @returns {Array<{type: string, text: string}>} Runs of text that are 'same', 'removed' or 'added'
+ */
+export const diffValues = (oldValue, newValue) => {
+    const oldTokens = oldValue.split(/(\s+)/).filter(token => token !== '');
+    const newTokens = newValue.split(/(\s+)/).filter(token => token !== '');
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({type, text});
+        }
+    };
+
+    if (oldTokens.length * newTokens.length > MAX_DIFF_CELLS) {
+        push('removed', oldValue);
+        push('added', newValue);
+        return parts.filter(part => part.text !== '');
+    }
+
+    // Longest common subsequence table, filled from the end.
+    const rows = oldTokens.length;
+    const cols = newTokens.length;
+    const lengths = Array.from({length: rows + 1}, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i][j] = (oldTokens[i] === newTokens[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (oldTokens[i] === newTokens[j]) {
+            push('same', oldTokens[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', oldTokens[i++]);
+        } else {
+            push('added', newTokens[j++]);
+        }
+    }
+    while (i < rows) {
+        push('removed', oldTokens[i++]);
+    }
+    while (j < cols) {
+        push('added', newTokens[j++]);
+    }
+
+    return parts;
+};
+
+/**
+ * Render the diff of two values
+ *
+ * @param {string} oldValue - The current value
+ * @param {string} newValue - The proposed value
+ * @returns {HTMLElement} The diff
+ */
+const renderDiff = (oldValue, newValue) => {
+    const diff = document.createElement('div');
+    diff.className = 'helpchat-suggestion-diff';
+
+    diffValues(oldValue, newValue).forEach(part => {
+        let node;
+        if (part.type === 'removed') {
+            node = document.createElement('del');
+        } else if (part.type === 'added') {
+            node = document.createElement('ins');
+        } else {
+            node = document.createElement('span');
+        }
+        node.textContent = part.text;
+        diff.appendChild(node);
+    });
+
+    return diff;
+};
+
+/**
+ * Build the change set for a list of suggestions
+ *
+ * @param {Array<{field: string, value: string}>} suggestions - The suggestions
+ * @param {Object} strings - The strings used by the change set
+ * @returns {HTMLElement} The change set
+ */
+const renderChangeSet = (suggestions, strings) => {
+    // Values of the fields before this change set touched them, restored by undo.
+    const snapshot = new Map();
+
+    const changeSet = document.createElement('div');
+    changeSet.className = 'helpchat-suggestions';
+    changeSet.dataset.region = 'suggestions';
+
+    const title = document.createElement('div');
+    title.className = 'helpchat-suggestions-title';
+    title.textContent = strings.title;
+    changeSet.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'helpchat-suggestion-list';
+    changeSet.appendChild(list);
+
+    const undoButton = document.createElement('button');
+    undoButton.type = 'button';
+    undoButton.className = 'btn btn-sm btn-secondary helpchat-suggestions-undo';
+    undoButton.dataset.action = 'undo-changes';
+    undoButton.textContent = strings.undo;
+    undoButton.hidden = true;
+    changeSet.appendChild(undoButton);
+
+    const items = suggestions.map(suggestion => {
+        const item = document.createElement('li');
+        item.className = 'helpchat-suggestion';
+        item.dataset.field = suggestion.field;
+        list.appendChild(item);
+
+        const element = findField(suggestion.field);
+        const label = document.createElement('div');
+        label.className = 'helpchat-suggestion-label';
+        label.textContent = element ? (findLabelForElement(element) || suggestion.field) : suggestion.field;
+        item.appendChild(label);
+
+        const status = document.createElement('span');
+        status.className = 'helpchat-suggestion-status';
+
+        if (!element) {
+            item.dataset.state = 'unavailable';
+            status.textContent = strings.notFound.replace('{$a}', suggestion.field);
+            item.appendChild(status);
+            return null;
+        }
+
+        item.dataset.state = 'pending';
+        let diff = renderDiff(readFieldValue(element), suggestion.value);
+        item.appendChild(diff);
+        // Show the change against what the field holds now.
+        const refreshDiff = () => {
+            const current = renderDiff(readFieldValue(element), suggestion.value);
+            item.replaceChild(current, diff);
+            diff = current;
+        };
+
+        const actions = document.createElement('div');
+        actions.className = 'helpchat-suggestion-actions';
+        const acceptButton = document.createElement('button');
+        acceptButton.type = 'button';
+        acceptButton.className = 'btn btn-sm btn-primary';
+        acceptButton.dataset.action = 'accept-change';
+        acceptButton.textContent = strings.accept;
+        const rejectButton = document.createElement('button');
+        rejectButton.type = 'button';
+        rejectButton.className = 'btn btn-sm btn-secondary';
+        rejectButton.dataset.action = 'reject-change';
+        rejectButton.textContent = strings.reject;
+        actions.appendChild(acceptButton);
+        actions.appendChild(rejectButton);
+        actions.appendChild(status);
+        item.appendChild(actions);
+
+        const setState = (state, message) => {
+            item.dataset.state = state;
+            status.textContent = message;
+            acceptButton.disabled = state !== 'pending';
+            rejectButton.disabled = state !== 'pending';
+        };
+
+        acceptButton.addEventListener('click', () => {
+            const previous = readFieldValue(element);
+            try {
+                writeFieldValue(element, suggestion.value);
+            } catch (error) {
+                window.console.error('Failed to apply suggestion:', error);
+                setState('pending', strings.failed);
+                return;
+            }
+            if (!snapshot.has(element)) {
+                snapshot.set(element, previous);
+            }
+            setState('accepted', strings.accepted);
+            undoButton.hidden = false;
+        });
+        rejectButton.addEventListener('click', () => setState('rejected', strings.rejected));
+
+        return {item, setState, refreshDiff};
+    }).filter(entry => entry !== null);
+
+    undoButton.addEventListener('click', () => {
+        const restored = Array.from(snapshot.keys());
+        snapshot.forEach((value, element) => {
+            try {
+                writeFieldValue(element, value, 'html');
+            } catch (error) {
+                window.console.error('Failed to restore field value:', error);
+            }
+        });
+        snapshot.clear();
+        // Accepted changes can be reviewed again, and show the restored values.
+        items.filter(entry => entry.item.dataset.state === 'accepted').forEach(entry => entry.setState('pending', ''));
+        items.forEach(entry => entry.refreshDiff());
+        undoButton.hidden = true;
+        refreshChangedFields(ANALYSIS_FIELD_ID, restored);
+    });
+
+    return changeSet;
+};
+
+/**
+ * Replace suggestion code blocks in a rendered response with change sets
+ *
+ * @param {HTMLElement} container - The rendered response
+ * @returns {Promise<void>}
+ */
+export const renderSuggestions = async (container) => {
+    const blocks = Array.from(container.querySelectorAll(`pre > code[data-language="${SUGGESTIONS_LANGUAGE}"]`));
+    if (!blocks.length) {
+        return;
+    }
+
+    const strings = await loadStrings();
+    blocks.forEach(code => {
+        const suggestions = parseSuggestions(code.textContent);
+        if (!suggestions.length) {
+            // Leave anything that could not be understood for the user to read.
+            return;
+        }
+        const pre = code.parentNode;
+        pre.parentNode.replaceChild(renderChangeSet(suggestions, strings), pre);
+    });
+};
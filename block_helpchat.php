@@ -57,34 +57,13 @@ class block_helpchat extends block_base {
         // Detect if we're in a question editing context
         $questionediting = $this->is_question_editing_context();
 
-        // Process form submission if there is one
-        $response = '';
-        $message = optional_param('helpchat_message', '', PARAM_TEXT);
-        $formdata = optional_param('form_analysis_data', '', PARAM_TEXT);
-        if (!empty($message)) {
-            try {
-                xdebug_break();
-                // Prepare the full prompt with system instructions
-                $fullprompt = $this->prepare_prompt($message, $questionediting);
-                //$fullprompt = 'formdata is :' . $formdata . ':' . $fullprompt;
-                $response = $this->perform_request($fullprompt, 'helpchat');
-
-                // Convert markdown to HTML if response contains markdown
-                if (!empty($response)) {
-                    require_once($CFG->libdir . '/weblib.php');
-                    $response = markdown_to_html($response);
-                }
-            } catch (Exception $e) {
-                $response = get_string('errorprocessingrequest', 'block_helpchat');
-            }
-        }
-
         // Prepare the data for the template
         $templatedata = [
+            'instanceid' => $this->instance->id,
             'messageplaceholder' => get_string('messageplaceholder', 'block_helpchat'),
             'submitbutton' => get_string('submitbutton', 'block_helpchat'),
-            'message' => $message,
-            'response' => $response,
+            'clearbutton' => get_string('clearconversation', 'block_helpchat'),
+            'contextpanel' => get_string('contextpanel', 'block_helpchat'),
             'isquestionediting' => $questionediting
         ];
 
@@ -94,14 +73,50 @@ class block_helpchat extends block_base {
         return $this->content;
     }
 
+    /**
+     * Get the AI response to a chat message sent from the block.
+     *
+     * @param string $message The user message
+     * @param string $formdata Analysis of the form on the page the block is shown on
+     * @param string $pagetype The page type the block is shown on
+     * @param array $history Earlier turns of the conversation, each with a role and content
+     * @return string The response from the LLM as markdown
+     */
+    public function get_chat_response(string $message, string $formdata = '', string $pagetype = '',
+            array $history = []): string {
+        $questionediting = $this->is_question_editing_context($pagetype);
+        $fullprompt = $this->prepare_prompt($message, $questionediting, $formdata, $history);
+        return $this->perform_request($fullprompt, 'helpchat');
+    }
+
+    /**
+     * Stream the AI response to a chat message sent from the block.
+     *
+     * @param string $message The user message
+     * @param callable $onchunk Called with each chunk of the response as it is generated
+     * @param string $formdata Analysis of the form on the page the block is shown on
+     * @param string $pagetype The page type the block is shown on
+     * @param array $history Earlier turns of the conversation, each with a role and content
+     * @return string The complete response from the LLM as markdown
+     */
+    public function stream_chat_response(string $message, callable $onchunk, string $formdata = '',
+            string $pagetype = '', array $history = []): string {
+        $questionediting = $this->is_question_editing_context($pagetype);
+        $fullprompt = $this->prepare_prompt($message, $questionediting, $formdata, $history);
+        return $this->perform_streaming_request($fullprompt, $onchunk, 'helpchat');
+    }
+
     /**
      * Prepare the full prompt by combining system prompt with user message.
      *
      * @param string $usermessage The user message
      * @param bool $questionediting Whether we're in a question editing context
+     * @param string $formdata Analysis of the form on the page the block is shown on
+     * @param array $history Earlier turns of the conversation, each with a role and content
      * @return string The prepared full prompt
      */
-    protected function prepare_prompt(string $usermessage, bool $questionediting = false): string {
+    protected function prepare_prompt(string $usermessage, bool $questionediting = false, string $formdata = '',
+            array $history = []): string {
         // Get the prompt from block instance configuration
         $prompt = '';
         if (!empty($this->config->config_prompt)) {
@@ -119,6 +134,19 @@ class block_helpchat extends block_base {
             }
         }
 
+        // Add the state of the form on the page as context, and say how to suggest new values for it
+        if (!empty($formdata)) {
+            $formcontext = get_string('formdataprompt', 'block_helpchat') . "\n" . $formdata . "\n\n" .
+                get_string('suggestionsprompt', 'block_helpchat');
+            $prompt = !empty($prompt) ? $prompt . "\n\n" . $formcontext : $formcontext;
+        }
+
+        // Add earlier turns so the AI can follow the conversation
+        if (!empty($history)) {
+            $historycontext = get_string('historyprompt', 'block_helpchat') . "\n" . $this->format_history($history);
+            $prompt = !empty($prompt) ? $prompt . "\n\n" . $historycontext : $historycontext;
+        }
+
         // Combine prompt with user message
         $fullprompt = '';
         if (!empty($prompt)) {
@@ -130,6 +158,22 @@ class block_helpchat extends block_base {
         return $fullprompt;
     }
 
+    /**
+     * Format earlier turns of the conversation as a transcript.
+     *
+     * @param array $history Earlier turns of the conversation, each with a role and content
+     * @return string The transcript
+     */
+    protected function format_history(array $history): string {
+        $lines = [];
+        foreach ($history as $turn) {
+            $turn = (array) $turn;
+            $speaker = ($turn['role'] === 'assistant') ? 'Assistant' : 'User';
+            $lines[] = $speaker . ': ' . $turn['content'];
+        }
+        return implode("\n\n", $lines);
+    }
+
     /**
      * Render the helpchat form using a Mustache template.
      *
@@ -143,16 +187,35 @@ class block_helpchat extends block_base {
             'block_helpchat/dom_parser',
             'makeGloballyAccessible'
         );
+        // Read the form with the profile set for this page, keeping secrets out
+        $extractionoptions = \block_helpchat\local\extraction_profiles::get_options(
+            (string) ($this->config->extractionprofiles ?? ''),
+            $this->page->pagetype
+        );
+        $extractionoptions['redactionRules'] = \block_helpchat\local\redaction_rules::get_site_rules();
+        $extractionoptions['tokenBudget'] = (int) get_config('block_helpchat', 'formtokenbudget') ?: 3000;
         $this->page->requires->js_call_amd(
             'block_helpchat/form_integration',
             'initFormIntegration',
-            ['form-analysis-data']
+            ['form-analysis-data', $extractionoptions]
         );
-        // Initialize spinner functionality
+        // Check the question being edited with the rules left on for this block
+        $questionchecks = strpos($this->page->pagetype, 'question-type-') === 0
+            ? \block_helpchat\local\question_rules::get_disabled($this->config) : null;
+        // Send chat messages over AJAX so the page is never reloaded
         $this->page->requires->js_call_amd(
-            'block_helpchat/spinner',
-            'initSpinner'
+            'block_helpchat/chat',
+            'init',
+            [$data['instanceid'], $this->page->pagetype, $questionchecks]
         );
+        // Explain the settings of the form beside their help icons when turned on for this block
+        if (!empty($this->config->explainbuttons)) {
+            $this->page->requires->js_call_amd(
+                'block_helpchat/explain_buttons',
+                'init',
+                [$data['instanceid'], $this->page->pagetype]
+            );
+        }
         return $OUTPUT->render_from_template('block_helpchat/helpchat_form', $data);
     }
 
@@ -170,7 +233,6 @@ class block_helpchat extends block_base {
         if (defined('BEHAT_SITE_RUNNING') || (defined('PHPUNIT_TEST') && PHPUNIT_TEST)) {
             return "AI Response to: " . $fullprompt;
         }
-            xdebug_break();
 
         // Try to get backend from config or use a default
         $backend = get_config('block_helpchat', 'backend');
@@ -217,21 +279,49 @@ class block_helpchat extends block_base {
             $ai = new tool_aiconnect\ai\ai();
             $llmresponse = $ai->prompt_completion($fullprompt);
             return $llmresponse['response']['choices'][0]['message']['content'];
+        } else if ($backend == 'fake') {
+            return (new \block_helpchat\local\fake_backend())->get_response($fullprompt);
         }
 
         // Fallback to simple response if no backend is configured
         return "AI response to: " . $fullprompt;
     }
 
+    /**
+     * Perform a request to the LLM system, passing on the response as it is generated.
+     *
+     * Backends that only return complete responses send them as a single chunk.
+     *
+     * @param string $fullprompt The complete prompt (system + user message)
+     * @param callable $onchunk Called with each chunk of the response
+     * @param string $purpose The purpose of the request
+     * @return string The complete response from the LLM
+     * @throws moodle_exception
+     */
+    public function perform_streaming_request(string $fullprompt, callable $onchunk, string $purpose = 'helpchat'): string {
+        if (get_config('block_helpchat', 'backend') == 'fake') {
+            return (new \block_helpchat\local\fake_backend())->stream($fullprompt, $onchunk);
+        }
+
+        $response = $this->perform_request($fullprompt, $purpose);
+        $onchunk($response);
+        return $response;
+    }
+
     /**
      * Check if we're in a question editing context.
      *
+     * @param string $pagetype Page type reported by the browser, defaults to the current page
      * @return bool True if in question editing context
      */
-    protected function is_question_editing_context() {
+    protected function is_question_editing_context(string $pagetype = '') {
         global $PAGE;
 
-        $pagetype = $PAGE->pagetype ?? '';
+        // AJAX requests have no page of their own, so only the reported page type is checked
+        $frompage = ($pagetype === '');
+        if ($frompage) {
+            $pagetype = $PAGE->pagetype ?? '';
+        }
 
         // Check for question editing page types
         if (preg_match('/^question-/', $pagetype) ||
@@ -240,6 +330,10 @@ class block_helpchat extends block_base {
             return true;
         }
 
+        if (!$frompage) {
+            return false;
+        }
+
         // Check URL patterns that indicate question editing
         $url = $PAGE->url ?? null;
         if ($url && $url instanceof moodle_url) {
@@ -0,0 +1,104 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+
+/**
+ * External function sending a chat message to the AI backend.
+ *
+ * @package    block_helpchat
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class send_message extends external_api {
+
+    /**
+     * Describes the parameters for execute.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'blockinstanceid' => new external_value(PARAM_INT, 'The Help Chat block instance id'),
+            'message' => new external_value(PARAM_RAW, 'The message typed by the user, as plain text'),
+            'formdata' => new external_value(PARAM_RAW, 'Analysis of the form on the page', VALUE_DEFAULT, ''),
+            'pagetype' => new external_value(PARAM_ALPHANUMEXT, 'The page type the block is shown on', VALUE_DEFAULT, ''),
+            'history' => new external_multiple_structure(
+                new external_single_structure([
+                    'role' => new external_value(PARAM_ALPHA, 'Who sent the message, user or assistant'),
+                    'content' => new external_value(PARAM_RAW, 'The message text'),
+                ]),
+                'Earlier turns of the conversation, oldest first',
+                VALUE_DEFAULT,
+                []
+            ),
+        ]);
+    }
+
+    /**
+     * Send the message to the AI backend configured for the block.
+     *
+     * @param int $blockinstanceid The block instance id
+     * @param string $message The message typed by the user
+     * @param string $formdata Analysis of the form on the page
+     * @param string $pagetype The page type the block is shown on
+     * @param array $history Earlier turns of the conversation, oldest first
+     * @return array The response from the AI backend
+     */
+    public static function execute(int $blockinstanceid, string $message, string $formdata = '',
+            string $pagetype = '', array $history = []): array {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'blockinstanceid' => $blockinstanceid,
+            'message' => $message,
+            'formdata' => $formdata,
+            'pagetype' => $pagetype,
+            'history' => $history,
+        ]);
+
+        $context = \context_block::instance($params['blockinstanceid']);
+        self::validate_context($context);
+        require_capability('moodle/block:view', $context);
+
+        $block = block_instance_by_id($params['blockinstanceid']);
+        if (!$block instanceof \block_helpchat) {
+            throw new \moodle_exception('invalidblockinstance', 'error', '', 'helpchat');
+        }
+
+        $response = $block->get_chat_response($params['message'], $params['formdata'], $params['pagetype'],
+            $params['history']);
+
+        return [
+            'response' => $response,
+        ];
+    }
+
+    /**
+     * Describes the return value for execute.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'response' => new external_value(PARAM_RAW, 'The response from the AI backend as markdown'),
+        ]);
+    }
+}
@@ -0,0 +1,118 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\local;
+
+/**
+ * Per-page form extraction profiles set in a block instance.
+ *
+ * Profiles are a JSON object keyed by page type, where * matches any text, for example
+ * {"question-type-*": {"maxValueLength": 2000}}. Each profile holds options for
+ * extractDomElements in the DOM parser. All profiles matching a page are merged in
+ * the order they are written, so later ones win.
+ *
+ * @package    block_helpchat
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class extraction_profiles {
+
+    /** @var string[] Options holding a CSS selector */
+    const SELECTOR_OPTIONS = ['root', 'include', 'exclude'];
+
+    /** @var string[] Options switching an analysis on or off */
+    const TOGGLE_OPTIONS = ['checkElementDependencies', 'analyzeJavaScriptDependencies', 'analyzeSiblingDependencies'];
+
+    /**
+     * Decode the profiles.
+     *
+     * @param string $json The profiles as JSON
+     * @return array|null Profiles keyed by page type pattern, or null if they are not valid
+     */
+    public static function decode(string $json): ?array {
+        if (trim($json) === '') {
+            return [];
+        }
+        $profiles = json_decode($json, true);
+        if (!is_array($profiles)) {
+            return null;
+        }
+        foreach ($profiles as $pattern => $profile) {
+            if (!is_string($pattern) || !is_array($profile)) {
+                return null;
+            }
+        }
+        return $profiles;
+    }
+
+    /**
+     * Get the extraction options for a page.
+     *
+     * Unknown options and options of the wrong type are left out.
+     *
+     * @param string $json The profiles as JSON
+     * @param string $pagetype The page type the block is shown on
+     * @return array Options for the DOM parser
+     */
+    public static function get_options(string $json, string $pagetype): array {
+        $options = [];
+        foreach (self::decode($json) ?? [] as $pattern => $profile) {
+            if (self::matches($pattern, $pagetype)) {
+                $options = array_merge($options, self::clean_options($profile));
+            }
+        }
+        return $options;
+    }
+
+    /**
+     * Check whether a page type pattern matches a page type.
+     *
+     * @param string $pattern The pattern, where * matches any text
+     * @param string $pagetype The page type
+     * @return bool True if it matches
+     */
+    protected static function matches(string $pattern, string $pagetype): bool {
+        $regex = '/^' . str_replace('\*', '.*', preg_quote($pattern, '/')) . '$/';
+        return preg_match($regex, $pagetype) === 1;
+    }
+
+    /**
+     * Keep only the options the DOM parser understands.
+     *
+     * @param array $profile One profile
+     * @return array The options
+     */
+    protected static function clean_options(array $profile): array {
+        $options = [];
+        foreach (self::SELECTOR_OPTIONS as $name) {
+            if (isset($profile[$name]) && is_string($profile[$name])) {
+                $options[$name] = $profile[$name];
+            }
+        }
+        if (isset($profile['types']) && is_array($profile['types'])) {
+            $options['types'] = array_values(array_filter($profile['types'], 'is_string'));
+        }
+        if (isset($profile['maxValueLength']) && is_int($profile['maxValueLength']) && $profile['maxValueLength'] >= 0) {
+            $options['maxValueLength'] = $profile['maxValueLength'];
+        }
+        foreach (self::TOGGLE_OPTIONS as $name) {
+            if (isset($profile[$name]) && is_bool($profile[$name])) {
+                $options[$name] = $profile[$name];
+            }
+        }
+        return $options;
+    }
+}
@@ -0,0 +1,96 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\local;
+
+/**
+ * Local backend that streams a canned markdown response in small chunks.
+ *
+ * Used to develop and test streaming rendering without an AI provider.
+ *
+ * @package    block_helpchat
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class fake_backend {
+
+    /** @var int Delay between chunks in milliseconds */
+    protected $delayms;
+
+    /**
+     * Constructor.
+     *
+     * @param int $delayms Delay between chunks in milliseconds
+     */
+    public function __construct(int $delayms = 40) {
+        $this->delayms = $delayms;
+    }
+
+    /**
+     * Get the complete response to a prompt.
+     *
+     * @param string $fullprompt The complete prompt (system + user message)
+     * @return string The response as markdown
+     */
+    public function get_response(string $fullprompt): string {
+        // The user message is always the last paragraph of the prompt.
+        $paragraphs = explode("\n\n", trim($fullprompt));
+        $question = str_replace("\n", ' ', end($paragraphs));
+
+        return "This is a response from the **fake backend**. It arrives in small chunks so streaming " .
+            "can be tested without an AI provider.\n\n" .
+            "You asked:\n\n" .
+            "> " . $question . "\n\n" .
+            "## Example\n\n" .
+            "- A list item\n" .
+            "- Another list item with `inline code`\n\n" .
+            "```\n" .
+            "a: rand_with_step(1, 10, 1);\n" .
+            "b: a^2;\n" .
+            "```\n\n" .
+            "The prompt sent was " . \core_text::strlen($fullprompt) . " characters long.";
+    }
+
+    /**
+     * Split a response into the chunks it is streamed in.
+     *
+     * Each chunk is a word followed by its whitespace, so the chunks join back to the response.
+     *
+     * @param string $response The complete response
+     * @return string[] The chunks
+     */
+    public function get_chunks(string $response): array {
+        return preg_split('/(?<=\s)(?=\S)/u', $response, -1, PREG_SPLIT_NO_EMPTY);
+    }
+
+    /**
+     * Stream the response to a prompt.
+     *
+     * @param string $fullprompt The complete prompt (system + user message)
+     * @param callable $onchunk Called with each chunk of text as it is generated
+     * @return string The complete response
+     */
+    public function stream(string $fullprompt, callable $onchunk): string {
+        $response = $this->get_response($fullprompt);
+        foreach ($this->get_chunks($response) as $chunk) {
+            $onchunk($chunk);
+            if ($this->delayms > 0) {
+                usleep($this->delayms * 1000);
+            }
+        }
+        return $response;
+    }
+}
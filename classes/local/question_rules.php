@@ -0,0 +1,51 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\local;
+
+/**
+ * Question checks that can be turned off for a block instance.
+ *
+ * The checks themselves run in the browser, see block_helpchat/question_lint and
+ * block_helpchat/stack_lint.
+ * Each is on unless the block setting rule_<name> has been unticked.
+ *
+ * @package    block_helpchat
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class question_rules {
+
+    /** @var string[] Names of the rules registered with block_helpchat/question_lint */
+    const RULES = ['stack', 'mcfractions', 'duplicateanswers', 'generalfeedback', 'numericaltolerance', 'imagealt'];
+
+    /**
+     * Get the rules turned off for a block instance.
+     *
+     * @param \stdClass|null $config The block instance configuration
+     * @return string[] Names of the rules turned off
+     */
+    public static function get_disabled(?\stdClass $config): array {
+        $disabled = [];
+        foreach (self::RULES as $rule) {
+            $setting = 'rule_' . $rule;
+            if (isset($config->$setting) && empty($config->$setting)) {
+                $disabled[] = $rule;
+            }
+        }
+        return $disabled;
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\local;
+
+/**
+ * Site redaction rules added to the defaults in the DOM parser.
+ *
+ * Rules are entered one per line as "action target pattern", for example
+ * "mask name ^idnumber$". The action is drop or mask, the target is type,
+ * name or value and the pattern is a case-insensitive regular expression.
+ * Blank lines and lines starting with # are ignored.
+ *
+ * @package    block_helpchat
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class redaction_rules {
+
+    /** @var string[] What a rule can do with a matching field */
+    const ACTIONS = ['drop', 'mask'];
+
+    /** @var string[] What a rule pattern is matched against */
+    const TARGETS = ['type', 'name', 'value'];
+
+    /**
+     * Parse rules from the text of the setting.
+     *
+     * Lines that are not valid rules are skipped.
+     *
+     * @param string $config The rules, one per line
+     * @return array Rules, each with action, match and pattern
+     */
+    public static function parse(string $config): array {
+        $rules = [];
+        foreach (preg_split('/\R/', $config) as $line) {
+            $line = trim($line);
+            if ($line === '' || strpos($line, '#') === 0) {
+                continue;
+            }
+
+            $parts = preg_split('/\s+/', $line, 3);
+            if (count($parts) < 3) {
+                continue;
+            }
+            [$action, $target, $pattern] = $parts;
+            $action = strtolower($action);
+            $target = strtolower($target);
+            if (!in_array($action, self::ACTIONS) || !in_array($target, self::TARGETS) || !self::is_valid_pattern($pattern)) {
+                continue;
+            }
+
+            $rules[] = [
+                'action' => $action,
+                'match' => $target,
+                'pattern' => $pattern,
+            ];
+        }
+        return $rules;
+    }
+
+    /**
+     * Get the rules configured for the site.
+     *
+     * @return array Rules, each with action, match and pattern
+     */
+    public static function get_site_rules(): array {
+        return self::parse((string) get_config('block_helpchat', 'redactionrules'));
+    }
+
+    /**
+     * Check a pattern compiles as a regular expression.
+     *
+     * @param string $pattern The pattern
+     * @return bool True if it can be used
+     */
+    protected static function is_valid_pattern(string $pattern): bool {
+        return @preg_match('/' . str_replace('/', '\/', $pattern) . '/i', '') !== false;
+    }
+}
@@ -50,8 +50,44 @@ class block_helpchat_edit_form extends block_edit_form {
         $mform->addElement('textarea', 'config_prompt', get_string('prompt', 'block_helpchat'),
             array('rows' => 5, 'cols' => 50));
         $mform->setType('config_prompt', PARAM_TEXT);
-        xdebug_break();
         $mform->setDefault('config_prompt', get_config('block_helpchat', 'prompt') ?: get_string('defaultprompt', 'block_helpchat'));
         $mform->addHelpButton('config_prompt', 'prompt', 'block_helpchat');
+
+        // Per-page options for reading the form the block is shown beside.
+        $mform->addElement('textarea', 'config_extractionprofiles', get_string('extractionprofiles', 'block_helpchat'),
+            array('rows' => 5, 'cols' => 50));
+        $mform->setType('config_extractionprofiles', PARAM_RAW);
+        $mform->addHelpButton('config_extractionprofiles', 'extractionprofiles', 'block_helpchat');
+
+        // Buttons beside the help icons of the form asking the AI to explain the setting.
+        $mform->addElement('advcheckbox', 'config_explainbuttons', get_string('explainbuttons', 'block_helpchat'));
+        $mform->setDefault('config_explainbuttons', 0);
+        $mform->addHelpButton('config_explainbuttons', 'explainbuttons', 'block_helpchat');
+
+        // Checks of the question being edited, each can be turned off.
+        $mform->addElement('header', 'questionchecksheader', get_string('questionchecks', 'block_helpchat'));
+        $mform->addElement('static', 'questionchecksinfo', '', get_string('questionchecks_help', 'block_helpchat'));
+        foreach (\block_helpchat\local\question_rules::RULES as $rule) {
+            $mform->addElement('advcheckbox', 'config_rule_' . $rule, get_string('lintrule_' . $rule, 'block_helpchat'));
+            $mform->setDefault('config_rule_' . $rule, 1);
+        }
+    }
+
+    /**
+     * Validate the block settings.
+     *
+     * @param array $data The submitted data
+     * @param array $files The submitted files
+     * @return array Errors keyed by element name
+     */
+    public function validation($data, $files) {
+        $errors = parent::validation($data, $files);
+
+        if (isset($data['config_extractionprofiles']) &&
+                \block_helpchat\local\extraction_profiles::decode($data['config_extractionprofiles']) === null) {
+            $errors['config_extractionprofiles'] = get_string('invalidextractionprofiles', 'block_helpchat');
+        }
+
+        return $errors;
     }
 }
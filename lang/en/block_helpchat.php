@@ -27,6 +27,60 @@ $string['helpchat:addinstance'] = 'Add a new Help Chat block';
 $string['helpchat:myaddinstance'] = 'Add a Help Chat block to my dashboard';
 $string['messageplaceholder'] = 'Type your message here...';
 $string['submitbutton'] = 'Send Message';
+$string['formdataprompt'] = 'This is the form the user is currently editing. Each field is listed under its section with its id, name, label, type and value, the fields the user is working on having been picked first:';
+$string['suggestionsprompt'] = 'When you recommend new values for fields of this form, also list them in a fenced code block with the language helpchat-suggestions. The block must contain only a JSON array of objects with a "field" property holding the id of the element from the analysis and a "value" property holding the complete new value, for example [{"field": "id_defaultmark", "value": "2"}]. The user can then apply the values to the form.';
+$string['historyprompt'] = 'This is the conversation so far. Answer the last message from the user with it in mind:';
+$string['clearconversation'] = 'Clear conversation';
+$string['you'] = 'You';
+$string['assistant'] = 'Help Chat';
+$string['copycode'] = 'Copy';
+$string['codecopied'] = 'Copied';
+$string['insertinto'] = 'Insert into…';
+$string['codeinserted'] = 'Inserted into {$a}';
+$string['codeinsertfailed'] = 'The code could not be inserted into that field.';
+$string['suggestedchanges'] = 'Suggested changes';
+$string['acceptchange'] = 'Accept';
+$string['rejectchange'] = 'Reject';
+$string['changeaccepted'] = 'Accepted';
+$string['changerejected'] = 'Rejected';
+$string['changefailed'] = 'This value could not be applied.';
+$string['fieldnotfound'] = 'The field {$a} is not on this page or cannot be changed.';
+$string['showfield'] = 'Show this field in the form';
+$string['undochanges'] = 'Undo accepted changes';
+$string['contextpanel'] = 'Context being shared';
+$string['contextsummary'] = '{$a->included} of {$a->total} fields, about {$a->tokens} tokens, will be sent with your next message. Untick anything you do not want to share, your choices are remembered for this kind of page.';
+$string['contextnoform'] = 'There is no form on this page to share.';
+$string['contextnosection'] = 'Not in a section';
+$string['contextstructured'] = 'Structured data';
+$string['contextempty'] = '(empty)';
+$string['contextsize'] = '{$a} characters';
+$string['contextfieldcount'] = '{$a} fields';
+$string['askhelpchat'] = 'Ask Help Chat';
+$string['askselection'] = 'About this text in "{$a}":';
+$string['askselectionhelp'] = 'The help for this field says: {$a}';
+$string['explainsetting'] = 'Explain this setting with Help Chat';
+$string['explainsettingprompt'] = 'Explain what the setting "{$a}" does in my case and what I should consider when choosing its value. Keep it short.';
+$string['explainsettingthinking'] = 'Asking Help Chat…';
+$string['lintheading'] = 'STACK checks';
+$string['lintheadingquestion'] = 'Question checks';
+$string['lintnoproblems'] = 'no problems found.';
+$string['lintproblem'] = '1 problem found.';
+$string['lintproblems'] = '{$a} problems found.';
+$string['lintaskfix'] = 'Ask Help Chat to fix these';
+$string['lintfixprompt'] = 'The STACK checks found these problems in my question. How do I fix them?';
+$string['lintfixpromptquestion'] = 'The question checks found these problems in my question. How do I fix them?';
+$string['lintunclosed'] = 'the "{$a->bracket}" on line {$a->line} is not closed';
+$string['lintunexpected'] = 'the "{$a->bracket}" on line {$a->line} does not match an opening bracket';
+$string['lintsemicolon'] = 'line {$a->line} does not end with a semicolon';
+$string['lintundefined'] = '{$a->reference} refers to {$a->variable}, which is not defined';
+$string['lintnomodelans'] = 'the input {$a->input} has no model answer';
+$string['lintinputnotsaved'] = '[[input:{$a->input}]] has no settings yet, save the question to add them and give it a model answer';
+$string['lintfractionsum'] = 'the grades of the correct answers add up to {$a->total}%, not 100%';
+$string['lintnofullmark'] = 'no answer has a grade of 100%';
+$string['lintduplicate'] = 'answer {$a->index} is the same as answer {$a->first}';
+$string['lintnogeneralfeedback'] = 'there is no general feedback';
+$string['lintnotolerance'] = 'answer {$a->index} has no error tolerance, only the exact number is accepted';
+$string['lintimagealt'] = 'the image {$a->src} has no alt text';
 $string['errorprocessingrequest'] = 'Error processing your request. Please try again.';
 $string['err_retrievingfeedback'] = 'Error retrieving feedback from AI service: {$a}';
 $string['err_retrievingfeedback_checkconfig'] = 'Error retrieving feedback from AI service. Please check configuration.';
@@ -42,4 +96,30 @@ $string['defaultprompt'] = 'Only answer questions relating to the Moodle stack q
 $string['questioneditingprompt'] = 'XXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX.';
 $string['defaultpromptsetting'] = 'Default Prompt';
 $string['defaultpromptsetting_desc'] = 'Prompt that each instance of a block is initialised with.';
+$string['redactionrules'] = 'Redaction rules';
+$string['redactionrules_desc'] = 'Extra rules for keeping form data out of what is sent to the AI, added to the built-in rules that drop password fields and session keys and mask email addresses, tokens and long hex strings. Enter one rule per line as <code>action target pattern</code>. The action is <code>drop</code> to leave the field out or <code>mask</code> to hide its value, the target is <code>type</code>, <code>name</code> or <code>value</code> and the pattern is a case-insensitive regular expression. For example <code>drop name ^idnumber$</code> or <code>mask value \\d{3}-\\d{2}-\\d{4}</code>. Lines starting with # are ignored.';
+$string['formtokenbudget'] = 'Form data size limit';
+$string['formtokenbudget_desc'] = 'Roughly how many tokens of form data are sent with each message. On big forms the fields the user is working on, fields with errors and filled in visible fields are sent first, and the rest are summarised.';
+$string['extractionprofiles'] = 'Form reading profiles';
+$string['extractionprofiles_help'] = 'Options for reading the form on the page, as a JSON object keyed by page type. A * in a page type matches any text, and when several page types match a page their options are combined in order. The options are:
+
+* root - CSS selector for the part of the page to read, #page-content by default
+* include - CSS selector fields must be within to be read
+* exclude - CSS selector for fields to leave out
+* types - list of field types to read, such as ["text", "textarea", "select"]
+* maxValueLength - longest value to send before it is cut short
+* checkElementDependencies, analyzeJavaScriptDependencies, analyzeSiblingDependencies - true or false to switch the slower dependency checks on or off
+
+For example {"question-type-*": {"exclude": "#id_tagsheader", "maxValueLength": 2000}}';
+$string['explainbuttons'] = 'Explain buttons';
+$string['explainbuttons_help'] = 'Add a button beside the help icon of each field of the form on the page. Clicking it asks the AI to explain the setting given its current value, the fields it depends on and the section it is in, and shows the answer under the field.';
+$string['questionchecks'] = 'Question checks';
+$string['questionchecks_help'] = 'Checks run on the question being edited, with the problems found listed in the block. Untick a check to turn it off for this block.';
+$string['lintrule_stack'] = 'STACK: Maxima syntax, undefined variables and model answers';
+$string['lintrule_mcfractions'] = 'Multiple choice: grades of the correct answers add up to 100%';
+$string['lintrule_duplicateanswers'] = 'Duplicate answers';
+$string['lintrule_generalfeedback'] = 'Missing general feedback';
+$string['lintrule_numericaltolerance'] = 'Numerical: answers without an error tolerance';
+$string['lintrule_imagealt'] = 'Images without alt text in the question text';
+$string['invalidextractionprofiles'] = 'The form reading profiles must be a JSON object with an object of options for each page type.';
 $string['privacy:metadata'] = 'The Help Chat block does not store any personal data.';
\ No newline at end of file
@@ -28,7 +28,8 @@ if ($ADMIN->fulltree) {
     $options = [
         'core_ai_subsystem' => 'Core AI Subsystem',
         'local_ai_manager' => 'Local AI Manager',
-        'tool_aimanager' => 'Tool AI Manager'
+        'tool_aimanager' => 'Tool AI Manager',
+        'fake' => 'Fake streaming backend (for testing)'
     ];
 
     $settings->add(new admin_setting_configselect(
@@ -47,4 +48,20 @@ if ($ADMIN->fulltree) {
         PARAM_TEXT
     ));
 
+    $settings->add(new admin_setting_configtextarea(
+        'block_helpchat/redactionrules',
+        get_string('redactionrules', 'block_helpchat'),
+        get_string('redactionrules_desc', 'block_helpchat'),
+        '',
+        PARAM_RAW
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'block_helpchat/formtokenbudget',
+        get_string('formtokenbudget', 'block_helpchat'),
+        get_string('formtokenbudget_desc', 'block_helpchat'),
+        3000,
+        PARAM_INT
+    ));
+
 }
\ No newline at end of file
@@ -0,0 +1,89 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Streams the AI response to a Help Chat message as server-sent events.
+ *
+ * Events sent are "chunk" with the next piece of text, then "done", or "error" with a message.
+ *
+ * @package    block_helpchat
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define('NO_OUTPUT_BUFFERING', true);
+
+require_once(__DIR__ . '/../../config.php');
+
+$blockinstanceid = required_param('blockinstanceid', PARAM_INT);
+// Raw, as strip_tags would mangle Maxima such as a<b; c>d. The message only goes to the AI as text.
+$message = required_param('message', PARAM_RAW);
+$formdata = optional_param('formdata', '', PARAM_RAW);
+$pagetype = optional_param('pagetype', '', PARAM_ALPHANUMEXT);
+$historyjson = optional_param('history', '[]', PARAM_RAW);
+
+$context = context_block::instance($blockinstanceid);
+$PAGE->set_context($context);
+$PAGE->set_url(new moodle_url('/blocks/helpchat/stream.php'));
+
+require_login();
+require_sesskey();
+require_capability('moodle/block:view', $context);
+
+$block = block_instance_by_id($blockinstanceid);
+if (!$block instanceof block_helpchat) {
+    throw new moodle_exception('invalidblockinstance', 'error', '', 'helpchat');
+}
+
+// Only keep well formed turns of the conversation.
+$history = [];
+foreach ((array) json_decode($historyjson, true) as $turn) {
+    if (!is_array($turn) || !isset($turn['role'], $turn['content'])) {
+        continue;
+    }
+    $history[] = [
+        'role' => ($turn['role'] === 'assistant') ? 'assistant' : 'user',
+        'content' => clean_param($turn['content'], PARAM_RAW),
+    ];
+}
+
+// Release the session so the user can carry on working while the response streams.
+\core\session\manager::write_close();
+
+header('Content-Type: text/event-stream; charset=utf-8');
+header('Cache-Control: no-cache');
+header('X-Accel-Buffering: no');
+
+/**
+ * Send a server-sent event to the browser.
+ *
+ * @param string $event The event name
+ * @param array $data The event data, sent as JSON
+ */
+function block_helpchat_send_event(string $event, array $data): void {
+    echo 'event: ' . $event . "\n";
+    echo 'data: ' . json_encode($data) . "\n\n";
+    flush();
+}
+
+try {
+    $block->stream_chat_response($message, function(string $chunk) {
+        block_helpchat_send_event('chunk', ['text' => $chunk]);
+    }, $formdata, $pagetype, $history);
+    block_helpchat_send_event('done', []);
+} catch (Throwable $e) {
+    block_helpchat_send_event('error', ['message' => get_string('errorprocessingrequest', 'block_helpchat')]);
+}
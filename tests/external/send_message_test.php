@@ -0,0 +1,115 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\external;
+
+use advanced_testcase;
+use context_course;
+use core_external\external_api;
+
+/**
+ * Tests for the block_helpchat_send_message external function.
+ *
+ * @package    block_helpchat
+ * @category   test
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \block_helpchat\external\send_message
+ */
+final class send_message_test extends advanced_testcase {
+
+    /**
+     * Create a Help Chat block on a course page.
+     *
+     * @param string $prompt The instance prompt
+     * @return \stdClass The block instance record
+     */
+    protected function create_block(string $prompt): \stdClass {
+        $course = $this->getDataGenerator()->create_course();
+        return $this->getDataGenerator()->create_block('helpchat', [
+            'parentcontextid' => context_course::instance($course->id)->id,
+            'pagetypepattern' => 'course-view-*',
+            'configdata' => base64_encode(serialize((object) ['config_prompt' => $prompt])),
+        ]);
+    }
+
+    /**
+     * Test the message and form data are sent to the backend with the instance prompt.
+     */
+    public function test_execute(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+
+        $instance = $this->create_block('Instance prompt');
+
+        $result = send_message::execute($instance->id, 'How do I add a node?', '{"formelements":[]}', 'course-view-topics');
+        $result = external_api::clean_returnvalue(send_message::execute_returns(), $result);
+
+        $this->assertStringStartsWith('AI Response to: Instance prompt', $result['response']);
+        $this->assertStringContainsString(get_string('formdataprompt', 'block_helpchat'), $result['response']);
+        $this->assertStringContainsString('{"formelements":[]}', $result['response']);
+        $this->assertStringEndsWith('How do I add a node?', $result['response']);
+    }
+
+    /**
+     * Test earlier turns are sent to the backend as a transcript before the new message.
+     */
+    public function test_execute_with_history(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+
+        $instance = $this->create_block('Instance prompt');
+        $history = [
+            ['role' => 'user', 'content' => 'What is a PRT?'],
+            ['role' => 'assistant', 'content' => 'A potential response tree.'],
+        ];
+
+        $result = send_message::execute($instance->id, 'How do I add a node?', '', '', $history);
+        $result = external_api::clean_returnvalue(send_message::execute_returns(), $result);
+
+        $this->assertStringContainsString(get_string('historyprompt', 'block_helpchat'), $result['response']);
+        $this->assertStringContainsString("User: What is a PRT?\n\nAssistant: A potential response tree.", $result['response']);
+        $this->assertStringEndsWith('How do I add a node?', $result['response']);
+    }
+
+    /**
+     * Test comparisons in Maxima reach the backend unchanged, rather than being taken for HTML tags.
+     */
+    public function test_execute_keeps_maxima(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+
+        $instance = $this->create_block('Instance prompt');
+        $message = "Why does this fail?\nif x<1 then a<b; c>d\n<b>not bold</b>";
+
+        $result = send_message::execute($instance->id, $message);
+        $result = external_api::clean_returnvalue(send_message::execute_returns(), $result);
+
+        $this->assertStringEndsWith($message, $result['response']);
+    }
+
+    /**
+     * Test users who cannot see the block cannot use it.
+     */
+    public function test_execute_requires_login(): void {
+        $this->resetAfterTest();
+
+        $instance = $this->create_block('Instance prompt');
+
+        $this->expectException(\require_login_exception::class);
+        send_message::execute($instance->id, 'Hello');
+    }
+}
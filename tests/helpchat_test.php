@@ -156,6 +156,34 @@ final class block_helpchat_test extends advanced_testcase {
         $this->assertEquals($expected, $result);
     }
 
+    /**
+     * Test that form data is added to the prompt with the instructions for suggesting field values.
+     */
+    public function test_prepare_prompt_with_form_data(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+
+        $block = new block_helpchat();
+        $block->config = new stdClass();
+        $block->config->config_prompt = 'Custom system prompt for testing';
+
+        $reflection = new \ReflectionClass($block);
+        $method = $reflection->getMethod('prepare_prompt');
+        $method->setAccessible(true);
+
+        $formdata = '{"formelements":[{"id":"id_defaultmark","current_value":"1"}]}';
+        $result = $method->invoke($block, 'Test user message', false, $formdata);
+
+        $expected = "Custom system prompt for testing\n\n" .
+            get_string('formdataprompt', 'block_helpchat') . "\n" . $formdata . "\n\n" .
+            get_string('suggestionsprompt', 'block_helpchat') . "\n\nTest user message";
+        $this->assertEquals($expected, $result);
+
+        // Without form data there is nothing to suggest values for.
+        $result = $method->invoke($block, 'Test user message');
+        $this->assertStringNotContainsString(get_string('suggestionsprompt', 'block_helpchat'), $result);
+    }
+
     /**
      * Test that perform_request method works with pre-prepared prompt.
      */
@@ -0,0 +1,70 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Loads the AMD sources of the block in Node for the tests in this directory.
+ *
+ * The sources are ES modules without a package.json and import each other by
+ * relative paths, so each is loaded from its text with those imports pointing at
+ * the text of the modules they name. Modules of Moodle core cannot be loaded, but
+ * the tests can give stand-ins for them, see stubCoreModule.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {readFileSync} from 'node:fs';
+import {dirname, join, posix} from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+const srcdir = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'amd', 'src');
+const urls = new Map();
+const stubs = new Map();
+
+/**
+ * Give a stand-in for a module of Moodle core, used by the modules loaded after this.
+ *
+ * @param {string} name - Name of the core module, such as core/str
+ * @param {string} source - Source of the module to load in its place
+ */
+export const stubCoreModule = (name, source) => {
+    stubs.set(name, 'data:text/javascript;base64,' + Buffer.from(source).toString('base64'));
+};
+
+/**
+ * Get a data URL holding a module, with its relative imports resolved.
+ *
+ * @param {string} name - Path of the module in amd/src without .js, such as extractors/stack
+ * @returns {string} The URL
+ */
+const getModuleUrl = (name) => {
+    if (!urls.has(name)) {
+        const source = readFileSync(join(srcdir, `${name}.js`), 'utf8').replace(/from '(\.{1,2}\/[\w/]+)'/g,
+            (match, path) => `from '${getModuleUrl(posix.join(posix.dirname(name), path))}'`)
+            .replace(/from '(core\/[\w/]+)'/g, (match, path) => (stubs.has(path) ? `from '${stubs.get(path)}'` : match));
+        urls.set(name, 'data:text/javascript;base64,' + Buffer.from(source).toString('base64'));
+    }
+    return urls.get(name);
+};
+
+/**
+ * Load a module of the block.
+ *
+ * Each module is loaded once, so modules share the state of those they import.
+ *
+ * @param {string} name - Path of the module in amd/src without .js, such as form_integration
+ * @returns {Promise<Object>} The module
+ */
+export const loadAmdModule = (name) => import(getModuleUrl(name));
@@ -0,0 +1,117 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks that amd/src/dom_parser.js reports date and date/time selectors as one element.
+ *
+ * Needs jsdom, see dom_page.mjs. Run from the plugin directory with:
+ *
+ *     node tests/js/date_selectors_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+import {createPage, setPageContent} from './dom_page.mjs';
+
+if (await createPage()) {
+    const {extractDomElements} = await loadAmdModule('dom_parser');
+
+    /**
+     * Write the select of one part of a date selector, as formslib does.
+     *
+     * @param {string} name - Name of the part, such as timeopen[day]
+     * @param {string} value - The value selected
+     * @returns {string} The HTML
+     */
+    const part = (name, value) => `<select name="${name}" id="id_${name.replace(/\[(\w+)\]/, '_$1')}">
+        <option value="1">1</option><option value="${value}" selected>${value}</option></select>`;
+
+    /**
+     * Write a date or date/time selector.
+     *
+     * @param {string} name - Name of the selector
+     * @param {string} type - date_time or date_selector
+     * @param {string} label - Its label
+     * @param {Object} parts - Values of its parts by part name
+     * @param {boolean|null} enabled - Whether its enable checkbox is checked, null if it has none
+     * @returns {string} The HTML
+     */
+    const selector = (name, type, label, parts, enabled) => `<div class="fitem" id="fitem_id_${name}">
+        <div class="col-form-label"><p id="id_${name}_label">${label}</p></div>
+        <div class="felement" data-fieldtype="${type}" id="id_${name}">
+            ${Object.keys(parts).map((key) => part(`${name}[${key}]`, parts[key])).join('')}
+            ${enabled === null ? '' : `<label><input type="checkbox" name="${name}[enabled]" id="id_${name}_enabled"
+                value="1"${enabled ? ' checked' : ''}> Enable</label>`}
+        </div></div>`;
+
+    setPageContent(`<form class="mform" id="mform1">
+        ${selector('timeopen', 'date_time', 'Open the quiz', {day: '5', month: '3', year: '2025', hour: '9', minute: '30'}, true)}
+        ${selector('duedate', 'date_selector', 'Due date', {day: '28', month: '2', year: '2026'}, false)}
+        ${selector('startdate', 'date_selector', 'Course start date', {day: '1', month: '9', year: '2025'}, null)}
+        <div class="fitem"><label for="id_name">Name</label><input type="text" name="name" id="id_name" value="Quiz"></div>
+    </form>`);
+    const byName = (name) => extractDomElements().find((el) => el.name === name);
+
+    const tests = {
+        'each selector takes the place of its parts': () => {
+            assert.deepEqual(extractDomElements().map((el) => [el.name, el.type]), [
+                ['timeopen', 'date_time'], ['duedate', 'date_selector'], ['startdate', 'date_selector'], ['name', 'text']
+            ]);
+        },
+        'a date/time selector has one ISO 8601 value and its enabled state': () => {
+            const {id, current_value: value, label, optional, enabled, active} = byName('timeopen');
+
+            assert.deepEqual({id, value, label, optional, enabled, active}, {id: 'id_timeopen', value: '2025-03-05T09:30',
+                label: 'Open the quiz', optional: true, enabled: true, active: 1});
+        },
+        'a selector that is not enabled keeps its date and is inactive': () => {
+            const duedate = byName('duedate');
+
+            assert.equal(duedate.current_value, '2026-02-28');
+            assert.equal(duedate.enabled, false);
+            assert.equal(duedate.active, 0);
+            assert.equal(duedate.depends_on_enabled, undefined);
+        },
+        'a selector without an enable checkbox is always enabled': () => {
+            const startdate = byName('startdate');
+
+            assert.equal(startdate.current_value, '2025-09-01');
+            assert.equal(startdate.optional, false);
+            assert.equal(startdate.enabled, true);
+        },
+        'ticking the enable checkbox is seen on the next analysis': () => {
+            document.getElementById('id_duedate_enabled').checked = true;
+
+            assert.equal(byName('duedate').enabled, true);
+            assert.equal(byName('duedate').active, 1);
+        }
+    };
+
+    let failures = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            test();
+            console.log(`ok ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`not ok ${name}\n${error.message}`);
+        }
+    }
+    console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+    process.exitCode = failures ? 1 : 0;
+}
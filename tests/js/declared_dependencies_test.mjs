@@ -0,0 +1,97 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the hideIf and disabledIf rules amd/src/dom_parser.js reads from Moodle forms.
+ *
+ * Needs jsdom, see dom_page.mjs. Run from the plugin directory with:
+ *
+ *     node tests/js/declared_dependencies_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+import {createPage, setPageContent} from './dom_page.mjs';
+
+if (await createPage()) {
+    const {extractDomElements, getDeclaredDependencies} = await loadAmdModule('dom_parser');
+
+    // The rules are given to the dependency manager in a script at the end of the page, as formslib writes them.
+    setPageContent(`<form class="mform" id="mform1">
+        <div class="fitem"><label for="id_grademethod">Grading method</label>
+            <select name="grademethod" id="id_grademethod">
+                <option value="1" selected>Highest grade</option><option value="2">Average grade</option>
+            </select></div>
+        <div class="fitem"><label for="id_penalty">Penalty</label>
+            <input type="text" name="penalty" id="id_penalty" value="0.1"></div>
+        <div class="fitem"><label for="id_attempts">Attempts</label>
+            <input type="text" name="attempts" id="id_attempts" value="3"></div>
+        <div class="fitem"><label for="id_name">Name</label>
+            <input type="text" name="name" id="id_name" value="Quiz"></div>
+    </form>
+    <script>M.form.initFormDependencies(Y, "mform1",
+        {"grademethod": {"eq": {"1": {"0": ["penalty"]}}, "neq": {"2": {"1": ["attempts"]}}}});</script>`);
+    const byName = (name) => extractDomElements().find((el) => el.name === name);
+
+    const tests = {
+        'the rules are read from the page and keyed by the dependent field': () => {
+            const rules = getDeclaredDependencies(document.getElementById('mform1'));
+
+            assert.deepEqual(Array.from(rules.entries()), [
+                ['penalty', [{controlName: 'grademethod', operator: 'eq', value: '1', action: 'disable'}]],
+                ['attempts', [{controlName: 'grademethod', operator: 'neq', value: '2', action: 'hide'}]]
+            ]);
+        },
+        'a disabledIf rule is reported as declared with whether it applies': () => {
+            assert.deepEqual(byName('penalty').dependencies, [{
+                controllingElement: 'grademethod',
+                controllingElementId: 'id_grademethod',
+                controllingValue: '1',
+                operator: 'eq',
+                value: '1',
+                action: 'disable',
+                satisfied: true,
+                source: 'declared'
+            }]);
+        },
+        'a change to the controlling field is seen on the next analysis': () => {
+            document.getElementById('id_grademethod').value = '2';
+
+            assert.equal(byName('penalty').dependencies[0].satisfied, false);
+            assert.equal(byName('attempts').dependencies[0].satisfied, false);
+            assert.equal(byName('attempts').dependencies[0].action, 'hide');
+        },
+        'fields without a declared rule get no guessed dependencies': () => {
+            assert.equal(byName('name').dependencies, undefined);
+            assert.equal(byName('name').sibling_dependencies, undefined);
+        }
+    };
+
+    let failures = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            test();
+            console.log(`ok ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`not ok ${name}\n${error.message}`);
+        }
+    }
+    console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+    process.exitCode = failures ? 1 : 0;
+}
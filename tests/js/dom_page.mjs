@@ -0,0 +1,67 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Sets up a page made by jsdom for the tests in this directory that need one.
+ *
+ * Moodle does not install jsdom. Install it without saving it in the Moodle directory,
+ * the tests that need it are skipped otherwise:
+ *
+ *     npm install --no-save jsdom
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Make an empty Moodle page and the globals the block's modules use in the browser.
+ *
+ * Call this before loading the modules.
+ *
+ * @returns {Promise<Object|null>} The JSDOM, or null if jsdom is not installed
+ */
+export const createPage = async () => {
+    let JSDOM = null;
+    try {
+        ({JSDOM} = await import('jsdom'));
+    } catch (error) {
+        console.log('skipped: jsdom is not installed');
+        return null;
+    }
+
+    const dom = new JSDOM('<!DOCTYPE html><body><div id="page-content"></div></body>',
+        {pretendToBeVisual: true, url: 'http://localhost/'});
+    globalThis.M = {};
+    globalThis.window = dom.window;
+    dom.window.M = globalThis.M;
+    ['document', 'Node', 'NodeFilter', 'MutationObserver', 'Event', 'CustomEvent', 'HTMLElement', 'getComputedStyle']
+        .forEach((name) => {
+            globalThis[name] = dom.window[name];
+        });
+    globalThis.CSS = {escape: (value) => String(value).replace(/[^\w-]/g, '\\$&')};
+    return dom;
+};
+
+/**
+ * Put some HTML in the content of the page, in place of what was there.
+ *
+ * @param {string} html - The HTML
+ * @returns {HTMLElement} The page content
+ */
+export const setPageContent = (html) => {
+    const content = document.getElementById('page-content');
+    content.innerHTML = html;
+    return content;
+};
@@ -0,0 +1,79 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the incremental analyzer of amd/src/dom_parser.js against a full scan.
+ *
+ * Runs the benchmark of amd/src/dom_parser_benchmark.js in a page made by jsdom,
+ * which Moodle does not install. Install it without saving it in the Moodle
+ * directory, then run from the plugin directory:
+ *
+ *     npm install --no-save jsdom
+ *     node tests/js/dom_parser_benchmark_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+
+let JSDOM = null;
+try {
+    ({JSDOM} = await import('jsdom'));
+} catch (error) {
+    console.log('skipped: jsdom is not installed');
+}
+
+if (JSDOM) {
+    const dom = new JSDOM('<!DOCTYPE html><body><div id="page-content"></div></body>',
+        {pretendToBeVisual: true, url: 'http://localhost/'});
+    globalThis.M = {};
+    globalThis.window = dom.window;
+    dom.window.M = globalThis.M;
+    ['document', 'Node', 'NodeFilter', 'MutationObserver', 'Event', 'CustomEvent', 'HTMLElement', 'getComputedStyle']
+        .forEach((name) => {
+            globalThis[name] = dom.window[name];
+        });
+    globalThis.CSS = {escape: (value) => String(value).replace(/[^\w-]/g, '\\$&')};
+
+    const {runBenchmark} = await loadAmdModule('dom_parser_benchmark');
+    const report = await runBenchmark({sections: 10, fieldsPerSection: 25, edits: 20});
+
+    const tests = {
+        'incremental analysis matches a full scan after every edit': () => {
+            assert.ok(report.elements > 0);
+            assert.deepEqual(report.differences, []);
+            assert.equal(report.matchesFullScan, true);
+        },
+        'incremental analysis is faster than a full scan': () => {
+            assert.ok(report.incrementalPerEditMs < report.fullPerEditMs,
+                `${report.incrementalPerEditMs} ms per edit against ${report.fullPerEditMs} ms`);
+        }
+    };
+
+    let failures = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            test();
+            console.log(`ok ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`not ok ${name}\n${error.message}`);
+        }
+    }
+    console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+    process.exitCode = failures ? 1 : 0;
+}
@@ -0,0 +1,78 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks what amd/src/field_writer.js puts into TinyMCE editors.
+ *
+ * Run from the plugin directory with:
+ *
+ *     node tests/js/field_writer_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+
+// A textarea with a TinyMCE editor that records what it is given.
+let content = '';
+const editor = {
+    setContent: (html) => {
+        content = html;
+    },
+    getContent: () => content,
+    undoManager: {add: () => undefined},
+    save: () => undefined,
+    dispatch: () => undefined
+};
+const textarea = {id: 'id_questiontext', type: 'textarea', tagName: 'TEXTAREA', dispatchEvent: () => true};
+globalThis.window = globalThis;
+globalThis.tinymce = {get: (id) => (id === textarea.id ? editor : null)};
+globalThis.Event = class {
+    constructor(type) {
+        this.type = type;
+    }
+};
+
+const {writeFieldValue} = await loadAmdModule('field_writer');
+
+const tests = {
+    'Maxima code is escaped and kept in a pre block': () => {
+        writeFieldValue(textarea, 'if a<b then c>d\nx<y and y>z', 'code');
+        assert.equal(content, '<pre>if a&lt;b then c&gt;d\nx&lt;y and y&gt;z</pre>');
+    },
+    'text that looks like HTML is escaped': () => {
+        writeFieldValue(textarea, '<img src=x onerror=alert(1)>\n\n<b>Bold</b>');
+        assert.equal(content, '<p>&lt;img src=x onerror=alert(1)&gt;</p><p>&lt;b&gt;Bold&lt;/b&gt;</p>');
+    },
+    'content read from the editor is restored as it was': () => {
+        writeFieldValue(textarea, '<p>Before <strong>undo</strong></p>', 'html');
+        assert.equal(content, '<p>Before <strong>undo</strong></p>');
+    }
+};
+
+let failures = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`ok ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok ${name}\n${error.message}`);
+    }
+}
+console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+process.exitCode = failures ? 1 : 0;
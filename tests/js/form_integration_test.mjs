@@ -0,0 +1,156 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the form context sent with each message by amd/src/form_integration.js.
+ *
+ * Run from the plugin directory with:
+ *
+ *     node tests/js/form_integration_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+
+// Only the hidden field holding the analysis is read from the page.
+const hiddenField = {value: ''};
+globalThis.M = {};
+globalThis.window = globalThis;
+globalThis.document = {getElementById: (id) => (id === 'form-analysis-data' ? hiddenField : null)};
+
+const {getPromptContext, setExclusions} = await loadAmdModule('form_integration');
+
+let order = 0;
+const field = (id, name, value) => ({kind: 'element', order: order++, id: id, name: name, type: 'text',
+    label: name, current_value: value, active: true});
+const section = (id, legend, children) => ({kind: 'section', order: order++, id: id, legend: legend, children: children});
+
+/**
+ * Put a form in the hidden field as the block would after analysing the page.
+ *
+ * @param {Object} values - Values of the name, secret and notes fields
+ */
+const setForm = (values) => {
+    order = 0;
+    hiddenField.value = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        form: {
+            sections: [
+                section('id_general', 'General', [
+                    field('id_name', 'name', values.name),
+                    field('id_secret', 'secret', values.secret)
+                ]),
+                section('id_notes', 'Notes', [field('id_notes_text', 'notes', values.notes)])
+            ],
+            elements: []
+        },
+        extracted: {}
+    });
+};
+
+/**
+ * Put a multichoice question in the hidden field, with the data of its extractor.
+ */
+const setMultichoice = () => {
+    order = 0;
+    hiddenField.value = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        form: {
+            sections: [
+                section('id_answerhdr', 'Answers', [
+                    field('id_answer_0', 'answer[0][text]', 'Paris is the capital'),
+                    field('id_fraction_0', 'fraction[0]', '1.0'),
+                    field('id_answer_1', 'answer[1][text]', 'Lyon is the capital'),
+                    field('id_fraction_1', 'fraction[1]', '0.0')
+                ])
+            ],
+            elements: []
+        },
+        extracted: {
+            multichoice: {single: true, shuffleanswers: true, answernumbering: 'abc', answers: [
+                {index: 0, answer: 'Paris is the capital', fraction: 1, feedback: ''},
+                {index: 1, answer: 'Lyon is the capital', fraction: 0, feedback: ''}
+            ]}
+        }
+    });
+};
+
+const tests = {
+    'the structured data leaves out an excluded answer': () => {
+        setExclusions('form-analysis-data', {fields: ['answer[0][text]'], sections: [], extracted: []});
+        setMultichoice();
+        const context = getPromptContext('form-analysis-data');
+
+        assert.doesNotMatch(context.text, /Paris/);
+        assert.match(context.text, /Structured data \(multichoice\).*Lyon is the capital/);
+    },
+    'the structured data leaves out the answers of an excluded section': () => {
+        setExclusions('form-analysis-data', {fields: [], sections: ['id_answerhdr'], extracted: []});
+        setMultichoice();
+        const context = getPromptContext('form-analysis-data');
+
+        assert.doesNotMatch(context.text, /Paris|Lyon/);
+    },
+    'a field excluded between two messages is not reported as removed': () => {
+        setExclusions('form-analysis-data', {fields: [], sections: [], extracted: []});
+        setForm({name: 'Quiz', secret: 'hunter2', notes: 'Keep private'});
+        getPromptContext('form-analysis-data');
+
+        setExclusions('form-analysis-data', {fields: ['secret'], sections: ['id_notes'], extracted: []});
+        setForm({name: 'Quiz 2', secret: 'hunter2', notes: 'Keep private'});
+        const context = getPromptContext('form-analysis-data');
+
+        assert.match(context.text, /Quiz 2/);
+        assert.doesNotMatch(context.text, /hunter2/);
+        assert.doesNotMatch(context.text, /Keep private/);
+        assert.doesNotMatch(context.text, /removed/);
+    },
+    'a field excluded and then changed does not show its new value': () => {
+        setExclusions('form-analysis-data', {fields: [], sections: [], extracted: []});
+        setForm({name: 'Quiz', secret: 'old', notes: ''});
+        getPromptContext('form-analysis-data');
+
+        setExclusions('form-analysis-data', {fields: ['secret'], sections: [], extracted: []});
+        setForm({name: 'Quiz', secret: 'new secret', notes: ''});
+        const context = getPromptContext('form-analysis-data');
+
+        assert.doesNotMatch(context.text, /new secret|"old"/);
+    },
+    'a change to a shared field is still reported': () => {
+        setExclusions('form-analysis-data', {fields: ['secret'], sections: [], extracted: []});
+        setForm({name: 'Before', secret: 'x', notes: ''});
+        getPromptContext('form-analysis-data');
+        setForm({name: 'After', secret: 'y', notes: ''});
+        const context = getPromptContext('form-analysis-data');
+
+        assert.match(context.text, /changed .*"Before".*"After"/);
+    }
+};
+
+let failures = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`ok ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok ${name}\n${error.message}`);
+    }
+}
+console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,133 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the compact text of the form analysis written by amd/src/form_serialiser.js.
+ *
+ * Run from the plugin directory with:
+ *
+ *     node tests/js/form_serialiser_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+
+globalThis.M = {};
+globalThis.window = globalThis;
+
+const {serialiseFormAnalysis} = await loadAmdModule('form_serialiser');
+
+const field = (index, value, extra = {}) => Object.assign({kind: 'element', order: index, id: `id_field${index}`,
+    name: `field${index}`, type: 'text', label: `Field ${index}`, current_value: value, active: true, visible: true}, extra);
+const analysis = (elements, extra = {}) => Object.assign({form: {sections: [], elements: elements}, extracted: {}}, extra);
+
+const tests = {
+    'an image held in a data URL is listed by its type and size': () => {
+        const src = 'data:image/png;base64,' + 'A'.repeat(40000);
+        const result = serialiseFormAnalysis(analysis([
+            field(0, 'Look at the picture', {id: 'id_questiontext', type: 'textarea',
+                rich_text: {html: `<img src="${src}">`, media: [{type: 'image', src: src, alt: null, title: ''}]}})
+        ]), {tokenBudget: 500});
+
+        assert.equal(result.included, 1);
+        assert.match(result.text, /image data:image\/png \(40022 characters\) alt=null/);
+        assert.ok(result.tokens <= 500);
+    },
+    'long media sources are shortened like other values': () => {
+        const src = 'https://example.com/' + 'x'.repeat(3000) + '.png';
+        const result = serialiseFormAnalysis(analysis([
+            field(0, 'Text', {rich_text: {html: '', media: [{type: 'image', src: src, alt: 'A cat', title: ''}]}})
+        ]), {tokenBudget: 500});
+
+        assert.equal(result.included, 1);
+        assert.match(result.text, /… \(3024 characters\) alt="A cat"/);
+    },
+    'the redacted and not shared lines count against the budget': () => {
+        const elements = Array.from({length: 200}, (item, index) => field(index, `Value number ${index} of the form`));
+        const redacted = Array.from({length: 60}, (item, index) => ({name: `a_rather_long_redacted_field_name_${index}`}));
+        const sections = Array.from({length: 40}, (item, index) => `A section with a long heading ${index}`);
+        [200, 400, 1000].forEach((budget) => {
+            const result = serialiseFormAnalysis(analysis(elements, {
+                redacted: redacted,
+                excluded: {fields: 80, sections: sections}
+            }), {tokenBudget: budget});
+
+            assert.ok(result.tokens <= budget, `${result.tokens} tokens for a budget of ${budget}`);
+            assert.match(result.text, /Redacted: 60 fields \(.* and \d+ more\)/);
+            assert.match(result.text, /Not shared by the user: 80 fields, including the sections .* and \d+ more\./);
+            assert.match(result.text, /Not shown to keep within the size limit/);
+            assert.equal(result.included + result.dropped.length, 200);
+        });
+    },
+    'declared and heuristic dependencies are described': () => {
+        const result = serialiseFormAnalysis(analysis([
+            field(0, '10', {dependencies: [{controllingElement: 'timelimitenable', controllingValue: '0', operator: 'notchecked',
+                value: '1', action: 'disable', satisfied: true, source: 'declared'}]}),
+            field(1, '', {dependencies: [{controllingElement: 'grademethod', controllingValue: '1', requiredValue: '2',
+                source: 'heuristic'}], depends_on_enabled: 'field1_enabled'})
+        ]));
+
+        assert.match(result.text, /id_field0 .* depends on: disable if timelimitenable notchecked \(declared, applies now\)/);
+        assert.match(result.text,
+            /id_field1 .* depends on: shown if grademethod = "2" \(heuristic, now "1"\); enabled by field1_enabled/);
+    },
+    'client-side rules, errors and help text are on the field line': () => {
+        const result = serialiseFormAnalysis(analysis([
+            field(0, '', {required: true, rules: ['required', 'maxlength'], invalid: true, error: 'You must supply a value here.',
+                helptext: 'The name shown to students'})
+        ]));
+
+        assert.match(result.text,
+            /ERROR: "You must supply a value here\." rules: required, maxlength help: "The name shown to students"/);
+    },
+    'repeats say how many of their records are filled': () => {
+        const records = [0, 1].map((index) => ({index: index, blank: false, elements: [
+            field(index * 2, `Answer ${index}`, {id: `id_answer_${index}`, name: `answer[${index}]`}),
+            field(index * 2 + 1, '1.0', {id: `id_fraction_${index}`, name: `fraction[${index}]`})
+        ]}));
+        const result = serialiseFormAnalysis({form: {sections: [{kind: 'section', order: 0, id: 'id_answerhdr',
+            legend: 'Answers', collapsible: true, expanded: false, children: [{kind: 'repeat', order: 0, name: 'answer',
+                fields: ['answer', 'fraction'], total: 5, filled: 2, records: records}]}], elements: []}, extracted: {}});
+
+        assert.equal(result.included, 4);
+        assert.match(result.text, /## Answers \(collapsed\)\n### Repeat answer \(answer, fraction\): 2 of 5 filled, /);
+        assert.equal(result.text.match(/### Repeat/g).length, 1);
+    },
+    'everything is listed when it fits': () => {
+        const result = serialiseFormAnalysis(analysis([field(0, 'One'), field(1, 'Two')], {
+            redacted: [{name: 'password'}]
+        }), {tokenBudget: 3000});
+
+        assert.equal(result.included, 2);
+        assert.deepEqual(result.dropped, []);
+        assert.match(result.text, /Redacted: 1 fields \(password\)$/);
+    }
+};
+
+let failures = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`ok ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok ${name}\n${error.message}`);
+    }
+}
+console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+process.exitCode = failures ? 1 : 0;
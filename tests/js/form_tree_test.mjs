@@ -0,0 +1,99 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the form tree of sections, groups and elements built by amd/src/dom_parser.js.
+ *
+ * Needs jsdom, see dom_page.mjs. Run from the plugin directory with:
+ *
+ *     node tests/js/form_tree_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+import {createPage, setPageContent} from './dom_page.mjs';
+
+if (await createPage()) {
+    const {buildFormTree, extractDomElements, flattenFormTree} = await loadAmdModule('dom_parser');
+
+    const root = setPageContent(`<form class="mform" id="mform1">
+        <fieldset class="clearfix collapsible" id="id_general"><legend class="d-none">General</legend>
+            <div class="fcontainer">
+                <div class="fitem"><label for="id_name">Question name</label>
+                    <input type="text" name="name" id="id_name" value="Q1"></div>
+                <div class="fitem" id="fgroup_id_penaltygroup">
+                    <span class="col-form-label" id="fgroup_id_penaltygroup_label">Penalty</span>
+                    <select name="penalty" id="id_penalty"><option value="0.1" selected>10%</option></select>
+                    <input type="checkbox" name="penaltyenabled" id="id_penaltyenabled" value="1"></div>
+            </div></fieldset>
+        <fieldset class="clearfix collapsible collapsed" id="id_multitriesheader"><legend class="d-none">Multiple tries</legend>
+            <div class="fcontainer"><div class="fitem"><input type="text" name="hint" id="id_hint"></div></div></fieldset>
+        <fieldset class="clearfix collapsible" id="id_tagsheader"><legend class="d-none">Tags</legend>
+            <div class="fcontainer"></div></fieldset>
+        <input type="submit" name="save" id="id_save" value="Save">
+    </form>`);
+    const tree = buildFormTree(extractDomElements(), root);
+
+    const tests = {
+        'sections are listed in page order with their legend and state': () => {
+            assert.deepEqual(tree.sections.map(({kind, order, id, legend, collapsible, expanded}) =>
+                ({kind, order, id, legend, collapsible, expanded})), [
+                {kind: 'section', order: 0, id: 'id_general', legend: 'General', collapsible: true, expanded: true},
+                {kind: 'section', order: 1, id: 'id_multitriesheader', legend: 'Multiple tries', collapsible: true,
+                    expanded: false},
+                {kind: 'section', order: 2, id: 'id_tagsheader', legend: 'Tags', collapsible: true, expanded: true}
+            ]);
+            assert.deepEqual(tree.sections[2].children, []);
+        },
+        'the elements of a form group are kept together under its label': () => {
+            const group = tree.sections[0].children[1];
+
+            assert.equal(tree.sections[0].children[0].name, 'name');
+            assert.equal(group.kind, 'group');
+            assert.equal(group.name, 'penaltygroup');
+            assert.equal(group.label, 'Penalty');
+            assert.deepEqual(group.children.map((child) => [child.kind, child.order, child.name]),
+                [['element', 0, 'penalty'], ['element', 1, 'penaltyenabled']]);
+        },
+        'elements outside any section come after the sections before them': () => {
+            assert.deepEqual(tree.elements.map((item) => [item.kind, item.order, item.name]), [['element', 3, 'save']]);
+        },
+        'flattening gives each element its sections and group in page order': () => {
+            assert.deepEqual(flattenFormTree(tree).map((el) => [el.name, el.sections.join(' > '), el.group]), [
+                ['name', 'General', null],
+                ['penalty', 'General', 'fgroup_id_penaltygroup'],
+                ['penaltyenabled', 'General', 'fgroup_id_penaltygroup'],
+                ['hint', 'Multiple tries', null],
+                ['save', '', null]
+            ]);
+        }
+    };
+
+    let failures = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            test();
+            console.log(`ok ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`not ok ${name}\n${error.message}`);
+        }
+    }
+    console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+    process.exitCode = failures ? 1 : 0;
+}
@@ -0,0 +1,93 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the locators amd/src/dom_parser.js gives form elements and finding elements by them.
+ *
+ * Needs jsdom, see dom_page.mjs. Run from the plugin directory with:
+ *
+ *     node tests/js/locators_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+import {createPage, setPageContent} from './dom_page.mjs';
+
+if (await createPage()) {
+    const {extractDomElements, findElementByLocator, getElementLocator} = await loadAmdModule('dom_parser');
+
+    const form = `<form class="mform" id="mform1">
+        <fieldset class="clearfix" id="id_general"><legend>General</legend><div class="fcontainer">
+            <div class="fitem"><label for="id_name">Name</label><input type="text" name="name" id="id_name" value="Q1"></div>
+        </div></fieldset>
+        <fieldset class="clearfix" id="id_answers"><legend>Answers</legend><div class="fcontainer">
+            <div class="fitem"><label for="id_answer_0">Choice 1</label>
+                <input type="text" name="answer[0]" id="id_answer_0" value="Paris"></div>
+            <div class="fitem"><span>Single</span>
+                <label><input type="radio" name="single" value="1" checked> One answer only</label>
+                <label><input type="radio" name="single" value="0"> Multiple answers allowed</label></div>
+        </div></fieldset>
+    </form>`;
+    setPageContent(form);
+    const byName = (name) => extractDomElements().find((el) => el.name === name);
+
+    const tests = {
+        'each element has its id, name, section and a CSS path': () => {
+            assert.deepEqual(byName('answer[0]').locator, {id: 'id_answer_0', name: 'answer[0]', section: 'id_answers',
+                path: '#id_answer_0'});
+        },
+        'an element without an id has a path from the nearest container with one': () => {
+            const radio = document.querySelector('[name="single"]');
+            const locator = getElementLocator(radio);
+
+            assert.equal(locator.id, '');
+            assert.equal(locator.section, 'id_answers');
+            assert.equal(locator.path, '#id_answers > div > div:nth-of-type(2) > label:nth-of-type(1) > input[name="single"]');
+            assert.equal(document.querySelector(locator.path), radio);
+        },
+        'an element is found by its id first': () => {
+            assert.equal(findElementByLocator(byName('name').locator), document.getElementById('id_name'));
+        },
+        'an element whose id changed is found by its name in its section': () => {
+            const locator = byName('answer[0]').locator;
+            setPageContent(form.replace(/id_answer_0/g, 'id_answer_0_reloaded'));
+
+            assert.equal(findElementByLocator(locator), document.getElementById('id_answer_0_reloaded'));
+        },
+        'an element that is gone is not found': () => {
+            const locator = byName('answer[0]').locator;
+            setPageContent('');
+
+            assert.equal(findElementByLocator(locator), null);
+            assert.equal(findElementByLocator(null), null);
+        }
+    };
+
+    let failures = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            test();
+            console.log(`ok ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`not ok ${name}\n${error.message}`);
+        }
+    }
+    console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+    process.exitCode = failures ? 1 : 0;
+}
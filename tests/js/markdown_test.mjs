@@ -0,0 +1,70 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks amd/src/markdown.js against the fixture corpus in tests/fixtures/markdown.
+ *
+ * Every NAME.md fixture is rendered and compared with NAME.html. Run from the
+ * plugin directory with:
+ *
+ *     node tests/js/markdown_test.mjs
+ *
+ * Pass --update to rewrite the .html files after an intended change in output.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {readFileSync, readdirSync, writeFileSync} from 'node:fs';
+import {dirname, join} from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+const plugindir = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const fixturedir = join(plugindir, 'tests', 'fixtures', 'markdown');
+const update = process.argv.includes('--update');
+
+// The AMD source is an ES module without a package.json, so load it from its text.
+const source = readFileSync(join(plugindir, 'amd', 'src', 'markdown.js'), 'utf8');
+const {renderMarkdown} = await import('data:text/javascript;base64,' + Buffer.from(source).toString('base64'));
+
+let failures = 0;
+const fixtures = readdirSync(fixturedir).filter(file => file.endsWith('.md')).sort();
+
+for (const file of fixtures) {
+    const name = file.slice(0, -3);
+    const actual = renderMarkdown(readFileSync(join(fixturedir, file), 'utf8')) + '\n';
+    const expectedfile = join(fixturedir, name + '.html');
+
+    if (update) {
+        writeFileSync(expectedfile, actual);
+        continue;
+    }
+
+    const expected = readFileSync(expectedfile, 'utf8');
+    if (actual === expected) {
+        console.log(`ok ${name}`);
+    } else {
+        failures++;
+        console.log(`not ok ${name}`);
+        console.log('--- expected\n' + expected + '--- actual\n' + actual);
+    }
+}
+
+if (update) {
+    console.log(`Updated ${fixtures.length} fixtures`);
+} else {
+    console.log(`${fixtures.length - failures} of ${fixtures.length} fixtures passed`);
+    process.exitCode = failures ? 1 : 0;
+}
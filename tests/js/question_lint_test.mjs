@@ -0,0 +1,91 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the question checks of amd/src/question_lint.js.
+ *
+ * Run from the plugin directory with:
+ *
+ *     node tests/js/question_lint_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+
+// The checks run on an analysis that is not of a page, the page type is given to them.
+globalThis.M = {};
+globalThis.window = globalThis;
+globalThis.document = {getElementById: () => null};
+
+const {runRules} = await loadAmdModule('question_lint');
+
+let order = 0;
+const field = (name, value) => ({kind: 'element', order: order++, id: `id_${name}`, name: name, type: 'text',
+    current_value: value, active: true, visible: true});
+const analysis = (elements, extracted = {}) => ({form: {sections: [], elements: elements}, extracted: extracted});
+const multichoice = (single, fractions) => analysis([], {multichoice: {single: single, shuffleanswers: true, answernumbering: 'abc',
+    answers: fractions.map((fraction, index) => ({index: index, answer: `Answer ${index}`, fraction: fraction, feedback: ''}))}});
+
+const tests = {
+    'grades of the correct answers not adding up to 100% are reported': () => {
+        const {applied, problems} = runRules(multichoice(false, [0.5, 0.3, 0]), [], 'question-type-multichoice');
+
+        assert.ok(applied.includes('mcfractions'));
+        assert.deepEqual(problems, [{rule: 'mcfractions', severity: 'warning', code: 'fractionsum', name: 'fraction[0]',
+            params: {total: 80}}]);
+    },
+    'grades adding up to 100% are accepted': () => {
+        const {problems} = runRules(multichoice(false, [0.333333, 0.333333, 0.333333, -1]), [], 'question-type-multichoice');
+
+        assert.deepEqual(problems, []);
+    },
+    'a single answer question without a full mark is reported': () => {
+        const {problems} = runRules(multichoice(true, [0.5, 0]), [], 'question-type-multichoice');
+
+        assert.deepEqual(problems.map((problem) => problem.code), ['nofullmark']);
+    },
+    'numeric answers with the same value are duplicates': () => {
+        const {problems} = runRules(analysis([
+            field('answer[0]', '1'), field('tolerance[0]', '0.1'),
+            field('answer[1]', '1.0'), field('tolerance[1]', '0.1'),
+            field('answer[2]', '')
+        ]), [], 'question-type-numerical');
+
+        assert.deepEqual(problems, [{rule: 'duplicateanswers', severity: 'warning', code: 'duplicate', name: 'answer[1]',
+            params: {index: 2, first: 1}}]);
+    },
+    'a rule turned off is not run': () => {
+        const {applied, problems} = runRules(multichoice(false, [0.5]), ['mcfractions'], 'question-type-multichoice');
+
+        assert.ok(!applied.includes('mcfractions'));
+        assert.deepEqual(problems, []);
+    }
+};
+
+let failures = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`ok ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok ${name}\n${error.message}`);
+    }
+}
+console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+process.exitCode = failures ? 1 : 0;
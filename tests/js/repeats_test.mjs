@@ -0,0 +1,108 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the grouping of repeat_elements fields into records by amd/src/dom_parser.js.
+ *
+ * Run from the plugin directory with:
+ *
+ *     node tests/js/repeats_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+
+// The elements are not on a page, so none of them is found in it.
+globalThis.M = {};
+globalThis.window = globalThis;
+globalThis.document = {getElementById: () => null};
+
+const {groupRepeatedElements} = await loadAmdModule('dom_parser');
+
+const element = (name, type, value, extra = {}) => Object.assign({id: `id_${name.replace(/\]\[|\[|\]/g, '_')}`,
+    name: name, type: type, current_value: value}, extra);
+
+/**
+ * Make the fields of a multichoice question with five answers, two of them filled.
+ *
+ * @returns {Array} The element data
+ */
+const multichoiceAnswers = () => [0, 1, 2, 3, 4].flatMap((index) => [
+    element(`answer[${index}][text]`, 'textarea', ['Paris', 'Lyon'][index] || ''),
+    element(`answer[${index}][format]`, 'hidden', '1'),
+    element(`fraction[${index}]`, 'select', index === 0 ? '1.0' : '0.0'),
+    element(`feedback[${index}][text]`, 'textarea', index === 0 ? 'Well done' : '')
+]).concat([
+    element('hint[0][text]', 'textarea', 'Think of the capital'),
+    element('hint[1][text]', 'textarea', ''),
+    element('hintshownumcorrect[0]', 'checkbox', '', {checked: false}),
+    element('hintshownumcorrect[1]', 'checkbox', '', {checked: false}),
+    element('name', 'text', 'Capitals')
+]);
+
+const tests = {
+    'fields with the same indices make up one repeat': () => {
+        const repeats = groupRepeatedElements(multichoiceAnswers());
+
+        assert.deepEqual(repeats.map((repeat) => [repeat.name, repeat.fields]), [
+            ['answer', ['answer', 'answer[format]', 'fraction', 'feedback']],
+            ['hint', ['hint', 'hintshownumcorrect']]
+        ]);
+    },
+    'the blank spare repeats at the end are left out and counted': () => {
+        const answers = groupRepeatedElements(multichoiceAnswers())[0];
+
+        assert.equal(answers.total, 5);
+        assert.equal(answers.filled, 2);
+        assert.deepEqual(answers.records.map((record) => record.index), [0, 1]);
+        assert.deepEqual(answers.records[0].values, {'answer': 'Paris', 'answer[format]': '1', 'fraction': '1.0',
+            'feedback': 'Well done'});
+        assert.equal(answers.records[0].elements.length, 4);
+    },
+    'a blank record before a filled one is kept': () => {
+        const elements = multichoiceAnswers();
+        elements.find((el) => el.name === 'answer[1][text]').current_value = '';
+        elements.find((el) => el.name === 'answer[3][text]').current_value = 'Marseille';
+        const answers = groupRepeatedElements(elements)[0];
+
+        assert.equal(answers.filled, 2);
+        assert.deepEqual(answers.records.map((record) => [record.index, record.blank]), [[0, false], [1, true], [2, true],
+            [3, false]]);
+    },
+    'fields in different scopes make different repeats': () => {
+        const repeats = groupRepeatedElements([
+            element('answer[0]', 'text', 'One'), element('answer[1]', 'text', 'Two'),
+            element('answer[0]', 'text', 'Other', {id: 'id_other_0'}), element('answer[1]', 'text', '', {id: 'id_other_1'})
+        ], (data) => (data.id.startsWith('id_other') ? 'other' : 'main'));
+
+        assert.deepEqual(repeats.map((repeat) => [repeat.total, repeat.filled]), [[2, 2], [2, 1]]);
+    }
+};
+
+let failures = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`ok ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok ${name}\n${error.message}`);
+    }
+}
+console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+process.exitCode = failures ? 1 : 0;
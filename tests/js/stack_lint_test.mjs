@@ -0,0 +1,92 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the STACK question checks of amd/src/stack_lint.js.
+ *
+ * Run from the plugin directory with:
+ *
+ *     node tests/js/stack_lint_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule, stubCoreModule} from './amd_loader.mjs';
+
+// The checks run on elements that are not on a page, and the strings are only used by the checklist.
+globalThis.M = {};
+globalThis.window = globalThis;
+globalThis.document = {getElementById: () => null};
+stubCoreModule('core/str', `export const get_string = (key) => Promise.resolve(key);
+export const get_strings = (requests) => Promise.resolve(requests.map((request) => request.key));`);
+
+const {checkMaxima, checkCasText, findDefinedNames, lintStackQuestion} = await loadAmdModule('stack_lint');
+
+const field = (name, value) => ({kind: 'element', order: 0, id: `id_${name}`, name: name, type: 'textarea',
+    current_value: value, active: true, visible: true});
+
+const tests = {
+    'an unclosed bracket is reported with its line': () => {
+        assert.deepEqual(checkMaxima('a: 2;\nb: (a + 1;'), [{code: 'unclosed', params: {bracket: '(', line: 2}}]);
+    },
+    'a bracket closed by the wrong one is reported': () => {
+        assert.deepEqual(checkMaxima('a: [1, 2);'), [{code: 'unexpected', params: {bracket: ')', line: 1}}]);
+    },
+    'a missing semicolon is reported with its line': () => {
+        assert.deepEqual(checkMaxima('a: 1\nb: 2;'), [{code: 'semicolon', params: {line: 1}}]);
+    },
+    'statements split over lines and strings with brackets are accepted': () => {
+        assert.deepEqual(checkMaxima('a: 1 +\n  2;\ns: "a (b";\nf(x) := x^2$'), []);
+    },
+    'a reference to an undefined variable is reported once': () => {
+        const problems = checkCasText('Find {@x@} given {@a@} and {#x#}.', findDefinedNames('a: 1; [b, c]: [2, 3];'));
+
+        assert.deepEqual(problems, [{code: 'undefined', params: {variable: 'x', reference: '{@x@}'}}]);
+    },
+    'an input without a model answer is reported on its model answer field': () => {
+        const problems = lintStackQuestion([
+            field('questionvariables', 'a: 2;'),
+            field('questiontext[text]', '<p>What is {@a@}? [[input:ans1]] [[validation:ans1]]</p>')
+        ], {inputs: [{name: 'ans1', modelans: ''}], prts: []});
+
+        assert.deepEqual(problems, [{severity: 'warning', name: 'ans1modelans', code: 'nomodelans', params: {input: 'ans1'}}]);
+    },
+    'an undefined variable in the question text is reported on the question text': () => {
+        const problems = lintStackQuestion([
+            field('questionvariables', 'a: 2;'),
+            field('questiontext[text]', '<p>What is {@x@}? [[input:ans1]]</p>')
+        ], {inputs: [{name: 'ans1', modelans: 'a'}], prts: []});
+
+        assert.equal(problems.length, 1);
+        assert.equal(problems[0].name, 'questiontext');
+        assert.equal(problems[0].code, 'undefined');
+        assert.equal(problems[0].params.variable, 'x');
+    }
+};
+
+let failures = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`ok ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok ${name}\n${error.message}`);
+    }
+}
+console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+process.exitCode = failures ? 1 : 0;
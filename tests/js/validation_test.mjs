@@ -0,0 +1,127 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checks the validation errors, required fields and client-side rules read by amd/src/dom_parser.js.
+ *
+ * Needs jsdom, see dom_page.mjs. Run from the plugin directory with:
+ *
+ *     node tests/js/validation_test.mjs
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import assert from 'node:assert/strict';
+import {loadAmdModule} from './amd_loader.mjs';
+import {createPage, setPageContent} from './dom_page.mjs';
+
+if (await createPage()) {
+    const {extractDomElements, getClientRules} = await loadAmdModule('dom_parser');
+
+    // A form after a failed submit, with the validate_ function formslib writes for its client-side rules.
+    setPageContent(`<form class="mform" id="mform1">
+        <div class="fitem"><label class="col-form-label" for="id_name">Name
+            <abbr class="initialism text-danger" title="Required">*</abbr></label>
+            <input type="text" class="form-control is-invalid" name="name" id="id_name" value=""
+                aria-describedby="id_error_name">
+            <div class="form-control-feedback invalid-feedback" id="id_error_name">You must supply a value here.</div></div>
+        <div class="fitem"><label for="id_idnumber">ID number</label>
+            <input type="text" class="form-control" name="idnumber" id="id_idnumber" value="abc"></div>
+        <div class="fitem"><label for="id_grade">Grade</label>
+            <input type="text" class="form-control" name="grade" id="id_grade" value="10">
+            <div class="form-control-feedback invalid-feedback" id="id_error_grade" style="display: none;"></div></div>
+    </form>
+    <script>
+    function validate_mform1_name(element, ignoreReset) {
+        var value = '';
+        var errFlag = new Array();
+        var _qfGroups = {};
+        var _qfMsg = '';
+        var frm = element.parentNode;
+        value = frm.elements['name'].value;
+        if (value == '' && !errFlag['name']) {
+            errFlag['name'] = true;
+            _qfMsg = _qfMsg + '\\n - You must supply a value here.';
+        }
+        if (value != '' && value.length > 255 && !errFlag['name']) {
+            errFlag['name'] = true;
+            _qfMsg = _qfMsg + '\\n - Maximum of 255 characters';
+        }
+    }
+    function validate_mform1_grade(element, ignoreReset) {
+        var value = '';
+        var errFlag = new Array();
+        var frm = element.parentNode;
+        value = frm.elements['grade'].value;
+        var regex = /(^-?\\d\\d*\\.\\d*$)|(^-?\\d\\d*$)|(^-?\\.\\d\\d*$)/;
+        if (value != '' && !regex.test(value) && !errFlag['grade']) {
+            errFlag['grade'] = true;
+        }
+    }
+    </script>`);
+    const byName = (name) => extractDomElements().find((el) => el.name === name);
+
+    const tests = {
+        'the rules are read from the validate functions of the form': () => {
+            assert.deepEqual(Array.from(getClientRules().entries()), [
+                ['name', ['required', 'maxlength']],
+                ['grade', ['numeric']]
+            ]);
+        },
+        'a field that failed validation has its error message and rules': () => {
+            const name = byName('name');
+
+            assert.equal(name.invalid, true);
+            assert.equal(name.error, 'You must supply a value here.');
+            assert.equal(name.required, true);
+            assert.deepEqual(name.rules, ['required', 'maxlength']);
+        },
+        'a hidden empty error is not an error': () => {
+            const grade = byName('grade');
+
+            assert.equal(grade.invalid, undefined);
+            assert.equal(grade.required, false);
+            assert.deepEqual(grade.rules, ['numeric']);
+        },
+        'a field without rules has none listed': () => {
+            const idnumber = byName('idnumber');
+
+            assert.equal(idnumber.invalid, undefined);
+            assert.equal(idnumber.rules, undefined);
+            assert.equal(idnumber.required, false);
+        },
+        'an error shown by the client-side checks is seen on the next analysis': () => {
+            const error = document.getElementById('id_error_grade');
+            error.textContent = 'You must enter a number here.';
+            error.style.display = '';
+
+            assert.equal(byName('grade').error, 'You must enter a number here.');
+        }
+    };
+
+    let failures = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            test();
+            console.log(`ok ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`not ok ${name}\n${error.message}`);
+        }
+    }
+    console.log(`${Object.keys(tests).length - failures} of ${Object.keys(tests).length} tests passed`);
+    process.exitCode = failures ? 1 : 0;
+}
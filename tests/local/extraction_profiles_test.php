@@ -0,0 +1,80 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\local;
+
+use advanced_testcase;
+
+/**
+ * Tests for the per-page form extraction profiles.
+ *
+ * @package    block_helpchat
+ * @category   test
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \block_helpchat\local\extraction_profiles
+ */
+final class extraction_profiles_test extends advanced_testcase {
+
+    /**
+     * Test profiles are validated when decoded.
+     */
+    public function test_decode(): void {
+        $this->assertSame([], extraction_profiles::decode(''));
+        $this->assertSame(['*' => ['maxValueLength' => 100]], extraction_profiles::decode('{"*": {"maxValueLength": 100}}'));
+        $this->assertNull(extraction_profiles::decode('{not json'));
+        $this->assertNull(extraction_profiles::decode('"question-type-stack"'));
+        $this->assertNull(extraction_profiles::decode('{"question-type-stack": 5}'));
+    }
+
+    /**
+     * Test matching profiles are merged in order and unknown options are dropped.
+     */
+    public function test_get_options(): void {
+        $json = json_encode([
+            '*' => [
+                'maxValueLength' => 500,
+                'analyzeSiblingDependencies' => false,
+                'colour' => 'red',
+            ],
+            'question-type-*' => [
+                'exclude' => '#fitem_id_generalfeedback',
+                'types' => ['text', 'textarea', 7],
+                'checkElementDependencies' => 'no',
+            ],
+            'question-type-stack' => [
+                'maxValueLength' => 2000,
+            ],
+            'course-view-*' => [
+                'root' => '#region-main',
+            ],
+        ]);
+
+        $this->assertSame([
+            'maxValueLength' => 2000,
+            'analyzeSiblingDependencies' => false,
+            'exclude' => '#fitem_id_generalfeedback',
+            'types' => ['text', 'textarea'],
+        ], extraction_profiles::get_options($json, 'question-type-stack'));
+
+        $this->assertSame([
+            'maxValueLength' => 500,
+            'analyzeSiblingDependencies' => false,
+        ], extraction_profiles::get_options($json, 'mod-quiz-edit'));
+
+        $this->assertSame([], extraction_profiles::get_options('{broken', 'mod-quiz-edit'));
+    }
+}
@@ -0,0 +1,56 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\local;
+
+use advanced_testcase;
+
+/**
+ * Tests for the fake streaming backend.
+ *
+ * @package    block_helpchat
+ * @category   test
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \block_helpchat\local\fake_backend
+ */
+final class fake_backend_test extends advanced_testcase {
+
+    /**
+     * Test the response is streamed in several chunks that join back to the whole response.
+     */
+    public function test_stream(): void {
+        $backend = new fake_backend(0);
+
+        $chunks = [];
+        $response = $backend->stream("System prompt\n\nHow do I add a node?", function(string $chunk) use (&$chunks) {
+            $chunks[] = $chunk;
+        });
+
+        $this->assertGreaterThan(10, count($chunks));
+        $this->assertEquals($response, implode('', $chunks));
+        $this->assertStringContainsString('> How do I add a node?', $response);
+    }
+
+    /**
+     * Test chunks keep the whitespace that follows each word.
+     */
+    public function test_get_chunks(): void {
+        $backend = new fake_backend(0);
+
+        $this->assertEquals(['a ', "b\n\n", 'c'], $backend->get_chunks("a b\n\nc"));
+    }
+}
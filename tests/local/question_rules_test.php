@@ -0,0 +1,65 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\local;
+
+use advanced_testcase;
+
+/**
+ * Tests for the question checks turned off per block instance.
+ *
+ * @package    block_helpchat
+ * @category   test
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \block_helpchat\local\question_rules
+ */
+final class question_rules_test extends advanced_testcase {
+
+    /**
+     * Test every rule is on for a block that has not been configured.
+     */
+    public function test_get_disabled_without_config(): void {
+        $this->assertEquals([], question_rules::get_disabled(null));
+        $this->assertEquals([], question_rules::get_disabled((object) ['prompt' => 'Help']));
+    }
+
+    /**
+     * Test only the unticked rules are turned off.
+     */
+    public function test_get_disabled(): void {
+        $config = (object) [
+            'rule_stack' => 1,
+            'rule_mcfractions' => 0,
+            'rule_generalfeedback' => '0',
+            'rule_imagealt' => '1',
+        ];
+
+        $this->assertEquals(['mcfractions', 'generalfeedback'], question_rules::get_disabled($config));
+    }
+
+    /**
+     * Test every rule can be turned off.
+     */
+    public function test_get_disabled_all(): void {
+        $config = new \stdClass();
+        foreach (question_rules::RULES as $rule) {
+            $config->{'rule_' . $rule} = 0;
+        }
+
+        $this->assertEquals(question_rules::RULES, question_rules::get_disabled($config));
+    }
+}
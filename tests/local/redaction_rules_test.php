@@ -0,0 +1,66 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_helpchat\local;
+
+use advanced_testcase;
+
+/**
+ * Tests for the site redaction rules.
+ *
+ * @package    block_helpchat
+ * @category   test
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \block_helpchat\local\redaction_rules
+ */
+final class redaction_rules_test extends advanced_testcase {
+
+    /**
+     * Test valid rules are parsed and everything else is skipped.
+     */
+    public function test_parse(): void {
+        $config = "# Site rules\n" .
+            "drop name ^idnumber$\n" .
+            "\n" .
+            "MASK value \\d{3}-\\d{2}-\\d{4}\n" .
+            "mask value ([a-z]+ \\d)\n" .
+            "hide name secret\n" .
+            "mask label secret\n" .
+            "mask name\n" .
+            "drop value ([unclosed\n";
+
+        $this->assertEquals([
+            ['action' => 'drop', 'match' => 'name', 'pattern' => '^idnumber$'],
+            ['action' => 'mask', 'match' => 'value', 'pattern' => '\d{3}-\d{2}-\d{4}'],
+            ['action' => 'mask', 'match' => 'value', 'pattern' => '([a-z]+ \d)'],
+        ], redaction_rules::parse($config));
+    }
+
+    /**
+     * Test the site rules come from the plugin setting.
+     */
+    public function test_get_site_rules(): void {
+        $this->resetAfterTest();
+
+        $this->assertEquals([], redaction_rules::get_site_rules());
+
+        set_config('redactionrules', 'mask name ^customfield_', 'block_helpchat');
+        $this->assertEquals([
+            ['action' => 'mask', 'match' => 'name', 'pattern' => '^customfield_'],
+        ], redaction_rules::get_site_rules());
+    }
+}
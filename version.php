@@ -25,7 +25,7 @@
 defined('MOODLE_INTERNAL') || die();
 
 $plugin->component = 'block_helpchat';  // Recommended since 2.0.2 (MDL-26035). Required since 3.0 (MDL-48494)
-$plugin->version = 2025010102;        // YYYYMMDDHH (year, month, day, 24-hr time)
+$plugin->version = 2026101902;        // YYYYMMDDHH (year, month, day, 24-hr time)
 $plugin->requires = 2023100900;       // Requires this Moodle version
 $plugin->maturity = MATURITY_STABLE;   // Maturity level
 $plugin->release = '1.2.0';           // Human-readable version name
\ No newline at end of file